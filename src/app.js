@@ -8,47 +8,179 @@
  * - CORS enabled for cross-origin requests from frontend
  * - JSON body parsing for API requests
  * - Modular route organization
+ * - Requests validated against the OpenAPI document (docs/openapi.js)
+ * - API errors answered by a central handler as { error: { code, message, details } }
  * - URL redirection handling with validation
  *
+ * Authentication:
+ * - /api/links management routes and /api/keys require an API key
+ *   (Authorization: Bearer <key> or X-API-Key); redirects stay public
+ *
+ * Rate Limiting:
+ * - Management routes are limited per API key, public routes per client IP
+ * - Lookups of unknown codes have a separate, tighter limit
+ * - API requests failing authentication are limited per IP before the key lookup
+ *
  * API Endpoints:
  * - POST /api/links - Create new short links
  * - GET /api/links - Retrieve all links
+ * - POST /api/links/bulk - Bulk create links from JSON or CSV
+ * - POST /api/links/bulk/tag, POST /api/links/bulk/move - Tag or move many links
+ * - GET /api/links/export - Export links as CSV, JSON or NDJSON
+ * - GET /api/links/suggest - Suggest available vanity codes
  * - GET /api/links/:code - Get specific link stats
- * - DELETE /api/links/:code - Delete a link
- * - GET /:code - Redirect to original URL
+ * - GET /api/links/:code/analytics - Get click analytics
+ * - GET /api/links/:code/qr - Get a QR code (SVG or PNG)
+ * - GET /api/links/:code/stream - Stream a link's clicks live (SSE)
+ * - PATCH /api/links/:code - Edit a link
+ * - GET /api/links/:code/history - Get a link's revisions
+ * - POST /api/links/:code/rollback/:revision - Restore a revision
+ * - DELETE /api/links/:code - Move a link to the trash
+ * - GET /api/links/trash, POST /api/links/:code/restore - List and restore deleted links
+ * - POST /api/keys, GET /api/keys, DELETE /api/keys/:id - Manage API keys (admin)
+ * - /api/domains - Manage custom short domains
+ * - /api/policy - View, reload and apply the destination policy (admin)
+ * - /api/webhooks - Manage signed webhooks for link events and their deliveries
+ * - /api/collections - Manage link collections and view their stats
+ * - GET /api/audit - Query the audit log of link changes
+ * - GET /api/events/stream - Stream clicks on all the caller's links live (SSE)
+ * - GET /api/openapi.json - OpenAPI 3 document
+ * - GET /api/docs - HTML API reference
+ * - GET / - Redirect to the domain's root URL
+ * - GET /:code - Redirect to original URL (resolved by Host + code)
+ * - POST /:code/unlock - Unlock a password-protected link
  * - GET /healthz - Health check endpoint
+ * - GET /healthz/live, GET /healthz/ready - Liveness and readiness probes
+ * - GET /metrics - Prometheus metrics
  */
 
 import express from 'express';
 import cors from 'cors';
 import linkRoutes from './routes/link.routes.js';
+import apiKeyRoutes from './routes/apiKey.routes.js';
+import domainRoutes from './routes/domain.routes.js';
+import policyRoutes from './routes/policy.routes.js';
+import webhookRoutes from './routes/webhook.routes.js';
+import collectionRoutes from './routes/collection.routes.js';
+import auditRoutes from './routes/audit.routes.js';
+import eventsRoutes from './routes/events.routes.js';
 import healthRoutes from './routes/health.routes.js';
+import metricsRoutes from './routes/metrics.routes.js';
+import docsRoutes from './routes/docs.routes.js';
 import linkController from './controllers/link.controller.js';
-import validateCode from './middleware/validateCode.js';
+import validateRequest from './middleware/validateRequest.js';
+import errorHandler, { notFoundHandler } from './middleware/errorHandler.js';
+import requestMetrics from './middleware/requestMetrics.js';
+import requestId from './middleware/requestId.js';
+import accessLog from './middleware/accessLog.js';
+import resolveDomain from './middleware/resolveDomain.js';
+import requireDatabase from './middleware/requireDatabase.js';
+import rateLimit, { limitAuthFailures, limitNotFound } from './middleware/rateLimit.js';
+import env from './config/env.js';
 
 // Create the main Express application instance
 const app = express();
 
+// Trust X-Forwarded-* headers when running behind a reverse proxy,
+// so req.ip reflects the real client for click analytics
+app.set('trust proxy', env.TRUST_PROXY);
+
 // Middleware Configuration
-// Enable CORS for cross-origin requests from the frontend application
-app.use(cors());
+// Tag the request with an X-Request-Id carried into every log line
+app.use(requestId);
+
+// Write one access log line per request
+app.use(accessLog);
+
+// Count and time every request for GET /metrics
+app.use(requestMetrics);
+
+// Enable CORS for cross-origin requests from the frontend application,
+// letting it read the request ID to quote in bug reports
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 
 // Parse incoming JSON payloads in request bodies
-app.use(express.json());
+// The limit is raised above the default to fit bulk link imports
+app.use(express.json({ limit: env.BODY_LIMIT }));
+
+// Refuse clients that keep failing authentication before any key is looked up
+app.use('/api', limitAuthFailures());
 
 // Route Configuration
 // Mount link-related routes under /api/links prefix
 // Handles CRUD operations for URL links
 app.use('/api/links', linkRoutes);
 
+// Routes below marked "needs MongoDB" answer 503 when running without it
+
+// Mount API key administration routes under /api/keys prefix
+// Requires an admin-scoped API key; needs MongoDB
+app.use('/api/keys', requireDatabase, apiKeyRoutes);
+
+// Mount custom domain routes under /api/domains prefix; needs MongoDB
+app.use('/api/domains', requireDatabase, domainRoutes);
+
+// Mount destination policy routes under /api/policy prefix
+// Requires an admin-scoped API key
+app.use('/api/policy', policyRoutes);
+
+// Mount webhook subscription routes under /api/webhooks prefix; needs MongoDB
+app.use('/api/webhooks', requireDatabase, webhookRoutes);
+
+// Mount link collection routes under /api/collections prefix; needs MongoDB
+app.use('/api/collections', requireDatabase, collectionRoutes);
+
+// Mount the link audit log under /api/audit prefix; needs MongoDB
+app.use('/api/audit', requireDatabase, auditRoutes);
+
+// Mount live event streams under /api/events prefix
+app.use('/api/events', eventsRoutes);
+
+// Mount the OpenAPI document and API reference under /api
+app.use('/api', docsRoutes);
+
+// Unknown API routes get a JSON 404 rather than falling through to redirects
+app.use('/api', notFoundHandler);
+
 // Mount health check routes under /healthz prefix
 // Provides system status and monitoring information
 app.use('/healthz', healthRoutes);
 
+// Mount Prometheus metrics under /metrics prefix
+// Open unless METRICS_TOKEN is set
+app.use('/metrics', metricsRoutes);
+
+// Root Route
+// Redirects to the per-domain (or default) root URL
+app.get('/', rateLimit('redirect'), resolveDomain, linkController.redirectRoot);
+
 // URL Redirection Route
 // Handles short code redirects to original URLs
-// Includes validation middleware to ensure code format and existence
-app.get('/:code', validateCode, linkController.redirectLink);
+// Includes validation middleware to ensure code format and existence,
+// and resolves the Host header to the custom domain's code namespace
+app.get(
+  '/:code',
+  rateLimit('redirect'),
+  validateRequest('redirectLink'),
+  limitNotFound(),
+  resolveDomain,
+  linkController.redirectLink
+);
+
+// Unlock Route
+// Receives the password form served for protected links
+app.post(
+  '/:code/unlock',
+  rateLimit('redirect'),
+  validateRequest('unlockLink'),
+  resolveDomain,
+  express.urlencoded({ extended: false }),
+  linkController.unlockLink
+);
+
+// Error Handling
+// Registered last so it receives errors from every route above
+app.use(errorHandler);
 
 // Export the configured Express application
 export default app;
\ No newline at end of file
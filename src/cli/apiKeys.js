@@ -0,0 +1,94 @@
+/**
+ * API Key CLI - Manage API keys from the command line
+ *
+ * Needed to bootstrap the first admin key, since the key management API
+ * itself requires one.
+ *
+ * Usage:
+ *   npm run apikey -- create --owner <owner> [--name <label>] [--scopes read,write,admin]
+ *   npm run apikey -- list [--owner <owner>]
+ *   npm run apikey -- revoke <id>
+ */
+
+import { parseArgs } from 'util';
+import mongoose from 'mongoose';
+// Loads .env before the database connection reads MONGODB_URI
+import '../config/env.js';
+import connectDB from '../config/db.js';
+import apiKeyService from '../services/apiKey.service.js';
+
+const USAGE = `Usage:
+  apikey create --owner <owner> [--name <label>] [--scopes read,write,admin]
+  apikey list [--owner <owner>]
+  apikey revoke <id>`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    owner: { type: 'string' },
+    name: { type: 'string' },
+    scopes: { type: 'string' },
+  },
+});
+
+const [command, id] = positionals;
+
+if (!['create', 'list', 'revoke'].includes(command)) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+/**
+ * Executes the requested command
+ *
+ * @async
+ * @returns {Promise<number>} Process exit code
+ */
+const run = async () => {
+  switch (command) {
+    case 'create': {
+      const scopes = values.scopes ? values.scopes.split(',').map((s) => s.trim()) : undefined;
+      const { key, apiKey } = await apiKeyService.createKey({
+        owner: values.owner,
+        name: values.name,
+        scopes,
+      });
+      console.log(`Created key ${apiKey._id} for ${apiKey.owner} [${apiKey.scopes.join(', ')}]`);
+      console.log(`Key (shown once): ${key}`);
+      return 0;
+    }
+
+    case 'list': {
+      const keys = await apiKeyService.listKeys(values.owner);
+      for (const k of keys) {
+        const status = k.revokedAt ? `revoked ${k.revokedAt.toISOString()}` : 'active';
+        console.log(`${k._id}  ${k.prefix}…  ${k.owner}  [${k.scopes.join(', ')}]  ${status}  ${k.name}`);
+      }
+      return 0;
+    }
+
+    case 'revoke': {
+      if (!id) break;
+
+      const apiKey = await apiKeyService.revokeKey(id);
+      console.log(`Revoked key ${apiKey._id}`);
+      return 0;
+    }
+
+    default:
+      break;
+  }
+
+  console.error(USAGE);
+  return 1;
+};
+
+await connectDB();
+try {
+  process.exitCode = await run();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,65 @@
+/**
+ * Webhook Receiver CLI - Local endpoint for trying out webhooks
+ *
+ * Listens for deliveries, checks their signature and prints each event.
+ * Answers 401 for bad signatures and 200 otherwise; --fail answers 500 to
+ * the first N deliveries to exercise retries.
+ *
+ * Usage:
+ *   npm run webhook:receiver -- --secret <secret> [--port 4000] [--fail <n>]
+ *
+ * The secret can also be given as WEBHOOK_SECRET.
+ */
+
+import http from 'http';
+import { parseArgs } from 'util';
+import { verifySignature } from '../utils/webhookSignature.js';
+
+const USAGE = 'Usage: webhook:receiver --secret <secret> [--port 4000] [--fail <n>]';
+
+const { values } = parseArgs({
+  options: {
+    secret: { type: 'string', default: process.env.WEBHOOK_SECRET },
+    port: { type: 'string', default: '4000' },
+    fail: { type: 'string', default: '0' },
+  },
+});
+
+const port = Number(values.port);
+let failuresLeft = Number(values.fail);
+
+if (!values.secret || !Number.isInteger(port) || !Number.isInteger(failuresLeft)) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const delivery = req.headers['x-tinylink-delivery'];
+    const event = req.headers['x-tinylink-event'];
+
+    if (!verifySignature(values.secret, body, req.headers['x-tinylink-signature'])) {
+      console.log(`${new Date().toISOString()}  ${event}  ${delivery}  rejected: bad signature`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      console.log(`${new Date().toISOString()}  ${event}  ${delivery}  failed on purpose`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    console.log(`${new Date().toISOString()}  ${event}  ${delivery}`);
+    console.log(JSON.stringify(JSON.parse(body), null, 2));
+    res.writeHead(200).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});
@@ -1,16 +1,45 @@
 import mongoose from 'mongoose';
+import env from './env.js';
+import metricsService from '../services/metrics.service.js';
+import logger from '../utils/logger.js';
 
+// Data that only MongoDB can hold; the storage drivers cover links alone (see storage/index.js)
+const MONGO_ONLY_DATA = 'API keys, custom domains, collections, click events, webhooks and the audit log';
+
+/**
+ * Connects to MongoDB, exiting the process if it is unreachable
+ *
+ * With STORAGE_DRIVER=memory or json and no MONGODB_URI the server runs
+ * without a database: no connection is made, and commands are no longer
+ * buffered, so any query that slips through fails at once instead of
+ * waiting for a connection that never comes.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
 const connectDB = async () => {
+  if (!env.MONGODB_ENABLED) {
+    mongoose.set('bufferCommands', false);
+    logger.warn('Running without MongoDB', {
+      storageDriver: env.STORAGE_DRIVER,
+      hint: `${MONGO_ONLY_DATA} are unavailable; set MONGODB_URI to enable them`,
+    });
+    return;
+  }
+
   try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI, {
+    const conn = await mongoose.connect(env.MONGODB_URI, {
     //   useNewUrlParser: true,
     //   useUnifiedTopology: true,
+      // Emit command events, timed for the /metrics DB operation histogram
+      monitorCommands: true,
     });
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
+    metricsService.monitorDatabase(conn.connection.getClient());
+    logger.info('MongoDB connected', { host: conn.connection.host, storageDriver: env.STORAGE_DRIVER });
   } catch (error) {
-    console.error('Database connection error:', error);
+    logger.error('Database connection failed', { error });
     process.exit(1);
   }
 };
 
-export default connectDB;
\ No newline at end of file
+export default connectDB;
@@ -1,8 +1,133 @@
 import 'dotenv/config';
+import crypto from 'crypto';
+
+// Express accepts a boolean, hop count or address list for 'trust proxy'
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
 
 const env = {
   PORT: process.env.PORT || 5000,
+  // Most verbose log level written: error, warn, info, debug (or silent)
+  LOG_LEVEL: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  // Write client IPs to the access log in clear text instead of hashed
+  LOG_RAW_IPS: process.env.LOG_RAW_IPS === 'true',
   MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost:27017/tinylink',
+  // MongoDB is used with the mongo storage driver, or with any driver once MONGODB_URI is set;
+  // without it API keys, custom domains, collections, click events, webhooks and the audit log
+  // are unavailable (see config/db.js)
+  MONGODB_ENABLED: (process.env.STORAGE_DRIVER || 'mongo') === 'mongo' || Boolean(process.env.MONGODB_URI),
+  // Admin API key accepted when running without MongoDB, where no keys can be stored
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY || '',
+  TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY),
+  IP_HASH_SALT: process.env.IP_HASH_SALT || 'tinylink',
+  EXPIRED_FALLBACK_URL: process.env.EXPIRED_FALLBACK_URL || '',
+  EXPIRY_SWEEP_INTERVAL_MS: Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 60 * 1000,
+  EXPIRY_SWEEP_ACTION: process.env.EXPIRY_SWEEP_ACTION === 'purge' ? 'purge' : 'mark',
+  // Answer to visitors of links before their activatesAt: a redirect to PENDING_LINK_URL
+  // when set, otherwise a "not yet available" page with PENDING_LINK_STATUS (404 by default)
+  PENDING_LINK_URL: process.env.PENDING_LINK_URL || '',
+  PENDING_LINK_STATUS: Number(process.env.PENDING_LINK_STATUS) || 404,
+  // How often the link scheduler applies due scheduled destination changes
+  SCHEDULE_POLL_INTERVAL_MS: Number(process.env.SCHEDULE_POLL_INTERVAL_MS) || 30 * 1000,
+  // How long deleted links stay in the trash, and how often the trash is purged
+  TRASH_RETENTION_MS: Number(process.env.TRASH_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000,
+  TRASH_PURGE_INTERVAL_MS: Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+  // Without a configured secret, unlock cookies only survive until restart
+  UNLOCK_COOKIE_SECRET: process.env.UNLOCK_COOKIE_SECRET || crypto.randomBytes(32).toString('hex'),
+  UNLOCK_TTL_MS: Number(process.env.UNLOCK_TTL_MS) || 10 * 60 * 1000,
+  // How long a visitor keeps seeing the same A/B variant on sticky links
+  VARIANT_COOKIE_TTL_MS: Number(process.env.VARIANT_COOKIE_TTL_MS) || 30 * 24 * 60 * 60 * 1000,
+  UNLOCK_MAX_ATTEMPTS: Number(process.env.UNLOCK_MAX_ATTEMPTS) || 5,
+  UNLOCK_MAX_ATTEMPTS_PER_LINK: Number(process.env.UNLOCK_MAX_ATTEMPTS_PER_LINK) || 50,
+  UNLOCK_WINDOW_MS: Number(process.env.UNLOCK_WINDOW_MS) || 15 * 60 * 1000,
+  ROOT_REDIRECT_URL: process.env.ROOT_REDIRECT_URL || '',
+  // 'dns' checks the TXT record; 'none' trusts every domain (local development)
+  DOMAIN_VERIFICATION: process.env.DOMAIN_VERIFICATION === 'none' ? 'none' : 'dns',
+  // Request body size limit (JSON and CSV); large enough for bulk imports
+  BODY_LIMIT: process.env.BODY_LIMIT || '5mb',
+  BULK_MAX_ROWS: Number(process.env.BULK_MAX_ROWS) || 5000,
+  REDIRECT_CACHE_TTL_MS: Number(process.env.REDIRECT_CACHE_TTL_MS) || 60 * 1000,
+  REDIRECT_CACHE_MAX_ENTRIES: Number(process.env.REDIRECT_CACHE_MAX_ENTRIES) || 10000,
+  CLICK_FLUSH_INTERVAL_MS: Number(process.env.CLICK_FLUSH_INTERVAL_MS) || 5000,
+  CLICK_BUFFER_MAX_LINKS: Number(process.env.CLICK_BUFFER_MAX_LINKS) || 10000,
+  // Live click streams (SSE): open streams allowed in total and per API key, recent
+  // events kept for Last-Event-ID resume, and the interval of keep-alive comments
+  CLICK_STREAM_MAX_SUBSCRIBERS: Number(process.env.CLICK_STREAM_MAX_SUBSCRIBERS) || 100,
+  CLICK_STREAM_MAX_SUBSCRIBERS_PER_KEY: Number(process.env.CLICK_STREAM_MAX_SUBSCRIBERS_PER_KEY) || 10,
+  CLICK_STREAM_BUFFER_SIZE: Number(process.env.CLICK_STREAM_BUFFER_SIZE) || 1000,
+  CLICK_STREAM_HEARTBEAT_MS: Number(process.env.CLICK_STREAM_HEARTBEAT_MS) || 15 * 1000,
+  // Click counts that publish a link.click_threshold event when a link reaches them
+  CLICK_THRESHOLDS: (process.env.CLICK_THRESHOLDS || '100,1000,10000')
+    .split(',')
+    .map(Number)
+    .filter((threshold) => Number.isInteger(threshold) && threshold > 0)
+    .sort((a, b) => a - b),
+  // Short code generation: 'random', 'counter' or 'words' (see services/codeGenerator.service.js)
+  CODE_GENERATOR: process.env.CODE_GENERATOR || 'random',
+  // Length (6-8) and characters of random codes
+  CODE_LENGTH: Number(process.env.CODE_LENGTH) || 7,
+  CODE_ALPHABET: process.env.CODE_ALPHABET || '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  // Generated codes tried before link creation gives up on duplicates
+  CODE_GENERATION_ATTEMPTS: Number(process.env.CODE_GENERATION_ATTEMPTS) || 5,
+  // Words never used in generated or suggested codes, besides the built-in list
+  CODE_BLOCKLIST: (process.env.CODE_BLOCKLIST || '')
+    .split(',')
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean),
+  // User-agent substrings of link preview crawlers, besides the built-in list; they are
+  // served a page with the link's preview card instead of a redirect
+  PREVIEW_CRAWLERS: (process.env.PREVIEW_CRAWLERS || '')
+    .split(',')
+    .map((agent) => agent.trim())
+    .filter(Boolean),
+  // Where links and revisions are stored: 'mongo', 'memory' or 'json' (see storage/index.js)
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'mongo',
+  STORAGE_FILE: process.env.STORAGE_FILE || './data/links.json',
+  RATE_LIMIT_ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+  RATE_LIMIT_CREATE_MAX: Number(process.env.RATE_LIMIT_CREATE_MAX) || 30,
+  RATE_LIMIT_CREATE_WINDOW_MS: Number(process.env.RATE_LIMIT_CREATE_WINDOW_MS) || 60 * 1000,
+  RATE_LIMIT_API_MAX: Number(process.env.RATE_LIMIT_API_MAX) || 300,
+  RATE_LIMIT_API_WINDOW_MS: Number(process.env.RATE_LIMIT_API_WINDOW_MS) || 60 * 1000,
+  RATE_LIMIT_REDIRECT_MAX: Number(process.env.RATE_LIMIT_REDIRECT_MAX) || 600,
+  RATE_LIMIT_REDIRECT_WINDOW_MS: Number(process.env.RATE_LIMIT_REDIRECT_WINDOW_MS) || 60 * 1000,
+  // Unknown-code lookups allowed per client before further lookups are refused
+  RATE_LIMIT_NOT_FOUND_MAX: Number(process.env.RATE_LIMIT_NOT_FOUND_MAX) || 20,
+  RATE_LIMIT_NOT_FOUND_WINDOW_MS: Number(process.env.RATE_LIMIT_NOT_FOUND_WINDOW_MS) || 10 * 60 * 1000,
+  // API requests rejected with 401 allowed per IP before the IP is refused
+  RATE_LIMIT_AUTH_FAILURE_MAX: Number(process.env.RATE_LIMIT_AUTH_FAILURE_MAX) || 20,
+  RATE_LIMIT_AUTH_FAILURE_WINDOW_MS: Number(process.env.RATE_LIMIT_AUTH_FAILURE_WINDOW_MS) || 10 * 60 * 1000,
+  // JSON file with allowed schemes, block/allow lists and extra shorteners (optional)
+  DESTINATION_POLICY_FILE: process.env.DESTINATION_POLICY_FILE || '',
+  // Public origin of default-domain short URLs, e.g. https://tinylink.example
+  // (defaults to the origin of the request)
+  PUBLIC_BASE_URL: (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
+  // Hostnames this service answers on, besides registered custom domains
+  SHORT_HOSTNAMES: (process.env.SHORT_HOSTNAMES || '')
+    .split(',')
+    .map((hostname) => hostname.trim().toLowerCase())
+    .filter(Boolean),
+  // MaxMind country database (.mmdb, e.g. GeoLite2-Country) for country routing rules (optional)
+  GEOIP_DB_FILE: process.env.GEOIP_DB_FILE || '',
+  // Outbound webhooks: attempts before a delivery is dead-lettered, backoff bounds and request timeout
+  WEBHOOK_MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  WEBHOOK_RETRY_BASE_MS: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000,
+  WEBHOOK_RETRY_MAX_MS: Number(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000,
+  WEBHOOK_TIMEOUT_MS: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+  // Allow webhook URLs on private, loopback and link-local addresses (local receivers only)
+  WEBHOOK_ALLOW_PRIVATE_TARGETS: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+  // How often the delivery worker looks for due retries, and how many deliveries it sends at once
+  WEBHOOK_POLL_INTERVAL_MS: Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000,
+  WEBHOOK_CONCURRENCY: Number(process.env.WEBHOOK_CONCURRENCY) || 5,
+  // Readiness probe: also ping MongoDB (not just check the connection state), with a time limit
+  HEALTH_DB_PING: process.env.HEALTH_DB_PING === 'true',
+  HEALTH_DB_PING_TIMEOUT_MS: Number(process.env.HEALTH_DB_PING_TIMEOUT_MS) || 2000,
+  // Bearer token required by GET /metrics (open when empty)
+  METRICS_TOKEN: process.env.METRICS_TOKEN || '',
+  // How long shutdown waits for in-flight requests before closing their connections
+  SHUTDOWN_TIMEOUT_MS: Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000,
 };
 
-export default env;
\ No newline at end of file
+export default env;
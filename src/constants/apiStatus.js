@@ -17,13 +17,23 @@ export const STATUS = {
   // Success Responses (2xx)
   OK: 200,                    // Standard success response
   CREATED: 201,              // Resource successfully created
+  ACCEPTED: 202,             // Request queued for background processing
   NO_CONTENT: 204,           // Successful request with no content to return
 
+  // Redirection Responses (3xx)
+  NOT_MODIFIED: 304,         // Cached copy is still valid (conditional GET)
+
   // Client Error Responses (4xx)
   BAD_REQUEST: 400,          // Invalid request data or malformed syntax
+  UNAUTHORIZED: 401,         // Missing or invalid credentials
+  FORBIDDEN: 403,            // Authenticated but not allowed to perform the action
   NOT_FOUND: 404,            // Requested resource not found
   CONFLICT: 409,             // Request conflicts with current state (e.g., duplicate code)
+  GONE: 410,                 // Resource existed but is no longer available (e.g., expired link)
+  PAYLOAD_TOO_LARGE: 413,    // Request body exceeds the size limit
+  TOO_MANY_REQUESTS: 429,    // Client is being throttled
 
   // Server Error Responses (5xx)
   INTERNAL_SERVER_ERROR: 500, // Unexpected server error
+  SERVICE_UNAVAILABLE: 503,   // Temporary failure, the request can be retried
 };
\ No newline at end of file
@@ -0,0 +1,21 @@
+/**
+ * Audit Actions - Entries in the Link Audit Log
+ *
+ * Recorded by LinkService through AuditService and listed with GET /api/audit.
+ *
+ * - link.create: A link was created (single or bulk)
+ * - link.update: A link was edited, rolled back or bulk tagged/moved; the
+ *   entry carries the revision and its field changes
+ * - link.delete: A link was moved to the trash
+ * - link.restore: A link was taken out of the trash
+ * - link.purge: A link was removed for good, by the trash purge after the
+ *   retention period or by the expiry sweeper in purge mode (no actor)
+ */
+
+export const AUDIT_ACTIONS = {
+  LINK_CREATE: 'link.create',
+  LINK_UPDATE: 'link.update',
+  LINK_DELETE: 'link.delete',
+  LINK_RESTORE: 'link.restore',
+  LINK_PURGE: 'link.purge',
+};
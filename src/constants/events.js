@@ -0,0 +1,22 @@
+/**
+ * Event Types - Link Lifecycle Events
+ *
+ * Published on the internal event bus (see events.service.js) by LinkService
+ * and delivered to webhook subscribers of the link's owner.
+ *
+ * - link.created: A link was created (single or bulk)
+ * - link.deleted: A link was deleted (moved to the trash) through the API
+ * - link.expired: The expiry sweeper found a link past its expiry date or
+ *   click budget (also sent for links removed in purge mode)
+ * - link.click_threshold: A link's click count reached one of CLICK_THRESHOLDS
+ */
+
+export const EVENTS = {
+  LINK_CREATED: 'link.created',
+  LINK_DELETED: 'link.deleted',
+  LINK_EXPIRED: 'link.expired',
+  LINK_CLICK_THRESHOLD: 'link.click_threshold',
+};
+
+// Test event sent by POST /api/webhooks/:id/ping; cannot be subscribed to
+export const PING_EVENT = 'ping';
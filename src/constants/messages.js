@@ -21,7 +21,138 @@ export const MESSAGES = {
   // Error Messages
   LINK_NOT_FOUND: 'Link not found',
   CODE_EXISTS: 'Short code already exists',
+  CODE_GENERATION_FAILED: 'Could not generate an unused short code, please retry',
   INVALID_URL: 'Invalid URL provided',
   INVALID_CODE: 'Invalid short code format',
   SERVER_ERROR: 'Internal server error',
-};
\ No newline at end of file
+
+  // Request Validation Messages
+  INVALID_REQUEST: 'Request does not match the API schema',
+  INVALID_JSON: 'Request body is not valid JSON',
+  PAYLOAD_TOO_LARGE: 'Request body is too large',
+  ROUTE_NOT_FOUND: 'Route not found',
+
+  // Analytics Messages
+  INVALID_INTERVAL: 'Interval must be one of hour, day or week',
+  INVALID_DATE_RANGE: 'Invalid date range',
+  RANGE_TOO_LARGE: 'Date range too large for the requested interval',
+
+  // Expiration Messages
+  INVALID_EXPIRY: 'Expiry date must be a valid date in the future',
+  INVALID_MAX_CLICKS: 'Max clicks must be a positive integer',
+  LINK_EXPIRED: 'This link has expired',
+
+  // Scheduling Messages
+  INVALID_ACTIVATION: 'Activation date must be a valid date in the future, before the expiry date',
+  INVALID_SCHEDULED_CHANGES: 'Scheduled changes must be a list of up to 20 { at, originalUrl } entries with distinct future dates',
+  LINK_NOT_YET_ACTIVE: 'This link is not available yet',
+
+  // Password Protection Messages
+  INVALID_PASSWORD: 'Password must be a string of 4 to 128 characters',
+  PASSWORD_REQUIRED: 'This link is password protected',
+  WRONG_PASSWORD: 'Incorrect password',
+  TOO_MANY_ATTEMPTS: 'Too many attempts, please try again later',
+
+  // API Key Messages
+  API_KEY_REQUIRED: 'API key required',
+  INVALID_API_KEY: 'Invalid or revoked API key',
+  INSUFFICIENT_SCOPE: 'API key does not have the required scope',
+  INVALID_OWNER: 'Owner must be 1-64 characters of letters, digits, ".", "_", "@" or "-"',
+  INVALID_SCOPES: 'Scopes must be a non-empty list of read, write or admin',
+  API_KEY_NOT_FOUND: 'API key not found',
+
+  // Custom Domain Messages
+  INVALID_HOSTNAME: 'Invalid hostname',
+  DOMAIN_EXISTS: 'Domain already registered',
+  DOMAIN_NOT_FOUND: 'Domain not found',
+  DOMAIN_NOT_VERIFIED: 'Domain has not been verified',
+  DOMAIN_IN_USE: 'Domain still has links',
+  DOMAIN_VERIFICATION_FAILED: 'Verification TXT record not found',
+
+  // Bulk Import / Export Messages
+  INVALID_BULK_PAYLOAD: 'Expected a non-empty JSON array of links or a CSV file with a header row',
+  INVALID_BULK_ROW: 'Row must be an object',
+  BULK_TOO_LARGE: 'Too many rows in one batch',
+  INVALID_EXPORT_FORMAT: 'Format must be one of csv, json or ndjson',
+
+  // Edit History Messages
+  NO_UPDATABLE_FIELDS: 'Provide at least one of originalUrl, expiresAt, maxClicks, rules, variants, stickyVariants, tags, collectionId or preview',
+  REVISION_NOT_FOUND: 'Revision not found',
+  EDIT_CONFLICT: 'Link was modified by another request, please retry',
+
+  // Link List Messages
+  INVALID_LIST_LIMIT: 'Limit must be an integer between 1 and 200',
+  INVALID_LIST_SORT: 'Sort must be createdAt, clicks or lastClicked and order asc or desc',
+  INVALID_LIST_FILTER: 'Invalid filter value',
+  INVALID_CURSOR: 'Invalid pagination cursor',
+
+  // Rate Limiting Messages
+  RATE_LIMITED: 'Too many requests, please try again later',
+
+  // Destination Policy Messages
+  DESTINATION_SCHEME_NOT_ALLOWED: 'Destination URL scheme is not allowed',
+  DESTINATION_SELF_REFERENCE: 'Destination cannot point at a short link domain',
+  DESTINATION_BLOCKED: 'Destination is blocked',
+  DESTINATION_SHORTENER: 'Destination cannot be another URL shortener',
+  INVALID_DESTINATION_POLICY: 'Destination policy file is unreadable or invalid',
+  LINK_DISABLED: 'This link has been disabled',
+
+  // QR Code Messages
+  INVALID_QR_FORMAT: 'Format must be svg or png',
+  INVALID_QR_SIZE: 'Size must be an integer between 64 and 2048',
+  INVALID_QR_MARGIN: 'Margin must be an integer between 0 and 16',
+  INVALID_QR_LEVEL: 'Level must be one of L, M, Q or H',
+  INVALID_QR_COLOR: 'Colors must be hex values like 000000 or #1a2b3c',
+
+  // Routing Rule Messages
+  INVALID_ROUTING_RULES: 'Rules must be a list of up to 20 rules, each with a destination and at least one valid condition',
+  INVALID_ROUTING_CONTEXT: 'Dry run expects headers as an object, an optional IP, two-letter country, ISO date and variant name',
+
+  // A/B Variant Messages
+  INVALID_VARIANTS: 'Variants must be a list of 2 to 10 entries with unique names, destinations and integer weights from 0 to 1000, at least one above 0',
+  INVALID_STICKY_VARIANTS: 'stickyVariants must be true or false',
+
+  // Social Preview Messages
+  INVALID_PREVIEW: 'Preview must be an object with at least one of title (up to 200 characters), description (up to 500 characters) or an http(s) image URL',
+
+  // Webhook Messages
+  INVALID_WEBHOOK_URL: 'Webhook URL must be a valid http or https URL',
+  WEBHOOK_URL_UNRESOLVABLE: 'Webhook URL host could not be resolved',
+  WEBHOOK_URL_NOT_PUBLIC: 'Webhook URL must not point to a private, loopback or link-local address',
+  INVALID_WEBHOOK_EVENTS: 'Events must be a non-empty list of link.created, link.deleted, link.expired or link.click_threshold',
+  INVALID_WEBHOOK_SECRET: 'Secret must be a string of 16 to 256 characters',
+  INVALID_WEBHOOK_DESCRIPTION: 'Description must be a string of at most 200 characters',
+  INVALID_WEBHOOK_ACTIVE: 'active must be true or false',
+  NO_WEBHOOK_FIELDS: 'Provide at least one of url, events, description or active',
+  WEBHOOK_NOT_FOUND: 'Webhook not found',
+  INVALID_DELIVERY_STATUS: 'Status must be pending, delivered or dead',
+  DELIVERY_NOT_FOUND: 'Delivery not found',
+  DELIVERY_PENDING: 'Delivery is already queued',
+
+  // Vanity Code Suggestion Messages
+  INVALID_SUGGEST_BASE: 'Base must contain at least 2 letters or digits',
+  INVALID_SUGGEST_COUNT: 'Count must be an integer between 1 and 20',
+
+  // Tag and Collection Messages
+  INVALID_TAGS: 'Tags must be a list of up to 20 tags of 1-32 letters, digits, - or _',
+  INVALID_COLLECTION_NAME: 'Collection name must be a string of 1 to 100 characters',
+  INVALID_COLLECTION_DESCRIPTION: 'Description must be a string of at most 500 characters',
+  NO_COLLECTION_FIELDS: 'Provide at least one of name or description',
+  COLLECTION_NOT_FOUND: 'Collection not found',
+  COLLECTION_EXISTS: 'A collection with this name already exists',
+  COLLECTION_NOT_EMPTY: 'Collection still contains links; move them out first',
+  INVALID_BULK_TAGS: 'Expected a list of short codes and tags to add and/or remove',
+  INVALID_BULK_MOVE: 'Expected a list of short codes and a collectionId (null to remove from collections)',
+
+  // Trash and Audit Log Messages
+  LINK_TRASHED: 'This link has been deleted',
+  TRASHED_LINK_NOT_FOUND: 'Link not found in the trash',
+  INVALID_AUDIT_ACTION: 'Action must be one of link.create, link.update, link.delete, link.restore or link.purge',
+
+  // Database Messages
+  DATABASE_DISABLED: 'This feature needs MongoDB; set MONGODB_URI to enable it',
+
+  // Click Stream Messages
+  STREAM_LIMIT_REACHED: 'Too many open click streams, please retry later',
+  STREAM_KEY_LIMIT_REACHED: 'Too many click streams open with this API key, close one first',
+};
@@ -1 +1,4 @@
-export const CODE_REGEX = /^[A-Za-z0-9]{6,8}$/;
\ No newline at end of file
+export const CODE_REGEX = /^[A-Za-z0-9]{6,8}$/;
+
+// Link tags: lowercase letters, digits, - and _, starting with a letter or digit
+export const TAG_REGEX = /^[a-z0-9][a-z0-9_-]{0,31}$/;
@@ -0,0 +1,104 @@
+/**
+ * API Key Controller - Handles HTTP requests for API key administration
+ *
+ * All routes handled here require an API key with the admin scope.
+ *
+ * Routes handled:
+ * - POST /api/keys - Create a new API key
+ * - GET /api/keys - List API keys
+ * - DELETE /api/keys/:id - Revoke an API key
+ */
+
+import apiKeyService from '../services/apiKey.service.js';
+import { STATUS } from '../constants/apiStatus.js';
+
+/**
+ * Formats an API key document for API responses (never includes the hash)
+ *
+ * @param {Object} apiKey - Key document
+ * @returns {Object}
+ */
+const formatKey = (apiKey) => ({
+  id: String(apiKey._id),
+  name: apiKey.name,
+  owner: apiKey.owner,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+});
+
+/**
+ * Controller class for handling API key HTTP requests
+ * Uses singleton pattern - exported as instantiated object
+ */
+class ApiKeyController {
+
+  /**
+   * Creates a new API key
+   *
+   * The raw key is included in the response exactly once.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.owner - Owner identifier
+   * @param {string} [req.body.name] - Label for the key
+   * @param {string[]} [req.body.scopes] - Scopes to grant
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async createKey(req, res, next) {
+    try {
+      const { owner, name, scopes } = req.body ?? {};
+      const { key, apiKey } = await apiKeyService.createKey({ owner, name, scopes });
+
+      res.status(STATUS.CREATED).json({ key, ...formatKey(apiKey) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lists API keys, optionally filtered by ?owner=
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async listKeys(req, res, next) {
+    try {
+      const keys = await apiKeyService.listKeys(req.query.owner);
+      res.json(keys.map(formatKey));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revokes an API key
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Key id
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async revokeKey(req, res, next) {
+    try {
+      const apiKey = await apiKeyService.revokeKey(req.params.id);
+      res.json(formatKey(apiKey));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Export singleton instance of the controller
+export default new ApiKeyController();
@@ -0,0 +1,68 @@
+/**
+ * Audit Controller - Handles HTTP requests for the link audit log
+ *
+ * Routes handled:
+ * - GET /api/audit - List audit entries about the caller's links, newest first
+ *
+ * Entries are written by LinkService on every create, update, delete,
+ * restore and purge; there are no routes to change or remove them.
+ */
+
+import auditService from '../services/audit.service.js';
+
+/**
+ * Returns the owner whose audit entries the caller may read (undefined for admins)
+ *
+ * @param {Object} req - Express request object with req.auth set
+ * @returns {string|undefined}
+ */
+const ownerScope = (req) => (req.auth.isAdmin ? undefined : req.auth.owner);
+
+/**
+ * Formats an audit entry for API responses
+ *
+ * @param {Object} entry - Audit entry document
+ * @returns {Object}
+ */
+const formatEntry = (entry) => ({
+  id: String(entry._id),
+  action: entry.action,
+  link: entry.link,
+  owner: entry.owner,
+  actor: entry.actor,
+  request: entry.request,
+  details: entry.details,
+  createdAt: entry.createdAt,
+});
+
+/**
+ * Controller class for handling audit log HTTP requests
+ * Uses singleton pattern - exported as instantiated object
+ */
+class AuditController {
+
+  /**
+   * Lists audit entries, newest first
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - action, code, domain, keyId, from, to, limit (1-200) and cursor
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async listEntries(req, res, next) {
+    try {
+      const { action, code, domain, keyId, from, to, limit, cursor } = req.query;
+      const { entries, nextCursor } = await auditService.listEntries(ownerScope(req), {
+        action, code, domain, keyId, from, to, limit, cursor,
+      });
+      res.json({ entries: entries.map(formatEntry), nextCursor });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Export singleton instance of the controller
+export default new AuditController();
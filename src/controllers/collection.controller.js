@@ -0,0 +1,168 @@
+/**
+ * Collection Controller - Handles HTTP requests for link collections
+ *
+ * Routes handled:
+ * - POST /api/collections - Create a collection
+ * - GET /api/collections - List the caller's collections with their stats
+ * - GET /api/collections/:id - Get a collection with its stats
+ * - PATCH /api/collections/:id - Rename a collection or change its description
+ * - DELETE /api/collections/:id - Delete an empty collection
+ *
+ * Links are filed with collectionId on POST/PATCH /api/links or in bulk with
+ * POST /api/links/bulk/move, and listed with GET /api/links?collectionId=<id>.
+ */
+
+import collectionService from '../services/collection.service.js';
+import { STATUS } from '../constants/apiStatus.js';
+
+/**
+ * Returns the owner whose collections the caller may manage (undefined for admins)
+ *
+ * @param {Object} req - Express request object with req.auth set
+ * @returns {string|undefined}
+ */
+const ownerScope = (req) => (req.auth.isAdmin ? undefined : req.auth.owner);
+
+/**
+ * Formats a collection document, and optionally its stats, for API responses
+ *
+ * @param {Object} collection - Collection document
+ * @param {Object} [stats] - { links, clicks, topLink } from CollectionService.getStats
+ * @returns {Object}
+ */
+const formatCollection = (collection, stats) => ({
+  id: String(collection._id),
+  name: collection.name,
+  description: collection.description,
+  owner: collection.owner,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt,
+  ...(stats && {
+    stats: {
+      links: stats.links,
+      clicks: stats.clicks,
+      topLink: stats.topLink && {
+        shortCode: stats.topLink.shortCode,
+        domain: stats.topLink.domain ?? null,
+        originalUrl: stats.topLink.originalUrl,
+        clicks: stats.topLink.clicks,
+      },
+    },
+  }),
+});
+
+
+/**
+ * Controller class for handling collection HTTP requests
+ * Uses singleton pattern - exported as instantiated object
+ */
+class CollectionController {
+
+  /**
+   * Creates a collection for the caller's links
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.name - Name, unique per owner
+   * @param {string} [req.body.description] - Optional label
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async createCollection(req, res, next) {
+    try {
+      const { name, description } = req.body ?? {};
+      const collection = await collectionService.createCollection({ name, description, owner: req.auth.owner });
+      res.status(STATUS.CREATED).json(formatCollection(collection));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lists the caller's collections (all collections for admin keys) by name
+   *
+   * Each collection carries its link count, total clicks and most-clicked link.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async listCollections(req, res, next) {
+    try {
+      const collections = await collectionService.listCollections(ownerScope(req));
+      const stats = await collectionService.getStats(collections);
+      res.json(collections.map((collection) => formatCollection(collection, stats.get(String(collection._id)))));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves a single collection with its stats
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Collection id
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async getCollection(req, res, next) {
+    try {
+      const collection = await collectionService.getCollection(req.params.id, ownerScope(req));
+      const stats = await collectionService.getStats([collection]);
+      res.json(formatCollection(collection, stats.get(String(collection._id))));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Changes a collection's name and/or description
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Collection id
+   * @param {Object} req.body - Fields to change (name, description)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async updateCollection(req, res, next) {
+    try {
+      const collection = await collectionService.updateCollection(req.params.id, req.body ?? {}, ownerScope(req));
+      res.json(formatCollection(collection));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes a collection; it must not contain any links
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Collection id
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async deleteCollection(req, res, next) {
+    try {
+      await collectionService.deleteCollection(req.params.id, ownerScope(req));
+      res.status(STATUS.NO_CONTENT).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Export singleton instance of the controller
+export default new CollectionController();
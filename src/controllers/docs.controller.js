@@ -0,0 +1,157 @@
+/**
+ * Docs Controller - Serves the OpenAPI document and a readable API reference
+ *
+ * Routes handled:
+ * - GET /api/openapi.json - The OpenAPI 3 document
+ * - GET /api/docs - HTML reference rendered from the document
+ */
+
+import openApiDocument from '../docs/openapi.js';
+import { resolveRef } from '../utils/schemaValidator.js';
+import { escapeHtml, renderPage } from '../utils/html.js';
+
+// HTTP methods in the order they are listed
+const METHODS = ['get', 'post', 'patch', 'put', 'delete'];
+
+/**
+ * Describes a schema in a few words, e.g. "integer (1-200)" or "CreateLinkRequest"
+ *
+ * @param {Object} [schema] - Schema or $ref
+ * @returns {string}
+ */
+const describeSchema = (schema) => {
+  if (!schema) return '';
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop();
+    const target = resolveRef(openApiDocument, schema.$ref);
+    // Small component schemas read better inline than as a name
+    return target.properties || target.oneOf || target.allOf ? name : describeSchema(target);
+  }
+  if (schema.enum) return schema.enum.join(' | ');
+  if (schema.oneOf) return schema.oneOf.map(describeSchema).join(' or ');
+  if (schema.type === 'array') return `array of ${describeSchema(schema.items) || 'items'}`;
+
+  const range = schema.minimum !== undefined && schema.maximum !== undefined
+    ? ` (${schema.minimum}-${schema.maximum})`
+    : '';
+  return `${schema.type ?? 'any'}${range}`;
+};
+
+/**
+ * Renders one operation as an HTML section
+ *
+ * @param {string} path - Path template
+ * @param {string} method - HTTP method
+ * @param {Object} operation - Operation object
+ * @param {Array<Object>} pathParameters - Parameters declared on the path item
+ * @returns {string}
+ */
+const renderOperation = (path, method, operation, pathParameters) => {
+  const parameters = [...pathParameters, ...(operation.parameters ?? [])]
+    .map((parameter) => (parameter.$ref ? resolveRef(openApiDocument, parameter.$ref) : parameter));
+  const scope = operation['x-required-scope'];
+
+  const rows = parameters.map((parameter) => `<tr><td><code>${escapeHtml(parameter.name)}</code></td>`
+    + `<td>${escapeHtml(parameter.in)}${parameter.required ? ', required' : ''}</td>`
+    + `<td>${escapeHtml(describeSchema(parameter.schema))}</td>`
+    + `<td>${escapeHtml(parameter.description ?? '')}</td></tr>`);
+  const bodyTypes = Object.entries(operation.requestBody?.content ?? {})
+    .map(([type, { schema }]) => `${escapeHtml(type)}: ${escapeHtml(describeSchema(schema))}`);
+  const responses = Object.entries(operation.responses ?? {})
+    .map(([status, { description }]) => `<li><code>${escapeHtml(status)}</code> ${escapeHtml(description)}</li>`);
+
+  return `<section id="${escapeHtml(operation.operationId)}">
+<h3><code>${method.toUpperCase()} ${escapeHtml(path)}</code></h3>
+<p>${escapeHtml(operation.summary)}${scope ? ` <em>(API key with ${escapeHtml(scope)} scope)</em>` : ''}</p>
+${operation.description ? `<p>${escapeHtml(operation.description)}</p>\n` : ''}${rows.length ? `<table>\n${rows.join('\n')}\n</table>\n` : ''}${bodyTypes.length ? `<p>Body: ${bodyTypes.join('; ')}</p>\n` : ''}<ul>
+${responses.join('\n')}
+</ul>
+</section>`;
+};
+
+/**
+ * Renders a component schema's properties as an HTML section
+ *
+ * @param {string} name - Component name
+ * @param {Object} schema - Component schema
+ * @returns {string}
+ */
+const renderSchema = (name, schema) => {
+  const required = schema.required ?? [];
+  const rows = Object.entries(schema.properties).map(([property, propertySchema]) => `<tr>`
+    + `<td><code>${escapeHtml(property)}</code></td>`
+    + `<td>${escapeHtml(describeSchema(propertySchema))}${required.includes(property) ? ', required' : ''}</td>`
+    + `<td>${escapeHtml(propertySchema.description ?? '')}</td></tr>`);
+
+  return `<section id="schema-${escapeHtml(name)}">
+<h3>${escapeHtml(name)}</h3>
+<table>
+${rows.join('\n')}
+</table>
+</section>`;
+};
+
+/**
+ * Renders the whole reference page, grouped by tag
+ *
+ * @returns {string} HTML document
+ */
+const renderDocsPage = () => {
+  const { info, tags, paths, components } = openApiDocument;
+
+  const sections = tags.map(({ name, description }) => {
+    const operations = Object.entries(paths).flatMap(([path, pathItem]) => METHODS
+      .filter((method) => pathItem[method]?.tags?.includes(name))
+      .map((method) => renderOperation(path, method, pathItem[method], pathItem.parameters ?? [])));
+    return `<h2>${escapeHtml(name)}</h2>\n<p>${escapeHtml(description)}</p>\n${operations.join('\n')}`;
+  });
+  const schemas = Object.entries(components.schemas)
+    .filter(([, schema]) => schema.properties)
+    .map(([name, schema]) => renderSchema(name, schema));
+
+  const body = `<style>body{max-width:56rem}table{border-collapse:collapse}td{border:1px solid #ddd;padding:.2rem .5rem}</style>
+<h1>${escapeHtml(info.title)} ${escapeHtml(info.version)}</h1>
+<p>${escapeHtml(info.description)}</p>
+<p>Machine-readable document: <a href="/api/openapi.json">/api/openapi.json</a></p>
+${sections.join('\n')}
+<h2>Schemas</h2>
+${schemas.join('\n')}`;
+
+  return renderPage(`${info.title} reference`, body);
+};
+
+// The document doesn't change at runtime, so the page is rendered once
+let docsPage = null;
+
+/**
+ * Controller class for the API documentation
+ * Uses singleton pattern - exported as instantiated object
+ */
+class DocsController {
+
+  /**
+   * Sends the OpenAPI document
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {void}
+   */
+  getOpenApiDocument(req, res) {
+    res.json(openApiDocument);
+  }
+
+  /**
+   * Sends the HTML API reference
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {void}
+   */
+  getApiDocs(req, res) {
+    docsPage ??= renderDocsPage();
+    res.type('html').send(docsPage);
+  }
+}
+
+// Export singleton instance of the controller
+export default new DocsController();
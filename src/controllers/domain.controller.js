@@ -0,0 +1,189 @@
+/**
+ * Domain Controller - Handles HTTP requests for custom domain management
+ *
+ * Routes handled:
+ * - POST /api/domains - Register a custom domain
+ * - GET /api/domains - List the caller's domains
+ * - GET /api/domains/:hostname - Get a domain and its verification record
+ * - PATCH /api/domains/:hostname - Update root / not-found redirects
+ * - POST /api/domains/:hostname/verify - Verify the domain via DNS
+ * - DELETE /api/domains/:hostname - Remove a domain without links
+ */
+
+import domainService from '../services/domain.service.js';
+import { STATUS } from '../constants/apiStatus.js';
+import { MESSAGES } from '../constants/messages.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Returns the owner whose domains the caller may manage (undefined for admins)
+ *
+ * @param {Object} req - Express request object with req.auth set
+ * @returns {string|undefined}
+ */
+const ownerScope = (req) => (req.auth.isAdmin ? undefined : req.auth.owner);
+
+/**
+ * Formats a domain document for API responses
+ *
+ * @param {Object} domain - Domain document
+ * @returns {Object}
+ */
+const formatDomain = (domain) => ({
+  hostname: domain.hostname,
+  owner: domain.owner,
+  verified: domain.verified,
+  verifiedAt: domain.verifiedAt,
+  verificationRecord: domainService.getVerificationRecord(domain),
+  rootRedirectUrl: domain.rootRedirectUrl,
+  notFoundUrl: domain.notFoundUrl,
+  createdAt: domain.createdAt,
+});
+
+
+/**
+ * Controller class for handling domain HTTP requests
+ * Uses singleton pattern - exported as instantiated object
+ */
+class DomainController {
+
+  /**
+   * Registers a new custom domain
+   *
+   * The response includes the DNS TXT record needed for verification.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.hostname - Hostname to register
+   * @param {string} [req.body.rootRedirectUrl] - Redirect for the domain root
+   * @param {string} [req.body.notFoundUrl] - Redirect for unknown codes
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async addDomain(req, res, next) {
+    try {
+      const { hostname, rootRedirectUrl, notFoundUrl } = req.body ?? {};
+      const domain = await domainService.addDomain({
+        hostname,
+        owner: req.auth.owner,
+        rootRedirectUrl,
+        notFoundUrl,
+      });
+      res.status(STATUS.CREATED).json(formatDomain(domain));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lists the caller's domains (all domains for admin keys)
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async listDomains(req, res, next) {
+    try {
+      const domains = await domainService.listDomains(ownerScope(req));
+      res.json(domains.map(formatDomain));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves a single domain
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.hostname - Hostname of the domain
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async getDomain(req, res, next) {
+    try {
+      const domain = await domainService.getDomain(req.params.hostname, ownerScope(req));
+      if (!domain) {
+        throw new NotFoundError(MESSAGES.DOMAIN_NOT_FOUND);
+      }
+      res.json(formatDomain(domain));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Updates the root and not-found redirects of a domain
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.hostname - Hostname of the domain
+   * @param {Object} req.body - Settings to change (rootRedirectUrl, notFoundUrl)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async updateDomain(req, res, next) {
+    try {
+      const settings = {};
+      for (const key of ['rootRedirectUrl', 'notFoundUrl']) {
+        if (req.body && key in req.body) settings[key] = req.body[key];
+      }
+
+      const domain = await domainService.updateDomain(req.params.hostname, ownerScope(req), settings);
+      res.json(formatDomain(domain));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Verifies a domain by checking its DNS TXT record
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.hostname - Hostname of the domain
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async verifyDomain(req, res, next) {
+    try {
+      const domain = await domainService.verifyDomain(req.params.hostname, ownerScope(req));
+      res.json(formatDomain(domain));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Removes a domain that no longer has links
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.hostname - Hostname of the domain
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async removeDomain(req, res, next) {
+    try {
+      await domainService.removeDomain(req.params.hostname, ownerScope(req));
+      res.status(STATUS.NO_CONTENT).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Export singleton instance of the controller
+export default new DomainController();
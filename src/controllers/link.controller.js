@@ -5,22 +5,345 @@
  * It acts as the interface between HTTP requests and the business logic layer (services).
  *
  * Responsibilities:
- * - Validate incoming request data
- * - Call appropriate service methods
- * - Handle errors and send appropriate HTTP responses
+ * - Call appropriate service methods (requests are validated against the
+ *   OpenAPI document by validateRequest before they get here)
+ * - Pass API errors to the central error handler; answer public routes in plain text
  * - Format response data for API consumers
+ * - Restrict management routes to the links of the calling API key's owner
  *
  * Routes handled:
  * - POST /api/links - Create new short links
- * - GET /api/links - Retrieve all links
+ * - GET /api/links - Retrieve links (paginated, filterable, searchable)
+ * - POST /api/links/bulk - Create many links from JSON or CSV
+ * - POST /api/links/bulk/tag - Add or remove tags on many links
+ * - POST /api/links/bulk/move - Move many links into or out of a collection
+ * - GET /api/links/export - Stream all links as CSV, JSON or NDJSON
+ * - GET /api/links/trash - List deleted links awaiting purge
+ * - GET /api/links/suggest - Suggest available vanity codes
  * - GET /api/links/:code - Get specific link statistics
- * - DELETE /api/links/:code - Delete a link
- * - GET /:code - Redirect to original URL
+ * - GET /api/links/:code/analytics - Get time-series click analytics
+ * - GET /api/links/:code/qr - Render a QR code for the short URL
+ * - PATCH /api/links/:code - Edit a link's destination and limits
+ * - GET /api/links/:code/history - List a link's revisions
+ * - POST /api/links/:code/rollback/:revision - Restore a revision
+ * - DELETE /api/links/:code - Move a link to the trash
+ * - POST /api/links/:code/restore - Take a link out of the trash
+ * - GET / - Redirect to the domain's root URL
+ * - GET /:code - Redirect to original URL (or show the unlock form or preview card)
+ * - POST /:code/unlock - Unlock a password-protected link
  */
 
-import linkService from '../services/link.service.js';
+import crypto from 'crypto';
+import { once } from 'events';
+import linkService, { EXPORT_FIELDS } from '../services/link.service.js';
+import analyticsService from '../services/analytics.service.js';
+import qrService, { QR_CONTENT_TYPES } from '../services/qr.service.js';
+import routingService from '../services/routing.service.js';
+import metricsService from '../services/metrics.service.js';
+import getClientInfo, { hashIp } from '../utils/clientInfo.js';
+import { isPreviewCrawler } from '../utils/parseUserAgent.js';
+import { escapeHtml, renderPage } from '../utils/html.js';
+import { parseCookies, sign, unsign } from '../utils/cookies.js';
+import { parseCsvObjects, toCsvRow } from '../utils/csv.js';
+import FailureThrottle from '../utils/failureThrottle.js';
+import { NotFoundError } from '../utils/errors.js';
+import env from '../config/env.js';
 import { STATUS } from '../constants/apiStatus.js';
 import { MESSAGES } from '../constants/messages.js';
+import logger from '../utils/logger.js';
+
+// Failed unlock attempts, per visitor on a link and across all visitors of a link
+const clientUnlockThrottle = new FailureThrottle({
+  maxFailures: env.UNLOCK_MAX_ATTEMPTS,
+  windowMs: env.UNLOCK_WINDOW_MS,
+});
+const linkUnlockThrottle = new FailureThrottle({
+  maxFailures: env.UNLOCK_MAX_ATTEMPTS_PER_LINK,
+  windowMs: env.UNLOCK_WINDOW_MS,
+});
+
+/**
+ * Returns the owner whose links the caller may manage
+ *
+ * Admin keys are not restricted (undefined), every other key only sees the
+ * links of its own owner.
+ *
+ * @param {Object} req - Express request object with req.auth set by requireApiKey
+ * @returns {string|undefined}
+ */
+const ownerScope = (req) => (req.auth.isAdmin ? undefined : req.auth.owner);
+
+/**
+ * Builds the lookup scope for management routes
+ *
+ * Links on custom domains are addressed with ?domain=<hostname>; without it
+ * the default domain's namespace is used.
+ *
+ * @param {Object} req - Express request object with req.auth set
+ * @returns {{ domain: string|null, owner: string|undefined }}
+ */
+const managementScope = (req) => ({
+  domain: typeof req.query.domain === 'string' && req.query.domain
+    ? req.query.domain.trim().toLowerCase()
+    : null,
+  owner: ownerScope(req),
+});
+
+/**
+ * Sends the response for an unknown short code
+ *
+ * Custom domains may configure a not-found redirect; otherwise a plain 404.
+ *
+ * @param {Object} req - Express request object with req.domain set
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const sendNotFound = (req, res) => {
+  metricsService.recordNotFound('short_code');
+  if (req.domain?.notFoundUrl) {
+    return res.redirect(302, req.domain.notFoundUrl);
+  }
+  res.status(STATUS.NOT_FOUND).send('Not Found');
+};
+
+/**
+ * Name of the cookie that holds the unlock grant for a link
+ *
+ * @param {string} code - Short code
+ * @returns {string}
+ */
+const unlockCookieName = (code) => `tl_unlock_${code}`;
+
+/**
+ * Checks whether the request carries a valid, unexpired unlock cookie
+ *
+ * The cookie is bound to the link's document id, so deleting a link and
+ * re-creating the same code does not carry old grants over.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} link - Link document
+ * @returns {boolean}
+ */
+const hasUnlockGrant = (req, link) => {
+  const cookies = parseCookies(req.get('cookie'));
+  const value = unsign(cookies[unlockCookieName(link.shortCode)], env.UNLOCK_COOKIE_SECRET);
+  if (!value) return false;
+
+  const [linkId, expires] = value.split('.');
+  return linkId === String(link._id) && Number(expires) > Date.now();
+};
+
+/**
+ * Name of the cookie that remembers a visitor's A/B variant for a link
+ *
+ * @param {string} code - Short code
+ * @returns {string}
+ */
+const variantCookieName = (code) => `tl_variant_${code}`;
+
+/**
+ * Sends the password form for a protected link
+ *
+ * @param {Object} res - Express response object
+ * @param {string} code - Short code
+ * @param {number} status - HTTP status to respond with
+ * @param {string} [error] - Message shown above the form
+ * @returns {void}
+ */
+const sendUnlockForm = (res, code, status, error) => {
+  const errorHtml = error ? `<p role="alert" style="color:#b00020">${escapeHtml(error)}</p>\n` : '';
+  const body = `<h1>${escapeHtml(MESSAGES.PASSWORD_REQUIRED)}</h1>
+${errorHtml}<form method="post" action="/${escapeHtml(code)}/unlock">
+<label for="password">Password</label>
+<input id="password" name="password" type="password" required autofocus autocomplete="off">
+<button type="submit">Unlock</button>
+</form>`;
+
+  res
+    .status(status)
+    .set('Cache-Control', 'no-store')
+    .type('html')
+    .send(renderPage(MESSAGES.PASSWORD_REQUIRED, body));
+};
+
+/**
+ * Sends the social preview card of a link to a link preview crawler
+ *
+ * A minimal page carrying the card as Open Graph and Twitter card meta tags,
+ * with the short URL as canonical URL, so chat apps show the card rather
+ * than the destination's own preview. The destination itself is not
+ * revealed, which keeps rule, variant and password-protected destinations private.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} link - Link with a preview card
+ * @returns {void}
+ */
+const sendPreviewCard = (req, res, link) => {
+  const { title, description, image } = link.preview;
+  const shortUrl = linkService.getShortUrl(link, `${req.protocol}://${req.get('host')}`);
+
+  const tags = [
+    ['property', 'og:type', 'website'],
+    ['property', 'og:url', shortUrl],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:image', image],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+  ];
+  const head = tags
+    .filter(([, , content]) => content)
+    .map(([attribute, key, content]) => `<meta ${attribute}="${key}" content="${escapeHtml(content)}">\n`)
+    .join('');
+  const descriptionHtml = description ? `<p>${escapeHtml(description)}</p>\n` : '';
+  const body = `<h1>${escapeHtml(title || shortUrl)}</h1>
+${descriptionHtml}<p><a href="${escapeHtml(shortUrl)}">${escapeHtml(shortUrl)}</a></p>`;
+
+  res
+    .status(STATUS.OK)
+    .type('html')
+    .send(renderPage(title || shortUrl, body, head));
+};
+
+/**
+ * Sends the 410 Gone page for an expired or disabled link
+ *
+ * Points visitors at EXPIRED_FALLBACK_URL when one is configured rather than
+ * redirecting, so clients and crawlers still see that the link is gone.
+ * Counted as a `gone` redirect outcome.
+ *
+ * @param {Object} res - Express response object
+ * @param {string} [message] - Page heading (defaults to the expiry message)
+ * @returns {void}
+ */
+const sendGone = (res, message = MESSAGES.LINK_EXPIRED) => {
+  metricsService.recordRedirect('gone');
+  const fallback = env.EXPIRED_FALLBACK_URL
+    ? `<p><a href="${escapeHtml(env.EXPIRED_FALLBACK_URL)}">Continue to ${escapeHtml(env.EXPIRED_FALLBACK_URL)}</a></p>`
+    : '';
+
+  res
+    .status(STATUS.GONE)
+    .type('html')
+    .send(renderPage(message, `<h1>${escapeHtml(message)}</h1>\n${fallback}`));
+};
+
+/**
+ * Answers a visit to a link before its activation date
+ *
+ * Redirects to PENDING_LINK_URL when one is configured, otherwise shows a
+ * "not yet available" page with PENDING_LINK_STATUS. Nothing about the link
+ * (destination, preview card, activation date) is revealed. Counted as a
+ * `pending` redirect outcome.
+ *
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const sendPending = (res) => {
+  metricsService.recordRedirect('pending');
+  if (env.PENDING_LINK_URL) {
+    return res.redirect(302, env.PENDING_LINK_URL);
+  }
+
+  res
+    .status(env.PENDING_LINK_STATUS)
+    .type('html')
+    .send(renderPage(MESSAGES.LINK_NOT_YET_ACTIVE, `<h1>${escapeHtml(MESSAGES.LINK_NOT_YET_ACTIVE)}</h1>`));
+};
+
+/**
+ * Formats a link document for the stats and edit responses
+ *
+ * @param {Object} link - Link document
+ * @returns {Object}
+ */
+const formatLinkStats = (link) => ({
+  shortCode: link.shortCode,
+  domain: link.domain,
+  originalUrl: link.originalUrl,
+  clicks: linkService.getClickCount(link),
+  lastClicked: link.lastClicked,
+  expiresAt: link.expiresAt,
+  activatesAt: link.activatesAt ?? null,
+  pending: linkService.isPending(link),
+  maxClicks: link.maxClicks,
+  scheduledChanges: link.scheduledChanges ?? [],
+  remainingClicks: link.maxClicks != null ? Math.max(link.maxClicks - link.clicks, 0) : null,
+  expired: linkService.isExpired(link),
+  passwordProtected: link.passwordProtected,
+  disabled: link.disabled ?? false,
+  disabledReason: link.disabledReason ?? null,
+  rules: link.rules ?? [],
+  variants: linkService.getVariantStats(link),
+  stickyVariants: link.stickyVariants ?? false,
+  tags: link.tags ?? [],
+  collectionId: link.collectionId ?? null,
+  preview: link.preview ?? null,
+  revision: link.revision,
+  updatedAt: link.updatedAt,
+});
+
+/**
+ * Identifies the API key making a change, and the request it came in on,
+ * for revision records and the audit log
+ *
+ * @param {Object} req - Express request object with req.auth set
+ * @returns {{ owner: string, keyId: string, request: Object }}
+ */
+const actorOf = (req) => ({
+  owner: req.auth.owner,
+  keyId: req.auth.keyId,
+  request: {
+    ip: req.ip ?? null,
+    userAgent: req.get('user-agent') ?? null,
+    method: req.method,
+    path: req.originalUrl,
+  },
+});
+
+// Content types for each export format
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+/**
+ * Writes a chunk to the response, waiting for the socket to drain when the
+ * buffer is full so large exports don't pile up in memory
+ *
+ * A response that is closed while waiting never drains, so the wait also
+ * ends on 'close' (and 'error').
+ *
+ * @async
+ * @param {Object} res - Express response object
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ * @throws {Error} If the response is gone (client disconnected) or fails
+ */
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) {
+    throw new Error('Client disconnected');
+  }
+  if (res.write(chunk)) return;
+
+  const waiting = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: waiting.signal }),
+      once(res, 'close', { signal: waiting.signal }),
+    ]);
+  } finally {
+    // Drop the listener of whichever event didn't happen
+    waiting.abort();
+  }
+  if (res.destroyed) {
+    throw new Error('Client disconnected');
+  }
+};
 
 /**
  * Controller class for handling link-related HTTP requests
@@ -40,54 +363,266 @@ class LinkController {
    * @param {Object} req.body - Request body
    * @param {string} req.body.originalUrl - The original URL to shorten
    * @param {string} [req.body.shortCode] - Optional custom short code
+   * @param {string} [req.body.expiresAt] - Optional ISO date after which the link expires
+   * @param {string} [req.body.activatesAt] - Optional ISO date before which the link does not redirect yet
+   * @param {number} [req.body.maxClicks] - Optional number of redirects before the link expires
+   * @param {Array<Object>} [req.body.scheduledChanges] - Optional future destination changes ({ at, originalUrl })
+   * @param {string} [req.body.password] - Optional password required to follow the link
+   * @param {string} [req.body.domain] - Optional verified custom domain to create the link on
+   * @param {Array<Object>} [req.body.rules] - Optional routing rules
+   * @param {Array<Object>} [req.body.variants] - Optional weighted A/B destinations
+   * @param {boolean} [req.body.stickyVariants] - Keep visitors on their first variant
+   * @param {Array<string>} [req.body.tags] - Optional tags
+   * @param {string} [req.body.collectionId] - Optional collection to file the link in
+   * @param {Object} [req.body.preview] - Optional social preview card ({ title, description, image })
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    * @returns {Promise<void>}
    */
-  async createLink(req, res) {
+  async createLink(req, res, next) {
     try {
-      const { originalUrl, shortCode } = req.body;
+      const {
+        originalUrl, shortCode, expiresAt, activatesAt, maxClicks, scheduledChanges, password, domain, rules,
+        variants, stickyVariants, tags, collectionId, preview,
+      } = req.body;
 
       // Call service to create the link
-      const link = await linkService.createLink(originalUrl, shortCode);
+      const link = await linkService.createLink(originalUrl, shortCode, {
+        expiresAt,
+        activatesAt,
+        maxClicks,
+        scheduledChanges,
+        password,
+        owner: req.auth.owner,
+        domain,
+        rules,
+        variants,
+        stickyVariants,
+        tags,
+        collectionId,
+        preview,
+        actor: actorOf(req),
+      });
 
       // Return success response with created link details
       res.status(STATUS.CREATED).json({
         shortCode: link.shortCode,
-        originalUrl: link.originalUrl
+        domain: link.domain,
+        originalUrl: link.originalUrl,
+        expiresAt: link.expiresAt,
+        activatesAt: link.activatesAt,
+        maxClicks: link.maxClicks,
+        scheduledChanges: link.scheduledChanges,
+        passwordProtected: link.passwordProtected,
+        rules: link.rules,
+        variants: link.variants,
+        stickyVariants: link.stickyVariants,
+        tags: link.tags,
+        collectionId: link.collectionId,
+        preview: link.preview,
       });
     } catch (error) {
-      // Handle specific error cases
-      if (error.message === MESSAGES.CODE_EXISTS) {
-        // Short code already exists - return conflict status
-        res.status(STATUS.CONFLICT).json({ error: error.message });
+      // Taken codes, invalid settings etc. are answered by the error handler
+      next(error);
+    }
+  }
+
+  /**
+   * Proposes available vanity codes built from a word
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters
+   * @param {string} req.query.base - Word to build codes from
+   * @param {string} [req.query.domain] - Custom domain the codes should be free on
+   * @param {number} [req.query.count] - Number of suggestions, 1-20 (default 5)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async suggestCodes(req, res, next) {
+    try {
+      const { base, domain, count } = req.query;
+      const result = await linkService.suggestCodes(base, { domain, owner: req.auth.owner, count });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves a page of links for the dashboard
+   *
+   * Returns the caller's short links with their basic information
+   * (every link for admin keys), one page at a time.
+   * Used by the frontend dashboard to display user's links.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Pagination, sort, filter and search options
+   *   (limit, cursor, sort, order, q, createdFrom, createdTo, clickedFrom,
+   *   clickedTo, minClicks, destinationDomain, tags, collectionId)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async getAllLinks(req, res, next) {
+    try {
+      // Fetch one page of links from service layer
+      const { links, nextCursor, total } = await linkService.getAllLinks(ownerScope(req), req.query);
+
+      // Return the page with the cursor for the next one
+      res.json({ links, nextCursor, total });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Creates many links from a JSON array or CSV upload
+   *
+   * Accepts either `application/json` (an array, or `{ "links": [...] }`) or
+   * `text/csv` with a header row. Recognised columns: originalUrl, shortCode,
+   * expiresAt, maxClicks, password, domain, tags (comma-separated) and
+   * collectionId. Every row gets its own result
+   * (created / conflict / invalid / error); one bad row never fails the batch.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Array|Object|string} req.body - JSON rows or raw CSV text
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async bulkCreateLinks(req, res, next) {
+    try {
+      let rows;
+      if (typeof req.body === 'string') {
+        rows = parseCsvObjects(req.body);
+      } else if (Array.isArray(req.body)) {
+        rows = req.body;
       } else {
-        // Other validation errors (invalid URL, etc.)
-        res.status(STATUS.BAD_REQUEST).json({ error: error.message });
+        rows = req.body?.links;
       }
+
+      const report = await linkService.bulkCreateLinks(rows, { owner: req.auth.owner, actor: actorOf(req) });
+      res.json(report);
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
-   * Retrieves all links for the dashboard
+   * Adds and/or removes tags on many links
    *
-   * Returns a list of all short links with their basic information.
-   * Used by the frontend dashboard to display user's links.
+   * Every code gets its own result (updated / unchanged / not_found /
+   * invalid / conflict / error); one bad code never fails the batch.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {Array<string>} req.body.codes - Short codes of the links
+   * @param {Array<string>} [req.body.add] - Tags to add
+   * @param {Array<string>} [req.body.remove] - Tags to remove
+   * @param {string} [req.query.domain] - Custom domain of the links
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async bulkTagLinks(req, res, next) {
+    try {
+      const { codes, add, remove } = req.body ?? {};
+      const report = await linkService.bulkTagLinks(codes, { add, remove }, managementScope(req), actorOf(req));
+      res.json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Moves many links into a collection, or out of any collection with collectionId null
+   *
+   * Reports a result per code like bulkTagLinks.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {Array<string>} req.body.codes - Short codes of the links
+   * @param {string|null} req.body.collectionId - Target collection
+   * @param {string} [req.query.domain] - Custom domain of the links
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async bulkMoveLinks(req, res, next) {
+    try {
+      const { codes, collectionId } = req.body ?? {};
+      const report = await linkService.bulkMoveLinks(codes, collectionId, managementScope(req), actorOf(req));
+      res.json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Streams the caller's links (all links for admin keys) for backup or migration
+   *
+   * Links are read through a database cursor and written as they arrive, so
+   * exports of any size use constant memory. Click counts are included;
+   * password hashes are not.
    *
    * @async
    * @param {Object} req - Express request object
+   * @param {string} [req.query.format] - csv, json or ndjson (default json)
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    * @returns {Promise<void>}
    */
-  async getAllLinks(req, res) {
+  async exportLinks(req, res, next) {
+    // The format was checked against the OpenAPI document
+    const format = req.query.format || 'json';
+
+    const cursor = linkService.getExportCursor(ownerScope(req));
+    const date = new Date().toISOString().slice(0, 10);
+
     try {
-      // Fetch all links from service layer
-      const links = await linkService.getAllLinks();
+      res.status(STATUS.OK);
+      res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+      res.set('Content-Disposition', `attachment; filename="links-${date}.${format}"`);
+
+      if (format === 'csv') await writeChunk(res, toCsvRow(EXPORT_FIELDS));
+      if (format === 'json') await writeChunk(res, '[');
+
+      let first = true;
+      for await (const link of cursor) {
+        const record = Object.fromEntries(EXPORT_FIELDS.map((field) => [field, link[field] ?? null]));
+
+        if (format === 'csv') {
+          await writeChunk(res, toCsvRow(EXPORT_FIELDS.map((field) => record[field])));
+        } else if (format === 'ndjson') {
+          await writeChunk(res, `${JSON.stringify(record)}\n`);
+        } else {
+          await writeChunk(res, `${first ? '' : ','}\n${JSON.stringify(record)}`);
+        }
+        first = false;
+      }
 
-      // Return links array as JSON response
-      res.json(links);
+      if (format === 'json') await writeChunk(res, '\n]\n');
+      res.end();
     } catch (error) {
-      // Handle database or service errors
-      res.status(STATUS.INTERNAL_SERVER_ERROR).json({ error: MESSAGES.SERVER_ERROR });
+      // The client went away; there is no one left to tell
+      if (res.destroyed) return;
+
+      // Once streaming has started the status can't change; cut the response
+      // short so the client sees an incomplete download rather than bad data
+      if (res.headersSent) {
+        logger.error('Link export failed mid-stream', { error });
+        res.destroy(error);
+      } else {
+        next(error);
+      }
+    } finally {
+      await cursor.close().catch(() => {});
     }
   }
 
@@ -101,65 +636,323 @@ class LinkController {
    * @param {Object} req - Express request object
    * @param {Object} req.params - Route parameters
    * @param {string} req.params.code - The short code to look up
+   * @param {string} [req.query.domain] - Custom domain of the link
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    * @returns {Promise<void>}
    */
-  async getLinkStats(req, res) {
+  async getLinkStats(req, res, next) {
     try {
       const { code } = req.params;
 
       // Find the link by its short code
-      const link = await linkService.getLinkByCode(code);
+      const link = await linkService.getLinkByCode(code, managementScope(req));
 
       // Return 404 if link doesn't exist
       if (!link) {
-        return res.status(STATUS.NOT_FOUND).json({ error: MESSAGES.LINK_NOT_FOUND });
+        throw new NotFoundError(MESSAGES.LINK_NOT_FOUND);
       }
 
       // Return link statistics
+      res.json(formatLinkStats(link));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves click analytics for a specific link
+   *
+   * Returns clicks bucketed by hour, day or week over the requested range,
+   * along with the top referrers, devices, browsers, OSes and languages.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.code - The short code to report on
+   * @param {Object} req.query - Query string
+   * @param {string} [req.query.domain] - Custom domain of the link
+   * @param {string} [req.query.from] - ISO date, inclusive (default 7 days before `to`)
+   * @param {string} [req.query.to] - ISO date, exclusive (default now)
+   * @param {string} [req.query.interval] - hour, day or week (default day)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async getLinkAnalytics(req, res, next) {
+    try {
+      const { code } = req.params;
+
+      // Make sure the link exists before aggregating its clicks
+      const link = await linkService.getLinkByCode(code, managementScope(req));
+      if (!link) {
+        throw new NotFoundError(MESSAGES.LINK_NOT_FOUND);
+      }
+
+      const analytics = await analyticsService.getLinkAnalytics(link, req.query);
+      res.json(analytics);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Renders a QR code for a link's public short URL
+   *
+   * The image depends only on the short URL (code and domain) and the
+   * rendering options, so it carries an ETag derived from those and
+   * conditional requests are answered with 304 without rendering.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.code - The short code to encode
+   * @param {Object} req.query - Rendering options (format, size, margin,
+   *   level, fg, bg; see QrService.parseOptions) and optional domain
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async getLinkQr(req, res, next) {
+    try {
+      const options = qrService.parseOptions(req.query);
+
+      const link = await linkService.getLinkByCode(req.params.code, managementScope(req));
+      if (!link) {
+        throw new NotFoundError(MESSAGES.LINK_NOT_FOUND);
+      }
+
+      const shortUrl = linkService.getShortUrl(link, `${req.protocol}://${req.get('host')}`);
+      const etag = crypto
+        .createHash('sha1')
+        .update(JSON.stringify([shortUrl, options]))
+        .digest('base64url');
+
+      res.set({
+        ETag: `"${etag}"`,
+        'Cache-Control': 'private, max-age=86400',
+      });
+      if (req.fresh) {
+        return res.status(STATUS.NOT_MODIFIED).end();
+      }
+
+      const image = await qrService.render(shortUrl, options);
+      res.type(QR_CONTENT_TYPES[options.format]).send(image);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edits a link without changing its short code or click history
+   *
+   * Accepts any of originalUrl, expiresAt, activatesAt, maxClicks,
+   * scheduledChanges, rules, variants and stickyVariants (null clears the
+   * limits, activation date, schedule, rules and variants), validated like
+   * createLink. Every effective change is recorded as a revision.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.code - The short code to edit
+   * @param {string} [req.query.domain] - Custom domain of the link
+   * @param {Object} req.body - Fields to change
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async updateLink(req, res, next) {
+    try {
+      const link = await linkService.updateLink(
+        req.params.code,
+        req.body ?? {},
+        managementScope(req),
+        actorOf(req)
+      );
+      res.json(formatLinkStats(link));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lists the revisions of a link, newest first
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.code - The short code to look up
+   * @param {string} [req.query.domain] - Custom domain of the link
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async getLinkHistory(req, res, next) {
+    try {
+      const { link, revisions } = await linkService.getLinkHistory(req.params.code, managementScope(req));
+
       res.json({
         shortCode: link.shortCode,
-        originalUrl: link.originalUrl,
-        clicks: link.clicks,
-        lastClicked: link.lastClicked,
+        domain: link.domain,
+        currentRevision: link.revision,
+        revisions: revisions.map((revision) => ({
+          revision: revision.revision,
+          type: revision.type,
+          rolledBackTo: revision.rolledBackTo,
+          changes: revision.changes,
+          changedBy: revision.changedBy,
+          createdAt: revision.createdAt,
+        })),
       });
     } catch (error) {
-      // Handle database or service errors
-      res.status(STATUS.INTERNAL_SERVER_ERROR).json({ error: MESSAGES.SERVER_ERROR });
+      next(error);
+    }
+  }
+
+  /**
+   * Restores a link to its state as of a given revision (0 = as created)
+   *
+   * The rollback itself is recorded as a new revision.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.code - The short code to roll back
+   * @param {string} req.params.revision - Revision number to restore
+   * @param {string} [req.query.domain] - Custom domain of the link
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async rollbackLink(req, res, next) {
+    try {
+      const link = await linkService.rollbackLink(
+        req.params.code,
+        req.params.revision,
+        managementScope(req),
+        actorOf(req)
+      );
+      res.json(formatLinkStats(link));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Shows which destination a visitor would be sent to (routing dry run)
+   *
+   * Evaluates the link's routing rules against the given request headers,
+   * IP (looked up in the GeoIP database) or country, and time, without
+   * counting a click. When no rule matches, an A/B variant is picked like
+   * on a real redirect (the given variant, if still active, stands in for
+   * the sticky cookie). Expiry, password and policy state are not considered.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.code - The short code to test
+   * @param {string} [req.query.domain] - Custom domain of the link
+   * @param {Object} req.body - Visitor to simulate
+   * @param {Object} [req.body.headers] - Request headers (User-Agent, Accept-Language)
+   * @param {string} [req.body.ip] - Client IP address
+   * @param {string} [req.body.country] - Country code, overrides the IP lookup
+   * @param {string} [req.body.at] - ISO date of the visit (default now)
+   * @param {string} [req.body.variant] - Variant the visitor saw before
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async testRouting(req, res, next) {
+    try {
+      const context = routingService.buildContext(routingService.parseTestInput(req.body ?? {}));
+
+      const link = await linkService.getLinkByCode(req.params.code, managementScope(req));
+      if (!link) {
+        throw new NotFoundError(MESSAGES.LINK_NOT_FOUND);
+      }
+
+      const { destination, rule, variant } = routingService.resolve(link, context);
+      res.json({
+        shortCode: link.shortCode,
+        domain: link.domain,
+        context,
+        matchedRule: rule,
+        variant,
+        destination,
+      });
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
    * Deletes a link by its short code
    *
-   * Permanently removes a short link from the database.
-   * After deletion, the short code will return 404 on access.
+   * Moves the link to the trash: the short code answers 410 Gone until the
+   * link is restored, and is freed once the trash purge removes the link.
    *
    * @async
    * @param {Object} req - Express request object
    * @param {Object} req.params - Route parameters
    * @param {string} req.params.code - The short code to delete
+   * @param {string} [req.query.domain] - Custom domain of the link
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    * @returns {Promise<void>}
    */
-  async deleteLink(req, res) {
+  async deleteLink(req, res, next) {
     try {
       const { code } = req.params;
 
-      // Attempt to delete the link
-      await linkService.deleteLink(code);
+      // Attempt to move the link to the trash
+      await linkService.deleteLink(code, managementScope(req), actorOf(req));
 
       // Return 204 No Content on successful deletion
       res.status(STATUS.NO_CONTENT).send();
     } catch (error) {
-      // Handle specific error cases
-      if (error.message === MESSAGES.LINK_NOT_FOUND) {
-        // Link doesn't exist - return 404
-        res.status(STATUS.NOT_FOUND).json({ error: error.message });
-      } else {
-        // Other errors (database issues, etc.)
-        res.status(STATUS.INTERNAL_SERVER_ERROR).json({ error: MESSAGES.SERVER_ERROR });
-      }
+      // Unknown codes (404) and database errors
+      next(error);
+    }
+  }
+
+  /**
+   * Lists the caller's trashed links (all for admin keys), most recently deleted first
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - limit (1-200) and cursor
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async listTrash(req, res, next) {
+    try {
+      const { limit, cursor } = req.query;
+      const { links, nextCursor, total } = await linkService.getTrashedLinks(ownerScope(req), { limit, cursor });
+      res.json({ links, nextCursor, total });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Takes a link out of the trash; it redirects again straight away
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.code - Short code of the trashed link
+   * @param {string} [req.query.domain] - Custom domain of the link
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async restoreLink(req, res, next) {
+    try {
+      const link = await linkService.restoreLink(req.params.code, managementScope(req), actorOf(req));
+      res.json(formatLinkStats(link));
+    } catch (error) {
+      next(error);
     }
   }
 
@@ -167,11 +960,25 @@ class LinkController {
    * Redirects short code to original URL
    *
    * This is the core redirection functionality of TinyLink.
-   * Increments click counter and redirects user to original URL.
+   * Increments click counter, records a click event for analytics
+   * and redirects user to original URL.
    * Uses HTTP 302 (temporary redirect) as per spec.
+   * Trashed links, expired links (by date or click budget) and links
+   * disabled by the destination policy get 410 Gone instead, links before
+   * their activation date get the "not yet available" answer, and
+   * password-protected links show an unlock form until a valid unlock
+   * cookie is presented.
+   * Link preview crawlers (chat apps, social networks) are shown the link's
+   * preview card, if it has one, without counting a click.
+   * Links with routing rules send the visitor to the destination of the
+   * first matching rule; otherwise links with A/B variants pick one by
+   * weight (remembered in a cookie for sticky links, and counted per
+   * variant), and all other links use the original URL.
+   * The code is looked up in the namespace of the request's Host.
    *
    * @async
    * @param {Object} req - Express request object
+   * @param {Object|null} req.domain - Custom domain resolved by resolveDomain
    * @param {Object} req.params - Route parameters
    * @param {string} req.params.code - The short code to redirect
    * @param {Object} res - Express response object
@@ -181,23 +988,192 @@ class LinkController {
     try {
       const { code } = req.params;
 
-      // Find the link by short code
-      const link = await linkService.getLinkByCode(code);
+      // Find the link by short code within the Host's domain (cached)
+      const link = await linkService.getRedirectLink(code, req.domain?.hostname ?? null);
 
-      // Return 404 if link doesn't exist
+      // Return 404 (or the domain's not-found redirect) if link doesn't exist
+      if (!link) {
+        metricsService.recordRedirect('not_found');
+        return sendNotFound(req, res);
+      }
+
+      // Refuse links in the trash
+      if (link.deletedAt) {
+        return sendGone(res, MESSAGES.LINK_TRASHED);
+      }
+
+      // Refuse links that are already known to be expired
+      if (linkService.isExpired(link)) {
+        return sendGone(res);
+      }
+
+      // Refuse links disabled by the destination policy
+      if (link.disabled) {
+        return sendGone(res, MESSAGES.LINK_DISABLED);
+      }
+
+      // Hold back links that are not live yet; nothing is counted
+      if (linkService.isPending(link)) {
+        return sendPending(res);
+      }
+
+      // Link preview crawlers get the link's own preview card, if it has one;
+      // card fetches are not clicks
+      if (link.preview) {
+        res.vary('User-Agent');
+        if (isPreviewCrawler(req.get('user-agent'))) {
+          metricsService.recordRedirect('preview_card');
+          return sendPreviewCard(req, res, link);
+        }
+      }
+
+      // Protected links need a valid unlock cookie before redirecting
+      if (link.passwordProtected && !hasUnlockGrant(req, link)) {
+        metricsService.recordRedirect('unlock_form');
+        return sendUnlockForm(res, code, STATUS.OK);
+      }
+
+      // Pick the destination; rule-routed responses depend on who is asking
+      let destination = link.originalUrl;
+      let variant = null;
+      if (link.rules?.length || link.variants?.length) {
+        const cookie = variantCookieName(code);
+        ({ destination, variant } = routingService.resolve(link, routingService.buildContext({
+          userAgent: req.get('user-agent'),
+          acceptLanguage: req.get('accept-language'),
+          ip: req.ip,
+          variant: link.stickyVariants ? parseCookies(req.get('cookie'))[cookie] : null,
+        })));
+        if (link.rules?.length) res.vary('User-Agent').vary('Accept-Language');
+
+        if (variant && link.stickyVariants) {
+          res.cookie(cookie, variant, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            path: '/',
+            maxAge: env.VARIANT_COOKIE_TTL_MS,
+          });
+        }
+      }
+
+      // Count the click (buffered, or atomically for click-budget links);
+      // false means the budget ran out between the lookup and the update
+      const clientInfo = getClientInfo(req);
+      const counted = await linkService.countClick(link, variant, clientInfo);
+      if (!counted) {
+        return sendGone(res);
+      }
+
+      // Record the click event without holding up the redirect;
+      // a failed analytics write must never break the short link
+      analyticsService.recordClick(link, clientInfo).catch((error) => {
+        logger.error('Click event not recorded', { shortCode: link.shortCode, error });
+      });
+
+      // Redirect to the destination with 302 status
+      metricsService.recordRedirect('redirected');
+      res.redirect(302, destination);
+    } catch (error) {
+      // Public route: log the failure, answer in plain text
+      logger.error('Redirect failed', { shortCode: req.params.code, error });
+      res.status(STATUS.INTERNAL_SERVER_ERROR).type('text').send(MESSAGES.SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Unlocks a password-protected link
+   *
+   * Verifies the submitted password, then issues a short-lived signed cookie
+   * and redirects back to the short URL, which now redirects to the
+   * destination (counting the click as usual). Failed attempts are throttled
+   * per visitor and per link; throttled requests get 429 with Retry-After.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.code - The short code to unlock
+   * @param {Object} req.body - Form body
+   * @param {string} req.body.password - Password entered by the visitor
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async unlockLink(req, res) {
+    try {
+      const { code } = req.params;
+
+      const link = await linkService.getLinkByCode(code, { domain: req.domain?.hostname ?? null });
       if (!link) {
-        return res.status(STATUS.NOT_FOUND).send('Not Found');
+        return sendNotFound(req, res);
+      }
+
+      // Nothing to unlock - just send the visitor through
+      if (!link.passwordProtected) {
+        return res.redirect(303, `/${code}`);
       }
 
-      // Increment click counter and update last clicked time
-      await linkService.incrementClicks(link);
+      const linkKey = String(link._id);
+      const clientKey = `${linkKey}:${hashIp(req.ip)}`;
+
+      // Refuse to check passwords while either throttle is tripped
+      const retryAfter = Math.max(
+        clientUnlockThrottle.retryAfter(clientKey),
+        linkUnlockThrottle.retryAfter(linkKey)
+      );
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return sendUnlockForm(res, code, STATUS.TOO_MANY_REQUESTS, MESSAGES.TOO_MANY_ATTEMPTS);
+      }
 
-      // Redirect to original URL with 302 status
-      res.redirect(302, link.originalUrl);
+      // Count the attempt before checking it, so concurrent guesses can't all
+      // pass the throttle check while the hashes are still being compared
+      clientUnlockThrottle.fail(clientKey);
+      linkUnlockThrottle.fail(linkKey);
+
+      const valid = await linkService.verifyLinkPassword(link, req.body?.password);
+      if (!valid) {
+        return sendUnlockForm(res, code, STATUS.UNAUTHORIZED, MESSAGES.WRONG_PASSWORD);
+      }
+
+      // A correct password was not a failed attempt after all
+      clientUnlockThrottle.reset(clientKey);
+      linkUnlockThrottle.refund(linkKey);
+
+      // Grant access for a short time, bound to this link document
+      const expires = Date.now() + env.UNLOCK_TTL_MS;
+      res.cookie(unlockCookieName(code), sign(`${link._id}.${expires}`, env.UNLOCK_COOKIE_SECRET), {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        path: '/',
+        maxAge: env.UNLOCK_TTL_MS,
+      });
+
+      res.redirect(303, `/${code}`);
     } catch (error) {
-      // Handle any errors during redirection
-      res.status(STATUS.INTERNAL_SERVER_ERROR).send('Server error');
+      // Public route: log the failure, answer in plain text
+      logger.error('Unlock failed', { shortCode: req.params.code, error });
+      res.status(STATUS.INTERNAL_SERVER_ERROR).type('text').send(MESSAGES.SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Handles requests to the site root
+   *
+   * Redirects to the custom domain's root redirect, or ROOT_REDIRECT_URL on
+   * the default domain, and responds 404 when none is configured.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object|null} req.domain - Custom domain resolved by resolveDomain
+   * @param {Object} res - Express response object
+   * @returns {void}
+   */
+  redirectRoot(req, res) {
+    const target = req.domain ? req.domain.rootRedirectUrl : env.ROOT_REDIRECT_URL;
+    if (target) {
+      return res.redirect(302, target);
     }
+    res.status(STATUS.NOT_FOUND).send('Not Found');
   }
 }
 
@@ -0,0 +1,71 @@
+/**
+ * Policy Controller - Handles HTTP requests for the destination policy
+ *
+ * All routes handled here require an API key with the admin scope.
+ *
+ * Routes handled:
+ * - GET /api/policy - Show the destination policy in force
+ * - POST /api/policy/reload - Re-read the policy file
+ * - POST /api/policy/rescan - Check existing links and disable offenders
+ */
+
+import destinationPolicy from '../services/destinationPolicy.service.js';
+import linkService from '../services/link.service.js';
+
+/**
+ * Controller class for handling destination policy HTTP requests
+ * Uses singleton pattern - exported as instantiated object
+ */
+class PolicyController {
+
+  /**
+   * Shows the destination policy in force
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {void}
+   */
+  getPolicy(req, res) {
+    res.json(destinationPolicy.describe());
+  }
+
+  /**
+   * Re-reads the policy file without restarting the server
+   *
+   * An invalid file is rejected and the previous policy stays in force.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {void}
+   */
+  reloadPolicy(req, res, next) {
+    try {
+      res.json(destinationPolicy.reload());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Checks every link against the current policy and disables offenders
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {string} [req.query.dryRun] - "true" to only report offenders
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async rescanLinks(req, res, next) {
+    try {
+      const report = await linkService.rescanDestinations({ dryRun: req.query.dryRun === 'true' });
+      res.json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Export singleton instance of the controller
+export default new PolicyController();
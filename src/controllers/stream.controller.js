@@ -0,0 +1,142 @@
+/**
+ * Stream Controller - Handles live click streams (Server-Sent Events)
+ *
+ * Routes handled:
+ * - GET /api/links/:code/stream - Clicks and count updates of one link
+ * - GET /api/events/stream - Clicks and count updates of all the caller's links
+ *
+ * Each stream sends `click` and `count` events as redirects are handled,
+ * heartbeat comments while idle, and picks up after a reconnect from the
+ * Last-Event-ID header (or ?lastEventId=) as long as the missed events are
+ * still kept. When they are not, a `reset` event tells the client to reload
+ * its counts before relying on the stream again.
+ */
+
+import clickStream from '../services/clickStream.service.js';
+import linkService from '../services/link.service.js';
+import { SSE_HEARTBEAT, formatSseEvent, startEventStream } from '../utils/sse.js';
+import { NotFoundError } from '../utils/errors.js';
+import { MESSAGES } from '../constants/messages.js';
+
+// Reconnect delay suggested to clients
+const RETRY_MS = 3000;
+
+// Unsent output allowed before a client that stopped reading is dropped
+const MAX_PENDING_BYTES = 1024 * 1024;
+
+/**
+ * Returns the owner whose links the caller may watch (undefined for admins)
+ *
+ * @param {Object} req - Express request object with req.auth set
+ * @returns {string|undefined}
+ */
+const ownerScope = (req) => (req.auth.isAdmin ? undefined : req.auth.owner);
+
+/**
+ * Builds the lookup scope for a link's stream (see LinkController)
+ *
+ * @param {Object} req - Express request object with req.auth set
+ * @returns {{ domain: string|null, owner: string|undefined }}
+ */
+const managementScope = (req) => ({
+  domain: typeof req.query.domain === 'string' && req.query.domain
+    ? req.query.domain.trim().toLowerCase()
+    : null,
+  owner: ownerScope(req),
+});
+
+/**
+ * Subscribes the request to the click stream and keeps the response open
+ *
+ * The subscription is made before any header is sent, so a full stream
+ * limit still reaches the client as a JSON error. A client that went away
+ * while the request was being handled (e.g. during the link lookup) is not
+ * subscribed at all: its 'close' event has already fired, so nothing would
+ * ever unsubscribe it.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} filter - { owner, linkId } passed to ClickStreamService.subscribe
+ * @returns {void}
+ * @throws {Error} If too many streams are open, in total or for the request's API key
+ */
+const openStream = (req, res, filter) => {
+  if (req.destroyed || res.closed) return;
+
+  const lastEventId = req.get('last-event-id') ?? req.query.lastEventId;
+
+  const write = (chunk) => {
+    if (res.writableLength > MAX_PENDING_BYTES) {
+      res.destroy();
+      return;
+    }
+    res.write(chunk);
+  };
+  const send = ({ id, type, data }) => write(formatSseEvent({ id, event: type, data }));
+
+  const { replay, unsubscribe } = clickStream.subscribe(
+    { ...filter, keyId: req.auth.keyId, lastEventId: typeof lastEventId === 'string' ? lastEventId : undefined },
+    { send, ping: () => write(SSE_HEARTBEAT), close: () => res.end() }
+  );
+  res.on('close', unsubscribe);
+
+  startEventStream(res);
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  if (replay === null) {
+    write(formatSseEvent({ event: 'reset', data: { reason: 'events_unavailable' } }));
+  } else {
+    replay.forEach(send);
+  }
+};
+
+/**
+ * Controller class for live click streams
+ * Uses singleton pattern - exported as instantiated object
+ */
+class StreamController {
+
+  /**
+   * Streams the clicks and count updates of one link
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.code - Short code of the link
+   * @param {Object} req.query - Query parameters (domain, lastEventId)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async streamLinkClicks(req, res, next) {
+    try {
+      const link = await linkService.getLinkByCode(req.params.code, managementScope(req));
+      if (!link) {
+        throw new NotFoundError(MESSAGES.LINK_NOT_FOUND);
+      }
+      openStream(req, res, { owner: ownerScope(req), linkId: String(link._id) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Streams the clicks and count updates of all the caller's links
+   * (every link for admin keys)
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters (lastEventId)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {void}
+   */
+  streamAllClicks(req, res, next) {
+    try {
+      openStream(req, res, { owner: ownerScope(req) });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Export singleton instance of the controller
+export default new StreamController();
@@ -0,0 +1,275 @@
+/**
+ * Webhook Controller - Handles HTTP requests for webhook subscriptions
+ *
+ * Routes handled:
+ * - POST /api/webhooks - Subscribe an endpoint to link events
+ * - GET /api/webhooks - List the caller's webhooks
+ * - GET /api/webhooks/dead-letters - List deliveries that were given up on
+ * - GET /api/webhooks/:id - Get a webhook
+ * - PATCH /api/webhooks/:id - Change url, events, description or active
+ * - DELETE /api/webhooks/:id - Delete a webhook and its deliveries
+ * - POST /api/webhooks/:id/ping - Queue a test event
+ * - GET /api/webhooks/:id/deliveries - Get the delivery log
+ * - POST /api/webhooks/:id/deliveries/:deliveryId/retry - Re-send a delivery
+ */
+
+import webhookService from '../services/webhook.service.js';
+import { STATUS } from '../constants/apiStatus.js';
+
+/**
+ * Returns the owner whose webhooks the caller may manage (undefined for admins)
+ *
+ * @param {Object} req - Express request object with req.auth set
+ * @returns {string|undefined}
+ */
+const ownerScope = (req) => (req.auth.isAdmin ? undefined : req.auth.owner);
+
+/**
+ * Formats a webhook document for API responses
+ *
+ * The secret is only part of the response that created it.
+ *
+ * @param {Object} webhook - Webhook document
+ * @returns {Object}
+ */
+const formatWebhook = (webhook) => ({
+  id: String(webhook._id),
+  url: webhook.url,
+  events: webhook.events,
+  description: webhook.description,
+  active: webhook.active,
+  owner: webhook.owner,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+});
+
+/**
+ * Formats a delivery document for API responses
+ *
+ * @param {Object} delivery - Delivery document
+ * @returns {Object}
+ */
+const formatDelivery = (delivery) => ({
+  id: String(delivery._id),
+  webhook: String(delivery.webhook),
+  event: delivery.event,
+  eventId: delivery.eventId,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  deliveredAt: delivery.deliveredAt,
+  createdAt: delivery.createdAt,
+  payload: delivery.payload,
+  log: (delivery.log || []).map(({ at, statusCode, error, durationMs }) => ({ at, statusCode, error, durationMs })),
+});
+
+
+/**
+ * Controller class for handling webhook HTTP requests
+ * Uses singleton pattern - exported as instantiated object
+ */
+class WebhookController {
+
+  /**
+   * Creates a webhook for the caller's links
+   *
+   * The response includes the signing secret; it is not shown again.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.url - Receiving endpoint
+   * @param {Array<string>} req.body.events - Event types to deliver
+   * @param {string} [req.body.secret] - Signing secret (generated if omitted)
+   * @param {string} [req.body.description] - Optional label
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async createWebhook(req, res, next) {
+    try {
+      const { url, events, secret, description } = req.body ?? {};
+      const webhook = await webhookService.createWebhook({
+        url,
+        events,
+        secret,
+        description,
+        owner: req.auth.owner,
+      });
+      res.status(STATUS.CREATED).json({ ...formatWebhook(webhook), secret: webhook.secret });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lists the caller's webhooks (all webhooks for admin keys)
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async listWebhooks(req, res, next) {
+    try {
+      const webhooks = await webhookService.listWebhooks(ownerScope(req));
+      res.json(webhooks.map(formatWebhook));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves a single webhook
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Webhook id
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async getWebhook(req, res, next) {
+    try {
+      const webhook = await webhookService.getWebhook(req.params.id, ownerScope(req));
+      res.json(formatWebhook(webhook));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Updates a webhook's url, events, description or active flag
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Webhook id
+   * @param {Object} req.body - Settings to change
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async updateWebhook(req, res, next) {
+    try {
+      const updates = {};
+      for (const key of ['url', 'events', 'description', 'active']) {
+        if (req.body && key in req.body) updates[key] = req.body[key];
+      }
+
+      const webhook = await webhookService.updateWebhook(req.params.id, updates, ownerScope(req));
+      res.json(formatWebhook(webhook));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes a webhook together with its delivery log
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Webhook id
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async deleteWebhook(req, res, next) {
+    try {
+      await webhookService.deleteWebhook(req.params.id, ownerScope(req));
+      res.status(STATUS.NO_CONTENT).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queues a ping event for a webhook
+   *
+   * The delivery is sent in the background; follow it in the delivery log.
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Webhook id
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async pingWebhook(req, res, next) {
+    try {
+      const delivery = await webhookService.ping(req.params.id, ownerScope(req));
+      res.status(STATUS.ACCEPTED).json(formatDelivery(delivery));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lists a webhook's deliveries, newest first
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Webhook id
+   * @param {Object} req.query - status (pending, delivered, dead) and limit (1-200)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async listDeliveries(req, res, next) {
+    try {
+      const { status, limit } = req.query;
+      const deliveries = await webhookService.listDeliveries(req.params.id, { status, limit }, ownerScope(req));
+      res.json(deliveries.map(formatDelivery));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lists the caller's dead-lettered deliveries, newest first
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - limit (1-200)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async listDeadLetters(req, res, next) {
+    try {
+      const deliveries = await webhookService.listDeadLetters({ limit: req.query.limit }, ownerScope(req));
+      res.json(deliveries.map(formatDelivery));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Re-queues a delivered or dead delivery for immediate sending
+   *
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Webhook id
+   * @param {string} req.params.deliveryId - Delivery id
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @returns {Promise<void>}
+   */
+  async retryDelivery(req, res, next) {
+    try {
+      const delivery = await webhookService.retryDelivery(req.params.id, req.params.deliveryId, ownerScope(req));
+      res.status(STATUS.ACCEPTED).json(formatDelivery(delivery));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Export singleton instance of the controller
+export default new WebhookController();
@@ -0,0 +1,1089 @@
+/**
+ * OpenAPI Document - TinyLink Links API
+ *
+ * Describes the link management routes (routes/link.routes.js), the public
+ * redirect routes and docs endpoints (app.js) and the health check
+ * (routes/health.routes.js). The document is served at /api/openapi.json and
+ * is also what validateRequest checks incoming requests against, so it must
+ * stay in step with the routers.
+ *
+ * Extensions:
+ * - x-error-code: MESSAGES key reported when a value fails validation; the
+ *   nearest one above the failing value wins, otherwise INVALID_REQUEST
+ * - x-required-scope: API key scope the operation needs
+ *
+ * Deeper checks that need the database or configuration (destination policy,
+ * verified domains, taken codes, future expiry dates) stay in the services.
+ */
+
+import env from '../config/env.js';
+import { STATUS } from '../constants/apiStatus.js';
+
+// Reused parameter and response references
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } },
+});
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } },
+});
+
+// Responses every management operation can return
+const API_ERRORS = {
+  [STATUS.UNAUTHORIZED]: errorResponse('Missing or invalid API key'),
+  [STATUS.FORBIDDEN]: errorResponse('The API key lacks the required scope'),
+  [STATUS.TOO_MANY_REQUESTS]: errorResponse('Rate limit exceeded; see Retry-After'),
+};
+
+// Responses of operations on a single link
+const LINK_ERRORS = {
+  [STATUS.BAD_REQUEST]: errorResponse('Invalid code or parameters'),
+  ...API_ERRORS,
+  [STATUS.NOT_FOUND]: errorResponse('Unknown link'),
+};
+
+// Link settings shared by create and update
+const LINK_SETTINGS = {
+  originalUrl: {
+    type: 'string',
+    minLength: 1,
+    description: 'Destination URL (http or https)',
+    'x-error-code': 'INVALID_URL',
+  },
+  expiresAt: {
+    type: 'string',
+    nullable: true,
+    description: 'ISO 8601 date after which the link stops redirecting; must be in the future',
+    'x-error-code': 'INVALID_EXPIRY',
+  },
+  activatesAt: {
+    type: 'string',
+    nullable: true,
+    description: 'ISO 8601 date before which the link answers "not yet available"; must be in the future '
+      + 'and before expiresAt',
+    'x-error-code': 'INVALID_ACTIVATION',
+  },
+  maxClicks: {
+    type: 'integer',
+    minimum: 1,
+    nullable: true,
+    description: 'Number of redirects after which the link expires',
+    'x-error-code': 'INVALID_MAX_CLICKS',
+  },
+  scheduledChanges: {
+    type: 'array',
+    nullable: true,
+    maxItems: 20,
+    items: ref('ScheduledChange'),
+    description: 'Future destination changes, applied as revisions once due (replaced as a whole on update)',
+    'x-error-code': 'INVALID_SCHEDULED_CHANGES',
+  },
+  rules: {
+    type: 'array',
+    nullable: true,
+    maxItems: 20,
+    items: ref('RoutingRule'),
+    description: 'Routing rules, first match wins',
+    'x-error-code': 'INVALID_ROUTING_RULES',
+  },
+  variants: {
+    type: 'array',
+    nullable: true,
+    maxItems: 10,
+    items: ref('Variant'),
+    description: 'Weighted A/B destinations (2-10, or empty to remove)',
+    'x-error-code': 'INVALID_VARIANTS',
+  },
+  stickyVariants: {
+    type: 'boolean',
+    nullable: true,
+    description: 'Keep returning visitors on the variant they saw first',
+    'x-error-code': 'INVALID_STICKY_VARIANTS',
+  },
+  tags: {
+    type: 'array',
+    nullable: true,
+    maxItems: 20,
+    items: ref('Tag'),
+    description: 'Tags (replaced as a whole on update)',
+    'x-error-code': 'INVALID_TAGS',
+  },
+  collectionId: {
+    type: 'string',
+    nullable: true,
+    pattern: '^[0-9a-fA-F]{24}$',
+    description: 'Collection the link is filed in; null for none',
+    'x-error-code': 'COLLECTION_NOT_FOUND',
+  },
+  preview: {
+    type: 'object',
+    nullable: true,
+    additionalProperties: false,
+    properties: {
+      title: { type: 'string', nullable: true, maxLength: 200 },
+      description: { type: 'string', nullable: true, maxLength: 500 },
+      image: { type: 'string', nullable: true, maxLength: 2048, description: 'Absolute http(s) URL' },
+    },
+    description: 'Social preview card shown to link preview crawlers instead of the destination\'s; '
+      + 'needs at least one field',
+    'x-error-code': 'INVALID_PREVIEW',
+  },
+};
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'TinyLink API',
+    version: '1.0',
+    description: 'URL shortener with custom domains, routing rules, analytics and QR codes. '
+      + 'Errors are returned as { "error": { "code", "message", "details" } }.',
+  },
+  servers: [{ url: env.PUBLIC_BASE_URL || '/' }],
+  tags: [
+    { name: 'Links', description: 'Create and manage short links' },
+    { name: 'Redirects', description: 'Public short URLs' },
+    { name: 'System', description: 'Health check and API documentation' },
+  ],
+  paths: {
+    '/api/links': {
+      post: {
+        operationId: 'createLink',
+        tags: ['Links'],
+        summary: 'Create a short link',
+        'x-required-scope': 'write',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('CreateLinkRequest') } },
+        },
+        responses: {
+          [STATUS.CREATED]: jsonResponse('Link created', ref('Link')),
+          [STATUS.BAD_REQUEST]: errorResponse('Invalid link settings'),
+          ...API_ERRORS,
+          [STATUS.CONFLICT]: errorResponse('The short code is taken'),
+          [STATUS.SERVICE_UNAVAILABLE]: errorResponse('No free code could be generated; retry'),
+        },
+      },
+      get: {
+        operationId: 'listLinks',
+        tags: ['Links'],
+        summary: 'List links, one page at a time',
+        'x-required-scope': 'read',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 200, default: 50, 'x-error-code': 'INVALID_LIST_LIMIT' },
+          },
+          { name: 'cursor', in: 'query', schema: { type: 'string', 'x-error-code': 'INVALID_CURSOR' } },
+          {
+            name: 'sort',
+            in: 'query',
+            schema: { type: 'string', enum: ['createdAt', 'clicks', 'lastClicked'], default: 'createdAt', 'x-error-code': 'INVALID_LIST_SORT' },
+          },
+          {
+            name: 'order',
+            in: 'query',
+            schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc', 'x-error-code': 'INVALID_LIST_SORT' },
+          },
+          { name: 'q', in: 'query', description: 'Search in shortCode and originalUrl', schema: { type: 'string' } },
+          { name: 'createdFrom', in: 'query', description: 'ISO date, inclusive', schema: ref('DateFilter') },
+          { name: 'createdTo', in: 'query', description: 'ISO date, exclusive', schema: ref('DateFilter') },
+          { name: 'clickedFrom', in: 'query', description: 'ISO date, inclusive, on lastClicked', schema: ref('DateFilter') },
+          { name: 'clickedTo', in: 'query', description: 'ISO date, exclusive, on lastClicked', schema: ref('DateFilter') },
+          {
+            name: 'minClicks',
+            in: 'query',
+            schema: { type: 'integer', minimum: 0, 'x-error-code': 'INVALID_LIST_FILTER' },
+          },
+          {
+            name: 'destinationDomain',
+            in: 'query',
+            description: 'Destination host, subdomains included',
+            schema: { type: 'string', 'x-error-code': 'INVALID_LIST_FILTER' },
+          },
+          {
+            name: 'tags',
+            in: 'query',
+            description: 'Comma-separated tags, all of which a link must carry',
+            schema: { type: 'string', 'x-error-code': 'INVALID_LIST_FILTER' },
+          },
+          {
+            name: 'collectionId',
+            in: 'query',
+            description: 'Collection id, or "none" for links outside any collection',
+            schema: { type: 'string', pattern: '^([0-9a-fA-F]{24}|none)$', 'x-error-code': 'INVALID_LIST_FILTER' },
+          },
+        ],
+        responses: {
+          [STATUS.OK]: jsonResponse('One page of links', ref('LinkPage')),
+          [STATUS.BAD_REQUEST]: errorResponse('Invalid paging, sort or filter'),
+          ...API_ERRORS,
+        },
+      },
+    },
+    '/api/links/bulk': {
+      post: {
+        operationId: 'bulkCreateLinks',
+        tags: ['Links'],
+        summary: 'Create many links from JSON or CSV',
+        description: 'Each row gets its own result; one bad row never fails the batch.',
+        'x-required-scope': 'write',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                oneOf: [
+                  { type: 'array', minItems: 1, description: 'Rows that are not objects are reported as invalid' },
+                  {
+                    type: 'object',
+                    required: ['links'],
+                    properties: { links: { type: 'array', minItems: 1 } },
+                  },
+                ],
+                'x-error-code': 'INVALID_BULK_PAYLOAD',
+              },
+            },
+            'text/csv': {
+              schema: { type: 'string', description: 'Header row, then one link per row' },
+            },
+          },
+        },
+        responses: {
+          [STATUS.OK]: jsonResponse('Per-row results', ref('BulkReport')),
+          [STATUS.BAD_REQUEST]: errorResponse('Empty or oversized batch'),
+          ...API_ERRORS,
+        },
+      },
+    },
+    '/api/links/bulk/tag': {
+      post: {
+        operationId: 'bulkTagLinks',
+        tags: ['Links'],
+        summary: 'Add or remove tags on many links',
+        description: 'Tags in remove are taken away before those in add are added. '
+          + 'Each code gets its own result; one bad code never fails the batch.',
+        'x-required-scope': 'write',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [param('domain')],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('BulkTagRequest') } },
+        },
+        responses: {
+          [STATUS.OK]: jsonResponse('Per-link results', ref('BulkEditReport')),
+          [STATUS.BAD_REQUEST]: errorResponse('Invalid codes or tags, or oversized batch'),
+          ...API_ERRORS,
+        },
+      },
+    },
+    '/api/links/bulk/move': {
+      post: {
+        operationId: 'bulkMoveLinks',
+        tags: ['Links'],
+        summary: 'Move many links into or out of a collection',
+        description: 'Each code gets its own result; one bad code never fails the batch.',
+        'x-required-scope': 'write',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [param('domain')],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('BulkMoveRequest') } },
+        },
+        responses: {
+          [STATUS.OK]: jsonResponse('Per-link results', ref('BulkEditReport')),
+          [STATUS.BAD_REQUEST]: errorResponse('Invalid codes, or oversized batch'),
+          ...API_ERRORS,
+          [STATUS.NOT_FOUND]: errorResponse('Unknown collection'),
+        },
+      },
+    },
+    '/api/links/export': {
+      get: {
+        operationId: 'exportLinks',
+        tags: ['Links'],
+        summary: 'Download all links',
+        'x-required-scope': 'read',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [
+          {
+            name: 'format',
+            in: 'query',
+            schema: { type: 'string', enum: ['csv', 'json', 'ndjson'], default: 'json', 'x-error-code': 'INVALID_EXPORT_FORMAT' },
+          },
+        ],
+        responses: {
+          [STATUS.OK]: {
+            description: 'Links ordered by creation date, streamed',
+            content: {
+              'application/json': { schema: { type: 'array', items: ref('ExportedLink') } },
+              'application/x-ndjson': { schema: { type: 'string' } },
+              'text/csv': { schema: { type: 'string' } },
+            },
+          },
+          [STATUS.BAD_REQUEST]: errorResponse('Unknown format'),
+          ...API_ERRORS,
+        },
+      },
+    },
+    '/api/links/suggest': {
+      get: {
+        operationId: 'suggestCodes',
+        tags: ['Links'],
+        summary: 'Suggest available vanity codes',
+        'x-required-scope': 'read',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [
+          {
+            name: 'base',
+            in: 'query',
+            required: true,
+            description: 'Word to build codes from',
+            schema: { type: 'string', minLength: 2, 'x-error-code': 'INVALID_SUGGEST_BASE' },
+          },
+          param('domain'),
+          {
+            name: 'count',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 20, default: 5, 'x-error-code': 'INVALID_SUGGEST_COUNT' },
+          },
+        ],
+        responses: {
+          [STATUS.OK]: jsonResponse('Free codes', {
+            type: 'object',
+            properties: {
+              base: { type: 'string' },
+              domain: { type: 'string', nullable: true },
+              suggestions: { type: 'array', items: { type: 'string' } },
+            },
+          }),
+          [STATUS.BAD_REQUEST]: errorResponse('Invalid base, count or domain'),
+          ...API_ERRORS,
+        },
+      },
+    },
+    '/api/links/trash': {
+      get: {
+        operationId: 'listTrash',
+        tags: ['Links'],
+        summary: 'List deleted links, most recently deleted first',
+        description: 'Trashed links are purged for good once TRASH_RETENTION_MS has passed.',
+        'x-required-scope': 'read',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 200, default: 50, 'x-error-code': 'INVALID_LIST_LIMIT' },
+          },
+          { name: 'cursor', in: 'query', schema: { type: 'string', 'x-error-code': 'INVALID_CURSOR' } },
+        ],
+        responses: {
+          [STATUS.OK]: jsonResponse('One page of trashed links', ref('TrashPage')),
+          [STATUS.BAD_REQUEST]: errorResponse('Invalid limit or cursor'),
+          ...API_ERRORS,
+        },
+      },
+    },
+    '/api/links/{code}': {
+      parameters: [param('code')],
+      get: {
+        operationId: 'getLinkStats',
+        tags: ['Links'],
+        summary: 'Get a link and its click count',
+        'x-required-scope': 'read',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [param('domain')],
+        responses: {
+          [STATUS.OK]: jsonResponse('The link', ref('LinkStats')),
+          ...LINK_ERRORS,
+        },
+      },
+      patch: {
+        operationId: 'updateLink',
+        tags: ['Links'],
+        summary: 'Edit a link',
+        description: 'Records a revision; null clears expiresAt, activatesAt, maxClicks, collectionId and preview, '
+          + 'null or [] removes scheduledChanges, rules, variants and tags.',
+        'x-required-scope': 'write',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [param('domain')],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('UpdateLinkRequest') } },
+        },
+        responses: {
+          [STATUS.OK]: jsonResponse('The updated link', ref('LinkStats')),
+          ...LINK_ERRORS,
+          [STATUS.CONFLICT]: errorResponse('The link was edited concurrently'),
+        },
+      },
+      delete: {
+        operationId: 'deleteLink',
+        tags: ['Links'],
+        summary: 'Move a link to the trash',
+        description: 'The code answers 410 until the link is restored; the link, its clicks and '
+          + 'history are purged once TRASH_RETENTION_MS has passed.',
+        'x-required-scope': 'write',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [param('domain')],
+        responses: {
+          [STATUS.NO_CONTENT]: { description: 'Moved to the trash' },
+          ...LINK_ERRORS,
+        },
+      },
+    },
+    '/api/links/{code}/analytics': {
+      get: {
+        operationId: 'getLinkAnalytics',
+        tags: ['Links'],
+        summary: 'Get time-series click analytics',
+        'x-required-scope': 'read',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [
+          param('code'),
+          param('domain'),
+          {
+            name: 'from',
+            in: 'query',
+            description: 'ISO date, inclusive (default 7 days before to)',
+            schema: { type: 'string', 'x-error-code': 'INVALID_DATE_RANGE' },
+          },
+          {
+            name: 'to',
+            in: 'query',
+            description: 'ISO date, exclusive (default now)',
+            schema: { type: 'string', 'x-error-code': 'INVALID_DATE_RANGE' },
+          },
+          {
+            name: 'interval',
+            in: 'query',
+            schema: { type: 'string', enum: ['hour', 'day', 'week'], default: 'day', 'x-error-code': 'INVALID_INTERVAL' },
+          },
+        ],
+        responses: {
+          [STATUS.OK]: jsonResponse('Click series and breakdowns', { type: 'object' }),
+          ...LINK_ERRORS,
+        },
+      },
+    },
+    '/api/links/{code}/qr': {
+      get: {
+        operationId: 'getLinkQr',
+        tags: ['Links'],
+        summary: 'Render a QR code for the short URL',
+        'x-required-scope': 'read',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [
+          param('code'),
+          param('domain'),
+          {
+            name: 'format',
+            in: 'query',
+            schema: { type: 'string', enum: ['svg', 'png'], default: 'svg', 'x-error-code': 'INVALID_QR_FORMAT' },
+          },
+          {
+            name: 'size',
+            in: 'query',
+            schema: { type: 'integer', minimum: 64, maximum: 2048, default: 256, 'x-error-code': 'INVALID_QR_SIZE' },
+          },
+          {
+            name: 'margin',
+            in: 'query',
+            schema: { type: 'integer', minimum: 0, maximum: 16, default: 4, 'x-error-code': 'INVALID_QR_MARGIN' },
+          },
+          {
+            name: 'level',
+            in: 'query',
+            description: 'Error correction level, case-insensitive',
+            schema: { type: 'string', pattern: '^[LMQHlmqh]$', default: 'M', 'x-error-code': 'INVALID_QR_LEVEL' },
+          },
+          { name: 'fg', in: 'query', schema: ref('Color') },
+          { name: 'bg', in: 'query', schema: ref('Color') },
+        ],
+        responses: {
+          [STATUS.OK]: {
+            description: 'The QR code image',
+            content: {
+              'image/svg+xml': { schema: { type: 'string' } },
+              'image/png': { schema: { type: 'string', format: 'binary' } },
+            },
+          },
+          [STATUS.NOT_MODIFIED]: { description: 'The ETag still matches' },
+          ...LINK_ERRORS,
+        },
+      },
+    },
+    '/api/links/{code}/stream': {
+      get: {
+        operationId: 'streamLinkClicks',
+        tags: ['Links'],
+        summary: "Stream the link's clicks as they happen",
+        description: 'Server-Sent Events. `click` events carry { shortCode, domain, timestamp, referrerHost, '
+          + 'device, variant }; `count` events carry { shortCode, domain, clicks } whenever the stored total '
+          + 'changes. Idle streams get heartbeat comments. Reconnecting with Last-Event-ID replays missed '
+          + 'events while they are still kept; otherwise a `reset` event is sent first and counts should be '
+          + 'reloaded.',
+        'x-required-scope': 'read',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [
+          param('code'),
+          param('domain'),
+          {
+            name: 'Last-Event-ID',
+            in: 'header',
+            description: 'Id of the last event received, to resume after a reconnect',
+            schema: { type: 'string' },
+          },
+          {
+            name: 'lastEventId',
+            in: 'query',
+            description: 'Same as Last-Event-ID, for clients that cannot set headers',
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          [STATUS.OK]: {
+            description: 'The event stream',
+            content: { 'text/event-stream': { schema: { type: 'string' } } },
+          },
+          ...LINK_ERRORS,
+          [STATUS.TOO_MANY_REQUESTS]: errorResponse('Rate limit exceeded, or too many streams open with this API key'),
+          [STATUS.SERVICE_UNAVAILABLE]: errorResponse('Too many open click streams'),
+        },
+      },
+    },
+    '/api/links/{code}/routing/test': {
+      post: {
+        operationId: 'testRouting',
+        tags: ['Links'],
+        summary: 'Dry-run the routing rules for a simulated visitor',
+        'x-required-scope': 'read',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [param('code'), param('domain')],
+        requestBody: {
+          content: { 'application/json': { schema: ref('RoutingTestRequest') } },
+        },
+        responses: {
+          [STATUS.OK]: jsonResponse('The destination the visitor would get', { type: 'object' }),
+          ...LINK_ERRORS,
+        },
+      },
+    },
+    '/api/links/{code}/history': {
+      get: {
+        operationId: 'getLinkHistory',
+        tags: ['Links'],
+        summary: "List a link's revisions, newest first",
+        'x-required-scope': 'read',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [param('code'), param('domain')],
+        responses: {
+          [STATUS.OK]: jsonResponse('Current revision and history', {
+            type: 'object',
+            properties: {
+              shortCode: { type: 'string' },
+              domain: { type: 'string', nullable: true },
+              currentRevision: { type: 'integer' },
+              revisions: { type: 'array', items: ref('Revision') },
+            },
+          }),
+          ...LINK_ERRORS,
+        },
+      },
+    },
+    '/api/links/{code}/rollback/{revision}': {
+      post: {
+        operationId: 'rollbackLink',
+        tags: ['Links'],
+        summary: 'Restore the settings of an earlier revision',
+        'x-required-scope': 'write',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [
+          param('code'),
+          { name: 'revision', in: 'path', required: true, schema: { type: 'integer', minimum: 0 } },
+          param('domain'),
+        ],
+        responses: {
+          [STATUS.OK]: jsonResponse('The restored link', ref('LinkStats')),
+          ...LINK_ERRORS,
+          [STATUS.CONFLICT]: errorResponse('The link was edited concurrently'),
+        },
+      },
+    },
+    '/api/links/{code}/restore': {
+      post: {
+        operationId: 'restoreLink',
+        tags: ['Links'],
+        summary: 'Take a link out of the trash',
+        'x-required-scope': 'write',
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        parameters: [param('code'), param('domain')],
+        responses: {
+          [STATUS.OK]: jsonResponse('The restored link', ref('LinkStats')),
+          ...LINK_ERRORS,
+          [STATUS.NOT_FOUND]: errorResponse('No trashed link with this code'),
+        },
+      },
+    },
+    '/api/links/{code}/redirect': {
+      get: {
+        operationId: 'redirectLinkViaApi',
+        tags: ['Redirects'],
+        summary: 'Follow a short link (same as GET /{code})',
+        parameters: [param('code')],
+        responses: {
+          302: { description: 'Redirect to the destination' },
+          [STATUS.NOT_FOUND]: { description: 'Unknown code (plain text)' },
+          [STATUS.GONE]: { description: 'Trashed, expired or disabled link (HTML)' },
+        },
+      },
+    },
+    '/api/openapi.json': {
+      get: {
+        operationId: 'getOpenApiDocument',
+        tags: ['System'],
+        summary: 'This document',
+        responses: { [STATUS.OK]: jsonResponse('OpenAPI 3 document', { type: 'object' }) },
+      },
+    },
+    '/api/docs': {
+      get: {
+        operationId: 'getApiDocs',
+        tags: ['System'],
+        summary: 'Human-readable API reference',
+        responses: { [STATUS.OK]: { description: 'HTML page', content: { 'text/html': {} } } },
+      },
+    },
+    '/healthz': {
+      get: {
+        operationId: 'getHealth',
+        tags: ['System'],
+        summary: 'Health check',
+        description: 'Readiness checks plus uptime, system and redirect cache details.',
+        responses: {
+          [STATUS.OK]: jsonResponse('Service status', { type: 'object' }),
+          [STATUS.SERVICE_UNAVAILABLE]: jsonResponse('Not ready; see checks', { type: 'object' }),
+        },
+      },
+    },
+    '/healthz/live': {
+      get: {
+        operationId: 'getLiveness',
+        tags: ['System'],
+        summary: 'Liveness probe',
+        description: 'Succeeds while the process serves requests, including during shutdown.',
+        responses: { [STATUS.OK]: jsonResponse('The process is alive', ref('Liveness')) },
+      },
+    },
+    '/healthz/ready': {
+      get: {
+        operationId: 'getReadiness',
+        tags: ['System'],
+        summary: 'Readiness probe',
+        description: 'Fails while MongoDB (if used) is unreachable and once shutdown has begun.',
+        responses: {
+          [STATUS.OK]: jsonResponse('Ready for traffic', ref('Readiness')),
+          [STATUS.SERVICE_UNAVAILABLE]: jsonResponse('Not ready', ref('Readiness')),
+        },
+      },
+    },
+    '/metrics': {
+      get: {
+        operationId: 'getMetrics',
+        tags: ['System'],
+        summary: 'Prometheus metrics',
+        description: 'Text exposition format. Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.',
+        responses: {
+          [STATUS.OK]: {
+            description: 'Metrics',
+            content: { 'text/plain': { schema: { type: 'string' } } },
+          },
+          [STATUS.UNAUTHORIZED]: { description: 'Missing or wrong metrics token (plain text)' },
+        },
+      },
+    },
+    '/': {
+      get: {
+        operationId: 'redirectRoot',
+        tags: ['Redirects'],
+        summary: "Redirect to the domain's root URL",
+        responses: {
+          302: { description: 'Redirect to the configured root URL' },
+          [STATUS.NOT_FOUND]: { description: 'No root URL configured (plain text)' },
+        },
+      },
+    },
+    '/{code}': {
+      get: {
+        operationId: 'redirectLink',
+        tags: ['Redirects'],
+        summary: 'Follow a short link',
+        description: 'Resolved by Host header and code. Password-protected links answer with an unlock form; '
+          + 'link preview crawlers get the link\'s preview card, if it has one.',
+        parameters: [param('code')],
+        responses: {
+          302: { description: 'Redirect to the destination' },
+          [STATUS.OK]: { description: 'Unlock form for protected links, or preview card page for crawlers (HTML)' },
+          [STATUS.BAD_REQUEST]: errorResponse('Malformed code'),
+          [STATUS.NOT_FOUND]: { description: 'Unknown code (plain text)' },
+          [STATUS.GONE]: { description: 'Trashed, expired or disabled link (HTML)' },
+          [STATUS.TOO_MANY_REQUESTS]: { description: 'Rate limit exceeded (plain text)' },
+        },
+      },
+    },
+    '/{code}/unlock': {
+      post: {
+        operationId: 'unlockLink',
+        tags: ['Redirects'],
+        summary: 'Unlock a password-protected link',
+        parameters: [param('code')],
+        requestBody: {
+          required: true,
+          content: {
+            'application/x-www-form-urlencoded': {
+              schema: { type: 'object', properties: { password: { type: 'string' } } },
+            },
+          },
+        },
+        responses: {
+          303: { description: 'Unlocked; back to GET /{code}' },
+          [STATUS.UNAUTHORIZED]: { description: 'Wrong password (HTML form)' },
+          [STATUS.TOO_MANY_REQUESTS]: { description: 'Too many attempts (HTML form)' },
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer <key>' },
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    },
+    parameters: {
+      code: {
+        name: 'code',
+        in: 'path',
+        required: true,
+        schema: { type: 'string', pattern: '^[A-Za-z0-9]{6,8}$', 'x-error-code': 'INVALID_CODE' },
+      },
+      domain: {
+        name: 'domain',
+        in: 'query',
+        description: 'Custom domain of the link (default domain when omitted)',
+        schema: { type: 'string' },
+      },
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              code: { type: 'string', example: 'INVALID_URL' },
+              message: { type: 'string' },
+              details: {
+                nullable: true,
+                description: 'For schema violations, a list of { location, message }',
+              },
+            },
+          },
+        },
+      },
+      CreateLinkRequest: {
+        type: 'object',
+        required: ['originalUrl'],
+        properties: {
+          ...LINK_SETTINGS,
+          shortCode: {
+            type: 'string',
+            nullable: true,
+            pattern: '^[A-Za-z0-9]{6,8}$',
+            description: 'Custom code; generated when omitted',
+            'x-error-code': 'INVALID_CODE',
+          },
+          password: {
+            type: 'string',
+            nullable: true,
+            maxLength: 128,
+            description: 'Password visitors must enter (4-128 characters)',
+            'x-error-code': 'INVALID_PASSWORD',
+          },
+          domain: { type: 'string', nullable: true, description: 'Verified custom domain for the link' },
+        },
+      },
+      UpdateLinkRequest: {
+        type: 'object',
+        properties: LINK_SETTINGS,
+      },
+      RoutingRule: {
+        type: 'object',
+        required: ['destination'],
+        additionalProperties: false,
+        properties: {
+          platforms: { type: 'array', items: { type: 'string' }, example: ['ios', 'android'] },
+          devices: { type: 'array', items: { type: 'string' }, example: ['mobile', 'tablet'] },
+          languages: { type: 'array', items: { type: 'string' }, example: ['de', 'pt-BR'] },
+          countries: { type: 'array', items: { type: 'string' }, example: ['DE', 'AT'] },
+          time: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              days: { type: 'array', items: { type: 'string' }, example: ['mon', 'fri'] },
+              start: { type: 'string', pattern: '^\\d{2}:\\d{2}$' },
+              end: { type: 'string', pattern: '^\\d{2}:\\d{2}$' },
+              timezone: { type: 'string', example: 'Europe/Berlin' },
+            },
+          },
+          destination: { type: 'string', minLength: 1 },
+        },
+      },
+      ScheduledChange: {
+        type: 'object',
+        required: ['at', 'originalUrl'],
+        additionalProperties: false,
+        properties: {
+          at: { type: 'string', description: 'ISO 8601 date in the future, distinct within the schedule' },
+          originalUrl: { type: 'string', minLength: 1, description: 'Destination the link switches to' },
+        },
+      },
+      Variant: {
+        type: 'object',
+        required: ['destination'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,32}$' },
+          destination: { type: 'string', minLength: 1 },
+          weight: { type: 'integer', minimum: 0, maximum: 1000, default: 1 },
+        },
+      },
+      RoutingTestRequest: {
+        type: 'object',
+        'x-error-code': 'INVALID_ROUTING_CONTEXT',
+        properties: {
+          headers: {
+            type: 'object',
+            description: 'Request headers such as User-Agent and Accept-Language',
+            additionalProperties: { type: 'string' },
+          },
+          ip: { type: 'string' },
+          country: { type: 'string', pattern: '^[A-Za-z]{2}$' },
+          at: { type: 'string', description: 'ISO date of the visit (default now)' },
+          variant: { type: 'string', description: 'Variant the visitor saw before' },
+        },
+      },
+      Tag: {
+        type: 'string',
+        pattern: '^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$',
+        description: 'Case-insensitive; stored lowercase',
+      },
+      BulkTagRequest: {
+        type: 'object',
+        required: ['codes'],
+        'x-error-code': 'INVALID_BULK_TAGS',
+        properties: {
+          codes: { type: 'array', minItems: 1, items: { type: 'string' } },
+          add: { type: 'array', maxItems: 20, items: ref('Tag'), 'x-error-code': 'INVALID_TAGS' },
+          remove: { type: 'array', maxItems: 20, items: ref('Tag'), 'x-error-code': 'INVALID_TAGS' },
+        },
+      },
+      BulkMoveRequest: {
+        type: 'object',
+        required: ['codes', 'collectionId'],
+        'x-error-code': 'INVALID_BULK_MOVE',
+        properties: {
+          codes: { type: 'array', minItems: 1, items: { type: 'string' } },
+          collectionId: {
+            type: 'string',
+            nullable: true,
+            pattern: '^[0-9a-fA-F]{24}$',
+            description: 'Target collection; null removes the links from their collection',
+          },
+        },
+      },
+      DateFilter: { type: 'string', 'x-error-code': 'INVALID_LIST_FILTER' },
+      Color: { type: 'string', pattern: '^#?[0-9A-Fa-f]{6}$', 'x-error-code': 'INVALID_QR_COLOR' },
+      Link: {
+        type: 'object',
+        properties: {
+          shortCode: { type: 'string' },
+          domain: { type: 'string', nullable: true },
+          originalUrl: { type: 'string' },
+          expiresAt: { type: 'string', format: 'date-time', nullable: true },
+          activatesAt: { type: 'string', format: 'date-time', nullable: true },
+          maxClicks: { type: 'integer', nullable: true },
+          scheduledChanges: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                at: { type: 'string', format: 'date-time' },
+                originalUrl: { type: 'string' },
+              },
+            },
+          },
+          passwordProtected: { type: 'boolean' },
+          rules: { type: 'array', items: ref('RoutingRule') },
+          variants: { type: 'array', items: ref('Variant') },
+          stickyVariants: { type: 'boolean' },
+          tags: { type: 'array', items: { type: 'string' } },
+          collectionId: { type: 'string', nullable: true },
+          preview: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              title: { type: 'string', nullable: true },
+              description: { type: 'string', nullable: true },
+              image: { type: 'string', nullable: true },
+            },
+          },
+        },
+      },
+      LinkStats: {
+        allOf: [
+          ref('Link'),
+          {
+            type: 'object',
+            properties: {
+              clicks: { type: 'integer' },
+              lastClicked: { type: 'string', format: 'date-time', nullable: true },
+              remainingClicks: { type: 'integer', nullable: true },
+              expired: { type: 'boolean' },
+              pending: { type: 'boolean', description: 'Waiting for activatesAt' },
+              disabled: { type: 'boolean' },
+              disabledReason: { type: 'string', nullable: true },
+              revision: { type: 'integer' },
+              updatedAt: { type: 'string', format: 'date-time' },
+            },
+          },
+        ],
+      },
+      LinkPage: {
+        type: 'object',
+        properties: {
+          links: { type: 'array', items: ref('LinkStats') },
+          nextCursor: { type: 'string', nullable: true },
+          total: { type: 'integer' },
+        },
+      },
+      TrashedLink: {
+        allOf: [
+          ref('LinkStats'),
+          {
+            type: 'object',
+            properties: {
+              deletedAt: { type: 'string', format: 'date-time' },
+              deletedBy: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                  owner: { type: 'string', nullable: true },
+                  keyId: { type: 'string', nullable: true },
+                },
+              },
+            },
+          },
+        ],
+      },
+      TrashPage: {
+        type: 'object',
+        properties: {
+          links: { type: 'array', items: ref('TrashedLink') },
+          nextCursor: { type: 'string', nullable: true },
+          total: { type: 'integer' },
+        },
+      },
+      Liveness: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['ok'] },
+          uptimeSeconds: { type: 'integer' },
+        },
+      },
+      Readiness: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['ready', 'not_ready'] },
+          checks: {
+            type: 'object',
+            properties: {
+              database: {
+                type: 'object',
+                properties: {
+                  status: {
+                    type: 'string',
+                    enum: ['up', 'down', 'disabled'],
+                    description: 'disabled when running without MongoDB',
+                  },
+                  state: { type: 'string', description: 'Mongoose connection state, e.g. connected' },
+                  latencyMs: { type: 'integer', description: 'Ping round trip, with HEALTH_DB_PING=true' },
+                  error: { type: 'string' },
+                },
+              },
+              shuttingDown: { type: 'boolean' },
+            },
+          },
+        },
+      },
+      ExportedLink: {
+        type: 'object',
+        description: 'One record per link; password hashes are never exported',
+      },
+      BulkReport: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          summary: {
+            type: 'object',
+            description: 'Row count per status: created, conflict, invalid, error',
+            additionalProperties: { type: 'integer' },
+          },
+          results: { type: 'array', items: { type: 'object' } },
+        },
+      },
+      BulkEditReport: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          summary: {
+            type: 'object',
+            description: 'Link count per status: updated, unchanged, not_found, invalid, conflict, error',
+            additionalProperties: { type: 'integer' },
+          },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                shortCode: { type: 'string' },
+                status: { type: 'string' },
+                error: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+      Revision: {
+        type: 'object',
+        properties: {
+          revision: { type: 'integer' },
+          type: { type: 'string', enum: ['update', 'rollback', 'schedule'] },
+          rolledBackTo: { type: 'integer', nullable: true },
+          changes: { type: 'object' },
+          changedBy: { type: 'object' },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+    },
+  },
+};
+
+export default openApiDocument;
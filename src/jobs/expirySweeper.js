@@ -0,0 +1,60 @@
+/**
+ * Expiry Sweeper - Background job for expired links
+ *
+ * Periodically marks (or purges, depending on EXPIRY_SWEEP_ACTION) links whose
+ * expiry date has passed or whose click budget is used up. Redirects already
+ * enforce expiry on their own; the sweeper keeps the stored state tidy so
+ * dashboards and exports see expired links without re-evaluating them.
+ */
+
+import linkService from '../services/link.service.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ job: 'expirySweeper' });
+
+let timer = null;
+let running = false;
+
+/**
+ * Runs a single sweep, skipping if the previous one is still in progress
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+const sweep = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const count = await linkService.sweepExpiredLinks(env.EXPIRY_SWEEP_ACTION);
+    if (count > 0) {
+      log.info('Expired links swept', { action: env.EXPIRY_SWEEP_ACTION, count });
+    }
+  } catch (error) {
+    log.error('Expiry sweep failed', { error });
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Starts the periodic sweep
+ *
+ * @returns {void}
+ */
+export const startExpirySweeper = () => {
+  if (timer) return;
+  timer = setInterval(sweep, env.EXPIRY_SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+};
+
+/**
+ * Stops the periodic sweep
+ *
+ * @returns {void}
+ */
+export const stopExpirySweeper = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,62 @@
+/**
+ * Link Scheduler - Background job for scheduled destination changes
+ *
+ * Periodically applies the scheduled destination changes of links that have
+ * come due (see LinkService.applyScheduledChanges). Schedules live with the
+ * links in storage, so nothing is lost on restart: the first run after
+ * startup catches up on changes that came due while the server was down.
+ * Activation dates need no job; redirects compare them with the clock.
+ */
+
+import linkService from '../services/link.service.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ job: 'linkScheduler' });
+
+let timer = null;
+let running = false;
+
+/**
+ * Applies due changes, skipping if the previous run is still in progress
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+const applyDue = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const count = await linkService.applyScheduledChanges();
+    if (count > 0) {
+      log.info('Scheduled destination changes applied', { count });
+    }
+  } catch (error) {
+    log.error('Scheduled change run failed', { error });
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Starts the periodic run, catching up on missed changes right away
+ *
+ * @returns {void}
+ */
+export const startLinkScheduler = () => {
+  if (timer) return;
+  timer = setInterval(applyDue, env.SCHEDULE_POLL_INTERVAL_MS);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  applyDue();
+};
+
+/**
+ * Stops the periodic run
+ *
+ * @returns {void}
+ */
+export const stopLinkScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,59 @@
+/**
+ * Trash Purger - Background job for deleted links
+ *
+ * Periodically removes links that have been in the trash for longer than
+ * TRASH_RETENTION_MS, together with their click events and edit history.
+ * Until then a deleted link can be restored with POST /api/links/:code/restore.
+ */
+
+import linkService from '../services/link.service.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ job: 'trashPurger' });
+
+let timer = null;
+let running = false;
+
+/**
+ * Runs a single purge, skipping if the previous one is still in progress
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+const purge = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const count = await linkService.purgeTrash();
+    if (count > 0) {
+      log.info('Trashed links purged', { count });
+    }
+  } catch (error) {
+    log.error('Trash purge failed', { error });
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Starts the periodic purge
+ *
+ * @returns {void}
+ */
+export const startTrashPurger = () => {
+  if (timer) return;
+  timer = setInterval(purge, env.TRASH_PURGE_INTERVAL_MS);
+  // Don't keep the process alive just for the purger
+  timer.unref();
+};
+
+/**
+ * Stops the periodic purge
+ *
+ * @returns {void}
+ */
+export const stopTrashPurger = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,54 @@
+/**
+ * Webhook Worker - Background job for webhook deliveries
+ *
+ * New events are sent as soon as they are published; the worker periodically
+ * picks up deliveries whose retry time has come, and any left pending by an
+ * earlier run of the process.
+ */
+
+import webhookService from '../services/webhook.service.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ job: 'webhookWorker' });
+
+let timer = null;
+
+/**
+ * Sends the deliveries that are due
+ *
+ * Overlapping runs are folded into one by the service.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+const deliver = async () => {
+  try {
+    await webhookService.deliverDue();
+  } catch (error) {
+    log.error('Webhook delivery run failed', { error });
+  }
+};
+
+/**
+ * Starts the periodic delivery run
+ *
+ * @returns {void}
+ */
+export const startWebhookWorker = () => {
+  if (timer) return;
+  timer = setInterval(deliver, env.WEBHOOK_POLL_INTERVAL_MS);
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  deliver();
+};
+
+/**
+ * Stops the periodic delivery run
+ *
+ * @returns {void}
+ */
+export const stopWebhookWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,45 @@
+import env from '../config/env.js';
+import { hashIp } from '../utils/clientInfo.js';
+import logger from '../utils/logger.js';
+
+// Probe and scrape paths, logged at debug level so they don't drown out real traffic
+const QUIET_PATHS = /^\/(healthz|metrics)(\/|$)/;
+
+/**
+ * Writes one access log line per request once its response is done
+ *
+ * The query string is left out since it may carry tokens. The client IP is
+ * logged hashed, like in click analytics, unless LOG_RAW_IPS is set.
+ * Requests the client abandoned before the response finished are marked
+ * `aborted`.
+ *
+ * @param {Object} req - Express request object, with req.id from the request ID middleware
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+const accessLog = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.once('close', () => {
+    const path = req.originalUrl.split('?')[0];
+    const level = QUIET_PATHS.test(path) ? 'debug' : 'info';
+
+    logger.write(level, 'Request completed', {
+      // Passed explicitly: the close event may fire outside the request's context
+      requestId: req.id,
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      bytes: Number(res.getHeader('content-length')) || undefined,
+      ...(env.LOG_RAW_IPS ? { ip: req.ip } : { ipHash: hashIp(req.ip) }),
+      userAgent: req.get('user-agent'),
+      ...(!res.writableFinished && { aborted: true }),
+    });
+  });
+
+  next();
+};
+
+export default accessLog;
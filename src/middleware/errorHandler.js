@@ -0,0 +1,73 @@
+import { AppError, NotFoundError, PayloadTooLargeError, ValidationError } from '../utils/errors.js';
+import { MESSAGES } from '../constants/messages.js';
+import metricsService from '../services/metrics.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Converts errors raised by Express itself (body parsing) to typed errors
+ *
+ * @param {Error} error
+ * @returns {AppError|null}
+ */
+const fromExpressError = (error) => {
+  switch (error.type) {
+    case 'entity.parse.failed':
+      return new ValidationError(MESSAGES.INVALID_JSON);
+    case 'entity.too.large':
+      return new PayloadTooLargeError(MESSAGES.PAYLOAD_TOO_LARGE);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Answers unmatched API routes with a 404 error
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+export const notFoundHandler = (req, res, next) => {
+  metricsService.recordNotFound('route');
+  next(new NotFoundError(MESSAGES.ROUTE_NOT_FOUND));
+};
+
+/**
+ * Central error handler
+ *
+ * Sends every error as { error: { code, message, details } }. Typed errors
+ * keep their status, code and message; anything else is logged with its
+ * stack and reported as a generic 500 so internals never leak to clients.
+ *
+ * @param {Error} error - Error passed to next() or thrown by a handler
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+const errorHandler = (error, req, res, next) => {
+  // Too late to send an error response; cut the connection so the client
+  // sees an incomplete response
+  if (res.headersSent) {
+    logger.error('Request failed after the response started', { method: req.method, path: req.path, error });
+    res.destroy();
+    return;
+  }
+
+  let appError = error instanceof AppError ? error : fromExpressError(error);
+  if (!appError) {
+    logger.error('Unhandled request error', { method: req.method, path: req.path, error });
+    appError = new AppError(MESSAGES.SERVER_ERROR);
+  }
+
+  res.status(appError.status).json({
+    error: {
+      code: appError.code,
+      message: appError.message,
+      details: appError.details,
+    },
+  });
+};
+
+export default errorHandler;
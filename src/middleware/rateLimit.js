@@ -0,0 +1,196 @@
+import env from '../config/env.js';
+import MemoryRateLimitStore from '../utils/rateLimitStore.js';
+import { hashIp } from '../utils/clientInfo.js';
+import { MESSAGES } from '../constants/messages.js';
+import { STATUS } from '../constants/apiStatus.js';
+import { RateLimitError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Rate limit policies per route group
+ *
+ * - create: minting links; a token bucket allows short bursts
+ * - api: every other management request
+ * - redirect: public redirects and unlocks, per visitor IP
+ * - notFound: lookups of unknown codes only, much tighter, to slow down
+ *   enumeration of the short code space
+ * - authFailure: API requests rejected with 401, per client IP, checked
+ *   before the API key is looked up so key guessing is slowed down too
+ *
+ * `json` hands the 429 to the JSON error handler (management API); otherwise
+ * it is answered in plain text (public routes).
+ */
+export const POLICIES = {
+  create: {
+    algorithm: 'token-bucket',
+    limit: env.RATE_LIMIT_CREATE_MAX,
+    windowMs: env.RATE_LIMIT_CREATE_WINDOW_MS,
+    json: true,
+  },
+  api: {
+    algorithm: 'sliding-window',
+    limit: env.RATE_LIMIT_API_MAX,
+    windowMs: env.RATE_LIMIT_API_WINDOW_MS,
+    json: true,
+  },
+  redirect: {
+    algorithm: 'sliding-window',
+    limit: env.RATE_LIMIT_REDIRECT_MAX,
+    windowMs: env.RATE_LIMIT_REDIRECT_WINDOW_MS,
+    json: false,
+  },
+  notFound: {
+    algorithm: 'sliding-window',
+    limit: env.RATE_LIMIT_NOT_FOUND_MAX,
+    windowMs: env.RATE_LIMIT_NOT_FOUND_WINDOW_MS,
+    json: false,
+  },
+  authFailure: {
+    algorithm: 'sliding-window',
+    limit: env.RATE_LIMIT_AUTH_FAILURE_MAX,
+    windowMs: env.RATE_LIMIT_AUTH_FAILURE_WINDOW_MS,
+    json: true,
+  },
+};
+
+// Shared by every limiter; replace with setRateLimitStore
+let store = new MemoryRateLimitStore();
+
+/**
+ * Replaces the rate limit store (e.g. with one shared between instances)
+ *
+ * @param {Object} newStore - Object with async hit(key, policy) and peek(key, policy)
+ * @returns {void}
+ */
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Identifies the client a request is counted against
+ *
+ * Authenticated requests (after requireApiKey) are limited per API key,
+ * everything else per client IP (hashed, like in click analytics).
+ *
+ * @param {Object} req - Express request object
+ * @returns {string}
+ */
+const clientKey = (req) => (req.auth ? `key:${req.auth.keyId}` : `ip:${hashIp(req.ip)}`);
+
+/**
+ * Sends the 429 response for a policy
+ *
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {Object} policy - Policy that was exceeded
+ * @param {Object} state - Limit state from the store
+ * @returns {void}
+ */
+const sendLimited = (res, next, policy, state) => {
+  res.set('Retry-After', String(Math.ceil(state.retryAfterMs / 1000)));
+  if (policy.json) {
+    next(new RateLimitError(MESSAGES.RATE_LIMITED));
+  } else {
+    res.status(STATUS.TOO_MANY_REQUESTS).type('text').send('Too Many Requests');
+  }
+};
+
+/**
+ * Builds middleware that limits requests with the named policy
+ *
+ * Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset (seconds) and
+ * RateLimit-Policy headers on every response; requests over the limit get
+ * 429 with Retry-After. If the store fails, requests are let through.
+ *
+ * @param {string} name - Policy name (see POLICIES)
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (name) => {
+  const policy = POLICIES[name];
+
+  return async (req, res, next) => {
+    if (!env.RATE_LIMIT_ENABLED) return next();
+
+    let state;
+    try {
+      state = await store.hit(`${name}:${clientKey(req)}`, policy);
+    } catch (error) {
+      logger.error('Rate limit store failed, request let through', { policy: name, error });
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(state.limit),
+      'RateLimit-Remaining': String(state.remaining),
+      'RateLimit-Reset': String(Math.ceil(state.resetMs / 1000)),
+      'RateLimit-Policy': `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`,
+    });
+
+    if (!state.allowed) {
+      return sendLimited(res, next, policy, state);
+    }
+    next();
+  };
+};
+
+/**
+ * Builds middleware that counts only responses with the given status
+ *
+ * The count is checked before the request; once a client reaches the limit
+ * every further request gets 429 until the window has moved on.
+ *
+ * @param {string} name - Policy name (see POLICIES)
+ * @param {number} status - Response status that is counted
+ * @returns {Function} Express middleware
+ */
+const limitByStatus = (name, status) => {
+  const policy = POLICIES[name];
+
+  return async (req, res, next) => {
+    if (!env.RATE_LIMIT_ENABLED) return next();
+
+    const key = `${name}:${clientKey(req)}`;
+    try {
+      const state = await store.peek(key, policy);
+      if (!state.allowed) {
+        return sendLimited(res, next, policy, state);
+      }
+    } catch (error) {
+      logger.error('Rate limit store failed, request let through', { policy: name, error });
+      return next();
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode === status) {
+        store.hit(key, policy).catch((error) => logger.error('Rate limit store failed', { policy: name, error }));
+      }
+    });
+    next();
+  };
+};
+
+/**
+ * Builds middleware that limits lookups answered with 404
+ *
+ * Only requests that end in 404 are counted; once a client reaches the
+ * limit every further lookup gets 429 until the window has moved on, so
+ * guessing codes becomes slow while normal traffic is unaffected.
+ *
+ * @param {string} [name='notFound'] - Policy name (see POLICIES)
+ * @returns {Function} Express middleware
+ */
+export const limitNotFound = (name = 'notFound') => limitByStatus(name, STATUS.NOT_FOUND);
+
+/**
+ * Builds middleware that limits API requests rejected as unauthenticated
+ *
+ * Mounted before requireApiKey, so requests are counted per client IP.
+ * Requests with a missing or invalid key are counted; once an IP reaches
+ * the limit it gets 429 before its key is even looked up.
+ *
+ * @param {string} [name='authFailure'] - Policy name (see POLICIES)
+ * @returns {Function} Express middleware
+ */
+export const limitAuthFailures = (name = 'authFailure') => limitByStatus(name, STATUS.UNAUTHORIZED);
+
+export default rateLimit;
@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+import { runWithContext } from '../utils/requestContext.js';
+
+// Incoming IDs are kept only if they are short and free of characters that could forge log fields
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assigns every request an ID for correlating log lines
+ *
+ * Uses the caller's X-Request-Id (e.g. from a load balancer) when it is
+ * well-formed, otherwise generates a UUID. The ID is exposed as `req.id`,
+ * echoed in the X-Request-Id response header, and the rest of the request
+ * runs inside a context holding it, so the logger adds it to every line.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  runWithContext({ requestId: req.id }, next);
+};
+
+export default requestId;
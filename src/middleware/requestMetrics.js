@@ -0,0 +1,47 @@
+import metricsService, { UNMATCHED_ROUTE } from '../services/metrics.service.js';
+
+/**
+ * Records the count and latency of every HTTP request
+ *
+ * Requests are labelled by route pattern (e.g. /api/links/:code), never by
+ * raw path, so the number of series stays bounded. Express sets req.route
+ * when a route matches but resets req.baseUrl once an error leaves the
+ * router, so the mount path is captured at the moment of the match.
+ * Event streams are left out: their duration is the life of the stream
+ * (see tinylink_click_streams_open instead).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+const requestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  let matched = null;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => matched?.route,
+    set: (route) => {
+      // A router's own root ('/') is labelled with just its mount path
+      const path = route.path === '/' && req.baseUrl ? '' : route.path;
+      matched = { route, pattern: `${req.baseUrl}${path}` };
+    },
+  });
+
+  res.once('close', () => {
+    if (res.get('Content-Type')?.startsWith('text/event-stream')) return;
+
+    metricsService.observeRequest({
+      method: req.method,
+      route: matched?.pattern ?? UNMATCHED_ROUTE,
+      status: res.statusCode,
+      seconds: Number(process.hrtime.bigint() - start) / 1e9,
+    });
+  });
+
+  next();
+};
+
+export default requestMetrics;
@@ -0,0 +1,58 @@
+import apiKeyService from '../services/apiKey.service.js';
+import { MESSAGES } from '../constants/messages.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/errors.js';
+
+/**
+ * Reads the API key from "Authorization: Bearer <key>" or "X-API-Key"
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|undefined}
+ */
+const readKey = (req) => {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-api-key');
+};
+
+/**
+ * Builds middleware that requires an API key with the given scope
+ *
+ * On success sets `req.auth` to { keyId, owner, scopes, isAdmin }; otherwise
+ * passes a 401 or 403 error to the error handler.
+ * The admin scope satisfies every requirement.
+ *
+ * @param {string} scope - Required scope: read, write or admin
+ * @returns {Function} Express middleware
+ */
+const requireApiKey = (scope) => async (req, res, next) => {
+  try {
+    const key = readKey(req);
+    if (!key) {
+      return next(new UnauthorizedError(MESSAGES.API_KEY_REQUIRED));
+    }
+
+    const apiKey = await apiKeyService.authenticate(key);
+    if (!apiKey) {
+      return next(new UnauthorizedError(MESSAGES.INVALID_API_KEY));
+    }
+
+    const isAdmin = apiKey.scopes.includes('admin');
+    if (!isAdmin && !apiKey.scopes.includes(scope)) {
+      return next(new ForbiddenError(MESSAGES.INSUFFICIENT_SCOPE));
+    }
+
+    req.auth = {
+      keyId: String(apiKey._id),
+      owner: apiKey.owner,
+      scopes: apiKey.scopes,
+      isAdmin,
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default requireApiKey;
@@ -0,0 +1,23 @@
+import env from '../config/env.js';
+import { MESSAGES } from '../constants/messages.js';
+import { ServiceUnavailableError } from '../utils/errors.js';
+
+/**
+ * Refuses routes whose data only MongoDB can hold when running without it
+ *
+ * Passes a 503 to the error handler when the server was started with the
+ * memory or json storage driver and no MONGODB_URI (see config/db.js).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+const requireDatabase = (req, res, next) => {
+  if (!env.MONGODB_ENABLED) {
+    return next(new ServiceUnavailableError(MESSAGES.DATABASE_DISABLED));
+  }
+  next();
+};
+
+export default requireDatabase;
@@ -0,0 +1,23 @@
+import domainService from '../services/domain.service.js';
+import logger from '../utils/logger.js';
+import { STATUS } from '../constants/apiStatus.js';
+import { MESSAGES } from '../constants/messages.js';
+
+/**
+ * Resolves the request's Host to a verified custom domain
+ *
+ * Sets `req.domain` to the domain object, or null when the request came in
+ * on the default host (or an unverified/unknown one).
+ */
+const resolveDomain = async (req, res, next) => {
+  try {
+    req.domain = await domainService.resolveHost(req.hostname);
+    next();
+  } catch (error) {
+    logger.error('Custom domain lookup failed', { hostname: req.hostname, error });
+    // Public redirect routes answer in plain text
+    res.status(STATUS.INTERNAL_SERVER_ERROR).type('text').send(MESSAGES.SERVER_ERROR);
+  }
+};
+
+export default resolveDomain;
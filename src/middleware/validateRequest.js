@@ -0,0 +1,94 @@
+import openApiDocument from '../docs/openapi.js';
+import { coerceParameter, resolveRef, validateSchema } from '../utils/schemaValidator.js';
+import { ValidationError } from '../utils/errors.js';
+import { MESSAGES } from '../constants/messages.js';
+
+/**
+ * Finds an operation and its path item in the OpenAPI document
+ *
+ * @param {string} operationId - operationId to look up
+ * @returns {{ operation: Object, pathItem: Object }}
+ * @throws {Error} If the document has no such operation
+ */
+const findOperation = (operationId) => {
+  for (const pathItem of Object.values(openApiDocument.paths)) {
+    for (const operation of Object.values(pathItem)) {
+      if (operation?.operationId === operationId) return { operation, pathItem };
+    }
+  }
+  throw new Error(`Unknown operationId: ${operationId}`);
+};
+
+/**
+ * Collects the path and query parameters of an operation
+ *
+ * Operation-level parameters override path-level ones with the same name and location.
+ *
+ * @param {Object} pathItem - Path item the operation belongs to
+ * @param {Object} operation - Operation object
+ * @returns {Array<Object>} Resolved parameter objects
+ */
+const collectParameters = (pathItem, operation) => {
+  const byKey = new Map();
+  for (const parameter of [...(pathItem.parameters ?? []), ...(operation.parameters ?? [])]) {
+    const resolved = parameter.$ref ? resolveRef(openApiDocument, parameter.$ref) : parameter;
+    byKey.set(`${resolved.in}:${resolved.name}`, resolved);
+  }
+  return [...byKey.values()].filter((parameter) => parameter.in === 'path' || parameter.in === 'query');
+};
+
+/**
+ * Builds middleware that validates a request against an OpenAPI operation
+ *
+ * Path and query parameters (converted from strings to the declared type)
+ * and JSON request bodies are checked; other body types are left to their
+ * handlers. The request itself is not modified. On failure a ValidationError
+ * is passed on with `details` listing every problem as { location, message };
+ * its message is the one named by the first x-error-code among the problems,
+ * or INVALID_REQUEST.
+ *
+ * @param {string} operationId - operationId in docs/openapi.js
+ * @returns {Function} Express middleware
+ * @throws {Error} At startup, if the operation is not in the document
+ */
+const validateRequest = (operationId) => {
+  const { operation, pathItem } = findOperation(operationId);
+  const parameters = collectParameters(pathItem, operation);
+  const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const parameter of parameters) {
+      const source = parameter.in === 'path' ? req.params : req.query;
+      const location = `${parameter.in}.${parameter.name}`;
+      const value = source?.[parameter.name];
+
+      if (value === undefined) {
+        if (parameter.required) {
+          errors.push({ path: location, message: 'is required', errorCode: parameter.schema['x-error-code'] ?? null });
+        }
+        continue;
+      }
+      const coerced = coerceParameter(openApiDocument, parameter.schema, value);
+      errors.push(...validateSchema(openApiDocument, parameter.schema, coerced, location));
+    }
+
+    if (bodySchema && (req.body !== undefined || operation.requestBody.required) && !req.is('text/*')) {
+      if (req.body === undefined) {
+        errors.push({ path: 'body', message: 'is required', errorCode: bodySchema['x-error-code'] ?? null });
+      } else {
+        errors.push(...validateSchema(openApiDocument, bodySchema, req.body, 'body'));
+      }
+    }
+
+    if (errors.length === 0) return next();
+
+    const code = errors.find(({ errorCode }) => errorCode)?.errorCode;
+    next(new ValidationError(MESSAGES[code] ?? MESSAGES.INVALID_REQUEST, {
+      details: errors.map(({ path, message }) => ({ location: path, message })),
+    }));
+  };
+};
+
+export default validateRequest;
@@ -0,0 +1,91 @@
+/**
+ * API Key Model - MongoDB Schema for API Keys
+ *
+ * Each document represents one API key used to access the management API.
+ * The key itself is only shown once when created; at rest only its SHA-256
+ * hash is kept, along with a short prefix so keys can be told apart.
+ *
+ * Database Collection: 'apikeys'
+ *
+ * Schema Fields:
+ * - name: Human-readable label (e.g. "CI pipeline")
+ * - owner: Identifier of the owner; links created with the key belong to it
+ * - prefix: First characters of the key, for display only
+ * - keyHash: SHA-256 hash of the full key (never selected by default)
+ * - scopes: Granted permissions - read, write and/or admin
+ * - createdAt / lastUsedAt / revokedAt: Lifecycle timestamps
+ *
+ * Indexes:
+ * - keyHash: Unique index for authenticating requests
+ * - owner: Index for listing an owner's keys
+ */
+
+import mongoose from 'mongoose';
+
+// Permissions an API key can be granted; admin implies the others
+export const SCOPES = ['read', 'write', 'admin'];
+
+/**
+ * Mongoose schema definition for API keys
+ */
+const apiKeySchema = new mongoose.Schema({
+  // Label shown in key listings
+  name: {
+    type: String,
+    default: ''
+  },
+
+  // Owner identifier - scopes which links the key can see and manage
+  owner: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Leading characters of the key, safe to display
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 hash of the full key
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  // Granted permissions
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    default: ['read', 'write']
+  },
+
+  // Timestamp when the key was created
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Timestamp of the last authenticated request made with the key
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set when the key is revoked; revoked keys no longer authenticate
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+});
+
+/**
+ * Mongoose model for ApiKey documents
+ *
+ * @type {mongoose.Model}
+ */
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
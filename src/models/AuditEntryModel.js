@@ -0,0 +1,114 @@
+/**
+ * Audit Entry Model - MongoDB Schema for the Link Audit Log
+ *
+ * Each document records one change to a link: what happened, to which link,
+ * who did it and from where. Entries are append-only; the model refuses
+ * updates and deletes, so they outlive the links they describe.
+ *
+ * Database Collection: 'auditentries'
+ *
+ * Schema Fields:
+ * - action: One of AUDIT_ACTIONS (link.create, link.update, ...)
+ * - link: { id, shortCode, domain } of the link, kept as plain values
+ * - owner: Owner of the link; entries are visible to that owner and admins
+ * - actor: { owner, keyId } of the API key that made the change (null for
+ *   the background jobs)
+ * - request: { ip, userAgent, method, path } of the API request, if any
+ * - details: Action-specific data, e.g. the revision and field changes of an update
+ * - createdAt: When the change happened
+ *
+ * Indexes:
+ * - { owner, _id }: Listing an owner's entries newest first (ids grow over time)
+ * - { link.shortCode, link.domain }: History of one code
+ */
+
+import mongoose from 'mongoose';
+import { AUDIT_ACTIONS } from '../constants/audit.js';
+
+// Write operations that would change or remove stored entries
+const MUTATING_OPERATIONS = [
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+];
+
+/**
+ * Mongoose schema definition for audit entries
+ */
+const auditEntrySchema = new mongoose.Schema({
+  // What happened (see AUDIT_ACTIONS)
+  action: {
+    type: String,
+    enum: Object.values(AUDIT_ACTIONS),
+    required: true
+  },
+
+  // Link the entry is about; not a reference, as purged links are gone
+  link: {
+    id: { type: String, required: true },
+    shortCode: { type: String, required: true },
+    domain: { type: String, default: null },
+  },
+
+  // Owner of the link
+  owner: {
+    type: String,
+    default: null
+  },
+
+  // API key that made the change (null = a background job)
+  actor: {
+    type: new mongoose.Schema({
+      owner: { type: String, default: null },
+      keyId: { type: String, default: null },
+    }, { _id: false }),
+    default: null
+  },
+
+  // API request that made the change
+  request: {
+    type: new mongoose.Schema({
+      ip: { type: String, default: null },
+      userAgent: { type: String, default: null },
+      method: { type: String, default: null },
+      path: { type: String, default: null },
+    }, { _id: false }),
+    default: null
+  },
+
+  // Action-specific data
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // When the change happened
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+}, { versionKey: false });
+
+auditEntrySchema.index({ owner: 1, _id: -1 });
+auditEntrySchema.index({ 'link.shortCode': 1, 'link.domain': 1 });
+
+// Keep the log append-only
+for (const operation of MUTATING_OPERATIONS) {
+  auditEntrySchema.pre(operation, function () {
+    throw new Error('Audit entries are append-only');
+  });
+}
+
+/**
+ * Mongoose model for AuditEntry documents
+ *
+ * @type {mongoose.Model}
+ */
+const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+
+export default AuditEntry;
@@ -0,0 +1,80 @@
+/**
+ * Click Model - MongoDB Schema for Click Events
+ *
+ * Each document records a single redirect through a short link, so that
+ * traffic can be analysed over time rather than only as a running total.
+ *
+ * Database Collection: 'clicks'
+ *
+ * Schema Fields:
+ * - shortCode: Short code of the link that was clicked
+ * - domain: Custom domain of the link (null = default domain)
+ * - timestamp: When the redirect happened
+ * - referrerHost: Host of the Referer header (null for direct traffic)
+ * - browser / os / device: Coarse user-agent classification
+ * - language: Primary Accept-Language tag
+ * - ipHash: Salted SHA-256 digest of the client IP
+ *
+ * Indexes:
+ * - { domain, shortCode, timestamp }: Range scans for per-link time series
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema definition for click events
+ */
+const clickSchema = new mongoose.Schema({
+  // Short code of the clicked link
+  shortCode: {
+    type: String,
+    required: true
+  },
+
+  // Custom domain of the clicked link
+  domain: {
+    type: String,
+    default: null
+  },
+
+  // Time of the redirect
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Referring host, e.g. "news.ycombinator.com"
+  referrerHost: {
+    type: String,
+    default: null
+  },
+
+  // Parsed user-agent families
+  browser: String,
+  os: String,
+  device: String,
+
+  // Primary Accept-Language tag, e.g. "en-US"
+  language: {
+    type: String,
+    default: null
+  },
+
+  // Salted hash of the client IP, never the raw address
+  ipHash: {
+    type: String,
+    default: null
+  },
+}, { versionKey: false });
+
+// Compound index used by the analytics aggregation
+clickSchema.index({ domain: 1, shortCode: 1, timestamp: 1 });
+
+/**
+ * Mongoose model for Click documents
+ *
+ * @type {mongoose.Model}
+ */
+const Click = mongoose.model('Click', clickSchema);
+
+export default Click;
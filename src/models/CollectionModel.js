@@ -0,0 +1,63 @@
+/**
+ * Collection Model - MongoDB Schema for Link Collections
+ *
+ * A collection is a named folder that groups an owner's links. Each link
+ * belongs to at most one collection (Link.collectionId holds its id).
+ *
+ * Database Collection: 'collections'
+ *
+ * Schema Fields:
+ * - owner: Owner identifier (from the API key that created it)
+ * - name: Name, unique per owner
+ * - description: Optional label
+ * - createdAt / updatedAt: Timestamps
+ *
+ * Indexes:
+ * - { owner, name }: Unique, and lists an owner's collections by name
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema definition for link collections
+ */
+const collectionSchema = new mongoose.Schema({
+  // Owner identifier - only links of this owner can be added
+  owner: {
+    type: String,
+    default: null
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: null
+  },
+});
+
+// Names are unique per owner
+collectionSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+/**
+ * Mongoose model for Collection documents
+ *
+ * @type {mongoose.Model}
+ */
+const Collection = mongoose.model('Collection', collectionSchema);
+
+export default Collection;
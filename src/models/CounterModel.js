@@ -0,0 +1,40 @@
+/**
+ * Counter Model - MongoDB Schema for Named Sequences
+ *
+ * Each document holds the last value handed out for one sequence, incremented
+ * atomically. Used by the counter short code generator.
+ *
+ * Database Collection: 'counters'
+ *
+ * Schema Fields:
+ * - _id: Sequence name
+ * - value: Last value handed out
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Counter Schema Definition
+ */
+const counterSchema = new mongoose.Schema({
+  // Sequence name
+  _id: {
+    type: String,
+    required: true
+  },
+
+  // Last value handed out
+  value: {
+    type: Number,
+    default: 0
+  },
+}, { versionKey: false });
+
+/**
+ * Mongoose model for Counter documents
+ *
+ * @type {mongoose.Model}
+ */
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
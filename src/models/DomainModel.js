@@ -0,0 +1,88 @@
+/**
+ * Domain Model - MongoDB Schema for Custom Short Domains
+ *
+ * Each document registers a branded hostname that serves short links from
+ * its own code namespace. A domain only serves redirects once its owner has
+ * proven control of it through a DNS TXT record.
+ *
+ * Database Collection: 'domains'
+ *
+ * Schema Fields:
+ * - hostname: Lower-case hostname, e.g. "go.example.com"
+ * - owner: Owner identifier (from the API key that registered it)
+ * - verified / verifiedAt: Whether DNS verification has succeeded
+ * - verificationToken: Value expected in the verification TXT record
+ * - rootRedirectUrl: Where "/" on this domain redirects (optional)
+ * - notFoundUrl: Where unknown codes on this domain redirect (optional)
+ * - createdAt: Timestamp when the domain was registered
+ *
+ * Indexes:
+ * - hostname: Unique index for Host header lookups
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema definition for custom domains
+ */
+const domainSchema = new mongoose.Schema({
+  // Hostname the domain is served on, always stored lower-case
+  hostname: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // Owner identifier - only this owner can use or manage the domain
+  owner: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // Set once the DNS TXT record has been found
+  verified: {
+    type: Boolean,
+    default: false
+  },
+
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Random token the owner publishes in DNS to prove control
+  verificationToken: {
+    type: String,
+    required: true
+  },
+
+  // Optional redirect for requests to the domain root
+  rootRedirectUrl: {
+    type: String,
+    default: null
+  },
+
+  // Optional redirect for unknown short codes on this domain
+  notFoundUrl: {
+    type: String,
+    default: null
+  },
+
+  // Timestamp when the domain was registered
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+});
+
+/**
+ * Mongoose model for Domain documents
+ *
+ * @type {mongoose.Model}
+ */
+const Domain = mongoose.model('Domain', domainSchema);
+
+export default Domain;
@@ -7,19 +7,151 @@
  * Database Collection: 'links'
  *
  * Schema Fields:
- * - shortCode: Unique identifier for the shortened URL (6-8 chars)
+ * - shortCode: Identifier for the shortened URL (6-8 chars), unique per domain
+ * - domain: Custom domain hostname the link is served on (null = default domain)
  * - originalUrl: The full URL that the short code redirects to
+ * - destinationHost: Lower-case hostname of originalUrl, for filtering
  * - clicks: Counter for how many times the link has been accessed
  * - lastClicked: Timestamp of the most recent click
  * - createdAt: Timestamp when the link was first created
+ * - expiresAt: Optional date after which the link stops redirecting
+ * - maxClicks: Optional click budget after which the link stops redirecting
+ * - expired: Set by the expiry sweeper once a link has run out
+ * - activatesAt: Optional date before which the link does not redirect yet
+ * - scheduledChanges: Future destination changes ({ at, originalUrl }, by
+ *   date), applied and removed by the link scheduler once due
+ * - passwordProtected: Whether visitors must unlock the link with a password
+ * - passwordHash: scrypt hash of the link password (never selected by default)
+ * - owner: Owner of the API key that created the link
+ * - revision / updatedAt: Number and time of the latest edit (see RevisionModel)
+ * - disabled / disabledReason / disabledAt: Set when a destination policy
+ *   rescan finds a destination no longer allowed; cleared by editing it
+ * - rules: Ordered routing rules, each sending matching visitors to its own
+ *   destination (see RoutingService); originalUrl is the fallback
+ * - variants / stickyVariants: Weighted A/B destinations used when no rule
+ *   matches, optionally kept per visitor with a cookie
+ * - variantClicks: Click counters per variant name (part of clicks)
+ * - tags: Lower-case labels for filtering the link list
+ * - collectionId: Id of the collection (folder) the link is filed in, or null
+ *   (`collection` itself is reserved by Mongoose)
+ * - preview: Optional social preview card (title, description, image) shown
+ *   to link preview crawlers instead of the destination's
+ * - deletedAt / deletedBy: Set while the link is in the trash, with the
+ *   { owner, keyId } of the API key that deleted it; the code stays taken
+ *   until the trash purge removes the link
  *
  * Indexes:
- * - shortCode: Unique index for fast lookups during redirects
+ * - { domain, shortCode }: Unique index for fast lookups during redirects
  * - createdAt: Index for sorting links by creation date
+ * - { expired, expiresAt }: Lets the expiry sweeper find due links cheaply
+ * - scheduledChanges.at: Lets the link scheduler find due destination changes
+ * - { owner, createdAt|clicks|lastClicked, _id }: Paginated, sorted listing of an owner's links
+ * - destinationHost: Filtering the link list by destination domain
+ * - { owner, tags }: Filtering an owner's links by tag
+ * - { collectionId, clicks }: Listing a collection and finding its most-clicked link
+ * - { owner, deletedAt, _id }: Listing an owner's trash by deletion date
+ * - deletedAt: Lets the trash purge find links past the retention period
  */
 
 import mongoose from 'mongoose';
 
+/**
+ * Schema of a link's social preview card (Open Graph / Twitter card)
+ *
+ * At least one field is set; LinkService validates the values.
+ */
+const previewSchema = new mongoose.Schema({
+  title: { type: String, default: null },
+  description: { type: String, default: null },
+  // Absolute http(s) URL of the card image
+  image: { type: String, default: null },
+}, { _id: false });
+
+/**
+ * Schema of a scheduled destination change
+ */
+const scheduledChangeSchema = new mongoose.Schema({
+  // When the change is due
+  at: {
+    type: Date,
+    required: true
+  },
+
+  // Destination the link switches to
+  originalUrl: {
+    type: String,
+    required: true
+  },
+}, { _id: false });
+
+/**
+ * Schema of the API key that moved a link to the trash
+ */
+const deletedBySchema = new mongoose.Schema({
+  owner: { type: String, default: null },
+  keyId: { type: String, default: null },
+}, { _id: false });
+
+/**
+ * Schema of a single routing rule
+ *
+ * Empty condition lists match everything; a rule needs at least one condition
+ * (enforced by RoutingService, which also normalises the values).
+ */
+const routingRuleSchema = new mongoose.Schema({
+  // User-agent platforms (lower-case OS families, e.g. "ios", "android")
+  platforms: [String],
+
+  // Device classes ("mobile", "tablet", "desktop", "bot")
+  devices: [String],
+
+  // Language tags, matched against the visitor's preferred language
+  languages: [String],
+
+  // ISO 3166-1 alpha-2 country codes, looked up in the GeoIP database
+  countries: [String],
+
+  // Weekly time window in a given timezone (null = any time)
+  time: {
+    type: new mongoose.Schema({
+      days: [String],
+      start: String,
+      end: String,
+      timezone: String
+    }, { _id: false }),
+    default: null
+  },
+
+  // Where matching visitors are sent
+  destination: {
+    type: String,
+    required: true
+  },
+}, { _id: false });
+
+/**
+ * Schema of a single A/B variant
+ */
+const variantSchema = new mongoose.Schema({
+  // Name shown in stats and used as the variantClicks key
+  name: {
+    type: String,
+    required: true
+  },
+
+  destination: {
+    type: String,
+    required: true
+  },
+
+  // Relative share of redirects (0 pauses the variant)
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+}, { _id: false });
+
 /**
  * Mongoose schema definition for URL links
  *
@@ -27,16 +159,22 @@ import mongoose from 'mongoose';
  * Includes field types, required fields, uniqueness constraints, and default values.
  */
 const linkSchema = new mongoose.Schema({
-  // Unique short code that identifies this link (e.g., "abc1234")
-  // Must be 6-8 alphanumeric characters, globally unique across all links
+  // Short code that identifies this link (e.g., "abc1234")
+  // Must be 6-8 alphanumeric characters, unique within its domain
   shortCode: {
     type: String,
     required: true,
-    unique: true,
     minlength: 6,
     maxlength: 8
   },
 
+  // Hostname of the custom domain serving this link
+  // Null means the default domain; each domain has its own code namespace
+  domain: {
+    type: String,
+    default: null
+  },
+
   // The original URL that users want to shorten
   // Must be a valid URL format, no length restrictions
   originalUrl: {
@@ -44,6 +182,12 @@ const linkSchema = new mongoose.Schema({
     required: true
   },
 
+  // Hostname of originalUrl, kept in sync on save and on edits
+  destinationHost: {
+    type: String,
+    default: null
+  },
+
   // Click counter - tracks how many times this link has been accessed
   // Automatically incremented on each redirect
   clicks: {
@@ -64,6 +208,194 @@ const linkSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+
+  // Optional expiry date - redirects return 410 Gone from this moment on
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Optional click budget - redirects return 410 Gone once clicks reach it
+  // Enforced atomically in the same update that increments the counter
+  maxClicks: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+
+  // Flag set by the background sweeper when a link is found to be expired
+  expired: {
+    type: Boolean,
+    default: false
+  },
+
+  // Optional activation date - redirects answer "not yet available" until then
+  activatesAt: {
+    type: Date,
+    default: null
+  },
+
+  // Future destination changes, ordered by date; the link scheduler applies
+  // each one as a revision once due and removes it from the list
+  scheduledChanges: {
+    type: [scheduledChangeSchema],
+    default: []
+  },
+
+  // Whether the link is gated behind a password
+  passwordProtected: {
+    type: Boolean,
+    default: false
+  },
+
+  // scrypt hash of the link password - excluded from queries unless
+  // explicitly requested with .select('+passwordHash')
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Owner identifier taken from the API key that created the link
+  // Null for links created before API keys existed (visible to admins only)
+  owner: {
+    type: String,
+    default: null
+  },
+
+  // Latest revision number - 0 until the link is first edited
+  // Also used for optimistic concurrency control on edits
+  revision: {
+    type: Number,
+    default: 0
+  },
+
+  // Timestamp of the latest edit
+  updatedAt: {
+    type: Date,
+    default: null
+  },
+
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+
+  disabledReason: {
+    type: String,
+    default: null
+  },
+
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+
+  // Routing rules, evaluated in order on every redirect; the first rule
+  // whose conditions all match decides the destination
+  rules: {
+    type: [routingRuleSchema],
+    default: []
+  },
+
+  // Weighted destinations, one picked per redirect when no rule matches
+  variants: {
+    type: [variantSchema],
+    default: []
+  },
+
+  // Whether repeat visitors are sent to the variant they saw first
+  stickyVariants: {
+    type: Boolean,
+    default: false
+  },
+
+  // Clicks per variant name; updated together with clicks
+  variantClicks: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  // Lower-case tags, normalised by LinkService
+  tags: {
+    type: [String],
+    default: []
+  },
+
+  // Id of the collection the link is filed in (null = none)
+  collectionId: {
+    type: String,
+    default: null
+  },
+
+  // Social preview card for link preview crawlers (null = show the destination's)
+  preview: {
+    type: previewSchema,
+    default: null
+  },
+
+  // When the link was moved to the trash (null = live)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+
+  // API key that moved the link to the trash
+  deletedBy: {
+    type: deletedBySchema,
+    default: null
+  },
+});
+
+// Short codes are unique per domain, not globally
+linkSchema.index({ domain: 1, shortCode: 1 }, { unique: true });
+
+// Supports the sweeper's scan for links that are due to expire
+linkSchema.index({ expired: 1, expiresAt: 1 });
+
+// Supports the scheduler's scan for due destination changes
+linkSchema.index({ 'scheduledChanges.at': 1 });
+
+// Support keyset pagination of an owner's links for each sort order;
+// _id breaks ties so cursors are stable
+linkSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+linkSchema.index({ owner: 1, clicks: -1, _id: -1 });
+linkSchema.index({ owner: 1, lastClicked: -1, _id: -1 });
+
+// Unscoped (admin) listing by creation date
+linkSchema.index({ createdAt: -1, _id: -1 });
+
+// Supports filtering by destination domain
+linkSchema.index({ destinationHost: 1 });
+
+// Supports filtering by tag and by collection, and per-collection stats
+linkSchema.index({ owner: 1, tags: 1 });
+linkSchema.index({ collectionId: 1, clicks: -1 });
+
+// Supports listing the trash newest first, and the retention purge
+linkSchema.index({ owner: 1, deletedAt: -1, _id: -1 });
+linkSchema.index({ deletedAt: 1 });
+
+/**
+ * Returns the lower-case hostname of a URL, or null if it can't be parsed
+ *
+ * @param {string} url - URL to inspect
+ * @returns {string|null}
+ */
+export const getDestinationHost = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase() || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Keep destinationHost in sync with originalUrl on document saves
+linkSchema.pre('save', function () {
+  if (this.isModified('originalUrl')) {
+    this.destinationHost = getDestinationHost(this.originalUrl);
+  }
 });
 
 /**
@@ -0,0 +1,96 @@
+/**
+ * Revision Model - MongoDB Schema for Link Edit History
+ *
+ * Each document records one edit of a link (a PATCH, a rollback or a
+ * scheduled destination change): which fields changed, from what to what,
+ * when, and by whom. Revisions are numbered per link starting at 1;
+ * revision 0 is the link as created.
+ *
+ * Database Collection: 'revisions'
+ *
+ * Schema Fields:
+ * - link: Id of the edited link
+ * - revision: Sequential revision number within the link
+ * - type: 'update', 'rollback' or 'schedule' (applied by the link scheduler)
+ * - rolledBackTo: Target revision number for rollbacks
+ * - changes: List of { field, oldValue, newValue }
+ * - changedBy: { owner, keyId } of the API key that made the edit (null for 'schedule')
+ * - createdAt: When the edit happened
+ *
+ * Indexes:
+ * - { link, revision }: Unique, for history listing and rollback lookups
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Schema for a single changed field
+ */
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  oldValue: mongoose.Schema.Types.Mixed,
+  newValue: mongoose.Schema.Types.Mixed,
+}, { _id: false });
+
+/**
+ * Mongoose schema definition for link revisions
+ */
+const revisionSchema = new mongoose.Schema({
+  // Edited link
+  link: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Link',
+    required: true
+  },
+
+  // Sequential number within the link, matching Link.revision after the edit
+  revision: {
+    type: Number,
+    required: true
+  },
+
+  // Whether this was a direct edit, a rollback or a scheduled change
+  type: {
+    type: String,
+    enum: ['update', 'rollback', 'schedule'],
+    default: 'update'
+  },
+
+  // For rollbacks: the revision whose state was restored
+  rolledBackTo: {
+    type: Number,
+    default: null
+  },
+
+  // Field-level changes
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+
+  // Who made the change
+  changedBy: {
+    owner: { type: String, default: null },
+    keyId: { type: String, default: null },
+  },
+
+  // When the change was made
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+}, { versionKey: false });
+
+revisionSchema.index({ link: 1, revision: 1 }, { unique: true });
+
+/**
+ * Mongoose model for Revision documents
+ *
+ * @type {mongoose.Model}
+ */
+const Revision = mongoose.model('Revision', revisionSchema);
+
+export default Revision;
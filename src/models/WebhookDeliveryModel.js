@@ -0,0 +1,139 @@
+/**
+ * Webhook Delivery Model - MongoDB Schema for Queued and Sent Webhook Events
+ *
+ * Each document is one event addressed to one webhook. It doubles as the
+ * delivery queue (pending documents with a due nextAttemptAt), the delivery
+ * log (attempt history) and the dead-letter list (status 'dead').
+ *
+ * Database Collection: 'webhookdeliveries'
+ *
+ * Schema Fields:
+ * - webhook: Subscription the event is addressed to
+ * - owner: Owner of the subscription, for scoping the log
+ * - eventId / event: Id and type of the event
+ * - payload: Event envelope sent as the request body
+ * - status: 'pending' (queued or retrying), 'delivered' or 'dead' (gave up)
+ * - attempts: Attempts made so far
+ * - nextAttemptAt: When the worker may try next (pending deliveries only)
+ * - log: One entry per attempt ({ at, statusCode, error, durationMs })
+ * - deliveredAt / createdAt: Timestamps
+ *
+ * Indexes:
+ * - { status, nextAttemptAt }: The worker's scan for due deliveries
+ * - { webhook, createdAt }: Delivery log of a subscription, newest first
+ * - { owner, status, createdAt }: Dead-letter list of an owner
+ * - createdAt: Deliveries are removed after 30 days
+ */
+
+import mongoose from 'mongoose';
+
+// How long delivery records (including dead letters) are kept
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Schema of a single delivery attempt
+ */
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+
+  // HTTP status of the response; null when no response was received
+  statusCode: {
+    type: Number,
+    default: null
+  },
+
+  // Network error or non-2xx summary; null on success
+  error: {
+    type: String,
+    default: null
+  },
+
+  durationMs: {
+    type: Number,
+    default: null
+  },
+}, { _id: false });
+
+/**
+ * Mongoose schema definition for webhook deliveries
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+
+  owner: {
+    type: String,
+    default: null
+  },
+
+  eventId: {
+    type: String,
+    required: true
+  },
+
+  event: {
+    type: String,
+    required: true
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'dead'],
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  log: {
+    type: [attemptSchema],
+    default: []
+  },
+
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+});
+
+// The worker's scan for deliveries that are due
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Delivery log of a subscription and dead-letter list of an owner, newest first
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ owner: 1, status: 1, createdAt: -1 });
+
+// Drop old delivery records automatically
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+/**
+ * Mongoose model for WebhookDelivery documents
+ *
+ * @type {mongoose.Model}
+ */
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -0,0 +1,85 @@
+/**
+ * Webhook Model - MongoDB Schema for Webhook Subscriptions
+ *
+ * Each document subscribes an HTTP endpoint to link lifecycle events of one
+ * owner. Deliveries are signed with the subscription's secret.
+ *
+ * Database Collection: 'webhooks'
+ *
+ * Schema Fields:
+ * - owner: Owner whose link events are delivered (from the API key that created it)
+ * - url: Endpoint that receives POSTed events
+ * - events: Subscribed event types (see constants/events.js)
+ * - secret: HMAC-SHA256 signing secret (never selected by default)
+ * - description: Optional label
+ * - active: Inactive subscriptions receive no new deliveries
+ * - createdAt / updatedAt: Timestamps
+ *
+ * Indexes:
+ * - { owner, events }: Finding the subscribers of an event
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema definition for webhook subscriptions
+ */
+const webhookSchema = new mongoose.Schema({
+  // Owner identifier - events about this owner's links are delivered
+  owner: {
+    type: String,
+    default: null
+  },
+
+  // Receiving endpoint (http or https)
+  url: {
+    type: String,
+    required: true
+  },
+
+  // Subscribed event types
+  events: {
+    type: [String],
+    required: true
+  },
+
+  // Signing secret - needed in clear text to compute signatures, so only
+  // returned once on creation and excluded from queries unless requested
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  description: {
+    type: String,
+    default: null
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: null
+  },
+});
+
+// Supports looking up the subscribers of an event for a link's owner
+webhookSchema.index({ owner: 1, events: 1 });
+
+/**
+ * Mongoose model for Webhook documents
+ *
+ * @type {mongoose.Model}
+ */
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+export default Webhook;
@@ -0,0 +1,21 @@
+import express from 'express';
+import apiKeyController from '../controllers/apiKey.controller.js';
+import requireApiKey from '../middleware/requireApiKey.js';
+import rateLimit from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Every key management route requires an admin key
+router.use(requireApiKey('admin'));
+router.use(rateLimit('api'));
+
+// Create key
+router.post('/', apiKeyController.createKey);
+
+// List keys
+router.get('/', apiKeyController.listKeys);
+
+// Revoke key
+router.delete('/:id', apiKeyController.revokeKey);
+
+export default router;
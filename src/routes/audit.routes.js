@@ -0,0 +1,11 @@
+import express from 'express';
+import auditController from '../controllers/audit.controller.js';
+import requireApiKey from '../middleware/requireApiKey.js';
+import rateLimit from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// List audit entries (the log is append-only, so there is nothing else)
+router.get('/', requireApiKey('read'), rateLimit('api'), auditController.listEntries);
+
+export default router;
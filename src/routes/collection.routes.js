@@ -0,0 +1,23 @@
+import express from 'express';
+import collectionController from '../controllers/collection.controller.js';
+import requireApiKey from '../middleware/requireApiKey.js';
+import rateLimit from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Create collection
+router.post('/', requireApiKey('write'), rateLimit('api'), collectionController.createCollection);
+
+// List collections with their stats
+router.get('/', requireApiKey('read'), rateLimit('api'), collectionController.listCollections);
+
+// Get collection with its stats
+router.get('/:id', requireApiKey('read'), rateLimit('api'), collectionController.getCollection);
+
+// Update collection
+router.patch('/:id', requireApiKey('write'), rateLimit('api'), collectionController.updateCollection);
+
+// Delete collection (must be empty)
+router.delete('/:id', requireApiKey('write'), rateLimit('api'), collectionController.deleteCollection);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import docsController from '../controllers/docs.controller.js';
+import rateLimit from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// OpenAPI document (public, limited per client IP like redirects)
+router.get('/openapi.json', rateLimit('redirect'), docsController.getOpenApiDocument);
+
+// HTML API reference
+router.get('/docs', rateLimit('redirect'), docsController.getApiDocs);
+
+export default router;
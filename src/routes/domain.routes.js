@@ -0,0 +1,26 @@
+import express from 'express';
+import domainController from '../controllers/domain.controller.js';
+import requireApiKey from '../middleware/requireApiKey.js';
+import rateLimit from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Register domain
+router.post('/', requireApiKey('write'), rateLimit('api'), domainController.addDomain);
+
+// List domains
+router.get('/', requireApiKey('read'), rateLimit('api'), domainController.listDomains);
+
+// Get domain
+router.get('/:hostname', requireApiKey('read'), rateLimit('api'), domainController.getDomain);
+
+// Update domain redirects
+router.patch('/:hostname', requireApiKey('write'), rateLimit('api'), domainController.updateDomain);
+
+// Verify domain ownership
+router.post('/:hostname/verify', requireApiKey('write'), rateLimit('api'), domainController.verifyDomain);
+
+// Remove domain
+router.delete('/:hostname', requireApiKey('write'), rateLimit('api'), domainController.removeDomain);
+
+export default router;
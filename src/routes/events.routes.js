@@ -0,0 +1,11 @@
+import express from 'express';
+import streamController from '../controllers/stream.controller.js';
+import requireApiKey from '../middleware/requireApiKey.js';
+import rateLimit from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Stream click events of all the caller's links (Server-Sent Events)
+router.get('/stream', requireApiKey('read'), rateLimit('api'), streamController.streamAllClicks);
+
+export default router;
@@ -1,21 +1,40 @@
 import express from 'express';
 import os from 'os';
+import linkService from '../services/link.service.js';
+import healthService from '../services/health.service.js';
+import { STATUS } from '../constants/apiStatus.js';
 const router = express.Router();
 
-// Store server start time for uptime calculation
-const serverStartTime = Date.now();
+// Liveness: the process is up and serving requests (stays up while shutting down)
+router.get('/live', (req, res) => {
+  res.status(STATUS.OK).json({
+    status: 'ok',
+    uptimeSeconds: Math.floor(healthService.uptimeMs() / 1000),
+  });
+});
+
+// Readiness: MongoDB is reachable and the instance is not shutting down
+router.get('/ready', async (req, res) => {
+  const { ready, checks } = await healthService.checkReadiness();
+  res.status(ready ? STATUS.OK : STATUS.SERVICE_UNAVAILABLE).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks,
+  });
+});
 
-// Health check
-router.get('/', (req, res) => {
-  const uptime = Date.now() - serverStartTime;
+// Health check; ok (and the status code) follow readiness
+router.get('/', async (req, res) => {
+  const uptime = healthService.uptimeMs();
   const uptimeHours = Math.floor(uptime / (1000 * 60 * 60));
   const uptimeMinutes = Math.floor((uptime % (1000 * 60 * 60)) / (1000 * 60));
+  const { ready, checks } = await healthService.checkReadiness();
 
-  res.status(200).json({
-    ok: true,
+  res.status(ready ? STATUS.OK : STATUS.SERVICE_UNAVAILABLE).json({
+    ok: ready,
     version: '1.0',
     timestamp: new Date().toISOString(),
     uptime: `${uptimeHours}h ${uptimeMinutes}m`,
+    checks,
     system: {
       platform: os.platform(),
       arch: os.arch(),
@@ -26,8 +45,10 @@ router.get('/', (req, res) => {
         used: Math.round((os.totalmem() - os.freemem()) / 1024 / 1024) + 'MB'
       },
       cpu: os.cpus().length + ' cores'
-    }
+    },
+    // Redirect cache hit rate and clicks waiting to be flushed
+    redirect: linkService.getRedirectStats()
   });
 });
 
-export default router;
\ No newline at end of file
+export default router;
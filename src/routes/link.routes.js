@@ -1,22 +1,147 @@
 import express from 'express';
+import env from '../config/env.js';
 import linkController from '../controllers/link.controller.js';
-import validateCode from '../middleware/validateCode.js';
+import streamController from '../controllers/stream.controller.js';
+import validateRequest from '../middleware/validateRequest.js';
+import requireDatabase from '../middleware/requireDatabase.js';
+import requireApiKey from '../middleware/requireApiKey.js';
+import resolveDomain from '../middleware/resolveDomain.js';
+import rateLimit, { limitNotFound } from '../middleware/rateLimit.js';
 
+// Every route is validated against its operation in docs/openapi.js
 const router = express.Router();
 
 // Create link
-router.post('/', linkController.createLink);
+router.post(
+  '/',
+  requireApiKey('write'),
+  rateLimit('create'),
+  validateRequest('createLink'),
+  linkController.createLink
+);
 
 // Get all links
-router.get('/', linkController.getAllLinks);
+router.get('/', requireApiKey('read'), rateLimit('api'), validateRequest('listLinks'), linkController.getAllLinks);
 
-// Get link stats
-router.get('/:code', validateCode, linkController.getLinkStats);
+// Bulk create links (JSON array or CSV upload)
+router.post(
+  '/bulk',
+  requireApiKey('write'),
+  rateLimit('create'),
+  express.text({ type: ['text/csv', 'application/csv'], limit: env.BODY_LIMIT }),
+  validateRequest('bulkCreateLinks'),
+  linkController.bulkCreateLinks
+);
 
-// Delete link
-router.delete('/:code', validateCode, linkController.deleteLink);
+// Add or remove tags on many links
+router.post(
+  '/bulk/tag',
+  requireApiKey('write'),
+  rateLimit('api'),
+  validateRequest('bulkTagLinks'),
+  linkController.bulkTagLinks
+);
 
-// Redirect
-router.get('/:code/redirect', validateCode, linkController.redirectLink);
+// Move many links into or out of a collection
+router.post(
+  '/bulk/move',
+  requireApiKey('write'),
+  rateLimit('api'),
+  validateRequest('bulkMoveLinks'),
+  linkController.bulkMoveLinks
+);
 
-export default router;
\ No newline at end of file
+// Export links (registered before /:code, which "export" would also match)
+router.get('/export', requireApiKey('read'), rateLimit('api'), validateRequest('exportLinks'), linkController.exportLinks);
+
+// Suggest available vanity codes (also registered before /:code)
+router.get('/suggest', requireApiKey('read'), rateLimit('api'), validateRequest('suggestCodes'), linkController.suggestCodes);
+
+// List deleted links (also registered before /:code)
+router.get('/trash', requireApiKey('read'), rateLimit('api'), validateRequest('listTrash'), linkController.listTrash);
+
+// Get link stats (unknown codes also count towards the enumeration limit)
+router.get(
+  '/:code',
+  requireApiKey('read'),
+  rateLimit('api'),
+  validateRequest('getLinkStats'),
+  limitNotFound(),
+  linkController.getLinkStats
+);
+
+// Get link click analytics (click events need MongoDB)
+router.get(
+  '/:code/analytics',
+  requireApiKey('read'),
+  rateLimit('api'),
+  requireDatabase,
+  validateRequest('getLinkAnalytics'),
+  linkController.getLinkAnalytics
+);
+
+// Stream the link's clicks as they happen (Server-Sent Events)
+router.get(
+  '/:code/stream',
+  requireApiKey('read'),
+  rateLimit('api'),
+  validateRequest('streamLinkClicks'),
+  streamController.streamLinkClicks
+);
+
+// Render QR code for the short URL
+router.get('/:code/qr', requireApiKey('read'), rateLimit('api'), validateRequest('getLinkQr'), linkController.getLinkQr);
+
+// Dry-run the routing rules for a simulated visitor
+router.post(
+  '/:code/routing/test',
+  requireApiKey('read'),
+  rateLimit('api'),
+  validateRequest('testRouting'),
+  linkController.testRouting
+);
+
+// Edit link
+router.patch('/:code', requireApiKey('write'), rateLimit('api'), validateRequest('updateLink'), linkController.updateLink);
+
+// Get link edit history
+router.get(
+  '/:code/history',
+  requireApiKey('read'),
+  rateLimit('api'),
+  validateRequest('getLinkHistory'),
+  linkController.getLinkHistory
+);
+
+// Roll back to a revision
+router.post(
+  '/:code/rollback/:revision',
+  requireApiKey('write'),
+  rateLimit('api'),
+  validateRequest('rollbackLink'),
+  linkController.rollbackLink
+);
+
+// Delete link (moves it to the trash)
+router.delete('/:code', requireApiKey('write'), rateLimit('api'), validateRequest('deleteLink'), linkController.deleteLink);
+
+// Restore a link from the trash
+router.post(
+  '/:code/restore',
+  requireApiKey('write'),
+  rateLimit('api'),
+  validateRequest('restoreLink'),
+  linkController.restoreLink
+);
+
+// Redirect (public, like GET /:code)
+router.get(
+  '/:code/redirect',
+  rateLimit('redirect'),
+  validateRequest('redirectLinkViaApi'),
+  limitNotFound(),
+  resolveDomain,
+  linkController.redirectLink
+);
+
+export default router;
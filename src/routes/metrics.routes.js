@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+import express from 'express';
+import metricsService from '../services/metrics.service.js';
+import env from '../config/env.js';
+import { METRICS_CONTENT_TYPE } from '../utils/metrics.js';
+import { STATUS } from '../constants/apiStatus.js';
+
+const router = express.Router();
+
+/**
+ * Checks the scraper's bearer token when METRICS_TOKEN is set
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+const isAuthorized = (req) => {
+  if (!env.METRICS_TOKEN) return true;
+  const [scheme, token = ''] = (req.get('authorization') || '').split(' ');
+  const expected = Buffer.from(env.METRICS_TOKEN);
+  const given = Buffer.from(token);
+  return scheme.toLowerCase() === 'bearer' && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Prometheus metrics in the text exposition format
+router.get('/', (req, res) => {
+  if (!isAuthorized(req)) {
+    return res.status(STATUS.UNAUTHORIZED).type('text').send('Unauthorized');
+  }
+  res.status(STATUS.OK).type(METRICS_CONTENT_TYPE).send(metricsService.render());
+});
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import policyController from '../controllers/policy.controller.js';
+import requireApiKey from '../middleware/requireApiKey.js';
+import rateLimit from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Every policy route requires an admin key
+router.use(requireApiKey('admin'));
+router.use(rateLimit('api'));
+
+// Show policy
+router.get('/', policyController.getPolicy);
+
+// Reload policy file
+router.post('/reload', policyController.reloadPolicy);
+
+// Rescan existing links
+router.post('/rescan', policyController.rescanLinks);
+
+export default router;
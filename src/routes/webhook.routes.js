@@ -0,0 +1,40 @@
+import express from 'express';
+import webhookController from '../controllers/webhook.controller.js';
+import requireApiKey from '../middleware/requireApiKey.js';
+import rateLimit from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Create webhook
+router.post('/', requireApiKey('write'), rateLimit('api'), webhookController.createWebhook);
+
+// List webhooks
+router.get('/', requireApiKey('read'), rateLimit('api'), webhookController.listWebhooks);
+
+// List dead-lettered deliveries (must come before /:id)
+router.get('/dead-letters', requireApiKey('read'), rateLimit('api'), webhookController.listDeadLetters);
+
+// Get webhook
+router.get('/:id', requireApiKey('read'), rateLimit('api'), webhookController.getWebhook);
+
+// Update webhook
+router.patch('/:id', requireApiKey('write'), rateLimit('api'), webhookController.updateWebhook);
+
+// Delete webhook
+router.delete('/:id', requireApiKey('write'), rateLimit('api'), webhookController.deleteWebhook);
+
+// Send a test event
+router.post('/:id/ping', requireApiKey('write'), rateLimit('api'), webhookController.pingWebhook);
+
+// Delivery log
+router.get('/:id/deliveries', requireApiKey('read'), rateLimit('api'), webhookController.listDeliveries);
+
+// Re-send a delivery
+router.post(
+  '/:id/deliveries/:deliveryId/retry',
+  requireApiKey('write'),
+  rateLimit('api'),
+  webhookController.retryDelivery
+);
+
+export default router;
@@ -8,7 +8,7 @@
  * - Creating short links with custom or AI-generated codes
  * - Retrieving link statistics and analytics
  * - Redirecting short URLs to their original destinations
- * - Health monitoring and system status
+ * - Health monitoring, readiness/liveness probes and Prometheus metrics
  *
  * Architecture:
  * - Express.js for HTTP server and routing
@@ -17,17 +17,101 @@
  * - Environment-based configuration
  */
 
+import mongoose from 'mongoose';
 import app from './app.js';
 import connectDB from './config/db.js';
 import env from './config/env.js';
+import { startExpirySweeper, stopExpirySweeper } from './jobs/expirySweeper.js';
+import { startTrashPurger, stopTrashPurger } from './jobs/trashPurger.js';
+import { startLinkScheduler, stopLinkScheduler } from './jobs/linkScheduler.js';
+import { startWebhookWorker, stopWebhookWorker } from './jobs/webhookWorker.js';
+import clickBuffer from './services/clickBuffer.service.js';
+import clickStream from './services/clickStream.service.js';
+import healthService from './services/health.service.js';
+import storage from './storage/index.js';
+import destinationPolicy from './services/destinationPolicy.service.js';
+import geoipService from './services/geoip.service.js';
+import logger from './utils/logger.js';
+
+// HTTP server handle, kept for shutdown
+let server = null;
+
+/**
+ * Stops accepting connections and waits for in-flight requests to finish
+ *
+ * Idle keep-alive connections are closed right away. Requests still running
+ * after SHUTDOWN_TIMEOUT_MS have their connections closed so shutdown can't
+ * hang on a stuck client.
+ *
+ * @function drainServer
+ * @returns {Promise<void>}
+ */
+const drainServer = () => new Promise((resolve, reject) => {
+  if (!server) return resolve();
+
+  const timer = setTimeout(() => {
+    logger.warn('Requests still running at shutdown timeout, closing their connections', { timeoutMs: env.SHUTDOWN_TIMEOUT_MS });
+    server.closeAllConnections();
+  }, env.SHUTDOWN_TIMEOUT_MS);
+
+  server.close((error) => {
+    clearTimeout(timer);
+    if (error) reject(error);
+    else resolve();
+  });
+  server.closeIdleConnections();
+});
+
+/**
+ * Stops the server gracefully
+ *
+ * Readiness fails first, then in-flight requests are drained, buffered clicks
+ * are flushed and the database connections are closed.
+ *
+ * @async
+ * @function shutdown
+ * @param {string} signal - Signal that triggered the shutdown
+ * @returns {Promise<void>}
+ */
+const shutdown = async (signal) => {
+  // SIGINT after SIGTERM (or the reverse) must not start another shutdown
+  if (healthService.draining) return;
+  healthService.startDraining();
+
+  logger.info('Shutting down', { signal });
+  try {
+    stopExpirySweeper();
+    stopTrashPurger();
+    stopLinkScheduler();
+    stopWebhookWorker();
+
+    // End open event streams, which would otherwise keep the server from closing
+    clickStream.closeAll();
+
+    // Stop accepting connections; in-flight requests still complete
+    await drainServer();
+
+    // Write clicks that are still only counted in memory
+    await clickBuffer.stop();
+    await storage.close();
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Shutdown failed', { error });
+    process.exit(1);
+  }
+};
 
 /**
  * Starts the server after establishing database connection
  *
  * This function performs the following steps:
- * 1. Connects to MongoDB database
+ * 1. Connects to MongoDB database (unless running without it, see config/db.js)
  * 2. Starts the Express server on the configured port
- * 3. Handles any startup errors gracefully
+ * 3. Starts background jobs (expiry sweeper, trash purge, scheduled changes, click flushing,
+ *    webhook deliveries)
+ * 4. Handles any startup errors gracefully
  *
  * @async
  * @function startServer
@@ -35,19 +119,54 @@ import env from './config/env.js';
  */
 const startServer = async () => {
   try {
-    // Establish connection to MongoDB database
+    // Establish connection to MongoDB database, if one is used
     await connectDB();
 
     // Start the Express server and listen for incoming requests
-    app.listen(env.PORT, () => {
-      console.log(`Server running on port ${env.PORT}`);
+    server = app.listen(env.PORT, () => {
+      logger.info('Server listening', { port: env.PORT });
     });
+
+    // Periodically mark or purge links past their expiry date or click budget
+    startExpirySweeper();
+
+    // Periodically remove links that have been in the trash past the retention period
+    startTrashPurger();
+
+    // Apply scheduled destination changes as they come due, catching up on missed ones
+    startLinkScheduler();
+
+    // Periodically write buffered click counts
+    clickBuffer.start();
+
+    // Send due and retried webhook deliveries (webhooks need MongoDB)
+    if (env.MONGODB_ENABLED) startWebhookWorker();
   } catch (error) {
     // Log the error and exit the process if server startup fails
-    console.error('Failed to start server:', error);
+    logger.error('Server failed to start', { error });
     process.exit(1);
   }
 };
 
+// Re-read the destination policy file and GeoIP database on SIGHUP
+process.on('SIGHUP', () => {
+  try {
+    destinationPolicy.reload();
+    logger.info('Destination policy reloaded');
+  } catch (error) {
+    logger.error('Destination policy not reloaded', { error });
+  }
+
+  try {
+    if (geoipService.reload()) logger.info('GeoIP database reloaded');
+  } catch (error) {
+    logger.error('GeoIP database not reloaded', { error });
+  }
+});
+
+// Drain requests, flush buffered clicks and close the database on termination
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 // Initialize the server startup process
 startServer();
\ No newline at end of file
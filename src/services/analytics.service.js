@@ -0,0 +1,221 @@
+/**
+ * Analytics Service - Click Event Logging and Time-Series Statistics
+ *
+ * Records one event per redirect and answers "when and from where did this
+ * link get traffic" by aggregating those events.
+ *
+ * Responsibilities:
+ * - Persisting click events produced by the redirect handler
+ * - Bucketing clicks by hour, day or week over a requested range
+ * - Ranking top referrers, devices and languages
+ * - Removing the events of deleted links
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns (client info is passed in)
+ * - Uses the Click model and MongoDB aggregation
+ * - Throws errors carrying MESSAGES constants for invalid queries
+ */
+
+import Click from '../models/ClickModel.js';
+import env from '../config/env.js';
+import { MESSAGES } from '../constants/messages.js';
+import { ValidationError } from '../utils/errors.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Supported bucket sizes and their width in milliseconds
+const INTERVALS = {
+  hour: HOUR_MS,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+};
+
+// Default query window when no range is supplied
+const DEFAULT_RANGE_MS = 7 * DAY_MS;
+
+// Upper bound on buckets per response, to keep responses chart-sized
+const MAX_BUCKETS = 1000;
+
+// Number of entries returned in each "top" list
+const TOP_LIMIT = 10;
+
+/**
+ * Truncates a date to the start of its UTC bucket (weeks start on Monday)
+ *
+ * @param {Date} date - Date to truncate
+ * @param {string} interval - One of hour, day, week
+ * @returns {Date}
+ */
+const truncateDate = (date, interval) => {
+  const d = new Date(date);
+  d.setUTCMinutes(0, 0, 0);
+  if (interval === 'hour') return d;
+
+  d.setUTCHours(0);
+  if (interval === 'day') return d;
+
+  // getUTCDay() is 0 for Sunday; shift so Monday is day 0
+  const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+  d.setUTCDate(d.getUTCDate() - daysSinceMonday);
+  return d;
+};
+
+/**
+ * Service class for click analytics
+ * Uses singleton pattern - exported as instantiated object
+ */
+class AnalyticsService {
+
+  /**
+   * Records a single click event for a link
+   *
+   * Click events are not kept without MongoDB; the link's click count still is.
+   *
+   * @async
+   * @param {Object} link - The clicked link document
+   * @param {Object} clientInfo - Output of utils/clientInfo
+   * @returns {Promise<Object|null>} Created click document, or null without MongoDB
+   */
+  async recordClick(link, clientInfo = {}) {
+    if (!env.MONGODB_ENABLED) return null;
+    return await Click.create({
+      shortCode: link.shortCode,
+      domain: link.domain ?? null,
+      timestamp: new Date(),
+      referrerHost: clientInfo.referrerHost,
+      browser: clientInfo.browser,
+      os: clientInfo.os,
+      device: clientInfo.device,
+      language: clientInfo.language,
+      ipHash: clientInfo.ipHash,
+    });
+  }
+
+  /**
+   * Parses and validates an analytics query
+   *
+   * @param {Object} query - Raw query values
+   * @param {string} [query.from] - ISO date, inclusive lower bound
+   * @param {string} [query.to] - ISO date, exclusive upper bound
+   * @param {string} [query.interval] - hour, day or week (default day)
+   * @returns {{ from: Date, to: Date, interval: string }}
+   * @throws {Error} If the interval, dates or bucket count are invalid
+   */
+  parseQuery({ from, to, interval = 'day' } = {}) {
+    if (!INTERVALS[interval]) {
+      throw new ValidationError(MESSAGES.INVALID_INTERVAL);
+    }
+
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_RANGE_MS);
+
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime()) || fromDate >= toDate) {
+      throw new ValidationError(MESSAGES.INVALID_DATE_RANGE);
+    }
+
+    if ((toDate - fromDate) / INTERVALS[interval] > MAX_BUCKETS) {
+      throw new ValidationError(MESSAGES.RANGE_TOO_LARGE);
+    }
+
+    return { from: fromDate, to: toDate, interval };
+  }
+
+  /**
+   * Aggregates click events for a link over a time range
+   *
+   * Buckets with no clicks are included with a count of 0 so the series
+   * can be charted directly.
+   *
+   * @async
+   * @param {Object} link - The link document to report on
+   * @param {Object} query - See parseQuery
+   * @returns {Promise<Object>} Range, total, bucketed series and top lists
+   * @throws {Error} If the query is invalid
+   */
+  async getLinkAnalytics(link, query) {
+    const { from, to, interval } = this.parseQuery(query);
+    const { shortCode } = link;
+    const domain = link.domain ?? null;
+
+    const topBy = (field) => [
+      { $group: { _id: `$${field}`, clicks: { $sum: 1 } } },
+      { $sort: { clicks: -1, _id: 1 } },
+      { $limit: TOP_LIMIT },
+      { $project: { _id: 0, value: '$_id', clicks: 1 } },
+    ];
+
+    const [result] = await Click.aggregate([
+      { $match: { domain, shortCode, timestamp: { $gte: from, $lt: to } } },
+      {
+        $facet: {
+          total: [{ $count: 'clicks' }],
+          uniqueVisitors: [
+            { $match: { ipHash: { $ne: null } } },
+            { $group: { _id: '$ipHash' } },
+            { $count: 'count' },
+          ],
+          series: [
+            {
+              $group: {
+                _id: {
+                  $dateTrunc: { date: '$timestamp', unit: interval, startOfWeek: 'monday' },
+                },
+                clicks: { $sum: 1 },
+              },
+            },
+          ],
+          referrers: topBy('referrerHost'),
+          devices: topBy('device'),
+          browsers: topBy('browser'),
+          os: topBy('os'),
+          languages: topBy('language'),
+        },
+      },
+    ]);
+
+    // Fill in empty buckets between from and to
+    const counts = new Map(result.series.map((b) => [b._id.getTime(), b.clicks]));
+    const series = [];
+    // UTC has no DST, so buckets are a fixed width apart
+    const step = INTERVALS[interval];
+    for (let t = truncateDate(from, interval).getTime(); t < to.getTime(); t += step) {
+      series.push({ bucket: new Date(t), clicks: counts.get(t) || 0 });
+    }
+
+    return {
+      shortCode,
+      domain,
+      from,
+      to,
+      interval,
+      totalClicks: result.total[0]?.clicks || 0,
+      uniqueVisitors: result.uniqueVisitors[0]?.count || 0,
+      series,
+      top: {
+        referrers: result.referrers,
+        devices: result.devices,
+        browsers: result.browsers,
+        os: result.os,
+        languages: result.languages,
+      },
+    };
+  }
+
+  /**
+   * Deletes the click events of links that were removed
+   *
+   * @async
+   * @param {Array<Object>} links - Links with domain and shortCode
+   * @returns {Promise<void>}
+   */
+  async deleteClicks(links) {
+    if (links.length === 0 || !env.MONGODB_ENABLED) return;
+    await Click.deleteMany({
+      $or: links.map((link) => ({ domain: link.domain ?? null, shortCode: link.shortCode })),
+    });
+  }
+}
+
+// Export singleton instance of the service
+export default new AnalyticsService();
@@ -0,0 +1,165 @@
+/**
+ * API Key Service - Business Logic for API Key Management
+ *
+ * Creates, lists, revokes and authenticates API keys.
+ *
+ * Responsibilities:
+ * - Generating high-entropy keys and storing only their hash
+ * - Validating owners and scopes
+ * - Resolving a presented key to its owner and scopes
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns
+ * - Used by the admin API, the CLI and the requireApiKey middleware
+ * - Throws errors carrying MESSAGES constants
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ApiKey, { SCOPES } from '../models/ApiKeyModel.js';
+import env from '../config/env.js';
+import { MESSAGES } from '../constants/messages.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Every key starts with this marker so leaked keys are easy to recognise
+const KEY_PREFIX = 'tl_';
+
+// lastUsedAt is only written when it is at least this old, so authenticating
+// doesn't cost a database write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Key document standing in for ADMIN_API_KEY when running without MongoDB
+const STATIC_ADMIN_KEY = Object.freeze({ _id: 'admin', owner: 'admin', scopes: ['admin'], lastUsedAt: null });
+
+// Owners are free-form identifiers, but keep them simple and bounded
+const OWNER_REGEX = /^[A-Za-z0-9._@-]{1,64}$/;
+
+/**
+ * Hashes a raw API key for storage or lookup
+ *
+ * @param {string} key - Raw API key
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Service class for API key business logic
+ * Uses singleton pattern - exported as instantiated object
+ */
+class ApiKeyService {
+
+  /**
+   * Creates a new API key
+   *
+   * The raw key is returned only from this method and cannot be recovered
+   * afterwards.
+   *
+   * @async
+   * @param {Object} params
+   * @param {string} params.owner - Owner identifier
+   * @param {string} [params.name] - Label for the key
+   * @param {string[]} [params.scopes] - Scopes to grant (default read, write)
+   * @returns {Promise<{ key: string, apiKey: Object }>} Raw key and stored document
+   * @throws {Error} If the owner or scopes are invalid
+   */
+  async createKey({ owner, name = '', scopes = ['read', 'write'] } = {}) {
+    if (typeof owner !== 'string' || !OWNER_REGEX.test(owner)) {
+      throw new ValidationError(MESSAGES.INVALID_OWNER);
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((s) => SCOPES.includes(s))) {
+      throw new ValidationError(MESSAGES.INVALID_SCOPES);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      name: String(name).slice(0, 100),
+      owner,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(key),
+      scopes: [...new Set(scopes)],
+    });
+
+    return { key, apiKey };
+  }
+
+  /**
+   * Lists API keys, optionally for a single owner
+   *
+   * @async
+   * @param {string} [owner] - Restrict to this owner
+   * @returns {Promise<Array>} Key documents (without hashes)
+   */
+  async listKeys(owner) {
+    const filter = owner ? { owner } : {};
+    return await ApiKey.find(filter).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revokes an API key by id
+   *
+   * @async
+   * @param {string} id - Key document id
+   * @returns {Promise<Object>} The revoked key document
+   * @throws {Error} If the key doesn't exist
+   */
+  async revokeKey(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new NotFoundError(MESSAGES.API_KEY_NOT_FOUND);
+    }
+
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) {
+      throw new NotFoundError(MESSAGES.API_KEY_NOT_FOUND);
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+    return apiKey;
+  }
+
+  /**
+   * Resolves a raw API key to its active key document
+   *
+   * lastUsedAt is accurate to LAST_USED_RESOLUTION_MS. The update is not
+   * waited for, and a failed one is only logged. Without MongoDB no keys are
+   * stored and only ADMIN_API_KEY (if set) is accepted, as an admin key.
+   *
+   * @async
+   * @param {string} key - Raw API key presented by a client
+   * @returns {Promise<Object|null>} Key document, or null if unknown or revoked
+   */
+  async authenticate(key) {
+    if (typeof key !== 'string') return null;
+
+    if (!env.MONGODB_ENABLED) {
+      const matches = env.ADMIN_API_KEY
+        && crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(env.ADMIN_API_KEY), 'hex'));
+      return matches ? STATIC_ADMIN_KEY : null;
+    }
+
+    if (!key.startsWith(KEY_PREFIX)) return null;
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null });
+    if (!apiKey) return null;
+
+    const now = new Date();
+    const stale = new Date(now.getTime() - LAST_USED_RESOLUTION_MS);
+    if (!apiKey.lastUsedAt || apiKey.lastUsedAt <= stale) {
+      apiKey.lastUsedAt = now;
+      // Conditional, so concurrent requests with the same key write it once
+      ApiKey.updateOne(
+        { _id: apiKey._id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lte: stale } }] },
+        { $set: { lastUsedAt: now } }
+      ).catch((error) => logger.warn('API key lastUsedAt not updated', { keyId: String(apiKey._id), error }));
+    }
+    return apiKey;
+  }
+}
+
+// Export singleton instance of the service
+export default new ApiKeyService();
@@ -0,0 +1,182 @@
+/**
+ * Audit Service - Append-Only Log of Link Changes
+ *
+ * Every create, update, delete, restore and purge of a link is recorded with
+ * the API key that made it and the request it came in on, so "who changed
+ * this link, and when?" can be answered after the fact, even for links that
+ * have since been purged.
+ *
+ * Responsibilities:
+ * - Recording audit entries (called by LinkService)
+ * - Listing entries with filters and cursor pagination (owner-scoped)
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns
+ * - Uses the AuditEntry model, which refuses updates and deletes
+ * - Throws errors carrying MESSAGES constants
+ */
+
+import AuditEntry from '../models/AuditEntryModel.js';
+import env from '../config/env.js';
+import { AUDIT_ACTIONS } from '../constants/audit.js';
+import { MESSAGES } from '../constants/messages.js';
+import { ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Page size bounds for the audit log
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Cursors are entry ids
+const CURSOR_REGEX = /^[0-9a-f]{24}$/i;
+
+// Longest user agent kept per entry
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Parses an optional date query value
+ *
+ * @param {*} value - Raw value
+ * @returns {Date|undefined}
+ * @throws {Error} If the value is present but not a valid date
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new ValidationError(MESSAGES.INVALID_LIST_FILTER);
+  }
+  return date;
+};
+
+/**
+ * Parses an optional page size
+ *
+ * @param {*} value - Raw limit
+ * @returns {number}
+ * @throws {Error} If the value is not an integer within bounds
+ */
+const parseLimit = (value) => {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ValidationError(MESSAGES.INVALID_LIST_LIMIT);
+  }
+  return limit;
+};
+
+/**
+ * Picks the request metadata kept with an entry
+ *
+ * @param {Object} [request] - { ip, userAgent, method, path } from the controller
+ * @returns {Object|null}
+ */
+const requestMeta = (request) => request && {
+  ip: request.ip ?? null,
+  userAgent: request.userAgent?.slice(0, MAX_USER_AGENT_LENGTH) ?? null,
+  method: request.method ?? null,
+  path: request.path ?? null,
+};
+
+/**
+ * Service class for the link audit log
+ * Uses singleton pattern - exported as instantiated object
+ */
+class AuditService {
+
+  /**
+   * Appends an entry to the audit log
+   *
+   * The change being recorded has already happened, so this never throws:
+   * any failure, including building the entry, is logged instead. Without
+   * MongoDB nothing is recorded.
+   *
+   * @async
+   * @param {string} action - One of AUDIT_ACTIONS
+   * @param {Object} link - Link the change is about (_id, shortCode, domain, owner)
+   * @param {Object|null} [actor] - Who made the change ({ owner, keyId, request });
+   *   null or empty for background jobs
+   * @param {Object|null} [details] - Action-specific data
+   * @returns {Promise<void>}
+   */
+  async record(action, link, actor = null, details = null) {
+    if (!env.MONGODB_ENABLED) return;
+
+    try {
+      const byKey = actor && (actor.owner != null || actor.keyId != null);
+      await AuditEntry.create({
+        action,
+        link: { id: String(link._id), shortCode: link.shortCode, domain: link.domain ?? null },
+        owner: link.owner ?? null,
+        actor: byKey ? { owner: actor.owner ?? null, keyId: actor.keyId ?? null } : null,
+        request: requestMeta(actor?.request),
+        details,
+      });
+    } catch (error) {
+      logger.error('Audit log write failed', { action, shortCode: link?.shortCode, error });
+    }
+  }
+
+  /**
+   * Lists audit entries, newest first
+   *
+   * @async
+   * @param {string} [owner] - Only list entries about this owner's links
+   * @param {Object} [query]
+   * @param {string} [query.action] - One of AUDIT_ACTIONS
+   * @param {string} [query.code] - Short code of the link
+   * @param {string} [query.domain] - Custom domain of the link
+   * @param {string} [query.keyId] - Id of the API key that made the change
+   * @param {string} [query.from] - ISO date, inclusive
+   * @param {string} [query.to] - ISO date, exclusive
+   * @param {number|string} [query.limit] - Page size, 1-200 (default 50)
+   * @param {string} [query.cursor] - nextCursor from the previous page
+   * @returns {Promise<{ entries: Array<Object>, nextCursor: string|null }>}
+   * @throws {Error} If a filter, the limit or the cursor is invalid
+   */
+  async listEntries(owner, {
+    action, code, domain, keyId, from, to, limit, cursor,
+  } = {}) {
+    const filter = owner === undefined ? {} : { owner };
+
+    if (action !== undefined && action !== '') {
+      if (!Object.values(AUDIT_ACTIONS).includes(action)) {
+        throw new ValidationError(MESSAGES.INVALID_AUDIT_ACTION);
+      }
+      filter.action = action;
+    }
+
+    for (const [field, value] of [['link.shortCode', code], ['link.domain', domain], ['actor.keyId', keyId]]) {
+      if (value === undefined || value === '') continue;
+      if (typeof value !== 'string') {
+        throw new ValidationError(MESSAGES.INVALID_LIST_FILTER);
+      }
+      filter[field] = field === 'link.domain' ? value.toLowerCase() : value;
+    }
+
+    const createdFrom = parseDate(from);
+    const createdTo = parseDate(to);
+    if (createdFrom || createdTo) {
+      filter.createdAt = { ...(createdFrom && { $gte: createdFrom }), ...(createdTo && { $lt: createdTo }) };
+    }
+
+    // Ids grow with creation time, so the last id seen marks the page boundary
+    if (cursor !== undefined && cursor !== '') {
+      if (typeof cursor !== 'string' || !CURSOR_REGEX.test(cursor)) {
+        throw new ValidationError(MESSAGES.INVALID_CURSOR);
+      }
+      filter._id = { $lt: cursor };
+    }
+
+    // Fetch one extra entry to know whether another page exists
+    const pageSize = parseLimit(limit);
+    const entries = await AuditEntry.find(filter).sort({ _id: -1 }).limit(pageSize + 1).lean();
+
+    const hasMore = entries.length > pageSize;
+    const page = hasMore ? entries.slice(0, pageSize) : entries;
+    return { entries: page, nextCursor: hasMore ? String(page[page.length - 1]._id) : null };
+  }
+}
+
+// Export singleton instance of the service
+export default new AuditService();
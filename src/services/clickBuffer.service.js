@@ -0,0 +1,191 @@
+/**
+ * Click Buffer Service - Batched Click Counter Writes
+ *
+ * Aggregates click increments in memory and periodically flushes them to
+ * link storage in one batch (a single unordered bulk write of atomic $inc
+ * updates on MongoDB), so a redirect no longer waits on a database write.
+ *
+ * Responsibilities:
+ * - Accumulating per-link (and per A/B variant) click counts and latest click time
+ * - Periodic and on-demand (shutdown) flushing
+ * - Re-queueing counts when a flush fails, so clicks are not lost
+ * - Emitting 'flush' with the new totals and the written counts after each flush
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns
+ * - Links with a click budget bypass the buffer (see LinkService), since
+ *   their limit must be enforced atomically per click
+ */
+
+import { EventEmitter } from 'events';
+import storage from '../storage/index.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Service class for buffered click counting
+ * Uses singleton pattern - exported as instantiated object
+ */
+class ClickBufferService extends EventEmitter {
+
+  constructor() {
+    super();
+    // linkId -> { count, lastClicked, variants: { name -> count } }
+    this.pending = new Map();
+    this.timer = null;
+    this.flushing = null;
+    this.flushes = 0;
+    this.flushErrors = 0;
+    this.flushedClicks = 0;
+  }
+
+  /**
+   * Queues one click for a link
+   *
+   * @param {Object} link - Link (document or cached snapshot) with an _id
+   * @param {Date} [at] - Click time
+   * @param {string|null} [variant] - A/B variant the visitor was sent to
+   * @returns {void}
+   */
+  record(link, at = new Date(), variant = null) {
+    this.merge(String(link._id), { count: 1, lastClicked: at, variants: variant ? { [variant]: 1 } : {} });
+
+    // Don't let a burst across many links grow the buffer without bound
+    if (this.pending.size >= env.CLICK_BUFFER_MAX_LINKS) {
+      this.flush().catch(() => {});
+    }
+  }
+
+  /**
+   * Adds counts to a link's pending entry
+   *
+   * @param {string} key - Link id
+   * @param {Object} counts - { count, lastClicked, variants }
+   * @returns {void}
+   */
+  merge(key, { count, lastClicked, variants }) {
+    const entry = this.pending.get(key);
+    if (!entry) {
+      this.pending.set(key, { count, lastClicked, variants: { ...variants } });
+      return;
+    }
+
+    entry.count += count;
+    if (lastClicked > entry.lastClicked) entry.lastClicked = lastClicked;
+    for (const [name, n] of Object.entries(variants)) {
+      entry.variants[name] = (entry.variants[name] ?? 0) + n;
+    }
+  }
+
+  /**
+   * Returns clicks recorded for a link but not yet written to the database
+   *
+   * @param {Object} link - Link with an _id
+   * @returns {number}
+   */
+  pendingFor(link) {
+    return this.pending.get(String(link._id))?.count || 0;
+  }
+
+  /**
+   * Returns per-variant clicks recorded for a link but not yet written
+   *
+   * @param {Object} link - Link with an _id
+   * @returns {Object} Variant name -> pending clicks
+   */
+  pendingVariantsFor(link) {
+    return this.pending.get(String(link._id))?.variants || {};
+  }
+
+  /**
+   * Writes all pending counts to the database
+   *
+   * Concurrent calls share the in-flight flush. On failure the counts are
+   * merged back into the buffer for the next attempt.
+   *
+   * @async
+   * @returns {Promise<number>} Number of clicks written
+   */
+  async flush() {
+    if (this.flushing) return this.flushing;
+    if (this.pending.size === 0) return 0;
+
+    const batch = this.pending;
+    this.pending = new Map();
+
+    this.flushing = (async () => {
+      const counts = [...batch].map(([id, { count, lastClicked, variants }]) => ({ id, count, lastClicked, variants }));
+
+      try {
+        const updated = await storage.addClicks(counts);
+        const written = [...batch.values()].reduce((sum, { count }) => sum + count, 0);
+        this.flushes += 1;
+        this.flushedClicks += written;
+        try {
+          this.emit('flush', updated, counts);
+        } catch (error) {
+          // The clicks are stored; a listener failure must not re-queue them
+          logger.error('Click flush listener failed', { error });
+        }
+        return written;
+      } catch (error) {
+        this.flushErrors += 1;
+        for (const [id, entry] of batch) {
+          this.merge(id, entry);
+        }
+        throw error;
+      } finally {
+        this.flushing = null;
+      }
+    })();
+
+    return this.flushing;
+  }
+
+  /**
+   * Starts periodic flushing
+   *
+   * @returns {void}
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.flush().catch((error) => logger.error('Click flush failed', { error }));
+    }, env.CLICK_FLUSH_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Stops periodic flushing and writes whatever is still pending
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.flushing?.catch(() => {});
+    await this.flush();
+  }
+
+  /**
+   * Returns buffer counters for monitoring
+   *
+   * @returns {Object}
+   */
+  stats() {
+    let pendingClicks = 0;
+    for (const { count } of this.pending.values()) pendingClicks += count;
+
+    return {
+      pendingLinks: this.pending.size,
+      pendingClicks,
+      flushes: this.flushes,
+      flushErrors: this.flushErrors,
+      flushedClicks: this.flushedClicks,
+    };
+  }
+}
+
+// Export singleton instance of the service
+export default new ClickBufferService();
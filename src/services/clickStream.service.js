@@ -0,0 +1,285 @@
+/**
+ * Click Stream Service - Live Click Events for Server-Sent Events
+ *
+ * Fans out click events and click count updates to the open event streams
+ * (GET /api/links/:code/stream and GET /api/events/stream) as redirects
+ * happen.
+ *
+ * Event types:
+ * - click: A redirect was followed ({ shortCode, domain, timestamp, referrerHost, device, variant })
+ * - count: A link's stored click total changed ({ shortCode, domain, clicks }); sent when
+ *   buffered clicks are flushed, and right away for links with a click budget
+ *
+ * Responsibilities:
+ * - Numbering events and keeping the most recent ones for Last-Event-ID resume
+ * - Tracking subscribers, filtered by owner and optionally by link, up to a
+ *   limit overall and a smaller one per API key
+ * - Sending heartbeats while anyone is subscribed
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns; subscribers pass callbacks that
+ *   write to their own connection
+ * - Process-local, like the redirect cache: with several instances each
+ *   stream sees the clicks handled by its own instance
+ */
+
+import clickBuffer from './clickBuffer.service.js';
+import env from '../config/env.js';
+import { MESSAGES } from '../constants/messages.js';
+import { RateLimitError, ServiceUnavailableError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Prefix of this process's event ids; ids from before a restart can't be resumed
+const BOOT_ID = Date.now().toString(36);
+
+// Event ids look like "<boot id>-<sequence>"
+const EVENT_ID_REGEX = /^([0-9a-z]+)-(\d+)$/;
+
+/**
+ * Extracts the sequence number from an event id issued by this process
+ *
+ * @param {*} value - Raw Last-Event-ID
+ * @returns {number|null} Sequence number, or null if the id is malformed or from another process
+ */
+const parseEventId = (value) => {
+  const match = typeof value === 'string' ? EVENT_ID_REGEX.exec(value.trim()) : null;
+  return match && match[1] === BOOT_ID ? Number(match[2]) : null;
+};
+
+/**
+ * Checks whether an event is for a subscriber
+ *
+ * @param {Object} subscriber - { owner, linkId }; undefined means any
+ * @param {Object} event - Published event
+ * @returns {boolean}
+ */
+const matches = (subscriber, event) => (subscriber.owner === undefined || subscriber.owner === event.owner)
+  && (subscriber.linkId === undefined || subscriber.linkId === event.linkId);
+
+/**
+ * Service class for live click streams
+ * Uses singleton pattern - exported as instantiated object
+ */
+class ClickStreamService {
+
+  constructor() {
+    this.sequence = 0;
+    // Most recent events, oldest first, up to CLICK_STREAM_BUFFER_SIZE
+    this.recent = [];
+    this.subscribers = new Set();
+    // Open streams per API key id
+    this.keyCounts = new Map();
+    this.heartbeat = null;
+
+    // Buffered clicks reach their stored totals when flushed
+    clickBuffer.on('flush', (totals) => {
+      for (const link of totals) this.publishCount(link);
+    });
+  }
+
+  /**
+   * Numbers an event, keeps it for resume and sends it to matching subscribers
+   *
+   * @param {string} type - 'click' or 'count'
+   * @param {Object} link - Link the event is about (_id, owner)
+   * @param {Object} data - Event payload
+   * @returns {Object} The published event
+   */
+  publish(type, link, data) {
+    this.sequence += 1;
+    const event = {
+      id: `${BOOT_ID}-${this.sequence}`,
+      sequence: this.sequence,
+      type,
+      linkId: String(link._id),
+      owner: link.owner ?? null,
+      data,
+    };
+
+    this.recent.push(event);
+    if (this.recent.length > env.CLICK_STREAM_BUFFER_SIZE) this.recent.shift();
+
+    for (const subscriber of this.subscribers) {
+      if (!matches(subscriber, event)) continue;
+      try {
+        subscriber.send(event);
+      } catch (error) {
+        // One broken connection must not keep the others from their events
+        logger.warn('Click stream send failed', { error });
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Publishes a click as a redirect is followed
+   *
+   * @param {Object} link - Link (document or redirect snapshot)
+   * @param {Object} [clientInfo] - From getClientInfo; only referrerHost and device are sent
+   * @param {string|null} [variant] - A/B variant the visitor was sent to
+   * @returns {Object} The published event
+   */
+  publishClick(link, clientInfo = {}, variant = null) {
+    return this.publish('click', link, {
+      shortCode: link.shortCode,
+      domain: link.domain ?? null,
+      timestamp: new Date(),
+      referrerHost: clientInfo.referrerHost ?? null,
+      device: clientInfo.device ?? null,
+      variant,
+    });
+  }
+
+  /**
+   * Publishes a link's new stored click total
+   *
+   * @param {Object} link - Link with _id, shortCode, domain, owner and clicks
+   * @returns {Object} The published event
+   */
+  publishCount(link) {
+    return this.publish('count', link, {
+      shortCode: link.shortCode,
+      domain: link.domain ?? null,
+      clicks: link.clicks,
+    });
+  }
+
+  /**
+   * Adds a subscriber
+   *
+   * Events missed since lastEventId are returned for the caller to send
+   * before any live event (they arrive on later ticks at the earliest).
+   * Resuming is impossible when the id is unknown, from before a restart or
+   * older than the kept events; `replay` is then null and the client should
+   * reload its state.
+   *
+   * @param {Object} filter
+   * @param {string} [filter.owner] - Only events about this owner's links; undefined for all
+   * @param {string} [filter.linkId] - Only events about this link
+   * @param {string} [filter.keyId] - API key the stream is opened with, counted against
+   *   CLICK_STREAM_MAX_SUBSCRIBERS_PER_KEY
+   * @param {string} [filter.lastEventId] - Id of the last event the client received
+   * @param {Object} callbacks
+   * @param {Function} callbacks.send - (event) => void, writes an event
+   * @param {Function} callbacks.ping - () => void, writes a heartbeat
+   * @param {Function} callbacks.close - () => void, ends the connection (on shutdown)
+   * @returns {{ replay: Array<Object>|null, unsubscribe: Function }}
+   * @throws {Error} If the key already has CLICK_STREAM_MAX_SUBSCRIBERS_PER_KEY streams open,
+   *   or CLICK_STREAM_MAX_SUBSCRIBERS streams are open in total
+   */
+  subscribe({ owner, linkId, keyId, lastEventId } = {}, { send, ping, close }) {
+    const keyCount = this.keyCounts.get(keyId) ?? 0;
+    if (keyId !== undefined && keyCount >= env.CLICK_STREAM_MAX_SUBSCRIBERS_PER_KEY) {
+      throw new RateLimitError(MESSAGES.STREAM_KEY_LIMIT_REACHED);
+    }
+    if (this.subscribers.size >= env.CLICK_STREAM_MAX_SUBSCRIBERS) {
+      throw new ServiceUnavailableError(MESSAGES.STREAM_LIMIT_REACHED);
+    }
+
+    const subscriber = { owner, linkId, keyId, send, ping, close };
+
+    let replay = [];
+    if (lastEventId !== undefined && lastEventId !== '') {
+      const after = parseEventId(lastEventId);
+      const oldest = this.recent[0]?.sequence ?? this.sequence + 1;
+      const resumable = after !== null && after <= this.sequence && after >= oldest - 1;
+      replay = resumable
+        ? this.recent.filter((event) => event.sequence > after && matches(subscriber, event))
+        : null;
+    }
+
+    this.subscribers.add(subscriber);
+    if (keyId !== undefined) this.keyCounts.set(keyId, keyCount + 1);
+    this.startHeartbeat();
+
+    return {
+      replay,
+      unsubscribe: () => {
+        // Safe to call more than once
+        if (!this.subscribers.delete(subscriber)) return;
+        this.releaseKey(keyId);
+        if (this.subscribers.size === 0) this.stopHeartbeat();
+      },
+    };
+  }
+
+  /**
+   * Gives back one of a key's stream slots
+   *
+   * @param {string} [keyId] - API key id the stream was opened with
+   * @returns {void}
+   */
+  releaseKey(keyId) {
+    if (keyId === undefined) return;
+    const count = (this.keyCounts.get(keyId) ?? 1) - 1;
+    if (count > 0) {
+      this.keyCounts.set(keyId, count);
+    } else {
+      this.keyCounts.delete(keyId);
+    }
+  }
+
+  /**
+   * Starts sending heartbeats, unless already running
+   *
+   * @returns {void}
+   */
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      for (const subscriber of this.subscribers) {
+        try {
+          subscriber.ping();
+        } catch (error) {
+          logger.warn('Click stream heartbeat failed', { error });
+        }
+      }
+    }, env.CLICK_STREAM_HEARTBEAT_MS);
+    // Don't keep the process alive just for heartbeats
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stops sending heartbeats
+   *
+   * @returns {void}
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * Ends every open stream, so the HTTP server can close on shutdown
+   *
+   * @returns {void}
+   */
+  closeAll() {
+    for (const subscriber of this.subscribers) {
+      try {
+        subscriber.close();
+      } catch (error) {
+        logger.warn('Click stream close failed', { error });
+      }
+    }
+    this.subscribers.clear();
+    this.keyCounts.clear();
+    this.stopHeartbeat();
+  }
+
+  /**
+   * Returns stream counters for monitoring
+   *
+   * @returns {{ subscribers: number, bufferedEvents: number, lastEventId: string|null }}
+   */
+  stats() {
+    return {
+      subscribers: this.subscribers.size,
+      bufferedEvents: this.recent.length,
+      lastEventId: this.sequence ? `${BOOT_ID}-${this.sequence}` : null,
+    };
+  }
+}
+
+// Export singleton instance of the service
+export default new ClickStreamService();
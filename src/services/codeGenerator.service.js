@@ -0,0 +1,152 @@
+/**
+ * Code Generator Service - Short Code Generation and Vanity Suggestions
+ *
+ * Generates short codes with the strategy chosen by CODE_GENERATOR:
+ * - random: cryptographically random, CODE_LENGTH characters from CODE_ALPHABET
+ * - counter: a stored counter encoded as base62; never repeats itself
+ * - words: two short words and two digits, without look-alike characters
+ *
+ * Generated codes never contain blocked words (see utils/profanity.js plus
+ * CODE_BLOCKLIST). Uniqueness is checked by LinkService, which draws a new
+ * code when the storage adapter reports a duplicate.
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns
+ * - Uses the storage adapter's named sequences for the counter strategy
+ * - Throws at startup for invalid configuration, and errors carrying
+ *   MESSAGES constants otherwise
+ */
+
+import storage from '../storage/index.js';
+import env from '../config/env.js';
+import { randomCode, sequenceCode, wordCode } from '../utils/generateCode.js';
+import { findBlockedWords } from '../utils/profanity.js';
+import { CODE_REGEX } from '../constants/regex.js';
+import { MESSAGES } from '../constants/messages.js';
+import { ServiceUnavailableError, ValidationError } from '../utils/errors.js';
+
+const STRATEGIES = ['random', 'counter', 'words'];
+
+// Storage sequence used by the counter strategy
+const SEQUENCE_NAME = 'shortCode';
+
+// Codes drawn before giving up on finding one without blocked words
+const MAX_DRAWS = 20;
+
+// Affixes tried around a vanity base
+const PREFIXES = ['go', 'get', 'my', 'try', 'the'];
+const SUFFIXES = ['now', 'hq', 'go', 'app', 'io'];
+
+// Digits added to vanity bases, without 0 and 1
+const SUFFIX_DIGITS = '23456789';
+
+// Randomly numbered candidates per suggestion request
+const RANDOM_CANDIDATES = 10;
+
+/**
+ * Removes duplicates, keeping the first occurrence
+ *
+ * @param {Array<string>} values
+ * @returns {Array<string>}
+ */
+const unique = (values) => [...new Set(values)];
+
+/**
+ * Service class for short code generation
+ * Uses singleton pattern - exported as instantiated object
+ */
+class CodeGeneratorService {
+
+  constructor() {
+    if (!STRATEGIES.includes(env.CODE_GENERATOR)) {
+      throw new Error(`Unknown code generator: ${env.CODE_GENERATOR}`);
+    }
+    if (!Number.isInteger(env.CODE_LENGTH) || env.CODE_LENGTH < 6 || env.CODE_LENGTH > 8) {
+      throw new Error('CODE_LENGTH must be an integer between 6 and 8');
+    }
+
+    this.alphabet = unique([...env.CODE_ALPHABET]).join('');
+    if (!/^[A-Za-z0-9]+$/.test(this.alphabet) || this.alphabet.length < 2) {
+      throw new Error('CODE_ALPHABET must contain at least 2 distinct letters or digits');
+    }
+  }
+
+  /**
+   * Draws one code with the configured strategy
+   *
+   * @async
+   * @returns {Promise<string>}
+   */
+  async draw() {
+    switch (env.CODE_GENERATOR) {
+      case 'counter':
+        return sequenceCode(await storage.nextSequence(SEQUENCE_NAME));
+      case 'words':
+        return wordCode();
+      default:
+        return randomCode(env.CODE_LENGTH, this.alphabet);
+    }
+  }
+
+  /**
+   * Generates a short code without blocked words
+   *
+   * The code may still be taken; callers retry on CODE_EXISTS.
+   *
+   * @async
+   * @returns {Promise<string>}
+   * @throws {Error} If no acceptable code turned up
+   */
+  async generate() {
+    for (let draw = 0; draw < MAX_DRAWS; draw += 1) {
+      const code = await this.draw();
+      if (CODE_REGEX.test(code) && findBlockedWords(code, env.CODE_BLOCKLIST).length === 0) {
+        return code;
+      }
+    }
+    throw new ServiceUnavailableError(MESSAGES.CODE_GENERATION_FAILED);
+  }
+
+  /**
+   * Builds vanity code candidates from a base word, most similar first
+   *
+   * Non-alphanumeric characters are dropped and case is kept. Long bases are
+   * shortened (truncated, or with vowels removed); every base also gets
+   * prefixed, suffixed and numbered variants. Candidates never add blocked
+   * words that the base itself doesn't contain.
+   *
+   * @param {*} base - Requested base, e.g. "summer-sale"
+   * @returns {Array<string>} Valid, unique candidates (availability not checked)
+   * @throws {Error} If the base has fewer than 2 letters or digits
+   */
+  suggestCandidates(base) {
+    const core = typeof base === 'string' ? base.replace(/[^A-Za-z0-9]/g, '') : '';
+    if (core.length < 2) {
+      throw new ValidationError(MESSAGES.INVALID_SUGGEST_BASE);
+    }
+
+    const candidates = [];
+    if (core.length > 8) {
+      const squeezed = core[0] + core.slice(1).replace(/[aeiou]/gi, '');
+      candidates.push(core.slice(0, 8), squeezed.slice(0, 8), core.slice(0, 7), core.slice(0, 6));
+    } else {
+      candidates.push(core);
+    }
+
+    // Leave room for affixes within the 8 character limit
+    const stem = core.slice(0, 6);
+    const year = String(new Date().getFullYear()).slice(2);
+    for (const suffix of [...SUFFIXES, year]) candidates.push(stem + suffix);
+    for (const prefix of PREFIXES) candidates.push(prefix + stem);
+    for (const digit of SUFFIX_DIGITS) candidates.push(stem + digit);
+    for (let i = 0; i < RANDOM_CANDIDATES; i += 1) candidates.push(stem + randomCode(2, SUFFIX_DIGITS));
+
+    const allowed = new Set(findBlockedWords(core, env.CODE_BLOCKLIST));
+    return unique(candidates.map((code) => (code.length < 6 ? code + randomCode(6 - code.length, SUFFIX_DIGITS) : code)))
+      .filter((code) => CODE_REGEX.test(code))
+      .filter((code) => findBlockedWords(code, env.CODE_BLOCKLIST).every((word) => allowed.has(word)));
+  }
+}
+
+// Export singleton instance of the service
+export default new CodeGeneratorService();
@@ -0,0 +1,256 @@
+/**
+ * Collection Service - Folders That Group Links
+ *
+ * A collection is a named, owner-scoped folder. Links point at their
+ * collection through Link.collectionId; a link belongs to at most one.
+ *
+ * Responsibilities:
+ * - Validating and managing collections (owner-scoped)
+ * - Aggregate stats per collection: link count, total clicks, most-clicked link
+ * - Resolving the collection a link is filed in
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns
+ * - Uses the Collection model; link stats come from the storage adapter
+ * - Throws errors carrying MESSAGES constants
+ */
+
+import mongoose from 'mongoose';
+import Collection from '../models/CollectionModel.js';
+import storage from '../storage/index.js';
+import env from '../config/env.js';
+import { MESSAGES } from '../constants/messages.js';
+import { ConflictError, NotFoundError, ServiceUnavailableError, ValidationError } from '../utils/errors.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Validates a collection name
+ *
+ * @param {*} value - Raw name
+ * @returns {string} Trimmed name
+ * @throws {Error} If the name is not a 1-100 character string
+ */
+const parseName = (value) => {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(MESSAGES.INVALID_COLLECTION_NAME);
+  }
+  return name;
+};
+
+/**
+ * Validates an optional description
+ *
+ * @param {*} value - Raw description; empty means none
+ * @returns {string|null}
+ * @throws {Error} If the value is not a short string
+ */
+const parseDescription = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > MAX_DESCRIPTION_LENGTH) {
+    throw new ValidationError(MESSAGES.INVALID_COLLECTION_DESCRIPTION);
+  }
+  return value;
+};
+
+/**
+ * Runs a write, reporting a name already taken by the owner as a conflict
+ *
+ * @async
+ * @param {Function} write - Async function performing the write
+ * @returns {Promise<*>} Result of the write
+ * @throws {Error} If the name is taken, or the write fails otherwise
+ */
+const withUniqueName = async (write) => {
+  try {
+    return await write();
+  } catch (error) {
+    if (error?.code === DUPLICATE_KEY) {
+      throw new ConflictError(MESSAGES.COLLECTION_EXISTS);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Service class for link collections
+ * Uses singleton pattern - exported as instantiated object
+ */
+class CollectionService {
+
+  /**
+   * Builds the owner restriction for collection queries
+   *
+   * @param {string} [owner] - Owner identifier; undefined means unrestricted
+   * @returns {Object} MongoDB filter fragment
+   */
+  ownerFilter(owner) {
+    return owner === undefined ? {} : { owner };
+  }
+
+  /**
+   * Creates a collection
+   *
+   * @async
+   * @param {Object} params
+   * @param {string} params.name - Name, unique per owner (1-100 characters)
+   * @param {string} [params.description] - Optional label (up to 500 characters)
+   * @param {string|null} [params.owner] - Owner whose links can be filed in it
+   * @returns {Promise<Object>} Created collection
+   * @throws {Error} If a value is invalid or the owner already has a collection with this name
+   */
+  async createCollection({ name, description, owner = null } = {}) {
+    const values = {
+      name: parseName(name),
+      description: parseDescription(description),
+      owner,
+    };
+
+    const collection = await withUniqueName(() => Collection.create(values));
+    return collection.toObject();
+  }
+
+  /**
+   * Lists collections by name
+   *
+   * @async
+   * @param {string} [owner] - Only list this owner's collections
+   * @returns {Promise<Array<Object>>}
+   */
+  async listCollections(owner) {
+    return await Collection.find(this.ownerFilter(owner)).sort({ name: 1 }).lean();
+  }
+
+  /**
+   * Finds a collection by id
+   *
+   * @async
+   * @param {string} id - Collection id
+   * @param {string} [owner] - Only match a collection of this owner
+   * @returns {Promise<Object>}
+   * @throws {Error} If no such collection exists for the owner, or running without MongoDB
+   */
+  async getCollection(id, owner) {
+    if (!env.MONGODB_ENABLED) {
+      throw new ServiceUnavailableError(MESSAGES.DATABASE_DISABLED);
+    }
+
+    const collection = mongoose.isValidObjectId(id)
+      ? await Collection.findOne({ _id: id, ...this.ownerFilter(owner) }).lean()
+      : null;
+    if (!collection) {
+      throw new NotFoundError(MESSAGES.COLLECTION_NOT_FOUND);
+    }
+    return collection;
+  }
+
+  /**
+   * Resolves the collection a link should be filed in
+   *
+   * The collection must belong to the link's owner, admin keys included, so
+   * a link never ends up in another owner's folder. Unlike getCollection an
+   * unknown id is a problem with the link settings, not a missing resource.
+   *
+   * @async
+   * @param {*} id - Collection id; null or '' means no collection
+   * @param {string|null} owner - Owner of the link
+   * @returns {Promise<string|null>} Collection id, or null
+   * @throws {Error} If the collection doesn't exist for the owner, or running without MongoDB
+   */
+  async resolveLinkCollection(id, owner) {
+    if (id === undefined || id === null || id === '') return null;
+    if (!env.MONGODB_ENABLED) {
+      throw new ServiceUnavailableError(MESSAGES.DATABASE_DISABLED);
+    }
+
+    const exists = typeof id === 'string' && mongoose.isValidObjectId(id)
+      && await Collection.exists({ _id: id, owner: owner ?? null });
+    if (!exists) {
+      throw new ValidationError(MESSAGES.COLLECTION_NOT_FOUND);
+    }
+    return id;
+  }
+
+  /**
+   * Checks whether a collection still exists (none do without MongoDB)
+   *
+   * @async
+   * @param {string} id - Collection id
+   * @returns {Promise<boolean>}
+   */
+  async exists(id) {
+    return env.MONGODB_ENABLED && mongoose.isValidObjectId(id) && Boolean(await Collection.exists({ _id: id }));
+  }
+
+  /**
+   * Computes link count, total clicks and most-clicked link per collection
+   *
+   * Click totals are the stored ones; clicks still in the click buffer are
+   * counted once it is flushed.
+   *
+   * @async
+   * @param {Array<Object>} collections - Collection documents
+   * @returns {Promise<Map<string, Object>>} Collection id -> { links, clicks, topLink }
+   */
+  async getStats(collections) {
+    const ids = collections.map(({ _id }) => String(_id));
+    const stats = ids.length ? await storage.collectionStats(ids) : [];
+    return new Map(stats.map(({ collectionId, ...rest }) => [collectionId, rest]));
+  }
+
+  /**
+   * Updates a collection's name and/or description
+   *
+   * @async
+   * @param {string} id - Collection id
+   * @param {Object} updates - New values
+   * @param {string} [owner] - Only update a collection of this owner
+   * @returns {Promise<Object>} Updated collection
+   * @throws {Error} If the collection doesn't exist, a value is invalid or the name is taken
+   */
+  async updateCollection(id, updates = {}, owner) {
+    const values = {};
+    if ('name' in updates) values.name = parseName(updates.name);
+    if ('description' in updates) values.description = parseDescription(updates.description);
+    if (Object.keys(values).length === 0) {
+      throw new ValidationError(MESSAGES.NO_COLLECTION_FIELDS);
+    }
+
+    await this.getCollection(id, owner);
+    return await withUniqueName(() => Collection.findOneAndUpdate(
+      { _id: id, ...this.ownerFilter(owner) },
+      { $set: { ...values, updatedAt: new Date() } },
+      { new: true }
+    ).lean());
+  }
+
+  /**
+   * Deletes an empty collection
+   *
+   * Links are never deleted along with their folder; move them out first.
+   *
+   * @async
+   * @param {string} id - Collection id
+   * @param {string} [owner] - Only delete a collection of this owner
+   * @returns {Promise<Object>} The deleted collection
+   * @throws {Error} If the collection doesn't exist or still holds links
+   */
+  async deleteCollection(id, owner) {
+    const collection = await this.getCollection(id, owner);
+    const [{ links }] = await storage.collectionStats([String(collection._id)]);
+    if (links > 0) {
+      throw new ConflictError(MESSAGES.COLLECTION_NOT_EMPTY);
+    }
+
+    await Collection.deleteOne({ _id: collection._id });
+    return collection;
+  }
+}
+
+// Export singleton instance of the service
+export default new CollectionService();
@@ -0,0 +1,243 @@
+/**
+ * Destination Policy Service - Safety Rules for Link Destinations
+ *
+ * Decides whether a URL may be used as a link destination. The policy is
+ * read from a JSON file (DESTINATION_POLICY_FILE) and can be reloaded
+ * without a restart.
+ *
+ * Rules, in order:
+ * - The scheme must be one of `allowedSchemes` (http and https by default)
+ * - The host must not be one of our own short domains (redirect loops): the
+ *   PUBLIC_BASE_URL host, SHORT_HOSTNAMES and verified custom domains
+ * - Allowlisted destinations pass the remaining checks
+ * - The destination must not match the blocklist
+ * - The host must not be a known URL shortener (redirect chains)
+ *
+ * Policy file format:
+ * {
+ *   "allowedSchemes": ["http", "https"],
+ *   "blocklist": ["malware.example", "/\\.exe$/i"],
+ *   "allowlist": ["docs.bit.ly"],
+ *   "shorteners": ["sho.rt"]
+ * }
+ * Plain entries match a hostname and its subdomains; entries written as
+ * /pattern/flags are regular expressions tested against the full URL.
+ * `shorteners` extends the built-in list.
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns
+ * - Throws errors carrying MESSAGES constants
+ */
+
+import fs from 'fs';
+import domainService from './domain.service.js';
+import env from '../config/env.js';
+import { MESSAGES } from '../constants/messages.js';
+import { ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Host of PUBLIC_BASE_URL, our default short domain (null when unset)
+const PUBLIC_HOST = (() => {
+  try {
+    return env.PUBLIC_BASE_URL ? new URL(env.PUBLIC_BASE_URL).hostname.toLowerCase() : null;
+  } catch (err) {
+    return null;
+  }
+})();
+
+// Schemes allowed when the policy file doesn't say otherwise
+const DEFAULT_SCHEMES = ['http', 'https'];
+
+// Well-known public URL shorteners
+const KNOWN_SHORTENERS = [
+  'bit.ly',
+  'bitly.com',
+  'buff.ly',
+  'cutt.ly',
+  'goo.gl',
+  'is.gd',
+  'lnkd.in',
+  'ow.ly',
+  'rb.gy',
+  'rebrand.ly',
+  'shorturl.at',
+  't.co',
+  't.ly',
+  'tiny.cc',
+  'tinyurl.com',
+  'v.gd',
+];
+
+/**
+ * Compiles a list of policy entries into matchers
+ *
+ * @param {Array<string>} entries - Hostnames or /pattern/flags strings
+ * @returns {Array<{ host?: string, regex?: RegExp }>}
+ * @throws {Error} If an entry is not a string or not a valid pattern
+ */
+const compileEntries = (entries = []) => {
+  if (!Array.isArray(entries)) throw new Error();
+  return entries.map((entry) => {
+    if (typeof entry !== 'string' || !entry.trim()) throw new Error();
+    const pattern = entry.trim().match(/^\/(.+)\/([a-z]*)$/);
+    if (pattern) {
+      return { regex: new RegExp(pattern[1], pattern[2]) };
+    }
+    return { host: entry.trim().toLowerCase().replace(/\.$/, '') };
+  });
+};
+
+/**
+ * Checks a URL against compiled entries
+ *
+ * @param {URL} url - Parsed destination
+ * @param {Array<Object>} matchers - Output of compileEntries
+ * @returns {boolean}
+ */
+const matchesAny = (url, matchers) => {
+  const host = url.hostname.toLowerCase().replace(/\.$/, '');
+  return matchers.some(({ host: entry, regex }) => (regex
+    ? regex.test(url.href)
+    : host === entry || host.endsWith(`.${entry}`)));
+};
+
+/**
+ * Service class for destination policy checks
+ * Uses singleton pattern - exported as instantiated object
+ */
+class DestinationPolicyService {
+
+  constructor() {
+    this.policy = this.compile({});
+    this.source = null;
+    this.loadedAt = null;
+
+    try {
+      this.reload();
+    } catch (error) {
+      // Start with the defaults rather than refusing to boot
+      logger.error('Destination policy not loaded, using defaults', { error });
+    }
+  }
+
+  /**
+   * Validates raw policy settings and builds the internal representation
+   *
+   * @param {Object} raw - Parsed policy file
+   * @returns {Object} Compiled policy
+   * @throws {Error} If any setting has the wrong shape
+   */
+  compile(raw) {
+    try {
+      const schemes = raw.allowedSchemes ?? DEFAULT_SCHEMES;
+      if (!Array.isArray(schemes) || schemes.some((scheme) => typeof scheme !== 'string')) {
+        throw new Error();
+      }
+
+      return {
+        raw,
+        allowedSchemes: schemes.map((scheme) => scheme.toLowerCase().replace(/:$/, '')),
+        blocklist: compileEntries(raw.blocklist),
+        allowlist: compileEntries(raw.allowlist),
+        shorteners: compileEntries([...KNOWN_SHORTENERS, ...(raw.shorteners ?? [])]),
+      };
+    } catch (err) {
+      throw new ValidationError(MESSAGES.INVALID_DESTINATION_POLICY);
+    }
+  }
+
+  /**
+   * Re-reads the policy file
+   *
+   * The current policy stays in force if the file is unreadable or invalid.
+   * Without a configured file the built-in defaults apply.
+   *
+   * @returns {Object} Summary of the loaded policy
+   * @throws {Error} If the file cannot be read or is invalid
+   */
+  reload() {
+    const file = env.DESTINATION_POLICY_FILE;
+    let raw = {};
+    if (file) {
+      try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        throw new ValidationError(MESSAGES.INVALID_DESTINATION_POLICY);
+      }
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new ValidationError(MESSAGES.INVALID_DESTINATION_POLICY);
+      }
+    }
+
+    this.policy = this.compile(raw);
+    this.source = file || null;
+    this.loadedAt = new Date();
+    return this.describe();
+  }
+
+  /**
+   * Describes the policy in force
+   *
+   * @returns {Object}
+   */
+  describe() {
+    const { raw, allowedSchemes } = this.policy;
+    return {
+      source: this.source,
+      loadedAt: this.loadedAt,
+      allowedSchemes,
+      blocklist: raw.blocklist ?? [],
+      allowlist: raw.allowlist ?? [],
+      shorteners: [...KNOWN_SHORTENERS, ...(raw.shorteners ?? [])],
+    };
+  }
+
+  /**
+   * Checks whether a host is one of our own short domains
+   *
+   * Unverified custom domains don't count: anyone can register any hostname,
+   * and must not be able to block links to it for everyone else that way.
+   *
+   * @async
+   * @param {string} host - Lower-case hostname
+   * @returns {Promise<boolean>}
+   */
+  async isOwnHost(host) {
+    if (host === PUBLIC_HOST || env.SHORT_HOSTNAMES.includes(host)) return true;
+    return await domainService.isVerified(host);
+  }
+
+  /**
+   * Checks a destination URL against the policy
+   *
+   * @async
+   * @param {string} originalUrl - Destination to check (already a valid URL)
+   * @returns {Promise<void>}
+   * @throws {Error} With the message of the first rule the URL breaks
+   */
+  async check(originalUrl) {
+    const url = new URL(originalUrl);
+    const { allowedSchemes, allowlist, blocklist, shorteners } = this.policy;
+
+    if (!allowedSchemes.includes(url.protocol.replace(/:$/, ''))) {
+      throw new ValidationError(MESSAGES.DESTINATION_SCHEME_NOT_ALLOWED);
+    }
+
+    const host = url.hostname.toLowerCase().replace(/\.$/, '');
+    if (host && await this.isOwnHost(host)) {
+      throw new ValidationError(MESSAGES.DESTINATION_SELF_REFERENCE);
+    }
+
+    if (matchesAny(url, allowlist)) return;
+
+    if (matchesAny(url, blocklist)) {
+      throw new ValidationError(MESSAGES.DESTINATION_BLOCKED);
+    }
+    if (matchesAny(url, shorteners)) {
+      throw new ValidationError(MESSAGES.DESTINATION_SHORTENER);
+    }
+  }
+}
+
+// Export singleton instance of the service
+export default new DestinationPolicyService();
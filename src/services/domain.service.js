@@ -0,0 +1,332 @@
+/**
+ * Domain Service - Business Logic for Custom Short Domains
+ *
+ * Manages the registry of branded hostnames and resolves incoming Host
+ * headers to the domain whose code namespace they serve.
+ *
+ * Responsibilities:
+ * - Hostname validation and normalisation
+ * - Ownership checks for domain management
+ * - DNS TXT verification of domain control
+ * - Cached Host -> domain resolution for the redirect hot path
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns
+ * - Uses the Domain model, and link storage to check domains are unused
+ * - Throws errors carrying MESSAGES constants
+ */
+
+import crypto from 'crypto';
+import { promises as dns } from 'dns';
+import Domain from '../models/DomainModel.js';
+import storage from '../storage/index.js';
+import env from '../config/env.js';
+import { MESSAGES } from '../constants/messages.js';
+import { ConflictError, NotFoundError, ServiceUnavailableError, ValidationError } from '../utils/errors.js';
+import LruCache from '../utils/lruCache.js';
+
+// Fully qualified hostname: dot-separated labels, alphabetic TLD
+const HOSTNAME_REGEX = /^(?=.{1,253}$)(?:(?!-)[a-z0-9-]{1,63}(?<!-)\.)+[a-z]{2,63}$/;
+
+// DNS record the owner publishes to prove control of a domain
+const VERIFICATION_RECORD_PREFIX = '_tinylink';
+const VERIFICATION_VALUE_PREFIX = 'tinylink-verify=';
+
+// How long Host lookups are cached on the redirect path
+const RESOLVE_CACHE_TTL_MS = 60 * 1000;
+const RESOLVE_CACHE_MAX_ENTRIES = 1000;
+
+/**
+ * Validates an optional http(s) URL setting
+ *
+ * @param {*} value - Raw value; empty means "not set"
+ * @returns {string|null} Normalised URL or null
+ * @throws {Error} If the value is not an http(s) URL
+ */
+const parseOptionalUrl = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error();
+    return url.toString();
+  } catch (err) {
+    throw new ValidationError(MESSAGES.INVALID_URL);
+  }
+};
+
+/**
+ * Service class for custom domain business logic
+ * Uses singleton pattern - exported as instantiated object
+ */
+class DomainService {
+
+  constructor() {
+    // Verified domains and unknown hosts are cached apart, so a flood of
+    // made-up Host headers can only evict other misses, never a real domain
+    this.resolveCache = new LruCache({ maxEntries: RESOLVE_CACHE_MAX_ENTRIES, ttlMs: RESOLVE_CACHE_TTL_MS });
+    this.missCache = new LruCache({ maxEntries: RESOLVE_CACHE_MAX_ENTRIES, ttlMs: RESOLVE_CACHE_TTL_MS });
+  }
+
+  /**
+   * Drops a hostname from the Host lookup caches after its domain changed
+   *
+   * @param {string} hostname - Lower-case hostname
+   * @returns {void}
+   */
+  forgetHost(hostname) {
+    this.resolveCache.delete(hostname);
+    this.missCache.delete(hostname);
+  }
+
+  /**
+   * Normalises and validates a hostname
+   *
+   * @param {*} hostname - Raw hostname
+   * @returns {string} Lower-case hostname without trailing dot
+   * @throws {Error} If the hostname is not a valid fully qualified name
+   */
+  normalizeHostname(hostname) {
+    const normalized = typeof hostname === 'string'
+      ? hostname.trim().toLowerCase().replace(/\.$/, '')
+      : '';
+    if (!HOSTNAME_REGEX.test(normalized)) {
+      throw new ValidationError(MESSAGES.INVALID_HOSTNAME);
+    }
+    return normalized;
+  }
+
+  /**
+   * Builds the owner restriction for domain queries
+   *
+   * @param {string} [owner] - Owner identifier; undefined means unrestricted
+   * @returns {Object} MongoDB filter fragment
+   */
+  ownerFilter(owner) {
+    return owner === undefined ? {} : { owner };
+  }
+
+  /**
+   * Returns the DNS record a domain owner must publish
+   *
+   * @param {Object} domain - Domain document
+   * @returns {{ type: string, name: string, value: string }}
+   */
+  getVerificationRecord(domain) {
+    return {
+      type: 'TXT',
+      name: `${VERIFICATION_RECORD_PREFIX}.${domain.hostname}`,
+      value: `${VERIFICATION_VALUE_PREFIX}${domain.verificationToken}`,
+    };
+  }
+
+  /**
+   * Registers a new custom domain (unverified)
+   *
+   * @async
+   * @param {Object} params
+   * @param {string} params.hostname - Hostname to register
+   * @param {string} [params.owner] - Owner identifier
+   * @param {string} [params.rootRedirectUrl] - Redirect for the domain root
+   * @param {string} [params.notFoundUrl] - Redirect for unknown codes
+   * @returns {Promise<Object>} Created domain document
+   * @throws {Error} If the hostname or URLs are invalid, or the domain is taken
+   */
+  async addDomain({ hostname, owner = null, rootRedirectUrl, notFoundUrl } = {}) {
+    const normalized = this.normalizeHostname(hostname);
+
+    const existing = await Domain.findOne({ hostname: normalized });
+    if (existing) {
+      throw new ConflictError(MESSAGES.DOMAIN_EXISTS);
+    }
+
+    return await Domain.create({
+      hostname: normalized,
+      owner,
+      verificationToken: crypto.randomBytes(16).toString('hex'),
+      rootRedirectUrl: parseOptionalUrl(rootRedirectUrl),
+      notFoundUrl: parseOptionalUrl(notFoundUrl),
+    });
+  }
+
+  /**
+   * Lists registered domains
+   *
+   * @async
+   * @param {string} [owner] - Only list this owner's domains
+   * @returns {Promise<Array>} Domain documents
+   */
+  async listDomains(owner) {
+    return await Domain.find(this.ownerFilter(owner)).sort({ hostname: 1 });
+  }
+
+  /**
+   * Finds a domain by hostname
+   *
+   * @async
+   * @param {string} hostname - Hostname to look up
+   * @param {string} [owner] - Only match a domain belonging to this owner
+   * @returns {Promise<Object|null>} Domain document or null
+   * @throws {Error} If running without MongoDB, where there are no custom domains
+   */
+  async getDomain(hostname, owner) {
+    if (!env.MONGODB_ENABLED) {
+      throw new ServiceUnavailableError(MESSAGES.DATABASE_DISABLED);
+    }
+
+    let normalized;
+    try {
+      normalized = this.normalizeHostname(hostname);
+    } catch (err) {
+      return null;
+    }
+    return await Domain.findOne({ hostname: normalized, ...this.ownerFilter(owner) });
+  }
+
+  /**
+   * Checks whether a hostname is a verified custom domain, of any owner
+   * (never, without MongoDB)
+   *
+   * @async
+   * @param {string} hostname - Lower-case hostname
+   * @returns {Promise<boolean>}
+   */
+  async isVerified(hostname) {
+    if (!env.MONGODB_ENABLED) return false;
+    return Boolean(await Domain.exists({ hostname, verified: true }));
+  }
+
+  /**
+   * Updates the root and not-found redirects of a domain
+   *
+   * Only keys present in `settings` are changed; null or '' clears a setting.
+   *
+   * @async
+   * @param {string} hostname - Hostname of the domain
+   * @param {string} [owner] - Only update a domain belonging to this owner
+   * @param {Object} settings
+   * @param {string|null} [settings.rootRedirectUrl]
+   * @param {string|null} [settings.notFoundUrl]
+   * @returns {Promise<Object>} Updated domain document
+   * @throws {Error} If the domain doesn't exist or a URL is invalid
+   */
+  async updateDomain(hostname, owner, settings = {}) {
+    const domain = await this.getDomain(hostname, owner);
+    if (!domain) {
+      throw new NotFoundError(MESSAGES.DOMAIN_NOT_FOUND);
+    }
+
+    if ('rootRedirectUrl' in settings) {
+      domain.rootRedirectUrl = parseOptionalUrl(settings.rootRedirectUrl);
+    }
+    if ('notFoundUrl' in settings) {
+      domain.notFoundUrl = parseOptionalUrl(settings.notFoundUrl);
+    }
+
+    await domain.save();
+    this.forgetHost(domain.hostname);
+    return domain;
+  }
+
+  /**
+   * Verifies control of a domain through its DNS TXT record
+   *
+   * With DOMAIN_VERIFICATION=none (local development) the DNS lookup is
+   * skipped and the domain is verified immediately.
+   *
+   * @async
+   * @param {string} hostname - Hostname of the domain
+   * @param {string} [owner] - Only verify a domain belonging to this owner
+   * @returns {Promise<Object>} Verified domain document
+   * @throws {Error} If the domain doesn't exist or the record is missing
+   */
+  async verifyDomain(hostname, owner) {
+    const domain = await this.getDomain(hostname, owner);
+    if (!domain) {
+      throw new NotFoundError(MESSAGES.DOMAIN_NOT_FOUND);
+    }
+    if (domain.verified) {
+      return domain;
+    }
+
+    if (env.DOMAIN_VERIFICATION !== 'none') {
+      const { name, value } = this.getVerificationRecord(domain);
+      let records = [];
+      try {
+        records = (await dns.resolveTxt(name)).map((chunks) => chunks.join(''));
+      } catch (err) {
+        // NXDOMAIN / no data simply means the record isn't there yet
+      }
+
+      if (!records.includes(value)) {
+        throw new ValidationError(MESSAGES.DOMAIN_VERIFICATION_FAILED);
+      }
+    }
+
+    domain.verified = true;
+    domain.verifiedAt = new Date();
+    await domain.save();
+    this.forgetHost(domain.hostname);
+    return domain;
+  }
+
+  /**
+   * Removes a domain from the registry
+   *
+   * Domains that still have links are refused, so short URLs never silently
+   * start resolving against another namespace.
+   *
+   * @async
+   * @param {string} hostname - Hostname of the domain
+   * @param {string} [owner] - Only remove a domain belonging to this owner
+   * @returns {Promise<Object>} The removed domain document
+   * @throws {Error} If the domain doesn't exist or still has links
+   */
+  async removeDomain(hostname, owner) {
+    const domain = await this.getDomain(hostname, owner);
+    if (!domain) {
+      throw new NotFoundError(MESSAGES.DOMAIN_NOT_FOUND);
+    }
+
+    if (await storage.hasLinksOnDomain(domain.hostname)) {
+      throw new ConflictError(MESSAGES.DOMAIN_IN_USE);
+    }
+
+    await domain.deleteOne();
+    this.forgetHost(domain.hostname);
+    return domain;
+  }
+
+  /**
+   * Resolves a request hostname to the verified domain serving it
+   *
+   * Results (including misses) are cached briefly since this runs on every
+   * redirect, in size-bounded LRU caches. Unknown and unverified hosts
+   * resolve to null, i.e. the default namespace, as does every host when
+   * running without MongoDB.
+   *
+   * @async
+   * @param {string} hostname - Hostname from the request
+   * @returns {Promise<Object|null>} Plain domain object or null
+   */
+  async resolveHost(hostname) {
+    if (!env.MONGODB_ENABLED) return null;
+
+    const key = String(hostname || '').toLowerCase();
+
+    const cached = this.resolveCache.get(key);
+    if (cached) return cached;
+    if (this.missCache.get(key)) return null;
+
+    const domain = key ? await Domain.findOne({ hostname: key, verified: true }).lean() : null;
+
+    if (domain) {
+      this.resolveCache.set(key, domain);
+    } else {
+      this.missCache.set(key, true);
+    }
+    return domain;
+  }
+}
+
+// Export singleton instance of the service
+export default new DomainService();
@@ -0,0 +1,61 @@
+/**
+ * Event Service - Internal Publish/Subscribe for Link Events
+ *
+ * A process-local event bus. Services publish lifecycle events here and
+ * listeners (such as WebhookService) react to them, so the publishers don't
+ * need to know who is listening.
+ *
+ * Every event is wrapped in an envelope:
+ * { id, type, createdAt, owner, data }
+ * where `owner` is the owner of the link the event is about.
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns
+ * - Built on Node's EventEmitter; listeners run synchronously, so they
+ *   should hand slow work off (WebhookService queues deliveries)
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+
+/**
+ * Service class for the event bus
+ * Uses singleton pattern - exported as instantiated object
+ */
+class EventService extends EventEmitter {
+
+  /**
+   * Publishes an event to every listener of its type and of '*'
+   *
+   * A failing listener is logged and never breaks the operation that
+   * published the event.
+   *
+   * @param {string} type - Event type (see EVENTS)
+   * @param {Object} data - Event payload
+   * @param {Object} [options]
+   * @param {string|null} [options.owner] - Owner the event concerns
+   * @returns {Object} The published envelope
+   */
+  publish(type, data, { owner = null } = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date(),
+      owner,
+      data,
+    };
+
+    for (const name of [type, '*']) {
+      try {
+        this.emit(name, event);
+      } catch (error) {
+        logger.error('Event listener failed', { type, error });
+      }
+    }
+    return event;
+  }
+}
+
+// Export singleton instance of the service
+export default new EventService();
@@ -0,0 +1,71 @@
+/**
+ * GeoIP Service - Country Lookup for Client IPs
+ *
+ * Resolves client IP addresses to countries with a local MaxMind database
+ * (GEOIP_DB_FILE, e.g. GeoLite2-Country.mmdb). The database is read into
+ * memory, so lookups never leave the process. Without a configured or
+ * readable database every lookup returns null.
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns
+ * - Uses the maxmind package's in-memory reader
+ */
+
+import fs from 'fs';
+import { Reader } from 'maxmind';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Service class for GeoIP lookups
+ * Uses singleton pattern - exported as instantiated object
+ */
+class GeoIpService {
+
+  constructor() {
+    this.reader = null;
+
+    try {
+      this.reload();
+    } catch (error) {
+      // Country rules simply never match without a database
+      logger.error('GeoIP database not loaded', { file: env.GEOIP_DB_FILE, error });
+    }
+  }
+
+  /**
+   * Re-reads the database file
+   *
+   * The current database stays in use if the file can't be read.
+   *
+   * @returns {boolean} Whether a database is loaded
+   * @throws {Error} If the file is unreadable or not a MaxMind database
+   */
+  reload() {
+    if (env.GEOIP_DB_FILE) {
+      this.reader = new Reader(fs.readFileSync(env.GEOIP_DB_FILE));
+    }
+    return this.reader !== null;
+  }
+
+  /**
+   * Looks up the country of an IP address
+   *
+   * @param {string} [ip] - Client IP address (IPv4-mapped IPv6 is accepted)
+   * @returns {string|null} ISO 3166-1 alpha-2 code, or null if unknown
+   */
+  lookupCountry(ip) {
+    if (!this.reader || !ip) return null;
+
+    try {
+      const record = this.reader.get(ip.replace(/^::ffff:(?=\d+\.)/, ''));
+      return record?.country?.iso_code ?? record?.registered_country?.iso_code ?? null;
+    } catch (err) {
+      // Not a valid IP address
+      return null;
+    }
+  }
+}
+
+// Export singleton instance of the service
+export default new GeoIpService();
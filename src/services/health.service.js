@@ -0,0 +1,117 @@
+/**
+ * Health Service - Liveness and Readiness
+ *
+ * Liveness answers "is the process working at all" and stays up until exit,
+ * so the orchestrator only restarts a pod that has really hung. Readiness
+ * answers "should this instance get traffic": it fails while MongoDB is
+ * unreachable and once shutdown has begun, so traffic is routed elsewhere
+ * without the pod being restarted.
+ *
+ * MongoDB is checked whenever it is used: even with the memory or JSON link
+ * storage, API keys, domains, analytics and the audit log live there. When
+ * running without it (see config/db.js) the check reports `disabled` and
+ * doesn't hold readiness back.
+ */
+
+import mongoose from 'mongoose';
+import env from '../config/env.js';
+
+/**
+ * Service class for health probes
+ * Uses singleton pattern - exported as instantiated object
+ */
+class HealthService {
+
+  constructor() {
+    this.startedAt = Date.now();
+    this.draining = false;
+  }
+
+  /**
+   * Marks the instance as shutting down; readiness fails from now on
+   *
+   * @returns {void}
+   */
+  startDraining() {
+    this.draining = true;
+  }
+
+  /**
+   * Returns the time since startup
+   *
+   * @returns {number} Milliseconds
+   */
+  uptimeMs() {
+    return Date.now() - this.startedAt;
+  }
+
+  /**
+   * Pings MongoDB, giving up after HEALTH_DB_PING_TIMEOUT_MS
+   *
+   * @async
+   * @returns {Promise<number>} Round trip in milliseconds
+   * @throws {Error} If the ping fails or times out
+   */
+  async pingDatabase() {
+    const start = Date.now();
+    let timer;
+    try {
+      await Promise.race([
+        mongoose.connection.db.admin().ping(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('Database ping timed out')), env.HEALTH_DB_PING_TIMEOUT_MS);
+        }),
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+    return Date.now() - start;
+  }
+
+  /**
+   * Checks the MongoDB connection
+   *
+   * @async
+   * @param {boolean} ping - Also ping the server
+   * @returns {Promise<{ status: string, state: string, latencyMs?: number, error?: string }>}
+   */
+  async checkDatabase(ping) {
+    if (!env.MONGODB_ENABLED) {
+      return { status: 'disabled', state: 'disabled' };
+    }
+
+    const { readyState } = mongoose.connection;
+    const state = mongoose.ConnectionStates[readyState] ?? 'unknown';
+    if (readyState !== mongoose.ConnectionStates.connected) {
+      return { status: 'down', state };
+    }
+    if (!ping) {
+      return { status: 'up', state };
+    }
+
+    try {
+      return { status: 'up', state, latencyMs: await this.pingDatabase() };
+    } catch (error) {
+      return { status: 'down', state, error: error.message };
+    }
+  }
+
+  /**
+   * Decides whether the instance should receive traffic
+   *
+   * @async
+   * @param {Object} [options]
+   * @param {boolean} [options.ping=env.HEALTH_DB_PING] - Ping MongoDB instead of trusting the connection state
+   * @returns {Promise<{ ready: boolean, checks: { database: Object, shuttingDown: boolean } }>}
+   */
+  async checkReadiness({ ping = env.HEALTH_DB_PING } = {}) {
+    const database = await this.checkDatabase(ping);
+    return {
+      ready: database.status !== 'down' && !this.draining,
+      checks: { database, shuttingDown: this.draining },
+    };
+  }
+}
+
+// Export singleton instance of the service
+export default new HealthService();
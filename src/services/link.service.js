@@ -8,19 +8,276 @@
  * - URL and short code validation
  * - Database CRUD operations for links
  * - Click tracking and analytics
+ * - Caching of redirect targets for the hot path
+ * - Publishing lifecycle events (created, deleted, expired, click thresholds)
+ * - Scheduled activation and scheduled destination changes
+ * - Trash: soft deletion, restore and purge after the retention period
+ * - Recording every change in the audit log
  * - Business rule enforcement (uniqueness, format validation)
  *
  * Architecture:
  * - Pure business logic, no HTTP concerns
- * - Uses Mongoose models for database operations
+ * - Persists links and revisions through the configured storage adapter
  * - Throws specific errors for different failure cases
- * - Returns domain objects (Link instances)
+ * - Returns plain link objects
  */
 
-import Link from '../models/LinkModel.js';
-import generateCode from '../utils/generateCode.js';
-import { CODE_REGEX } from '../constants/regex.js';
+import { getDestinationHost } from '../models/LinkModel.js';
+import storage from '../storage/index.js';
+import domainService from './domain.service.js';
+import destinationPolicy from './destinationPolicy.service.js';
+import routingService from './routing.service.js';
+import analyticsService from './analytics.service.js';
+import clickBuffer from './clickBuffer.service.js';
+import clickStream from './clickStream.service.js';
+import eventService from './events.service.js';
+import codeGenerator from './codeGenerator.service.js';
+import collectionService from './collection.service.js';
+import auditService from './audit.service.js';
+import LruCache from '../utils/lruCache.js';
+import env from '../config/env.js';
+import { hashPassword, verifyPassword } from '../utils/password.js';
+import { CODE_REGEX, TAG_REGEX } from '../constants/regex.js';
 import { MESSAGES } from '../constants/messages.js';
+import { ConflictError, NotFoundError, ServiceUnavailableError, ValidationError } from '../utils/errors.js';
+import { EVENTS } from '../constants/events.js';
+import { AUDIT_ACTIONS } from '../constants/audit.js';
+import logger from '../utils/logger.js';
+
+// Fields included when exporting links
+export const EXPORT_FIELDS = [
+  'shortCode',
+  'domain',
+  'originalUrl',
+  'clicks',
+  'lastClicked',
+  'createdAt',
+  'expiresAt',
+  'activatesAt',
+  'maxClicks',
+  'expired',
+  'passwordProtected',
+  'tags',
+  'collectionId',
+];
+
+// Fields that can be changed after creation with updateLink
+export const MUTABLE_FIELDS = [
+  'originalUrl',
+  'expiresAt',
+  'activatesAt',
+  'maxClicks',
+  'scheduledChanges',
+  'rules',
+  'variants',
+  'stickyVariants',
+  'tags',
+  'collectionId',
+  'preview',
+];
+
+// Fields holding destination URLs, all subject to the destination policy
+const DESTINATION_FIELDS = ['originalUrl', 'rules', 'variants'];
+
+// Most tags a link can carry
+const MAX_TAGS = 20;
+
+// Most scheduled destination changes a link can have pending
+const MAX_SCHEDULED_CHANGES = 20;
+
+// Length limits of preview card fields
+const PREVIEW_LIMITS = { title: 200, description: 500, image: 2048 };
+
+// Number of vanity code suggestions returned by default and at most
+const DEFAULT_SUGGESTIONS = 5;
+const MAX_SUGGESTIONS = 20;
+
+// Sortable fields for the link list
+const LIST_SORT_FIELDS = ['createdAt', 'clicks', 'lastClicked'];
+
+// Page size bounds for the link list
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+// Fields returned by the link list
+const LIST_FIELDS = [
+  'shortCode',
+  'domain',
+  'originalUrl',
+  'clicks',
+  'lastClicked',
+  'createdAt',
+  'expiresAt',
+  'activatesAt',
+  'maxClicks',
+  'expired',
+  'passwordProtected',
+  'disabled',
+  'owner',
+  'tags',
+  'collectionId',
+];
+
+// Fields returned by the trash list
+const TRASH_FIELDS = [...LIST_FIELDS, 'deletedAt', 'deletedBy'];
+
+// Pagination cursors carry ObjectId-style ids in every storage driver
+const CURSOR_ID_REGEX = /^[0-9a-f]{24}$/i;
+
+/**
+ * Parses an optional date query value
+ *
+ * @param {*} value - Raw value
+ * @returns {Date|undefined}
+ * @throws {Error} If the value is present but not a valid date
+ */
+const parseDateParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new ValidationError(MESSAGES.INVALID_LIST_FILTER);
+  }
+  return date;
+};
+
+/**
+ * Validates and normalises a list of tags
+ *
+ * Tags are case-insensitive and stored lowercase; duplicates are dropped.
+ * A comma-separated string is accepted as well, for CSV imports.
+ *
+ * @param {*} value - Raw tags; undefined, null and '' mean none
+ * @returns {Array<string>}
+ * @throws {Error} If a tag is malformed or there are more than 20
+ */
+const parseTags = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || list.some((tag) => typeof tag !== 'string')) {
+    throw new ValidationError(MESSAGES.INVALID_TAGS);
+  }
+
+  const tags = [...new Set(list.map((tag) => tag.trim().toLowerCase()))];
+  if (tags.length > MAX_TAGS || tags.some((tag) => !TAG_REGEX.test(tag))) {
+    throw new ValidationError(MESSAGES.INVALID_TAGS);
+  }
+  return tags;
+};
+
+/**
+ * Validates and normalises a social preview card
+ *
+ * Empty strings count as unset; the image must be an absolute http(s) URL.
+ *
+ * @param {*} value - Raw card ({ title, description, image }); undefined and null mean none
+ * @returns {Object|null} { title, description, image } with unset fields null, or null
+ * @throws {Error} If the card is malformed, too long or has no field set
+ */
+const parsePreview = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new ValidationError(MESSAGES.INVALID_PREVIEW);
+  }
+
+  const preview = {};
+  for (const [field, maxLength] of Object.entries(PREVIEW_LIMITS)) {
+    const text = value[field];
+    if (text !== undefined && text !== null && (typeof text !== 'string' || text.length > maxLength)) {
+      throw new ValidationError(MESSAGES.INVALID_PREVIEW);
+    }
+    preview[field] = text?.trim() || null;
+  }
+
+  if (preview.image) {
+    let url;
+    try {
+      url = new URL(preview.image);
+    } catch (err) {
+      throw new ValidationError(MESSAGES.INVALID_PREVIEW);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new ValidationError(MESSAGES.INVALID_PREVIEW);
+    }
+  }
+
+  if (!preview.title && !preview.description && !preview.image) {
+    throw new ValidationError(MESSAGES.INVALID_PREVIEW);
+  }
+  return preview;
+};
+
+/**
+ * Checks that a link goes live before it expires
+ *
+ * @param {Date|null} activatesAt - Activation date
+ * @param {Date|null} expiresAt - Expiry date
+ * @returns {void}
+ * @throws {Error} If both are set and the link would expire first
+ */
+const checkActivationWindow = (activatesAt, expiresAt) => {
+  if (activatesAt && expiresAt && activatesAt >= expiresAt) {
+    throw new ValidationError(MESSAGES.INVALID_ACTIVATION);
+  }
+};
+
+// Fields kept in the redirect cache - everything redirectLink needs
+const REDIRECT_FIELDS = [
+  'shortCode',
+  'domain',
+  'originalUrl',
+  'clicks',
+  'expiresAt',
+  'activatesAt',
+  'maxClicks',
+  'expired',
+  'passwordProtected',
+  'disabled',
+  'rules',
+  'variants',
+  'stickyVariants',
+  'preview',
+  'deletedAt',
+  'owner',
+];
+
+/**
+ * Lists every destination URL of a link: originalUrl, rule and variant destinations
+ *
+ * @param {Object} link - Link (or pending values) with originalUrl, rules and variants
+ * @returns {Array<string>}
+ */
+const destinationsOf = (link) => [
+  link.originalUrl,
+  ...(link.rules ?? []).map(({ destination }) => destination),
+  ...(link.variants ?? []).map(({ destination }) => destination),
+];
+
+/**
+ * Picks the link fields included in published events
+ *
+ * @param {Object} link - Link document
+ * @returns {Object}
+ */
+const eventLink = (link) => ({
+  shortCode: link.shortCode,
+  domain: link.domain ?? null,
+  originalUrl: link.originalUrl,
+  owner: link.owner ?? null,
+  clicks: link.clicks,
+  createdAt: link.createdAt,
+  expiresAt: link.expiresAt ?? null,
+  maxClicks: link.maxClicks ?? null,
+});
+
+/**
+ * Builds the redirect cache key for a code within a domain
+ *
+ * @param {string|null} domain - Custom domain hostname (null = default)
+ * @param {string} code - Short code
+ * @returns {string}
+ */
+const cacheKey = (domain, code) => `${domain ?? ''}/${code}`;
 
 /**
  * Service class for handling link business logic
@@ -28,127 +285,1484 @@ import { MESSAGES } from '../constants/messages.js';
  */
 class LinkService {
 
+  constructor() {
+    // code -> link snapshot for redirects; invalidated on edit and delete
+    this.redirectCache = new LruCache({
+      maxEntries: env.REDIRECT_CACHE_MAX_ENTRIES,
+      ttlMs: env.REDIRECT_CACHE_TTL_MS,
+    });
+
+    // Buffered clicks only reach their totals when flushed
+    clickBuffer.on('flush', (totals, counts) => {
+      this.publishFlushedThresholds(totals, counts).catch((error) => {
+        logger.error('Click threshold check failed', { error });
+      });
+    });
+  }
+
+  /**
+   * Publishes an event about a link to the event bus
+   *
+   * @param {string} type - Event type (see EVENTS)
+   * @param {Object} link - Link the event is about
+   * @param {Object} [extra] - Additional payload fields
+   * @returns {void}
+   */
+  publishLinkEvent(type, link, extra = {}) {
+    eventService.publish(type, { link: eventLink(link), ...extra }, { owner: link.owner ?? null });
+  }
+
+  /**
+   * Publishes link.click_threshold for every threshold a link just reached
+   *
+   * @param {Object} link - Link with its new click total
+   * @param {number} added - Clicks added by the update that produced the total
+   * @returns {void}
+   */
+  publishClickThresholds(link, added) {
+    const previous = link.clicks - added;
+    for (const threshold of env.CLICK_THRESHOLDS) {
+      if (previous < threshold && link.clicks >= threshold) {
+        this.publishLinkEvent(EVENTS.LINK_CLICK_THRESHOLD, link, { threshold });
+      }
+    }
+  }
+
+  /**
+   * Checks flushed click totals against the thresholds
+   *
+   * Only links that crossed a threshold are loaded in full.
+   *
+   * @async
+   * @param {Array<Object>} totals - New totals ({ _id, clicks }) from storage.addClicks
+   * @param {Array<Object>} counts - Flushed counts ({ id, count })
+   * @returns {Promise<void>}
+   */
+  async publishFlushedThresholds(totals, counts) {
+    const added = new Map(counts.map(({ id, count }) => [String(id), count]));
+
+    for (const { _id, clicks } of totals) {
+      const count = added.get(String(_id)) ?? 0;
+      const crossed = env.CLICK_THRESHOLDS.some((threshold) => clicks - count < threshold && clicks >= threshold);
+      if (!crossed) continue;
+
+      const link = await storage.findLinkById(_id);
+      if (link) {
+        this.publishClickThresholds({ ...link, clicks }, count);
+      }
+    }
+  }
+
   /**
    * Creates a new short link with validation and uniqueness checks
    *
    * Business Rules:
-   * - Original URL must be valid
+   * - Original URL must be valid and allowed by the destination policy
    * - Short code must be 6-8 alphanumeric characters
-   * - Short codes must be globally unique
-   * - If no custom code provided, auto-generate one
+   * - Short codes must be unique within their domain
+   * - Optional custom domain must be verified and belong to the link owner
+   * - If no custom code provided, auto-generate one, drawing a new one
+   *   (up to CODE_GENERATION_ATTEMPTS times) if it turns out to be taken
+   * - Optional expiry date must be in the future
+   * - Optional activation date must be in the future and before the expiry date
+   * - Optional click budget must be a positive integer
+   * - Optional password must be 4-128 characters and is stored hashed
+   * - Optional routing rules must be well-formed, with allowed destinations
+   * - Optional A/B variants must number 2-10, with unique names, allowed
+   *   destinations and weights of which at least one is positive
+   * - Optional scheduled changes must number at most 20, with distinct future
+   *   dates and allowed destinations
+   * - Optional tags must be well-formed (see parseTags), at most 20
+   * - Optional collection must exist and belong to the link owner
+   * - Optional preview card needs a title, description or http(s) image URL
    *
    * @async
    * @param {string} originalUrl - The original URL to shorten
    * @param {string} [customCode] - Optional custom short code
+   * @param {Object} [options] - Optional link settings
+   * @param {string|Date} [options.expiresAt] - Date after which the link expires
+   * @param {string|Date} [options.activatesAt] - Date before which the link does not redirect yet
+   * @param {number} [options.maxClicks] - Number of redirects before the link expires
+   * @param {Array<Object>} [options.scheduledChanges] - Future destination changes ({ at, originalUrl })
+   * @param {string} [options.password] - Password visitors must enter to follow the link
+   * @param {string} [options.owner] - Owner the link belongs to
+   * @param {string} [options.domain] - Custom domain hostname to create the link on
+   * @param {Array<Object>} [options.rules] - Routing rules (see RoutingService)
+   * @param {Array<Object>} [options.variants] - Weighted A/B destinations (see RoutingService)
+   * @param {boolean} [options.stickyVariants] - Keep each visitor on the variant they saw first
+   * @param {Array<string>|string} [options.tags] - Tags (a comma-separated string is accepted)
+   * @param {string} [options.collectionId] - Collection to file the link in
+   * @param {Object} [options.preview] - Social preview card ({ title, description, image })
+   * @param {Object} [options.actor] - Who is creating the link ({ owner, keyId, request }), for the audit log
    * @returns {Promise<Object>} Created link document
-   * @throws {Error} If URL is invalid, code format is wrong, or code already exists
+   * @throws {Error} If URL is invalid or not allowed, code format is wrong, code already exists,
+   *   expiry, activation, schedule, password, routing, variant, tag, collection or preview settings are invalid,
+   *   the domain is unusable, or no unused code could be generated
    */
-  async createLink(originalUrl, customCode) {
-    // Step 1: Validate that the original URL is properly formatted
+  async createLink(originalUrl, customCode, options = {}) {
+    // Step 1: Validate that the original URL is properly formatted and allowed
+    await this.checkDestination(originalUrl);
+
+    // Step 2: Validate the custom short code format (generated codes always match)
+    if (customCode && !CODE_REGEX.test(customCode)) {
+      throw new ValidationError(MESSAGES.INVALID_CODE);
+    }
+
+    // Step 3: Validate optional expiry and activation settings
+    const { expiresAt, maxClicks } = this.parseExpiry(options);
+    const activatesAt = this.parseActivation(options.activatesAt);
+    checkActivationWindow(activatesAt, expiresAt);
+
+    // Step 4: Validate the optional password
+    const { password } = options;
+    const hasPassword = password !== undefined && password !== null && password !== '';
+    if (hasPassword && (typeof password !== 'string' || password.length < 4 || password.length > 128)) {
+      throw new ValidationError(MESSAGES.INVALID_PASSWORD);
+    }
+
+    // Step 5: Validate the optional routing rules, A/B variants, scheduled changes and their destinations
+    const rules = await this.parseRules(options.rules);
+    const variants = await this.parseVariants(options.variants);
+    const stickyVariants = this.parseStickyVariants(options.stickyVariants);
+    const scheduledChanges = await this.parseScheduledChanges(options.scheduledChanges);
+
+    // Step 6: Validate the optional tags, collection and preview card
+    const tags = parseTags(options.tags);
+    const preview = parsePreview(options.preview);
+    const collectionId = await collectionService.resolveLinkCollection(options.collectionId, options.owner);
+
+    // Step 7: Resolve the optional custom domain
+    const domain = await this.resolveLinkDomain(options.domain, options.owner);
+
+    const passwordHash = hasPassword ? await hashPassword(password) : null;
+
+    for (let attempt = 1; ; attempt += 1) {
+      // Step 8: Determine the short code (custom or auto-generated)
+      const shortCode = customCode || await codeGenerator.generate();
+
+      let link;
+      try {
+        // Step 9: Check for uniqueness - ensure code doesn't already exist in the domain
+        const existingLink = await storage.findLink({ domain, shortCode }, { fields: [] });
+        if (existingLink) {
+          throw new ConflictError(MESSAGES.CODE_EXISTS);
+        }
+
+        // Step 10: Create and save the new link; the adapter still rejects a code
+        // claimed by a concurrent request between check and save
+        link = await storage.createLink({
+          shortCode,
+          domain,
+          originalUrl,
+          destinationHost: getDestinationHost(originalUrl),
+          expiresAt,
+          activatesAt,
+          maxClicks,
+          scheduledChanges,
+          passwordProtected: hasPassword,
+          passwordHash,
+          owner: options.owner ?? null,
+          rules,
+          variants,
+          stickyVariants,
+          tags,
+          collectionId,
+          preview,
+        });
+      } catch (error) {
+        // A taken custom code is the caller's to resolve; a taken generated one is redrawn
+        if (!(error instanceof ConflictError) || customCode) throw error;
+        if (attempt >= env.CODE_GENERATION_ATTEMPTS) {
+          throw new ServiceUnavailableError(MESSAGES.CODE_GENERATION_FAILED);
+        }
+        continue;
+      }
+
+      // The link is saved; nothing after this point may fail the request
+      this.publishLinkEvent(EVENTS.LINK_CREATED, link);
+      await auditService.record(AUDIT_ACTIONS.LINK_CREATE, link, options.actor, { originalUrl });
+      return link;
+    }
+  }
+
+  /**
+   * Validates a destination URL
+   *
+   * @param {string} originalUrl - URL to validate
+   * @returns {void}
+   * @throws {Error} If the URL cannot be parsed
+   */
+  validateUrl(originalUrl) {
     try {
       new URL(originalUrl);
     } catch (err) {
-      throw new Error(MESSAGES.INVALID_URL);
+      throw new ValidationError(MESSAGES.INVALID_URL);
     }
+  }
+
+  /**
+   * Validates a destination URL and checks it against the destination policy
+   *
+   * @async
+   * @param {string} originalUrl - URL to check
+   * @returns {Promise<void>}
+   * @throws {Error} If the URL cannot be parsed or the policy rejects it
+   */
+  async checkDestination(originalUrl) {
+    this.validateUrl(originalUrl);
+    await destinationPolicy.check(originalUrl);
+  }
 
-    // Step 2: Determine the short code (custom or auto-generated)
-    let shortCode = customCode;
-    if (!shortCode) {
-      // Generate a random code if none provided
-      shortCode = generateCode();
+  /**
+   * Validates routing rules and checks every rule destination like originalUrl
+   *
+   * @async
+   * @param {*} rules - Raw rules
+   * @returns {Promise<Array<Object>>} Normalised rules
+   * @throws {Error} If a rule is malformed or a destination is invalid or not allowed
+   */
+  async parseRules(rules) {
+    const parsed = routingService.parseRules(rules);
+    for (const { destination } of parsed) {
+      await this.checkDestination(destination);
     }
+    return parsed;
+  }
 
-    // Step 3: Validate short code format
-    if (!CODE_REGEX.test(shortCode)) {
-      throw new Error(MESSAGES.INVALID_CODE);
+  /**
+   * Validates A/B variants and checks every variant destination like originalUrl
+   *
+   * @async
+   * @param {*} variants - Raw variants
+   * @returns {Promise<Array<Object>>} Normalised variants
+   * @throws {Error} If a variant is malformed or a destination is invalid or not allowed
+   */
+  async parseVariants(variants) {
+    const parsed = routingService.parseVariants(variants);
+    for (const { destination } of parsed) {
+      await this.checkDestination(destination);
+    }
+    return parsed;
+  }
+
+  /**
+   * Validates the optional stickyVariants flag
+   *
+   * @param {*} value - Raw value
+   * @returns {boolean}
+   * @throws {Error} If the value is given but not a boolean
+   */
+  parseStickyVariants(value) {
+    if (value === undefined || value === null) return false;
+    if (typeof value !== 'boolean') {
+      throw new ValidationError(MESSAGES.INVALID_STICKY_VARIANTS);
+    }
+    return value;
+  }
+
+  /**
+   * Validates scheduled destination changes and checks every destination like originalUrl
+   *
+   * @async
+   * @param {*} value - Raw list of { at, originalUrl }; undefined and null mean none
+   * @returns {Promise<Array<Object>>} Changes ordered by date, with `at` as a Date
+   * @throws {Error} If the list is malformed, too long, has a past or repeated
+   *   date, or a destination is invalid or not allowed
+   */
+  async parseScheduledChanges(value) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.length > MAX_SCHEDULED_CHANGES) {
+      throw new ValidationError(MESSAGES.INVALID_SCHEDULED_CHANGES);
+    }
+
+    const now = new Date();
+    const changes = value.map((change) => {
+      const at = new Date(change?.at ?? NaN);
+      if (typeof change?.originalUrl !== 'string' || Number.isNaN(at.getTime()) || at <= now) {
+        throw new ValidationError(MESSAGES.INVALID_SCHEDULED_CHANGES);
+      }
+      return { at, originalUrl: change.originalUrl };
+    });
+
+    changes.sort((a, b) => a.at - b.at);
+    if (changes.some((change, index) => index > 0 && change.at.getTime() === changes[index - 1].at.getTime())) {
+      throw new ValidationError(MESSAGES.INVALID_SCHEDULED_CHANGES);
+    }
+
+    for (const { originalUrl } of changes) {
+      await this.checkDestination(originalUrl);
+    }
+    return changes;
+  }
+
+  /**
+   * Re-checks every link against the current destination policy
+   *
+   * Links with a destination (originalUrl, a rule or a variant) that is no
+   * longer allowed are disabled (they answer 410 until their destinations are
+   * edited). Already disabled links are skipped.
+   *
+   * @async
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Only report offenders
+   * @returns {Promise<Object>} { scanned, disabled, dryRun, offenders }
+   */
+  async rescanDestinations({ dryRun = false } = {}) {
+    const cursor = storage.exportLinks(undefined, ['shortCode', 'domain', ...DESTINATION_FIELDS, 'disabled']);
+    const offenders = [];
+    let scanned = 0;
+
+    try {
+      for await (const link of cursor) {
+        scanned += 1;
+        if (link.disabled) continue;
+
+        try {
+          for (const destination of destinationsOf(link)) {
+            await this.checkDestination(destination);
+          }
+        } catch (error) {
+          if (!(error instanceof ValidationError)) throw error;
+          offenders.push({ link, reason: error.message });
+        }
+      }
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+
+    // Disable after the scan so the cursor never sees its own updates
+    if (!dryRun) {
+      const now = new Date();
+      for (const { link, reason } of offenders) {
+        await storage.disableLink(link._id, reason, now);
+        this.invalidateRedirect(link);
+      }
+    }
+
+    return {
+      scanned,
+      disabled: dryRun ? 0 : offenders.length,
+      dryRun,
+      offenders: offenders.map(({ link, reason }) => ({
+        shortCode: link.shortCode,
+        domain: link.domain,
+        originalUrl: link.originalUrl,
+        reason,
+      })),
+    };
+  }
+
+  /**
+   * Resolves the custom domain a link should be created on
+   *
+   * @async
+   * @param {string} [hostname] - Requested domain; empty means the default domain
+   * @param {string} [owner] - Owner creating the link; must own the domain
+   * @returns {Promise<string|null>} Normalised hostname, or null for the default domain
+   * @throws {Error} If the domain is unknown, not owned by the caller, or unverified
+   */
+  async resolveLinkDomain(hostname, owner) {
+    if (hostname === undefined || hostname === null || hostname === '') return null;
+
+    const domain = await domainService.getDomain(hostname, owner ?? null);
+    if (!domain) {
+      throw new ValidationError(MESSAGES.DOMAIN_NOT_FOUND);
+    }
+    if (!domain.verified) {
+      throw new ValidationError(MESSAGES.DOMAIN_NOT_VERIFIED);
+    }
+    return domain.hostname;
+  }
+
+  /**
+   * Proposes unused vanity codes based on a word
+   *
+   * @async
+   * @param {string} base - Word to build codes from, e.g. "summer-sale"
+   * @param {Object} [options]
+   * @param {string} [options.domain] - Custom domain the codes should be free on
+   * @param {string} [options.owner] - Owner asking; must own the domain
+   * @param {number|string} [options.count] - Number of suggestions, 1-20 (default 5)
+   * @returns {Promise<Object>} { base, domain, suggestions }; fewer suggestions
+   *   than requested when most candidates are taken
+   * @throws {Error} If the base or count is invalid, or the domain is unusable
+   */
+  async suggestCodes(base, { domain, owner, count } = {}) {
+    let limit = DEFAULT_SUGGESTIONS;
+    if (count !== undefined && count !== '') {
+      limit = Number(count);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+        throw new ValidationError(MESSAGES.INVALID_SUGGEST_COUNT);
+      }
+    }
+
+    const candidates = codeGenerator.suggestCandidates(base);
+    const hostname = await this.resolveLinkDomain(domain, owner);
+    const taken = new Set(await storage.findTakenCodes(hostname, candidates));
+
+    return {
+      base,
+      domain: hostname,
+      suggestions: candidates.filter((code) => !taken.has(code)).slice(0, limit),
+    };
+  }
+
+  /**
+   * Validates and normalises optional expiry settings
+   *
+   * Empty values (undefined, null, '') mean "no limit".
+   *
+   * @param {Object} options - Raw settings
+   * @param {string|Date} [options.expiresAt] - Expiry date
+   * @param {number|string} [options.maxClicks] - Click budget
+   * @returns {{ expiresAt: Date|null, maxClicks: number|null }}
+   * @throws {Error} If the date is invalid or in the past, or the budget is not a positive integer
+   */
+  parseExpiry({ expiresAt, maxClicks } = {}) {
+    let expiryDate = null;
+    if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+      expiryDate = new Date(expiresAt);
+      if (Number.isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        throw new ValidationError(MESSAGES.INVALID_EXPIRY);
+      }
     }
 
-    // Step 4: Check for uniqueness - ensure code doesn't already exist
-    const existingLink = await Link.findOne({ shortCode });
-    if (existingLink) {
-      throw new Error(MESSAGES.CODE_EXISTS);
+    let clickBudget = null;
+    if (maxClicks !== undefined && maxClicks !== null && maxClicks !== '') {
+      clickBudget = Number(maxClicks);
+      if (!Number.isInteger(clickBudget) || clickBudget < 1) {
+        throw new ValidationError(MESSAGES.INVALID_MAX_CLICKS);
+      }
     }
 
-    // Step 5: Create and save the new link
-    const newLink = new Link({ shortCode, originalUrl });
-    await newLink.save();
-    return newLink;
+    return { expiresAt: expiryDate, maxClicks: clickBudget };
   }
 
   /**
-   * Retrieves all links for dashboard display
+   * Validates an optional activation date
    *
-   * Returns basic information for all links without sensitive data.
+   * Empty values (undefined, null, '') mean "active right away".
+   *
+   * @param {string|Date} [activatesAt] - Date before which the link does not redirect yet
+   * @returns {Date|null}
+   * @throws {Error} If the date is invalid or in the past
+   */
+  parseActivation(activatesAt) {
+    if (activatesAt === undefined || activatesAt === null || activatesAt === '') return null;
+
+    const activationDate = new Date(activatesAt);
+    if (Number.isNaN(activationDate.getTime()) || activationDate <= new Date()) {
+      throw new ValidationError(MESSAGES.INVALID_ACTIVATION);
+    }
+    return activationDate;
+  }
+
+  /**
+   * Checks whether a link is still waiting for its activation date
+   *
+   * @param {Object} link - Link document
+   * @param {Date} [now] - Reference time
+   * @returns {boolean}
+   */
+  isPending(link, now = new Date()) {
+    return Boolean(link.activatesAt && link.activatesAt > now);
+  }
+
+  /**
+   * Checks whether a link has reached its expiry date or click budget
+   *
+   * @param {Object} link - Link document
+   * @param {Date} [now] - Reference time
+   * @returns {boolean}
+   */
+  isExpired(link, now = new Date()) {
+    if (link.expired) return true;
+    if (link.expiresAt && link.expiresAt <= now) return true;
+    if (link.maxClicks != null && link.clicks >= link.maxClicks) return true;
+    return false;
+  }
+
+  /**
+   * Creates many links in one call, reporting the outcome of every row
+   *
+   * Rows are validated with exactly the same rules as createLink and are
+   * processed in order, so a code repeated within the batch is reported as a
+   * conflict for the later row. A failing row never aborts the batch.
+   *
+   * @async
+   * @param {Array<Object>} rows - Rows with originalUrl and optional shortCode,
+   *   expiresAt, activatesAt, maxClicks, password, domain, tags and collectionId
+   * @param {Object} [options]
+   * @param {string} [options.owner] - Owner the created links belong to
+   * @param {Object} [options.actor] - Who is creating the links ({ owner, keyId, request })
+   * @returns {Promise<Object>} Summary counts and per-row results
+   * @throws {Error} If rows is not an array or exceeds the batch size limit
+   */
+  async bulkCreateLinks(rows, { owner, actor } = {}) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new ValidationError(MESSAGES.INVALID_BULK_PAYLOAD);
+    }
+    if (rows.length > env.BULK_MAX_ROWS) {
+      throw new ValidationError(MESSAGES.BULK_TOO_LARGE);
+    }
+
+    const summary = { created: 0, conflict: 0, invalid: 0, error: 0 };
+    const results = [];
+
+    for (const [index, row] of rows.entries()) {
+      const result = { row: index + 1 };
+
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        Object.assign(result, { status: 'invalid', error: MESSAGES.INVALID_BULK_ROW });
+      } else {
+        try {
+          const {
+            originalUrl, shortCode, expiresAt, activatesAt, maxClicks, password, domain, tags, collectionId,
+          } = row;
+          const link = await this.createLink(originalUrl, shortCode || undefined, {
+            expiresAt,
+            activatesAt,
+            maxClicks,
+            password,
+            domain,
+            tags,
+            collectionId,
+            owner,
+            actor,
+          });
+          Object.assign(result, { status: 'created', shortCode: link.shortCode, domain: link.domain });
+        } catch (error) {
+          if (error instanceof ConflictError) {
+            Object.assign(result, { status: 'conflict', shortCode: row.shortCode, error: error.message });
+          } else if (error instanceof ValidationError) {
+            Object.assign(result, { status: 'invalid', error: error.message });
+          } else {
+            logger.error('Bulk link creation failed for a row', { row: result.row, error });
+            Object.assign(result, { status: 'error', error: MESSAGES.SERVER_ERROR });
+          }
+        }
+      }
+
+      summary[result.status] += 1;
+      results.push(result);
+    }
+
+    return { total: rows.length, summary, results };
+  }
+
+  /**
+   * Adds and/or removes tags on many links in one call
+   *
+   * Tags in `remove` are taken away before those in `add` are added, so a
+   * tag in both ends up on every link. Each changed link gets a revision.
+   *
+   * @async
+   * @param {Array<string>} codes - Short codes of the links
+   * @param {Object} tags
+   * @param {Array<string>} [tags.add] - Tags to add
+   * @param {Array<string>} [tags.remove] - Tags to remove
+   * @param {Object} [scope] - Lookup scope, as for getLinkByCode
+   * @param {Object} [actor] - Who is making the change ({ owner, keyId, request })
+   * @returns {Promise<Object>} Summary counts and per-link results
+   * @throws {Error} If the codes or tags are invalid or exceed the batch size limit
+   */
+  async bulkTagLinks(codes, { add, remove } = {}, scope = {}, actor = {}) {
+    const added = parseTags(add);
+    const removed = parseTags(remove);
+    if (added.length === 0 && removed.length === 0) {
+      throw new ValidationError(MESSAGES.INVALID_BULK_TAGS);
+    }
+
+    return await this.bulkEditLinks(codes, MESSAGES.INVALID_BULK_TAGS, scope, actor, async (link) => {
+      const tags = [...new Set([...(link.tags ?? []).filter((tag) => !removed.includes(tag)), ...added])];
+      if (tags.length > MAX_TAGS) {
+        throw new ValidationError(MESSAGES.INVALID_TAGS);
+      }
+      return { tags };
+    });
+  }
+
+  /**
+   * Moves many links into a collection, or out of any collection, in one call
+   *
+   * For admin keys the collection must also belong to each link's owner;
+   * links of other owners are reported as invalid.
+   *
+   * @async
+   * @param {Array<string>} codes - Short codes of the links
+   * @param {string|null} collectionId - Target collection, or null to unfile the links
+   * @param {Object} [scope] - Lookup scope, as for getLinkByCode
+   * @param {Object} [actor] - Who is making the change ({ owner, keyId, request })
+   * @returns {Promise<Object>} Summary counts and per-link results
+   * @throws {Error} If the codes are invalid or exceed the batch size limit,
+   *   or the collection doesn't exist
+   */
+  async bulkMoveLinks(codes, collectionId, scope = {}, actor = {}) {
+    if (collectionId === undefined) {
+      throw new ValidationError(MESSAGES.INVALID_BULK_MOVE);
+    }
+    if (collectionId !== null) {
+      await collectionService.getCollection(collectionId, scope.owner);
+    }
+
+    return await this.bulkEditLinks(codes, MESSAGES.INVALID_BULK_MOVE, scope, actor, async (link) => ({
+      collectionId: await collectionService.resolveLinkCollection(collectionId, link.owner),
+    }));
+  }
+
+  /**
+   * Applies an edit to many links, reporting the outcome for every code
+   *
+   * Codes are processed in order and a failing link never aborts the batch.
+   *
+   * @async
+   * @param {Array<string>} codes - Short codes of the links
+   * @param {string} invalidMessage - Message for a malformed code list
+   * @param {Object} scope - Lookup scope, as for getLinkByCode
+   * @param {Object} actor - Who is making the change ({ owner, keyId, request })
+   * @param {Function} buildValues - Async (link) => new values for applyRevision
+   * @returns {Promise<Object>} Summary counts and per-link results
+   * @throws {Error} If the code list is malformed or exceeds the batch size limit
+   */
+  async bulkEditLinks(codes, invalidMessage, scope, actor, buildValues) {
+    if (!Array.isArray(codes) || codes.length === 0 || codes.some((code) => typeof code !== 'string')) {
+      throw new ValidationError(invalidMessage);
+    }
+    if (codes.length > env.BULK_MAX_ROWS) {
+      throw new ValidationError(MESSAGES.BULK_TOO_LARGE);
+    }
+
+    const summary = { updated: 0, unchanged: 0, not_found: 0, invalid: 0, conflict: 0, error: 0 };
+    const results = [];
+
+    for (const shortCode of codes) {
+      const result = { shortCode };
+
+      try {
+        const link = CODE_REGEX.test(shortCode) ? await this.getLinkByCode(shortCode, scope) : null;
+        if (!link) {
+          throw new NotFoundError(MESSAGES.LINK_NOT_FOUND);
+        }
+
+        const updated = await this.applyRevision(link, await buildValues(link), { type: 'update', actor });
+        result.status = updated === link ? 'unchanged' : 'updated';
+      } catch (error) {
+        if (error instanceof NotFoundError) {
+          result.status = 'not_found';
+        } else if (error instanceof ConflictError) {
+          Object.assign(result, { status: 'conflict', error: error.message });
+        } else if (error instanceof ValidationError) {
+          Object.assign(result, { status: 'invalid', error: error.message });
+        } else {
+          logger.error('Bulk link update failed for a link', { shortCode, error });
+          Object.assign(result, { status: 'error', error: MESSAGES.SERVER_ERROR });
+        }
+      }
+
+      summary[result.status] += 1;
+      results.push(result);
+    }
+
+    return { total: codes.length, summary, results };
+  }
+
+  /**
+   * Opens a cursor over links for streaming export
+   *
+   * An undefined owner means "no restriction" (admin keys). Trashed links
+   * are left out.
+   *
+   * @param {string} [owner] - Only export links belonging to this owner
+   * @returns {Object} Cursor yielding plain link objects, with close()
+   */
+  getExportCursor(owner) {
+    return storage.exportLinks(owner, EXPORT_FIELDS);
+  }
+
+  /**
+   * Parses and validates link list query parameters
+   *
+   * The filter is storage-neutral; each adapter translates it to its own
+   * query form.
+   *
+   * @param {Object} query - Raw query values
+   * @returns {Object} Normalised { limit, sort, order, cursor, filter }; the filter
+   *   selects live links only
+   * @throws {Error} If any parameter is invalid
+   */
+  parseListQuery(query = {}) {
+    const {
+      limit = LIST_DEFAULT_LIMIT,
+      sort = 'createdAt',
+      order = 'desc',
+      cursor,
+      q,
+      createdFrom,
+      createdTo,
+      clickedFrom,
+      clickedTo,
+      minClicks,
+      destinationDomain,
+      tags,
+      collectionId,
+    } = query;
+
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > LIST_MAX_LIMIT) {
+      throw new ValidationError(MESSAGES.INVALID_LIST_LIMIT);
+    }
+
+    if (!LIST_SORT_FIELDS.includes(sort) || !['asc', 'desc'].includes(order)) {
+      throw new ValidationError(MESSAGES.INVALID_LIST_SORT);
+    }
+
+    const filter = {
+      trashed: false,
+      createdFrom: parseDateParam(createdFrom),
+      createdTo: parseDateParam(createdTo),
+      clickedFrom: parseDateParam(clickedFrom),
+      clickedTo: parseDateParam(clickedTo),
+    };
+
+    if (minClicks !== undefined && minClicks !== '') {
+      const min = Number(minClicks);
+      if (!Number.isInteger(min) || min < 0) {
+        throw new ValidationError(MESSAGES.INVALID_LIST_FILTER);
+      }
+      filter.minClicks = min;
+    }
+
+    // Exact host or any subdomain of it
+    if (typeof destinationDomain === 'string' && destinationDomain.trim()) {
+      filter.destinationDomain = destinationDomain.trim().toLowerCase();
+    }
+
+    // Links carrying every listed tag
+    if (tags !== undefined && tags !== '') {
+      try {
+        filter.tags = parseTags(tags);
+      } catch (err) {
+        throw new ValidationError(MESSAGES.INVALID_LIST_FILTER);
+      }
+    }
+
+    // A collection id, or "none" for links outside any collection
+    if (collectionId !== undefined && collectionId !== '') {
+      if (collectionId !== 'none' && !CURSOR_ID_REGEX.test(collectionId)) {
+        throw new ValidationError(MESSAGES.INVALID_LIST_FILTER);
+      }
+      filter.collectionId = collectionId === 'none' ? null : collectionId;
+    }
+
+    // Case-insensitive substring search over code and destination
+    if (typeof q === 'string' && q.trim()) {
+      filter.q = q.trim().slice(0, 200);
+    }
+
+    return {
+      limit: pageSize,
+      sort,
+      order,
+      cursor: cursor ? this.decodeCursor(cursor, sort) : null,
+      filter,
+    };
+  }
+
+  /**
+   * Encodes the position after a link as an opaque pagination cursor
+   *
+   * @param {Object} link - Last link of the current page
+   * @param {string} sort - Sort field
+   * @returns {string}
+   */
+  encodeCursor(link, sort) {
+    const value = link[sort] instanceof Date ? link[sort].toISOString() : link[sort] ?? null;
+    return Buffer.from(JSON.stringify({ v: value, id: String(link._id) })).toString('base64url');
+  }
+
+  /**
+   * Decodes a pagination cursor
+   *
+   * @param {string} cursor - Cursor from a previous page
+   * @param {string} sort - Sort field the cursor was created for
+   * @returns {{ value: *, id: string }}
+   * @throws {Error} If the cursor is malformed
+   */
+  decodeCursor(cursor, sort) {
+    try {
+      const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+      if (typeof id !== 'string' || !CURSOR_ID_REGEX.test(id)) throw new Error();
+
+      let value = v;
+      if (sort === 'clicks') {
+        if (typeof v !== 'number') throw new Error();
+      } else if (v !== null) {
+        value = new Date(v);
+        if (Number.isNaN(value.getTime())) throw new Error();
+      }
+      return { value, id };
+    } catch (err) {
+      throw new ValidationError(MESSAGES.INVALID_CURSOR);
+    }
+  }
+
+  /**
+   * Retrieves a page of links for dashboard display
+   *
+   * Returns basic information for links without sensitive data, with
+   * cursor-based pagination, sorting, filtering and search.
    * Used by the frontend dashboard to show user's links.
    *
    * @async
-   * @returns {Promise<Array>} Array of link objects with selected fields
+   * @param {string} [owner] - Only return links belonging to this owner
+   * @param {Object} [query] - List options (see parseListQuery)
+   * @param {number} [query.limit] - Page size, 1-200 (default 50)
+   * @param {string} [query.cursor] - nextCursor from the previous page
+   * @param {string} [query.sort] - createdAt, clicks or lastClicked (default createdAt)
+   * @param {string} [query.order] - asc or desc (default desc)
+   * @param {string} [query.q] - Search text matched against shortCode and originalUrl
+   * @param {string} [query.createdFrom] - ISO date, inclusive
+   * @param {string} [query.createdTo] - ISO date, exclusive
+   * @param {string} [query.clickedFrom] - ISO date, inclusive, on lastClicked
+   * @param {string} [query.clickedTo] - ISO date, exclusive, on lastClicked
+   * @param {number} [query.minClicks] - Minimum click count
+   * @param {string} [query.destinationDomain] - Destination host (subdomains included)
+   * @param {string} [query.tags] - Comma-separated tags, all of which a link must carry
+   * @param {string} [query.collectionId] - Collection id, or "none" for unfiled links
+   * @returns {Promise<{ links: Array, nextCursor: string|null, total: number }>}
+   * @throws {Error} If the query is invalid
    */
-  async getAllLinks() {
-    // Return only essential fields for dashboard display
-    return await Link.find({}, 'shortCode originalUrl clicks lastClicked');
+  async getAllLinks(owner, query = {}) {
+    const { limit, sort, order, cursor, filter } = this.parseListQuery(query);
+
+    // Fetch one extra link to know whether another page exists
+    const { links, total } = await storage.listLinks({
+      owner,
+      filter,
+      sort,
+      order,
+      cursor,
+      limit: limit + 1,
+      fields: LIST_FIELDS,
+    });
+
+    const hasMore = links.length > limit;
+    const page = hasMore ? links.slice(0, limit) : links;
+
+    return {
+      links: page,
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], sort) : null,
+      total,
+    };
+  }
+
+  /**
+   * Retrieves a page of the trash, most recently deleted first
+   *
+   * @async
+   * @param {string} [owner] - Only return links belonging to this owner
+   * @param {Object} [query]
+   * @param {number} [query.limit] - Page size, 1-200 (default 50)
+   * @param {string} [query.cursor] - nextCursor from the previous page
+   * @returns {Promise<{ links: Array, nextCursor: string|null, total: number }>}
+   * @throws {Error} If the limit or cursor is invalid
+   */
+  async getTrashedLinks(owner, { limit = LIST_DEFAULT_LIMIT, cursor } = {}) {
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > LIST_MAX_LIMIT) {
+      throw new ValidationError(MESSAGES.INVALID_LIST_LIMIT);
+    }
+
+    const { links, total } = await storage.listLinks({
+      owner,
+      filter: { trashed: true },
+      sort: 'deletedAt',
+      order: 'desc',
+      cursor: cursor ? this.decodeCursor(cursor, 'deletedAt') : null,
+      limit: pageSize + 1,
+      fields: TRASH_FIELDS,
+    });
+
+    const hasMore = links.length > pageSize;
+    const page = hasMore ? links.slice(0, pageSize) : links;
+
+    return {
+      links: page,
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], 'deletedAt') : null,
+      total,
+    };
   }
 
   /**
    * Finds a link by its short code
    *
-   * Used for redirects and statistics retrieval.
-   * Returns null if link doesn't exist.
+   * Used for statistics retrieval and management.
+   * Returns null if link doesn't exist, is in the trash or belongs to another owner.
    *
    * @async
    * @param {string} code - The short code to search for
+   * @param {Object} [scope] - Lookup scope
+   * @param {string|null} [scope.domain] - Custom domain namespace (default domain if omitted)
+   * @param {string} [scope.owner] - Only match a link belonging to this owner
    * @returns {Promise<Object|null>} Link document or null if not found
    */
-  async getLinkByCode(code) {
-    return await Link.findOne({ shortCode: code });
+  async getLinkByCode(code, { domain = null, owner } = {}) {
+    return await storage.findLink({ domain, shortCode: code, owner, trashed: false });
+  }
+
+  /**
+   * Builds the public short URL of a link
+   *
+   * Custom domain links live at https://<domain>/<code>; default-domain links
+   * at PUBLIC_BASE_URL, or the given origin when that isn't configured.
+   *
+   * @param {Object} link - Link with shortCode and domain
+   * @param {string} fallbackOrigin - Origin to use without PUBLIC_BASE_URL
+   * @returns {string}
+   */
+  getShortUrl(link, fallbackOrigin) {
+    const origin = link.domain ? `https://${link.domain}` : env.PUBLIC_BASE_URL || fallbackOrigin;
+    return `${origin}/${link.shortCode}`;
+  }
+
+  /**
+   * Finds the redirect target for a short code, served from cache when possible
+   *
+   * Returns a lean snapshot with just the fields the redirect needs; trashed
+   * links are included (deletedAt set) so they can be answered with 410.
+   * Misses (unknown codes) are not cached, so enumeration can't flood the cache.
+   *
+   * @async
+   * @param {string} code - The short code to resolve
+   * @param {string|null} [domain] - Custom domain namespace (null = default)
+   * @returns {Promise<Object|null>} Link snapshot or null if not found
+   */
+  async getRedirectLink(code, domain = null) {
+    const key = cacheKey(domain, code);
+    const cached = this.redirectCache.get(key);
+    if (cached) return cached;
+
+    const link = await storage.findLink({ domain, shortCode: code }, { fields: REDIRECT_FIELDS });
+    if (link) {
+      this.redirectCache.set(key, link);
+    }
+    return link;
+  }
+
+  /**
+   * Drops a link from the redirect cache
+   *
+   * @param {Object} link - Link with domain and shortCode
+   * @returns {void}
+   */
+  invalidateRedirect(link) {
+    this.redirectCache.delete(cacheKey(link.domain ?? null, link.shortCode));
+  }
+
+  /**
+   * Counts a click for a link
+   *
+   * Links without a click budget are counted in the in-memory click buffer
+   * and flushed in batches. Links with a budget go through the atomic
+   * incrementClicks so the budget can never be exceeded.
+   *
+   * Counted clicks are pushed to open click streams; for budget links the
+   * new total follows right away, for others once the buffer is flushed.
+   *
+   * @async
+   * @param {Object} link - Link document or redirect snapshot
+   * @param {string|null} [variant] - A/B variant the visitor is sent to, counted as well
+   * @param {Object} [clientInfo] - Visitor details from getClientInfo, for click streams
+   * @returns {Promise<boolean>} False if the link expired before the click could be counted
+   */
+  async countClick(link, variant = null, clientInfo = {}) {
+    if (link.maxClicks == null) {
+      clickBuffer.record(link, new Date(), variant);
+      clickStream.publishClick(link, clientInfo, variant);
+      return true;
+    }
+
+    const updated = await this.incrementClicks(link, variant);
+    if (!updated) {
+      // The cached snapshot is stale - the budget ran out
+      this.invalidateRedirect(link);
+      return false;
+    }
+    this.publishClickThresholds(updated, 1);
+    clickStream.publishClick(link, clientInfo, variant);
+    clickStream.publishCount(updated);
+    return true;
+  }
+
+  /**
+   * Returns cache and click buffer counters for monitoring
+   *
+   * @returns {{ cache: Object, clickBuffer: Object }}
+   */
+  getRedirectStats() {
+    return {
+      cache: this.redirectCache.stats(),
+      clickBuffer: clickBuffer.stats(),
+    };
+  }
+
+  /**
+   * Returns a link's click count including clicks not yet flushed
+   *
+   * @param {Object} link - Link document
+   * @returns {number}
+   */
+  getClickCount(link) {
+    return link.clicks + clickBuffer.pendingFor(link);
+  }
+
+  /**
+   * Returns a link's A/B variants with their click counts, including clicks not yet flushed
+   *
+   * @param {Object} link - Link document
+   * @returns {Array<Object>} { name, destination, weight, clicks } per variant
+   */
+  getVariantStats(link) {
+    const pending = clickBuffer.pendingVariantsFor(link);
+    // Mongoose Maps come back from lean queries as plain objects
+    const stored = link.variantClicks ?? {};
+
+    return (link.variants ?? []).map(({ name, destination, weight }) => ({
+      name,
+      destination,
+      weight,
+      clicks: (stored[name] ?? 0) + (pending[name] ?? 0),
+    }));
+  }
+
+  /**
+   * Verifies the password of a protected link
+   *
+   * @async
+   * @param {Object} link - Link document (password hash is loaded separately)
+   * @param {string} password - Password supplied by the visitor
+   * @returns {Promise<boolean>} True if the link still exists, is protected and the password matches
+   */
+  async verifyLinkPassword(link, password) {
+    const stored = await storage.findLinkById(link._id, { withPassword: true });
+    if (!stored || !stored.passwordProtected) return false;
+    return await verifyPassword(password, stored.passwordHash);
   }
 
   /**
    * Increments click count and updates last clicked timestamp
    *
-   * This method is called whenever a short link is accessed.
-   * Updates both click counter and timestamp atomically.
+   * Called by countClick for links with a click budget.
+   * The storage adapter checks the expiry date and click budget in the same
+   * atomic operation - concurrent redirects can never push clicks past maxClicks.
    *
    * @async
    * @param {Object} link - The link document to update
    * @param {string} link.shortCode - Short code identifier
-   * @param {number} link.clicks - Current click count
-   * @returns {Promise<Object>} Updated link document
+   * @param {string|null} [variant] - A/B variant to count the click for
+   * @returns {Promise<Object|null>} Updated link document, or null if the link
+   *   has expired (or was removed) in the meantime
    */
-  async incrementClicks(link) {
-    // Increment click counter
-    link.clicks += 1;
+  async incrementClicks(link, variant = null) {
+    return await storage.incrementClicks(link._id, new Date(), variant);
+  }
 
-    // Update last clicked timestamp
-    link.lastClicked = new Date();
+  /**
+   * Marks or purges links that have expired
+   *
+   * Run periodically by the expiry sweeper job. In "mark" mode links are kept
+   * (so stats remain available) and flagged as expired; in "purge" mode they
+   * are deleted together with their click events. Either way a link.expired
+   * event is published for each link. Trashed links are left to purgeTrash.
+   *
+   * @async
+   * @param {string} [action='mark'] - Either 'mark' or 'purge'
+   * @returns {Promise<number>} Number of links marked or purged
+   */
+  async sweepExpiredLinks(action = 'mark') {
+    const now = new Date();
 
-    // Save the updated link
-    await link.save();
-    return link;
+    if (action === 'purge') {
+      const expired = await storage.purgeExpiredLinks(now);
+      if (expired.length === 0) return 0;
+
+      expired.forEach((link) => this.invalidateRedirect(link));
+      await analyticsService.deleteClicks(expired);
+      for (const link of expired) {
+        await storage.deleteRevisions(link._id);
+        this.publishLinkEvent(EVENTS.LINK_EXPIRED, link, { purged: true });
+        await auditService.record(AUDIT_ACTIONS.LINK_PURGE, link, null, { reason: 'expired' });
+      }
+      return expired.length;
+    }
+
+    const expired = await storage.markExpiredLinks(now);
+    for (const link of expired) {
+      this.publishLinkEvent(EVENTS.LINK_EXPIRED, link, { purged: false });
+    }
+    return expired.length;
+  }
+
+  /**
+   * Applies the scheduled destination changes that have come due
+   *
+   * Schedules are stored with the links, so changes that came due while the
+   * server was down are caught up on the next run. For each live link the
+   * latest due destination becomes originalUrl and every due change leaves
+   * the schedule, as one 'schedule' revision. A destination the policy no
+   * longer allows (or, for a disabled link, one whose other destinations
+   * are still blocked) is dropped from the schedule without being applied.
+   * A link edited in the meantime is left for the next run.
+   *
+   * @async
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<number>} Number of links changed
+   */
+  async applyScheduledChanges(now = new Date()) {
+    const links = await storage.findScheduledLinks(now);
+    let changed = 0;
+
+    for (const link of links) {
+      const due = link.scheduledChanges.filter(({ at }) => at <= now);
+      const values = { scheduledChanges: link.scheduledChanges.filter(({ at }) => at > now) };
+      const { originalUrl } = due[due.length - 1];
+
+      try {
+        try {
+          for (const destination of link.disabled ? destinationsOf({ ...link, originalUrl }) : [originalUrl]) {
+            await this.checkDestination(destination);
+          }
+          values.originalUrl = originalUrl;
+        } catch (error) {
+          if (!(error instanceof ValidationError)) throw error;
+          logger.warn('Scheduled destination change dropped', {
+            shortCode: link.shortCode,
+            domain: link.domain ?? null,
+            originalUrl,
+            reason: error.message,
+          });
+        }
+
+        await this.applyRevision(link, values, { type: 'schedule' });
+        changed += 1;
+      } catch (error) {
+        if (!(error instanceof ConflictError)) {
+          logger.error('Scheduled destination change failed', { shortCode: link.shortCode, error });
+        }
+      }
+    }
+    return changed;
   }
 
   /**
-   * Deletes a link by its short code
+   * Deletes a link by its short code, moving it to the trash
    *
-   * Permanently removes a link from the database.
-   * Throws error if link doesn't exist.
+   * A trashed link answers redirects with 410 Gone and keeps its code, clicks
+   * and edit history until it is restored or purged after TRASH_RETENTION_MS.
+   * Throws error if link doesn't exist (or belongs to another owner).
    *
    * @async
    * @param {string} code - The short code of the link to delete
-   * @returns {Promise<Object>} The deleted link document
-   * @throws {Error} If link doesn't exist
+   * @param {Object} [scope] - Lookup scope, as for getLinkByCode
+   * @param {string|null} [scope.domain] - Custom domain namespace
+   * @param {string} [scope.owner] - Only delete the link if it belongs to this owner
+   * @param {Object} [actor] - Who is deleting the link ({ owner, keyId, request })
+   * @returns {Promise<Object>} The trashed link document
+   * @throws {Error} If link doesn't exist or is already in the trash
    */
-  async deleteLink(code) {
-    // Attempt to find and delete the link in one operation
-    const link = await Link.findOneAndDelete({ shortCode: code });
+  async deleteLink(code, { domain = null, owner } = {}, actor = {}) {
+    // Find and trash the link in one operation
+    const link = await storage.trashLink(
+      { domain, shortCode: code, owner },
+      new Date(),
+      { owner: actor.owner ?? null, keyId: actor.keyId ?? null }
+    );
 
     // Throw error if link was not found
     if (!link) {
-      throw new Error(MESSAGES.LINK_NOT_FOUND);
+      throw new NotFoundError(MESSAGES.LINK_NOT_FOUND);
     }
+    this.invalidateRedirect(link);
 
+    this.publishLinkEvent(EVENTS.LINK_DELETED, link);
+    await auditService.record(AUDIT_ACTIONS.LINK_DELETE, link, actor);
     return link;
   }
+
+  /**
+   * Takes a link out of the trash
+   *
+   * The link redirects again with its clicks and history intact. A collection
+   * deleted in the meantime leaves the link outside any collection.
+   *
+   * @async
+   * @param {string} code - Short code of the trashed link
+   * @param {Object} [scope] - Lookup scope, as for getLinkByCode
+   * @param {Object} [actor] - Who is restoring the link ({ owner, keyId, request })
+   * @returns {Promise<Object>} Restored link document
+   * @throws {Error} If no trashed link has this code
+   */
+  async restoreLink(code, { domain = null, owner } = {}, actor = {}) {
+    const link = await storage.restoreLink({ domain, shortCode: code, owner });
+    if (!link) {
+      throw new NotFoundError(MESSAGES.TRASHED_LINK_NOT_FOUND);
+    }
+    this.invalidateRedirect(link);
+    await auditService.record(AUDIT_ACTIONS.LINK_RESTORE, link, actor);
+
+    if (link.collectionId && !await collectionService.exists(link.collectionId)) {
+      return await this.applyRevision(link, { collectionId: null }, { type: 'update', actor });
+    }
+    return link;
+  }
+
+  /**
+   * Removes links that have been in the trash longer than TRASH_RETENTION_MS
+   *
+   * Run periodically by the trash purger job. Click events and edit history
+   * go with the link, so a re-used code starts from a clean slate; the audit
+   * log keeps its entries.
+   *
+   * @async
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<number>} Number of links purged
+   */
+  async purgeTrash(now = new Date()) {
+    const purged = await storage.purgeTrashedLinks(new Date(now.getTime() - env.TRASH_RETENTION_MS));
+    if (purged.length === 0) return 0;
+
+    purged.forEach((link) => this.invalidateRedirect(link));
+    await analyticsService.deleteClicks(purged);
+    for (const link of purged) {
+      await storage.deleteRevisions(link._id);
+      await auditService.record(AUDIT_ACTIONS.LINK_PURGE, link, null, { reason: 'trash_retention' });
+    }
+    return purged.length;
+  }
+
+  /**
+   * Updates the mutable fields of a link and records a revision
+   *
+   * Only fields present in `updates` are considered; values equal to the
+   * current ones are ignored, and an update that changes nothing creates no
+   * revision. The same validation rules as createLink apply (null clears
+   * expiresAt / activatesAt / maxClicks, collectionId and preview, null or []
+   * removes all rules, variants, scheduled changes or tags). The rules,
+   * variants, scheduledChanges and tags lists are replaced as a whole;
+   * per-variant click counts are kept by name.
+   *
+   * @async
+   * @param {string} code - Short code of the link
+   * @param {Object} updates - New values for originalUrl, expiresAt, activatesAt, maxClicks,
+   *   scheduledChanges, rules, variants, stickyVariants, tags, collectionId and/or preview
+   * @param {Object} [scope] - Lookup scope, as for getLinkByCode
+   * @param {Object} [actor] - Who is making the change ({ owner, keyId, request })
+   * @returns {Promise<Object>} Updated link document
+   * @throws {Error} If the link doesn't exist, no mutable field is given,
+   *   a value is invalid, or the link was edited concurrently
+   */
+  async updateLink(code, updates, scope = {}, actor = {}) {
+    const fields = MUTABLE_FIELDS.filter((field) => updates && field in updates);
+    if (fields.length === 0) {
+      throw new ValidationError(MESSAGES.NO_UPDATABLE_FIELDS);
+    }
+
+    const link = await this.getLinkByCode(code, scope);
+    if (!link) {
+      throw new NotFoundError(MESSAGES.LINK_NOT_FOUND);
+    }
+
+    // Validate with the same rules as createLink
+    const values = {};
+    if (fields.includes('originalUrl')) {
+      await this.checkDestination(updates.originalUrl);
+      values.originalUrl = updates.originalUrl;
+    }
+    const expiry = this.parseExpiry(updates);
+    if (fields.includes('expiresAt')) values.expiresAt = expiry.expiresAt;
+    if (fields.includes('maxClicks')) values.maxClicks = expiry.maxClicks;
+    if (fields.includes('activatesAt')) values.activatesAt = this.parseActivation(updates.activatesAt);
+    if ('activatesAt' in values || 'expiresAt' in values) {
+      const { activatesAt, expiresAt } = { ...link, ...values };
+      checkActivationWindow(activatesAt, expiresAt);
+    }
+    if (fields.includes('scheduledChanges')) {
+      values.scheduledChanges = await this.parseScheduledChanges(updates.scheduledChanges);
+    }
+    if (fields.includes('rules')) values.rules = await this.parseRules(updates.rules);
+    if (fields.includes('variants')) values.variants = await this.parseVariants(updates.variants);
+    if (fields.includes('stickyVariants')) values.stickyVariants = this.parseStickyVariants(updates.stickyVariants);
+    if (fields.includes('tags')) values.tags = parseTags(updates.tags);
+    if (fields.includes('preview')) values.preview = parsePreview(updates.preview);
+    if (fields.includes('collectionId')) {
+      values.collectionId = await collectionService.resolveLinkCollection(updates.collectionId, link.owner);
+    }
+
+    // A disabled link is only re-enabled once all of its destinations pass
+    if (link.disabled && DESTINATION_FIELDS.some((field) => field in values)) {
+      for (const destination of destinationsOf({ ...link, ...values })) {
+        await this.checkDestination(destination);
+      }
+    }
+
+    return await this.applyRevision(link, values, { type: 'update', actor });
+  }
+
+  /**
+   * Lists the revisions of a link, newest first
+   *
+   * @async
+   * @param {string} code - Short code of the link
+   * @param {Object} [scope] - Lookup scope, as for getLinkByCode
+   * @returns {Promise<{ link: Object, revisions: Array }>}
+   * @throws {Error} If the link doesn't exist
+   */
+  async getLinkHistory(code, scope = {}) {
+    const link = await this.getLinkByCode(code, scope);
+    if (!link) {
+      throw new NotFoundError(MESSAGES.LINK_NOT_FOUND);
+    }
+
+    const revisions = await storage.listRevisions(link._id);
+    return { link, revisions };
+  }
+
+  /**
+   * Restores a link to its state as of a given revision
+   *
+   * The state is rebuilt by undoing every later revision, newest first, and
+   * is applied as a new 'rollback' revision, so history is never rewritten.
+   * Revision 0 restores the link as it was created. The restored values are
+   * taken as-is: rolling back to a past expiry date simply expires the link,
+   * but a collection deleted since leaves the link outside any collection,
+   * and scheduled changes whose time has passed are dropped rather than
+   * applied again. Restored destinations must pass the current destination
+   * policy, so a rollback can't bring back (or re-enable) a blocked URL.
+   *
+   * @async
+   * @param {string} code - Short code of the link
+   * @param {number|string} target - Revision number to restore
+   * @param {Object} [scope] - Lookup scope, as for getLinkByCode
+   * @param {Object} [actor] - Who is making the change ({ owner, keyId, request })
+   * @returns {Promise<Object>} Updated link document
+   * @throws {Error} If the link or revision doesn't exist, a restored destination is not
+   *   allowed, or the link was edited concurrently
+   */
+  async rollbackLink(code, target, scope = {}, actor = {}) {
+    const revisionNumber = Number(target);
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 0) {
+      throw new NotFoundError(MESSAGES.REVISION_NOT_FOUND);
+    }
+
+    const link = await this.getLinkByCode(code, scope);
+    if (!link) {
+      throw new NotFoundError(MESSAGES.LINK_NOT_FOUND);
+    }
+    if (revisionNumber > link.revision) {
+      throw new NotFoundError(MESSAGES.REVISION_NOT_FOUND);
+    }
+
+    // Undo later revisions, newest first, starting from the current values
+    const later = await storage.listRevisions(link._id, { after: revisionNumber });
+
+    const values = Object.fromEntries(MUTABLE_FIELDS.map((field) => [field, link[field]]));
+    for (const revision of later) {
+      for (const change of revision.changes) {
+        values[change.field] = change.oldValue;
+      }
+    }
+
+    if (values.collectionId && !await collectionService.exists(values.collectionId)) {
+      values.collectionId = null;
+    }
+
+    const now = new Date();
+    values.scheduledChanges = (values.scheduledChanges ?? []).filter(({ at }) => new Date(at) > now);
+
+    // Checked before anything is written; applyRevision clears a policy block
+    for (const destination of destinationsOf(values)) {
+      await this.checkDestination(destination);
+    }
+
+    return await this.applyRevision(link, values, {
+      type: 'rollback',
+      rolledBackTo: revisionNumber,
+      actor,
+    });
+  }
+
+  /**
+   * Writes new field values to a link together with a revision record
+   *
+   * Uses the link's revision number as an optimistic lock, so two concurrent
+   * edits can't both base themselves on the same previous state.
+   *
+   * @async
+   * @param {Object} link - Current link document
+   * @param {Object} values - Validated new values keyed by field
+   * @param {Object} meta - Revision metadata ({ type, rolledBackTo, actor })
+   * @returns {Promise<Object>} Updated link document (unchanged if nothing differs)
+   * @throws {Error} If the link was edited concurrently
+   */
+  async applyRevision(link, values, { type, rolledBackTo = null, actor = {} }) {
+    const normalize = (value) => {
+      if (value instanceof Date) return value.getTime();
+      // Lists (rules) compare by content; an empty list equals no list
+      if (Array.isArray(value)) return value.length ? JSON.stringify(value) : null;
+      // So do objects (the preview card)
+      if (value && typeof value === 'object') return JSON.stringify(value);
+      return value ?? null;
+    };
+
+    const changes = Object.entries(values)
+      .filter(([field, value]) => normalize(link[field]) !== normalize(value))
+      .map(([field, value]) => ({ field, oldValue: link[field] ?? null, newValue: value ?? null }));
+
+    if (changes.length === 0) {
+      return link;
+    }
+
+    const $set = Object.fromEntries(changes.map(({ field, newValue }) => [field, newValue]));
+    $set.updatedAt = new Date();
+
+    // Keep the filterable destination host in sync; new destinations have
+    // passed the policy check, so a policy block no longer applies
+    if ('originalUrl' in $set) {
+      $set.destinationHost = getDestinationHost($set.originalUrl);
+    }
+    if (DESTINATION_FIELDS.some((field) => field in $set)) {
+      Object.assign($set, { disabled: false, disabledReason: null, disabledAt: null });
+    }
+
+    // Let the sweeper re-evaluate expiry against the new limits
+    if ('expiresAt' in $set || 'maxClicks' in $set) {
+      $set.expired = false;
+    }
+
+    const updated = await storage.updateLink(link._id, link.revision, $set);
+    if (!updated) {
+      throw new ConflictError(MESSAGES.EDIT_CONFLICT);
+    }
+    this.invalidateRedirect(updated);
+
+    await storage.createRevision({
+      link: link._id,
+      revision: updated.revision,
+      type,
+      rolledBackTo,
+      changes,
+      changedBy: { owner: actor.owner ?? null, keyId: actor.keyId ?? null },
+      createdAt: $set.updatedAt,
+    });
+    await auditService.record(AUDIT_ACTIONS.LINK_UPDATE, updated, actor, {
+      revision: updated.revision,
+      type,
+      rolledBackTo,
+      changes,
+    });
+
+    return updated;
+  }
 }
 
 // Export singleton instance of the service
@@ -0,0 +1,192 @@
+/**
+ * Metrics Service - Prometheus Metrics
+ *
+ * Collects the numbers scraped from GET /metrics:
+ * - tinylink_http_requests_total / tinylink_http_request_duration_seconds:
+ *   API and redirect traffic by method, route pattern and status
+ * - tinylink_redirects_total: short link visits by outcome
+ * - tinylink_not_found_total: unknown short codes and unknown API routes
+ * - tinylink_db_operation_duration_seconds / tinylink_db_operation_errors_total:
+ *   MongoDB commands by operation and collection
+ * - Gauges read when scraped: redirect cache, click buffer, click streams,
+ *   database connection and process memory
+ *
+ * Architecture:
+ * - Pure bookkeeping, no HTTP concerns; the request metrics middleware and
+ *   controllers report into it
+ * - Process-local: each instance exposes its own metrics and Prometheus
+ *   aggregates across instances
+ */
+
+import mongoose from 'mongoose';
+import linkService from './link.service.js';
+import clickStream from './clickStream.service.js';
+import { Counter, Gauge, Histogram, MetricsRegistry } from '../utils/metrics.js';
+
+// Route label of requests that matched no route (unknown API paths, static probes)
+export const UNMATCHED_ROUTE = 'unmatched';
+
+/**
+ * Service class for Prometheus metrics
+ * Uses singleton pattern - exported as instantiated object
+ */
+class MetricsService {
+
+  constructor() {
+    this.registry = new MetricsRegistry();
+
+    this.httpRequests = this.registry.register(new Counter({
+      name: 'tinylink_http_requests_total',
+      help: 'HTTP requests handled, by method, route pattern and status code',
+      labelNames: ['method', 'route', 'status'],
+    }));
+    this.httpDuration = this.registry.register(new Histogram({
+      name: 'tinylink_http_request_duration_seconds',
+      help: 'Time to respond to HTTP requests, by method, route pattern and status code',
+      labelNames: ['method', 'route', 'status'],
+    }));
+    this.redirects = this.registry.register(new Counter({
+      name: 'tinylink_redirects_total',
+      help: 'Short link visits, by outcome (redirected, unlock_form, preview_card, pending, gone, not_found)',
+      labelNames: ['outcome'],
+    }));
+    this.notFound = this.registry.register(new Counter({
+      name: 'tinylink_not_found_total',
+      help: 'Not-found responses, by kind (short_code or route)',
+      labelNames: ['kind'],
+    }));
+    this.dbDuration = this.registry.register(new Histogram({
+      name: 'tinylink_db_operation_duration_seconds',
+      help: 'MongoDB command round trips, by command and collection',
+      labelNames: ['operation', 'collection'],
+      buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    }));
+    this.dbErrors = this.registry.register(new Counter({
+      name: 'tinylink_db_operation_errors_total',
+      help: 'Failed MongoDB commands, by command and collection',
+      labelNames: ['operation', 'collection'],
+    }));
+
+    // Read from other services on every scrape
+    this.gauges = {
+      redirectCacheEntries: this.registry.register(new Gauge({
+        name: 'tinylink_redirect_cache_entries',
+        help: 'Links held in the redirect cache',
+      })),
+      pendingClicks: this.registry.register(new Gauge({
+        name: 'tinylink_click_buffer_pending_clicks',
+        help: 'Clicks counted in memory and not yet written to storage',
+      })),
+      clickStreams: this.registry.register(new Gauge({
+        name: 'tinylink_click_streams_open',
+        help: 'Open live click streams (Server-Sent Events)',
+      })),
+      dbConnected: this.registry.register(new Gauge({
+        name: 'tinylink_db_connected',
+        help: 'Whether the MongoDB connection is open (1) or not (0)',
+      })),
+      residentMemory: this.registry.register(new Gauge({
+        name: 'process_resident_memory_bytes',
+        help: 'Resident memory size in bytes',
+      })),
+      heapUsed: this.registry.register(new Gauge({
+        name: 'nodejs_heap_used_bytes',
+        help: 'V8 heap in use, in bytes',
+      })),
+      uptime: this.registry.register(new Gauge({
+        name: 'process_uptime_seconds',
+        help: 'Time since the process started, in seconds',
+      })),
+    };
+
+    // requestId -> { operation, collection } of MongoDB commands in flight
+    this.dbCommands = new Map();
+  }
+
+  /**
+   * Records a finished HTTP request
+   *
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.route - Route pattern, e.g. /api/links/:code (never the raw path)
+   * @param {number} request.status - Response status code
+   * @param {number} request.seconds - Time from receiving the request to finishing the response
+   * @returns {void}
+   */
+  observeRequest({ method, route, status, seconds }) {
+    const labels = { method, route, status: String(status) };
+    this.httpRequests.inc(labels);
+    this.httpDuration.observe(labels, seconds);
+  }
+
+  /**
+   * Records how a short link visit ended
+   *
+   * @param {string} outcome - redirected, unlock_form, preview_card, pending, gone or not_found
+   * @returns {void}
+   */
+  recordRedirect(outcome) {
+    this.redirects.inc({ outcome });
+  }
+
+  /**
+   * Records a not-found response
+   *
+   * @param {string} kind - short_code (unknown link) or route (unknown API path)
+   * @returns {void}
+   */
+  recordNotFound(kind) {
+    this.notFound.inc({ kind });
+  }
+
+  /**
+   * Times the commands of a MongoDB client
+   *
+   * The client must be created with `monitorCommands: true`.
+   *
+   * @param {Object} client - MongoClient (mongoose.connection.getClient())
+   * @returns {void}
+   */
+  monitorDatabase(client) {
+    client.on('commandStarted', ({ requestId, commandName, command }) => {
+      // Most commands name their collection as the value of the command itself
+      const target = commandName === 'getMore' ? command.collection : command[commandName];
+      this.dbCommands.set(requestId, {
+        operation: commandName,
+        collection: typeof target === 'string' ? target : '',
+      });
+    });
+
+    const finish = (failed) => ({ requestId, commandName, duration }) => {
+      const labels = this.dbCommands.get(requestId) ?? { operation: commandName, collection: '' };
+      this.dbCommands.delete(requestId);
+      this.dbDuration.observe(labels, duration / 1000);
+      if (failed) this.dbErrors.inc(labels);
+    };
+    client.on('commandSucceeded', finish(false));
+    client.on('commandFailed', finish(true));
+  }
+
+  /**
+   * Renders all metrics in the Prometheus text format
+   *
+   * @returns {string}
+   */
+  render() {
+    const { cache, clickBuffer } = linkService.getRedirectStats();
+    const { rss, heapUsed } = process.memoryUsage();
+
+    this.gauges.redirectCacheEntries.set({}, cache.size);
+    this.gauges.pendingClicks.set({}, clickBuffer.pendingClicks);
+    this.gauges.clickStreams.set({}, clickStream.stats().subscribers);
+    this.gauges.dbConnected.set({}, mongoose.connection.readyState === mongoose.ConnectionStates.connected ? 1 : 0);
+    this.gauges.residentMemory.set({}, rss);
+    this.gauges.heapUsed.set({}, heapUsed);
+    this.gauges.uptime.set({}, Math.round(process.uptime()));
+
+    return this.registry.render();
+  }
+}
+
+// Export singleton instance of the service
+export default new MetricsService();
@@ -0,0 +1,140 @@
+/**
+ * QR Service - QR Code Rendering for Short Links
+ *
+ * Renders QR codes in-process (no external service) as SVG or PNG.
+ *
+ * Responsibilities:
+ * - Validating rendering options (format, size, margin, error correction, colors)
+ * - Encoding text as an SVG document or a PNG image
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns
+ * - Uses the qrcode package
+ * - Throws errors carrying MESSAGES constants for invalid options
+ */
+
+import QRCode from 'qrcode';
+import { MESSAGES } from '../constants/messages.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Output formats and their content types
+export const QR_CONTENT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+};
+
+// Error correction levels: roughly 7%, 15%, 25% and 30% of the code can be damaged
+const LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Image width bounds in pixels
+const MIN_SIZE = 64;
+const MAX_SIZE = 2048;
+
+// Quiet zone bounds in modules (the QR spec asks for at least 4)
+const MAX_MARGIN = 16;
+
+// #rgb, #rrggbb or #rrggbbaa, with or without the leading #
+const COLOR_REGEX = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Parses an optional integer option within bounds
+ *
+ * @param {*} value - Raw value
+ * @param {number} fallback - Value when not given
+ * @param {number} min
+ * @param {number} max
+ * @param {string} message - Error message when invalid
+ * @returns {number}
+ * @throws {Error} If the value is not an integer within bounds
+ */
+const parseInteger = (value, fallback, min, max, message) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ValidationError(message);
+  }
+  return number;
+};
+
+/**
+ * Parses an optional color option
+ *
+ * @param {*} value - Raw value
+ * @param {string} fallback - Color when not given
+ * @returns {string} Lower-case color with a leading #
+ * @throws {Error} If the value is not a hex color
+ */
+const parseColor = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const match = typeof value === 'string' && value.match(COLOR_REGEX);
+  if (!match) {
+    throw new ValidationError(MESSAGES.INVALID_QR_COLOR);
+  }
+  return `#${match[1].toLowerCase()}`;
+};
+
+/**
+ * Service class for QR code rendering
+ * Uses singleton pattern - exported as instantiated object
+ */
+class QrService {
+
+  /**
+   * Parses and validates QR rendering options
+   *
+   * @param {Object} query - Raw query values
+   * @param {string} [query.format] - svg or png (default svg)
+   * @param {number} [query.size] - Image width in pixels, 64-2048 (default 256)
+   * @param {number} [query.margin] - Quiet zone in modules, 0-16 (default 4)
+   * @param {string} [query.level] - Error correction L, M, Q or H (default M)
+   * @param {string} [query.fg] - Foreground color (default #000000)
+   * @param {string} [query.bg] - Background color (default #ffffff)
+   * @returns {Object} Normalised { format, size, margin, level, fg, bg }
+   * @throws {Error} If any option is invalid
+   */
+  parseOptions(query = {}) {
+    const format = query.format || 'svg';
+    if (!QR_CONTENT_TYPES[format]) {
+      throw new ValidationError(MESSAGES.INVALID_QR_FORMAT);
+    }
+
+    const level = typeof query.level === 'string' && query.level ? query.level.toUpperCase() : 'M';
+    if (!LEVELS.includes(level)) {
+      throw new ValidationError(MESSAGES.INVALID_QR_LEVEL);
+    }
+
+    return {
+      format,
+      size: parseInteger(query.size, 256, MIN_SIZE, MAX_SIZE, MESSAGES.INVALID_QR_SIZE),
+      margin: parseInteger(query.margin, 4, 0, MAX_MARGIN, MESSAGES.INVALID_QR_MARGIN),
+      level,
+      fg: parseColor(query.fg, '#000000'),
+      bg: parseColor(query.bg, '#ffffff'),
+    };
+  }
+
+  /**
+   * Renders text as a QR code
+   *
+   * @async
+   * @param {string} text - Content to encode (the short URL)
+   * @param {Object} options - Output of parseOptions
+   * @returns {Promise<string|Buffer>} SVG markup or PNG bytes
+   */
+  async render(text, { format, size, margin, level, fg, bg }) {
+    const settings = {
+      width: size,
+      margin,
+      errorCorrectionLevel: level,
+      color: { dark: fg, light: bg },
+    };
+
+    if (format === 'png') {
+      return await QRCode.toBuffer(text, { ...settings, type: 'png' });
+    }
+    return await QRCode.toString(text, { ...settings, type: 'svg' });
+  }
+}
+
+// Export singleton instance of the service
+export default new QrService();
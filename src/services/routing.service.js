@@ -0,0 +1,416 @@
+/**
+ * Routing Service - Rule-Based Destinations
+ *
+ * A link can carry an ordered list of routing rules. On each redirect the
+ * first rule whose conditions all match the visitor decides the destination;
+ * when none matches, one of the link's weighted A/B variants is picked, or
+ * the link's originalUrl is used when it has none.
+ *
+ * Rule format:
+ * {
+ *   "platforms": ["ios", "android"],      // parsed user-agent OS family
+ *   "devices": ["mobile", "tablet"],      // parsed user-agent device class
+ *   "languages": ["de", "pt-BR"],         // preferred Accept-Language tag
+ *   "countries": ["DE", "AT"],            // from the GeoIP database
+ *   "time": { "days": ["mon", "fri"], "start": "09:00", "end": "17:00", "timezone": "Europe/Berlin" },
+ *   "destination": "https://example.com/de"
+ * }
+ * Every condition is optional, but a rule needs at least one. Within a list
+ * any value may match. A language tag also matches its regional variants
+ * ("de" matches "de-AT"). Time windows may cross midnight (start after end);
+ * the part after midnight belongs to the day the window started.
+ *
+ * Variant format:
+ * [{ "name": "a", "destination": "https://example.com/v1", "weight": 70 },
+ *  { "name": "b", "destination": "https://example.com/v2", "weight": 30 }]
+ * Each redirect picks a variant with probability proportional to its weight;
+ * a weight of 0 pauses a variant. Names default to a, b, c, ... and key the
+ * per-variant click counters.
+ *
+ * Responsibilities:
+ * - Validating and normalising rules and variants
+ * - Building the visitor context (platform, device, language, country, time)
+ * - Picking the destination for a visitor
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns
+ * - Destination URLs are checked by LinkService, not here
+ * - Throws errors carrying MESSAGES constants
+ */
+
+import crypto from 'crypto';
+import geoipService from './geoip.service.js';
+import parseUserAgent from '../utils/parseUserAgent.js';
+import { getPrimaryLanguage } from '../utils/clientInfo.js';
+import { MESSAGES } from '../constants/messages.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Most rules a single link can carry
+const MAX_RULES = 20;
+
+// Variant count and weight bounds
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 10;
+const MAX_WEIGHT = 1000;
+
+// Variant names double as counter keys, so no dots or $
+export const VARIANT_NAME_REGEX = /^[a-z0-9_-]{1,32}$/i;
+
+// Keys a variant may contain
+const VARIANT_KEYS = ['name', 'destination', 'weight'];
+
+// Condition values, as produced by parseUserAgent (lower-cased)
+const PLATFORMS = ['windows', 'ios', 'android', 'macos', 'chromeos', 'linux', 'other'];
+const DEVICES = ['mobile', 'tablet', 'desktop', 'bot'];
+
+// Day names in Date#getDay order
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Keys a rule may contain
+const RULE_KEYS = ['platforms', 'devices', 'languages', 'countries', 'time', 'destination'];
+
+const LANGUAGE_REGEX = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const COUNTRY_REGEX = /^[a-z]{2}$/i;
+const CLOCK_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// timezone -> Intl.DateTimeFormat, created on first use
+const formatters = new Map();
+
+/**
+ * Returns a formatter for weekday and time of day in a timezone
+ *
+ * @param {string} timezone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ * @throws {RangeError} If the timezone is unknown
+ */
+const getFormatter = (timezone) => {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    });
+    formatters.set(timezone, formatter);
+  }
+  return formatter;
+};
+
+/**
+ * Converts HH:MM to minutes after midnight
+ *
+ * @param {string} clock
+ * @returns {number}
+ */
+const toMinutes = (clock) => {
+  const [, hours, minutes] = clock.match(CLOCK_REGEX);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Validates an optional list condition
+ *
+ * @param {*} value - Raw list
+ * @param {Function} normalize - Maps a valid entry to its stored form, or returns null if invalid
+ * @returns {Array<string>} Normalised, de-duplicated entries (empty = no condition)
+ * @throws {Error} If the value is not a list of valid entries
+ */
+const parseList = (value, normalize) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new ValidationError(MESSAGES.INVALID_ROUTING_RULES);
+
+  const entries = value.map((entry) => {
+    const normalized = typeof entry === 'string' ? normalize(entry.trim()) : null;
+    if (!normalized) throw new ValidationError(MESSAGES.INVALID_ROUTING_RULES);
+    return normalized;
+  });
+  return [...new Set(entries)];
+};
+
+/**
+ * Validates an optional time window
+ *
+ * @param {*} value - Raw window
+ * @returns {Object|null} { days, start, end, timezone } or null for no condition
+ * @throws {Error} If the window is malformed or names an unknown timezone
+ */
+const parseTimeWindow = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) throw new ValidationError(MESSAGES.INVALID_ROUTING_RULES);
+
+  const days = parseList(value.days, (day) => {
+    const name = day.toLowerCase().slice(0, 3);
+    return DAYS.includes(name) ? name : null;
+  });
+
+  // start and end come as a pair; start === end would be an empty window
+  const { start = null, end = null, timezone = 'UTC' } = value;
+  if (typeof timezone !== 'string') throw new ValidationError(MESSAGES.INVALID_ROUTING_RULES);
+  const hasClock = start !== null || end !== null;
+  if (hasClock && !(CLOCK_REGEX.test(start) && CLOCK_REGEX.test(end) && start !== end)) {
+    throw new ValidationError(MESSAGES.INVALID_ROUTING_RULES);
+  }
+  if (!hasClock && days.length === 0) throw new ValidationError(MESSAGES.INVALID_ROUTING_RULES);
+
+  try {
+    getFormatter(timezone);
+  } catch (err) {
+    throw new ValidationError(MESSAGES.INVALID_ROUTING_RULES);
+  }
+
+  return { days, start, end, timezone };
+};
+
+/**
+ * Service class for routing rules
+ * Uses singleton pattern - exported as instantiated object
+ */
+class RoutingService {
+
+  /**
+   * Validates and normalises a list of routing rules
+   *
+   * Lists are de-duplicated, platforms, devices, languages and days are
+   * lower-cased and countries upper-cased. Destinations are only checked to
+   * be strings; callers validate them as URLs.
+   *
+   * @param {*} rules - Raw rules (null or undefined mean no rules)
+   * @returns {Array<Object>} Normalised rules
+   * @throws {Error} If any rule is malformed
+   */
+  parseRules(rules) {
+    if (rules === undefined || rules === null) return [];
+    if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+      throw new ValidationError(MESSAGES.INVALID_ROUTING_RULES);
+    }
+
+    return rules.map((rule) => {
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)
+        || Object.keys(rule).some((key) => !RULE_KEYS.includes(key))) {
+        throw new ValidationError(MESSAGES.INVALID_ROUTING_RULES);
+      }
+      if (typeof rule.destination !== 'string' || !rule.destination) {
+        throw new ValidationError(MESSAGES.INVALID_ROUTING_RULES);
+      }
+
+      const parsed = {
+        platforms: parseList(rule.platforms, (platform) => {
+          const name = platform.toLowerCase();
+          return PLATFORMS.includes(name) ? name : null;
+        }),
+        devices: parseList(rule.devices, (device) => {
+          const name = device.toLowerCase();
+          return DEVICES.includes(name) ? name : null;
+        }),
+        languages: parseList(rule.languages, (tag) => (LANGUAGE_REGEX.test(tag) ? tag.toLowerCase() : null)),
+        countries: parseList(rule.countries, (code) => (COUNTRY_REGEX.test(code) ? code.toUpperCase() : null)),
+        time: parseTimeWindow(rule.time),
+        destination: rule.destination,
+      };
+
+      const { platforms, devices, languages, countries, time } = parsed;
+      if (!platforms.length && !devices.length && !languages.length && !countries.length && !time) {
+        throw new ValidationError(MESSAGES.INVALID_ROUTING_RULES);
+      }
+      return parsed;
+    });
+  }
+
+  /**
+   * Validates and normalises a list of A/B variants
+   *
+   * Destinations are only checked to be strings; callers validate them as URLs.
+   *
+   * @param {*} variants - Raw variants (null, undefined or [] mean no variants)
+   * @returns {Array<Object>} Normalised { name, destination, weight } entries
+   * @throws {Error} If the list or any variant is malformed
+   */
+  parseVariants(variants) {
+    if (variants === undefined || variants === null) return [];
+    if (!Array.isArray(variants)) throw new ValidationError(MESSAGES.INVALID_VARIANTS);
+    if (variants.length === 0) return [];
+    if (variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+      throw new ValidationError(MESSAGES.INVALID_VARIANTS);
+    }
+
+    const parsed = variants.map((variant, index) => {
+      if (!variant || typeof variant !== 'object' || Array.isArray(variant)
+        || Object.keys(variant).some((key) => !VARIANT_KEYS.includes(key))) {
+        throw new ValidationError(MESSAGES.INVALID_VARIANTS);
+      }
+
+      const { name = String.fromCharCode(97 + index), destination, weight = 1 } = variant;
+      if (typeof name !== 'string' || !VARIANT_NAME_REGEX.test(name)
+        || typeof destination !== 'string' || !destination
+        || !Number.isInteger(weight) || weight < 0 || weight > MAX_WEIGHT) {
+        throw new ValidationError(MESSAGES.INVALID_VARIANTS);
+      }
+      return { name, destination, weight };
+    });
+
+    const names = new Set(parsed.map(({ name }) => name));
+    if (names.size !== parsed.length || parsed.every(({ weight }) => weight === 0)) {
+      throw new ValidationError(MESSAGES.INVALID_VARIANTS);
+    }
+    return parsed;
+  }
+
+  /**
+   * Picks a variant at random, proportionally to the weights
+   *
+   * @param {Array<Object>} variants - Normalised variants
+   * @param {string|null} [preferred] - Variant seen before (sticky); kept while it is still active
+   * @returns {Object} The chosen variant
+   */
+  pickVariant(variants, preferred = null) {
+    const sticky = preferred && variants.find(({ name, weight }) => name === preferred && weight > 0);
+    if (sticky) return sticky;
+
+    const total = variants.reduce((sum, { weight }) => sum + weight, 0);
+    let roll = crypto.randomInt(total);
+    return variants.find(({ weight }) => {
+      roll -= weight;
+      return roll < 0;
+    });
+  }
+
+  /**
+   * Builds the visitor context rules are evaluated against
+   *
+   * @param {Object} request - Request details
+   * @param {string} [request.userAgent] - Raw User-Agent header
+   * @param {string} [request.acceptLanguage] - Raw Accept-Language header
+   * @param {string} [request.ip] - Client IP, looked up in the GeoIP database
+   * @param {string} [request.country] - Known country, skips the GeoIP lookup
+   * @param {Date} [request.now] - Time of the visit
+   * @param {string} [request.variant] - A/B variant the visitor was sent to before
+   * @returns {Object} { platform, device, language, country, now, variant }
+   */
+  buildContext({ userAgent, acceptLanguage, ip, country, now = new Date(), variant = null } = {}) {
+    const { os, device } = parseUserAgent(userAgent);
+
+    return {
+      platform: os.toLowerCase(),
+      device,
+      language: getPrimaryLanguage(acceptLanguage)?.toLowerCase() ?? null,
+      country: country ? country.toUpperCase() : geoipService.lookupCountry(ip),
+      now,
+      variant,
+    };
+  }
+
+  /**
+   * Parses the input of a routing dry run into context options
+   *
+   * @param {Object} input - { headers, ip, country, at, variant }
+   * @returns {Object} Options for buildContext
+   * @throws {Error} If the input is malformed
+   */
+  parseTestInput({ headers = {}, ip, country, at, variant } = {}) {
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)
+      || (ip !== undefined && typeof ip !== 'string')
+      || (variant !== undefined && typeof variant !== 'string')
+      || (country !== undefined && !(typeof country === 'string' && COUNTRY_REGEX.test(country)))) {
+      throw new ValidationError(MESSAGES.INVALID_ROUTING_CONTEXT);
+    }
+
+    const now = at === undefined ? new Date() : new Date(at);
+    if ((at !== undefined && typeof at !== 'string') || Number.isNaN(now.getTime())) {
+      throw new ValidationError(MESSAGES.INVALID_ROUTING_CONTEXT);
+    }
+
+    // Header names are case-insensitive
+    const header = (name) => {
+      const entry = Object.entries(headers).find(([key]) => key.toLowerCase() === name);
+      return typeof entry?.[1] === 'string' ? entry[1] : undefined;
+    };
+
+    return {
+      userAgent: header('user-agent'),
+      acceptLanguage: header('accept-language'),
+      ip,
+      country,
+      now,
+      variant,
+    };
+  }
+
+  /**
+   * Checks whether a moment falls inside a time window
+   *
+   * @param {Object} time - Normalised window
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  inTimeWindow({ days, start, end, timezone }, now) {
+    const parts = Object.fromEntries(getFormatter(timezone).formatToParts(now).map(({ type, value }) => [type, value]));
+    const day = DAYS.indexOf(parts.weekday.toLowerCase());
+    const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+
+    if (start == null) return days.includes(DAYS[day]);
+
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+
+    // Which day's window we are in; after midnight of an overnight window, the previous day's
+    let windowDay = day;
+    if (from < to) {
+      if (minutes < from || minutes >= to) return false;
+    } else if (minutes < to) {
+      windowDay = (day + 6) % 7;
+    } else if (minutes < from) {
+      return false;
+    }
+
+    return days.length === 0 || days.includes(DAYS[windowDay]);
+  }
+
+  /**
+   * Checks whether a rule matches a visitor
+   *
+   * @param {Object} rule - Normalised rule
+   * @param {Object} context - Output of buildContext
+   * @returns {boolean}
+   */
+  matches(rule, context) {
+    const { platforms = [], devices = [], languages = [], countries = [], time = null } = rule;
+
+    if (platforms.length && !platforms.includes(context.platform)) return false;
+    if (devices.length && !devices.includes(context.device)) return false;
+    if (languages.length && !(context.language && languages.some(
+      (tag) => context.language === tag || context.language.startsWith(`${tag}-`)
+    ))) return false;
+    if (countries.length && !countries.includes(context.country)) return false;
+    if (time && !this.inTimeWindow(time, context.now)) return false;
+
+    return true;
+  }
+
+  /**
+   * Picks the destination for a visitor
+   *
+   * @param {Object} link - Link with originalUrl, rules and variants
+   * @param {Object} context - Output of buildContext
+   * @returns {{ destination: string, rule: number|null, variant: string|null }}
+   *   Destination, the index of the matching rule and the name of the chosen
+   *   variant (both null = fallback to originalUrl)
+   */
+  resolve(link, context) {
+    const rules = link.rules ?? [];
+    const index = rules.findIndex((rule) => this.matches(rule, context));
+    if (index !== -1) {
+      return { destination: rules[index].destination, rule: index, variant: null };
+    }
+
+    if (link.variants?.length) {
+      const { name, destination } = this.pickVariant(link.variants, context.variant);
+      return { destination, rule: null, variant: name };
+    }
+    return { destination: link.originalUrl, rule: null, variant: null };
+  }
+}
+
+// Export singleton instance of the service
+export default new RoutingService();
@@ -0,0 +1,633 @@
+/**
+ * Webhook Service - Subscriptions and Signed Event Delivery
+ *
+ * Delivers link lifecycle events from the event bus to subscribed HTTP
+ * endpoints. Every event for a link is queued once per matching
+ * subscription of the link's owner and POSTed by the delivery worker.
+ *
+ * Delivery:
+ * - Body: the event envelope { id, type, createdAt, data } as JSON
+ * - Headers: X-TinyLink-Event, X-TinyLink-Delivery and
+ *   X-TinyLink-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ * - Any 2xx response counts as delivered; redirects are not followed
+ * - Endpoints must resolve to public addresses only (checked when the URL is
+ *   set, and on every connection by the delivery agent, so the address that
+ *   was checked is the one connected to), unless WEBHOOK_ALLOW_PRIVATE_TARGETS
+ *   is set for local receivers
+ * - Failures are retried with exponential backoff (WEBHOOK_RETRY_BASE_MS,
+ *   doubling up to WEBHOOK_RETRY_MAX_MS, with +/-20% jitter); after
+ *   WEBHOOK_MAX_ATTEMPTS the delivery is moved to the dead-letter list
+ *
+ * Responsibilities:
+ * - Validating and managing subscriptions (owner-scoped)
+ * - Queueing deliveries for published events
+ * - Sending, signing, retrying and logging deliveries
+ *
+ * Architecture:
+ * - Pure business logic, no HTTP concerns (outbound requests aside)
+ * - Uses the Webhook and WebhookDelivery models; the delivery collection is
+ *   the queue, so pending deliveries survive restarts
+ * - Throws errors carrying MESSAGES constants
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import mongoose from 'mongoose';
+import { Agent, fetch } from 'undici';
+import Webhook from '../models/WebhookModel.js';
+import WebhookDelivery from '../models/WebhookDeliveryModel.js';
+import eventService from './events.service.js';
+import { signPayload } from '../utils/webhookSignature.js';
+import env from '../config/env.js';
+import { EVENTS, PING_EVENT } from '../constants/events.js';
+import { MESSAGES } from '../constants/messages.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Event types a subscription can ask for
+const EVENT_TYPES = Object.values(EVENTS);
+
+// Delivery statuses that can be filtered on
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Secret length bounds for caller-supplied secrets
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 256;
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Page size bounds for delivery lists
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Longest error text kept per attempt
+const MAX_ERROR_LENGTH = 200;
+
+// Addresses a webhook may not be sent to: unspecified, loopback, private,
+// carrier-grade NAT, link-local (cloud metadata), multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Checks whether a resolved address is in one of the PRIVATE_ADDRESSES ranges
+ *
+ * @param {string} address - IP address
+ * @param {number} family - 4 or 6
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address, family) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+
+/**
+ * DNS lookup for delivery connections that refuses non-public addresses
+ *
+ * Used as the socket's lookup, so the addresses checked here are the ones
+ * the connection is made to; a host that re-resolves to an internal address
+ * after passing checkTarget (DNS rebinding) fails to connect.
+ *
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options from the socket
+ * @param {Function} callback - dns.lookup callback
+ * @returns {void}
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!env.WEBHOOK_ALLOW_PRIVATE_TARGETS && addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+      return callback(new Error(MESSAGES.WEBHOOK_URL_NOT_PUBLIC));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Connections for deliveries, resolved through publicLookup
+const deliveryAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Validates a webhook endpoint URL
+ *
+ * @param {*} value - Raw URL
+ * @returns {string} Normalised URL
+ * @throws {Error} If the value is not an http(s) URL
+ */
+const parseUrl = (value) => {
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error();
+    return url.toString();
+  } catch (err) {
+    throw new ValidationError(MESSAGES.INVALID_WEBHOOK_URL);
+  }
+};
+
+/**
+ * Checks that a webhook URL only resolves to public addresses
+ *
+ * Every address the host resolves to is checked, so a name with one public
+ * and one internal record is refused too. Skipped entirely when
+ * WEBHOOK_ALLOW_PRIVATE_TARGETS is set.
+ *
+ * @async
+ * @param {string} value - Valid http(s) URL
+ * @returns {Promise<void>}
+ * @throws {Error} If the host doesn't resolve or resolves to a non-public address
+ */
+const checkTarget = async (value) => {
+  if (env.WEBHOOK_ALLOW_PRIVATE_TARGETS) return;
+
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (err) {
+    throw new ValidationError(MESSAGES.WEBHOOK_URL_UNRESOLVABLE);
+  }
+
+  if (addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+    throw new ValidationError(MESSAGES.WEBHOOK_URL_NOT_PUBLIC);
+  }
+};
+
+/**
+ * Validates a list of event types
+ *
+ * @param {*} value - Raw list
+ * @returns {Array<string>} De-duplicated event types
+ * @throws {Error} If the list is empty or names an unknown event
+ */
+const parseEvents = (value) => {
+  if (!Array.isArray(value) || value.length === 0 || value.some((type) => !EVENT_TYPES.includes(type))) {
+    throw new ValidationError(MESSAGES.INVALID_WEBHOOK_EVENTS);
+  }
+  return [...new Set(value)];
+};
+
+/**
+ * Validates an optional description
+ *
+ * @param {*} value - Raw description; empty means none
+ * @returns {string|null}
+ * @throws {Error} If the value is not a short string
+ */
+const parseDescription = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > MAX_DESCRIPTION_LENGTH) {
+    throw new ValidationError(MESSAGES.INVALID_WEBHOOK_DESCRIPTION);
+  }
+  return value;
+};
+
+/**
+ * Parses an optional page size
+ *
+ * @param {*} value - Raw limit
+ * @returns {number}
+ * @throws {Error} If the value is not an integer within bounds
+ */
+const parseLimit = (value) => {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ValidationError(MESSAGES.INVALID_LIST_LIMIT);
+  }
+  return limit;
+};
+
+/**
+ * Service class for webhook subscriptions and deliveries
+ * Uses singleton pattern - exported as instantiated object
+ */
+class WebhookService {
+
+  constructor() {
+    this.delivering = false;
+    this.deliverAgain = false;
+
+    // Queue a delivery for every subscriber of every published event
+    eventService.on('*', (event) => {
+      this.enqueue(event).catch((error) => logger.error('Webhook deliveries not queued', { type: event.type, error }));
+    });
+  }
+
+  /**
+   * Builds the owner restriction for subscription queries
+   *
+   * @param {string} [owner] - Owner identifier; undefined means unrestricted
+   * @returns {Object} MongoDB filter fragment
+   */
+  ownerFilter(owner) {
+    return owner === undefined ? {} : { owner };
+  }
+
+  /**
+   * Creates a subscription
+   *
+   * The secret is generated unless one is supplied, and is only returned here.
+   *
+   * @async
+   * @param {Object} params
+   * @param {string} params.url - Receiving endpoint
+   * @param {Array<string>} params.events - Event types to deliver
+   * @param {string} [params.secret] - Signing secret (16-256 characters)
+   * @param {string} [params.description] - Optional label
+   * @param {string|null} [params.owner] - Owner whose link events are delivered
+   * @returns {Promise<Object>} Created subscription, including the secret
+   * @throws {Error} If any setting is invalid or the URL doesn't resolve to a public address
+   */
+  async createWebhook({ url, events, secret, description, owner = null } = {}) {
+    const values = {
+      url: parseUrl(url),
+      events: parseEvents(events),
+      description: parseDescription(description),
+      owner,
+    };
+    await checkTarget(values.url);
+
+    if (secret === undefined || secret === null || secret === '') {
+      values.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    } else if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH) {
+      throw new ValidationError(MESSAGES.INVALID_WEBHOOK_SECRET);
+    } else {
+      values.secret = secret;
+    }
+
+    const webhook = await Webhook.create(values);
+    return webhook.toObject();
+  }
+
+  /**
+   * Lists subscriptions, newest first
+   *
+   * @async
+   * @param {string} [owner] - Only list this owner's subscriptions
+   * @returns {Promise<Array<Object>>}
+   */
+  async listWebhooks(owner) {
+    return await Webhook.find(this.ownerFilter(owner)).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Finds a subscription by id
+   *
+   * @async
+   * @param {string} id - Subscription id
+   * @param {string} [owner] - Only match a subscription of this owner
+   * @returns {Promise<Object>}
+   * @throws {Error} If no such subscription exists for the owner
+   */
+  async getWebhook(id, owner) {
+    const webhook = mongoose.isValidObjectId(id)
+      ? await Webhook.findOne({ _id: id, ...this.ownerFilter(owner) }).lean()
+      : null;
+    if (!webhook) {
+      throw new NotFoundError(MESSAGES.WEBHOOK_NOT_FOUND);
+    }
+    return webhook;
+  }
+
+  /**
+   * Updates a subscription's url, events, description and/or active flag
+   *
+   * @async
+   * @param {string} id - Subscription id
+   * @param {Object} updates - New values
+   * @param {string} [owner] - Only update a subscription of this owner
+   * @returns {Promise<Object>} Updated subscription
+   * @throws {Error} If the subscription doesn't exist, a value is invalid or the URL
+   *   doesn't resolve to a public address
+   */
+  async updateWebhook(id, updates = {}, owner) {
+    const values = {};
+    if ('url' in updates) {
+      values.url = parseUrl(updates.url);
+      await checkTarget(values.url);
+    }
+    if ('events' in updates) values.events = parseEvents(updates.events);
+    if ('description' in updates) values.description = parseDescription(updates.description);
+    if ('active' in updates) {
+      if (typeof updates.active !== 'boolean') {
+        throw new ValidationError(MESSAGES.INVALID_WEBHOOK_ACTIVE);
+      }
+      values.active = updates.active;
+    }
+    if (Object.keys(values).length === 0) {
+      throw new ValidationError(MESSAGES.NO_WEBHOOK_FIELDS);
+    }
+
+    await this.getWebhook(id, owner);
+    return await Webhook.findOneAndUpdate(
+      { _id: id, ...this.ownerFilter(owner) },
+      { $set: { ...values, updatedAt: new Date() } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Deletes a subscription together with its delivery log and queue
+   *
+   * @async
+   * @param {string} id - Subscription id
+   * @param {string} [owner] - Only delete a subscription of this owner
+   * @returns {Promise<Object>} The deleted subscription
+   * @throws {Error} If the subscription doesn't exist
+   */
+  async deleteWebhook(id, owner) {
+    const webhook = await this.getWebhook(id, owner);
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    return webhook;
+  }
+
+  /**
+   * Lists a subscription's deliveries, newest first
+   *
+   * @async
+   * @param {string} id - Subscription id
+   * @param {Object} [query]
+   * @param {string} [query.status] - pending, delivered or dead
+   * @param {number|string} [query.limit] - Page size, 1-200 (default 50)
+   * @param {string} [owner] - Only match a subscription of this owner
+   * @returns {Promise<Array<Object>>}
+   * @throws {Error} If the subscription doesn't exist or the query is invalid
+   */
+  async listDeliveries(id, { status, limit } = {}, owner) {
+    const filter = { webhook: (await this.getWebhook(id, owner))._id };
+    if (status !== undefined && status !== '') {
+      if (!DELIVERY_STATUSES.includes(status)) {
+        throw new ValidationError(MESSAGES.INVALID_DELIVERY_STATUS);
+      }
+      filter.status = status;
+    }
+
+    return await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(parseLimit(limit)).lean();
+  }
+
+  /**
+   * Lists deliveries that were given up on (the dead-letter list), newest first
+   *
+   * @async
+   * @param {Object} [query]
+   * @param {number|string} [query.limit] - Page size, 1-200 (default 50)
+   * @param {string} [owner] - Only list this owner's dead letters
+   * @returns {Promise<Array<Object>>}
+   * @throws {Error} If the limit is invalid
+   */
+  async listDeadLetters({ limit } = {}, owner) {
+    return await WebhookDelivery.find({ status: 'dead', ...this.ownerFilter(owner) })
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(limit))
+      .lean();
+  }
+
+  /**
+   * Puts a delivered or dead delivery back in the queue for immediate sending
+   *
+   * The attempt log is kept; the attempt counter starts over.
+   *
+   * @async
+   * @param {string} id - Subscription id
+   * @param {string} deliveryId - Delivery id
+   * @param {string} [owner] - Only match a subscription of this owner
+   * @returns {Promise<Object>} The re-queued delivery
+   * @throws {Error} If the subscription or delivery doesn't exist, or the delivery is still pending
+   */
+  async retryDelivery(id, deliveryId, owner) {
+    const webhook = await this.getWebhook(id, owner);
+    const delivery = mongoose.isValidObjectId(deliveryId)
+      ? await WebhookDelivery.findOne({ _id: deliveryId, webhook: webhook._id }).lean()
+      : null;
+    if (!delivery) {
+      throw new NotFoundError(MESSAGES.DELIVERY_NOT_FOUND);
+    }
+
+    const queued = await WebhookDelivery.findOneAndUpdate(
+      { _id: delivery._id, status: { $ne: 'pending' } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), deliveredAt: null } },
+      { new: true }
+    ).lean();
+    if (!queued) {
+      throw new ConflictError(MESSAGES.DELIVERY_PENDING);
+    }
+
+    this.wake();
+    return queued;
+  }
+
+  /**
+   * Queues a test event for one subscription
+   *
+   * @async
+   * @param {string} id - Subscription id
+   * @param {string} [owner] - Only match a subscription of this owner
+   * @returns {Promise<Object>} The queued delivery
+   * @throws {Error} If the subscription doesn't exist
+   */
+  async ping(id, owner) {
+    const webhook = await this.getWebhook(id, owner);
+    const event = {
+      id: crypto.randomUUID(),
+      type: PING_EVENT,
+      createdAt: new Date(),
+      owner: webhook.owner,
+      data: { webhook: String(webhook._id) },
+    };
+
+    const [delivery] = await this.queueDeliveries(event, [webhook]);
+    this.wake();
+    return delivery;
+  }
+
+  /**
+   * Queues an event for every active subscription of its owner and type
+   *
+   * @async
+   * @param {Object} event - Envelope from the event bus
+   * @returns {Promise<number>} Number of deliveries queued (none without MongoDB)
+   */
+  async enqueue(event) {
+    if (!env.MONGODB_ENABLED) return 0;
+
+    const webhooks = await Webhook.find({ owner: event.owner, events: event.type, active: true }).lean();
+    if (webhooks.length === 0) return 0;
+
+    await this.queueDeliveries(event, webhooks);
+    this.wake();
+    return webhooks.length;
+  }
+
+  /**
+   * Creates one pending delivery per subscription
+   *
+   * @async
+   * @param {Object} event - Event envelope
+   * @param {Array<Object>} webhooks - Receiving subscriptions
+   * @returns {Promise<Array<Object>>} Created deliveries
+   */
+  async queueDeliveries({ id, type, createdAt, owner, data }, webhooks) {
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map((webhook) => ({
+      webhook: webhook._id,
+      owner,
+      eventId: id,
+      event: type,
+      payload: { id, type, createdAt, data },
+    })));
+    return deliveries.map((delivery) => delivery.toObject());
+  }
+
+  /**
+   * Starts a delivery run in the background
+   *
+   * @returns {void}
+   */
+  wake() {
+    this.deliverDue().catch((error) => logger.error('Webhook delivery run failed', { error }));
+  }
+
+  /**
+   * Sends every delivery that is due
+   *
+   * Deliveries are claimed by pushing their nextAttemptAt past the request
+   * timeout, so a delivery is only sent by one run (and one instance) at a
+   * time; a crash mid-send simply retries it later. Concurrent calls are
+   * folded into the running one.
+   *
+   * @async
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  async deliverDue() {
+    if (this.delivering) {
+      this.deliverAgain = true;
+      return 0;
+    }
+
+    this.delivering = true;
+    let attempted = 0;
+    try {
+      do {
+        this.deliverAgain = false;
+        let batch;
+        do {
+          batch = await this.claimDue(env.WEBHOOK_CONCURRENCY);
+          await Promise.all(batch.map((delivery) => this.attempt(delivery)));
+          attempted += batch.length;
+        } while (batch.length > 0);
+      } while (this.deliverAgain);
+    } finally {
+      this.delivering = false;
+    }
+    return attempted;
+  }
+
+  /**
+   * Claims up to `count` due deliveries
+   *
+   * @async
+   * @param {number} count
+   * @returns {Promise<Array<Object>>}
+   */
+  async claimDue(count) {
+    const claimed = [];
+    const now = new Date();
+    const lease = new Date(now.getTime() + env.WEBHOOK_TIMEOUT_MS + 30 * 1000);
+
+    while (claimed.length < count) {
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: lease } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ).lean();
+      if (!delivery) break;
+      claimed.push(delivery);
+    }
+    return claimed;
+  }
+
+  /**
+   * Computes the wait before the next attempt
+   *
+   * @param {number} attempts - Attempts made so far (at least 1)
+   * @returns {number} Milliseconds
+   */
+  backoff(attempts) {
+    const delay = Math.min(env.WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), env.WEBHOOK_RETRY_MAX_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Sends one delivery and records the outcome
+   *
+   * @async
+   * @param {Object} delivery - Claimed delivery
+   * @returns {Promise<boolean>} Whether the endpoint accepted it
+   */
+  async attempt(delivery) {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret').lean();
+    const startedAt = new Date();
+    let statusCode = null;
+    let error = null;
+
+    if (!webhook || !webhook.active) {
+      error = 'Webhook is inactive';
+    } else {
+      const body = JSON.stringify(delivery.payload);
+      try {
+        // IP literals are never looked up, so the agent's lookup can't check them
+        await checkTarget(webhook.url);
+        const response = await fetch(webhook.url, {
+          dispatcher: deliveryAgent,
+          method: 'POST',
+          redirect: 'manual',
+          signal: AbortSignal.timeout(env.WEBHOOK_TIMEOUT_MS),
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'TinyLink-Webhooks/1.0',
+            'X-TinyLink-Event': delivery.event,
+            'X-TinyLink-Delivery': String(delivery._id),
+            'X-TinyLink-Signature': signPayload(webhook.secret, body, Math.floor(Date.now() / 1000)),
+          },
+          body,
+        });
+        statusCode = response.status;
+        await response.body?.cancel();
+        if (!response.ok) error = `HTTP ${statusCode}`;
+      } catch (err) {
+        error = (err.cause?.message || err.message || 'Request failed').slice(0, MAX_ERROR_LENGTH);
+      }
+    }
+
+    const finishedAt = new Date();
+    const attempts = delivery.attempts + 1;
+    const entry = { at: startedAt, statusCode, error, durationMs: finishedAt - startedAt };
+
+    let $set;
+    if (!error) {
+      $set = { status: 'delivered', deliveredAt: finishedAt };
+    } else if (attempts >= env.WEBHOOK_MAX_ATTEMPTS || !webhook || !webhook.active) {
+      $set = { status: 'dead' };
+    } else {
+      $set = { nextAttemptAt: new Date(finishedAt.getTime() + this.backoff(attempts)) };
+    }
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { ...$set, attempts }, $push: { log: entry } }
+    );
+    return !error;
+  }
+}
+
+// Export singleton instance of the service
+export default new WebhookService();
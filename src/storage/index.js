@@ -0,0 +1,85 @@
+/**
+ * Link Storage - Adapter Selection
+ *
+ * LinkService persists links and their revision history through a storage
+ * adapter rather than talking to a database directly. The adapter is chosen
+ * with STORAGE_DRIVER:
+ * - mongo: MongoDB via Mongoose (default)
+ * - memory: process memory, lost on restart (development and tests)
+ * - json: a JSON file at STORAGE_FILE (single-instance deployments)
+ *
+ * Every adapter implements the interface below and returns plain objects
+ * with a string-convertible `_id`. Links are scoped by `{ domain, shortCode }`
+ * (domain null = default domain); an `owner` of undefined means "any owner".
+ *
+ * Adapter interface:
+ * - findLink({ domain, shortCode, owner, trashed }, { fields, withPassword }) -> link | null
+ *   (trashed: true matches only trashed links, false only live ones, undefined both)
+ * - findLinkById(id, { withPassword }) -> link | null
+ * - createLink(data) -> link; throws MESSAGES.CODE_EXISTS if the code is taken in the domain
+ * - listLinks({ owner, filter, sort, order, cursor, limit, fields }) -> { links, total }
+ *   (filter as built by LinkService.parseListQuery, plus trashed as for findLink; cursor is { value, id } of the
+ *   last link seen; ordered by (sort, _id) with nulls lowest)
+ * - exportLinks(owner, fields) -> async iterable of live links ordered by createdAt, with close()
+ * - hasLinksOnDomain(domain) -> boolean
+ * - collectionStats(collectionIds) -> [{ collectionId, links, clicks, topLink }] over live links in the
+ *   given order; topLink is the most-clicked link ({ _id, shortCode, domain, originalUrl,
+ *   clicks }) or null for an empty collection
+ * - findTakenCodes(domain, codes) -> the subset of codes already used in the domain
+ * - nextSequence(name) -> number; atomically increments a named counter (first value 1)
+ * - incrementClicks(id, now, variant) -> link | null; atomically refuses expired and trashed
+ *   links, and links whose click budget is used up; also counts the A/B variant, if any
+ * - addClicks([{ id, count, lastClicked, variants }]) -> [{ _id, clicks, shortCode, domain, owner }];
+ *   adds buffered clicks (variants maps variant names to their share of count) and returns
+ *   the new totals
+ * - updateLink(id, revision, values) -> link | null; applies values and
+ *   increments revision only if the stored revision still matches
+ * - disableLink(id, reason, at) -> link | null; marks a link disabled by policy
+ * - trashLink({ domain, shortCode, owner }, deletedAt, deletedBy) -> trashed link | null;
+ *   moves a live link to the trash (deletedBy is { owner, keyId }); its code stays taken
+ * - restoreLink({ domain, shortCode, owner }) -> restored link | null; only trashed links
+ * - purgeTrashedLinks(before) -> links trashed at or before the date, now removed
+ *   (as below, plus deletedAt)
+ * - markExpiredLinks(now) -> live links newly flagged expired
+ * - purgeExpiredLinks(now) -> removed live links
+ *   (both as { _id, shortCode, domain, owner, originalUrl, clicks, createdAt, expiresAt, maxClicks })
+ * - findScheduledLinks(now) -> live links with a scheduled change due at or before now
+ * - createRevision(data) -> revision; (link, revision) is unique
+ * - listRevisions(linkId, { after }) -> revisions newest first, optionally only those after a number
+ * - deleteRevisions(linkId) -> void
+ * - close() -> void; waits for pending writes
+ *
+ * API keys, custom domains, collections, click events, webhooks and the audit log are not
+ * covered by the adapters and live in MongoDB. With the memory or json driver and no
+ * MONGODB_URI the server runs without it and those features are unavailable (config/db.js).
+ */
+
+import env from '../config/env.js';
+import MongoStorage from './mongo.storage.js';
+import MemoryStorage from './memory.storage.js';
+import JsonFileStorage from './jsonFile.storage.js';
+
+/**
+ * Creates a storage adapter
+ *
+ * @param {string} driver - 'mongo', 'memory' or 'json'
+ * @param {Object} [options]
+ * @param {string} [options.file] - Data file for the json driver
+ * @returns {Object} Storage adapter
+ * @throws {Error} If the driver is unknown
+ */
+export const createStorage = (driver, { file = env.STORAGE_FILE } = {}) => {
+  switch (driver) {
+    case 'mongo':
+      return new MongoStorage();
+    case 'memory':
+      return new MemoryStorage();
+    case 'json':
+      return new JsonFileStorage(file);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+// Export the adapter selected by configuration
+export default createStorage(env.STORAGE_DRIVER);
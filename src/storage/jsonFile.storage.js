@@ -0,0 +1,140 @@
+/**
+ * JSON File Storage Adapter
+ *
+ * The in-memory adapter, persisted to a single JSON file. The file is read
+ * once at startup and rewritten after every change (to a temporary file that
+ * is then renamed over the original, so a crash never leaves half a file).
+ * Writes are coalesced: changes made while a write is in progress are saved
+ * by one follow-up write.
+ *
+ * Suited to single-instance deployments with modest link counts; every
+ * change rewrites the whole file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import MemoryStorage from './memory.storage.js';
+import logger from '../utils/logger.js';
+
+// Stored fields holding dates, revived from ISO strings on load
+const LINK_DATE_FIELDS = ['createdAt', 'lastClicked', 'expiresAt', 'activatesAt', 'updatedAt', 'disabledAt', 'deletedAt'];
+
+/**
+ * Converts ISO strings back into Date objects
+ *
+ * @param {Object} record - Parsed record
+ * @param {Array<string>} fields - Date fields
+ * @returns {Object} The same record
+ */
+const reviveDates = (record, fields) => {
+  for (const field of fields) {
+    if (record[field] != null) record[field] = new Date(record[field]);
+  }
+  return record;
+};
+
+/**
+ * Converts the dates of scheduled destination changes back into Date objects
+ *
+ * @param {Array<Object>|null} changes - Parsed { at, originalUrl } list
+ * @returns {Array<Object>|null} The same list
+ */
+const reviveSchedule = (changes) => {
+  for (const change of changes ?? []) reviveDates(change, ['at']);
+  return changes;
+};
+
+/**
+ * File-backed implementation of the storage adapter interface
+ */
+class JsonFileStorage extends MemoryStorage {
+
+  /**
+   * @param {string} file - Path of the JSON data file (created if missing)
+   */
+  constructor(file) {
+    super();
+    this.driver = 'json';
+    this.file = path.resolve(file);
+    this.writing = null;
+    this.dirty = false;
+    this.load();
+  }
+
+  /**
+   * Reads the data file into memory
+   *
+   * @returns {void}
+   * @throws {Error} If the file exists but is not valid JSON
+   */
+  load() {
+    if (!fs.existsSync(this.file)) return;
+
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    for (const link of data.links || []) {
+      reviveDates(link, LINK_DATE_FIELDS);
+      reviveSchedule(link.scheduledChanges);
+      this.links.set(link._id, link);
+      this.codes.set(`${link.domain ?? ''}/${link.shortCode}`, link._id);
+    }
+    this.revisions = (data.revisions || []).map((revision) => {
+      for (const change of revision.changes || []) {
+        if (LINK_DATE_FIELDS.includes(change.field)) reviveDates(change, ['oldValue', 'newValue']);
+        if (change.field === 'scheduledChanges') [change.oldValue, change.newValue].forEach(reviveSchedule);
+      }
+      return reviveDates(revision, ['createdAt']);
+    });
+    this.counters = data.counters || {};
+  }
+
+  changed() {
+    this.dirty = true;
+    if (!this.writing) {
+      this.writing = this.persist().finally(() => {
+        this.writing = null;
+      });
+    }
+  }
+
+  /**
+   * Writes the data file until no unsaved changes remain
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    while (this.dirty) {
+      this.dirty = false;
+      const data = JSON.stringify({
+        links: [...this.links.values()],
+        revisions: this.revisions,
+        counters: this.counters,
+      });
+      const temp = `${this.file}.tmp`;
+
+      try {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(temp, data);
+        await fs.promises.rename(temp, this.file);
+      } catch (error) {
+        // Keep the data marked unsaved; the next change retries the write
+        logger.error('Storage file write failed', { file: this.file, error });
+        this.dirty = true;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Waits for pending writes to reach the file
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.writing;
+    if (this.dirty) await this.persist();
+  }
+}
+
+export default JsonFileStorage;
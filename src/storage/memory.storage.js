@@ -0,0 +1,426 @@
+/**
+ * In-Memory Storage Adapter
+ *
+ * Keeps links and revisions in process memory. Data is lost on restart, so
+ * this adapter is meant for development, demos and tests. It mirrors the
+ * behaviour of the MongoDB adapter, including null ordering in sorted lists
+ * and the atomic click budget check (JavaScript runs one operation at a time).
+ *
+ * Returned objects are copies; changing them never changes stored data.
+ */
+
+import crypto from 'crypto';
+import { MESSAGES } from '../constants/messages.js';
+import { ConflictError } from '../utils/errors.js';
+
+// Field values a new link starts with, matching the Link model defaults
+const LINK_DEFAULTS = {
+  domain: null,
+  destinationHost: null,
+  clicks: 0,
+  lastClicked: null,
+  expiresAt: null,
+  maxClicks: null,
+  expired: false,
+  activatesAt: null,
+  scheduledChanges: [],
+  passwordProtected: false,
+  passwordHash: null,
+  owner: null,
+  revision: 0,
+  updatedAt: null,
+  disabled: false,
+  disabledReason: null,
+  disabledAt: null,
+  rules: [],
+  variants: [],
+  stickyVariants: false,
+  variantClicks: {},
+  tags: [],
+  collectionId: null,
+  preview: null,
+  deletedAt: null,
+  deletedBy: null,
+};
+
+// Per-process random value and counter, laid out like a MongoDB ObjectId
+const PROCESS_ID = crypto.randomBytes(5).toString('hex');
+let idCounter = crypto.randomInt(0xffffff);
+
+/**
+ * Generates an ObjectId-style id: 24 hex characters that sort by creation order
+ *
+ * @returns {string}
+ */
+export const generateId = () => {
+  idCounter = (idCounter + 1) % 0x1000000;
+  return Math.floor(Date.now() / 1000).toString(16).padStart(8, '0')
+    + PROCESS_ID
+    + idCounter.toString(16).padStart(6, '0');
+};
+
+/**
+ * Orders two field values like MongoDB does for the fields links sort on:
+ * null first, then numbers or dates ascending
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+const compareValues = (a, b) => {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Checks whether a link has reached its expiry date or click budget
+ * (the flag set by the sweeper is not considered)
+ *
+ * @param {Object} link - Stored link
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+const isDue = (link, now) => (link.expiresAt !== null && link.expiresAt <= now)
+  || (link.maxClicks !== null && link.clicks >= link.maxClicks);
+
+/**
+ * Checks a link against a trash condition
+ *
+ * @param {Object} link - Stored link
+ * @param {boolean} [trashed] - true for trashed links only, false for live links only
+ * @returns {boolean}
+ */
+const matchesTrashed = (link, trashed) => trashed === undefined || (link.deletedAt != null) === trashed;
+
+// Fields returned for links found by the expiry sweep
+const EXPIRED_FIELDS = ['shortCode', 'domain', 'owner', 'originalUrl', 'clicks', 'createdAt', 'expiresAt', 'maxClicks'];
+
+// Fields returned for trashed links removed by the retention purge
+const PURGED_FIELDS = [...EXPIRED_FIELDS, 'deletedAt'];
+
+// Fields returned for the most-clicked link of a collection
+const TOP_LINK_FIELDS = ['shortCode', 'domain', 'originalUrl', 'clicks'];
+
+/**
+ * Adds clicks to a link's per-variant counters
+ *
+ * @param {Object} link - Stored link
+ * @param {Object} variants - Variant name -> clicks to add
+ * @returns {void}
+ */
+const addVariantClicks = (link, variants) => {
+  // Links stored before variants existed have no counters yet
+  link.variantClicks ??= {};
+  for (const [name, count] of Object.entries(variants)) {
+    link.variantClicks[name] = (link.variantClicks[name] ?? 0) + count;
+  }
+};
+
+/**
+ * Checks a link against list filters (see LinkService.parseListQuery)
+ *
+ * @param {Object} link - Stored link
+ * @param {Object} filter - Normalised list filters
+ * @returns {boolean}
+ */
+const matchesFilter = (link, {
+  createdFrom, createdTo, clickedFrom, clickedTo, minClicks, destinationDomain, q, tags, collectionId, trashed,
+}) => {
+  if (!matchesTrashed(link, trashed)) return false;
+  if (createdFrom && !(link.createdAt >= createdFrom)) return false;
+  if (createdTo && !(link.createdAt < createdTo)) return false;
+  if (clickedFrom && !(link.lastClicked && link.lastClicked >= clickedFrom)) return false;
+  if (clickedTo && !(link.lastClicked && link.lastClicked < clickedTo)) return false;
+  if (minClicks !== undefined && link.clicks < minClicks) return false;
+  if (tags && !tags.every((tag) => (link.tags ?? []).includes(tag))) return false;
+  if (collectionId !== undefined && (link.collectionId ?? null) !== collectionId) return false;
+
+  if (destinationDomain) {
+    const host = link.destinationHost || '';
+    if (host !== destinationDomain && !host.endsWith(`.${destinationDomain}`)) return false;
+  }
+
+  if (q) {
+    const needle = q.toLowerCase();
+    if (!link.shortCode.toLowerCase().includes(needle) && !link.originalUrl.toLowerCase().includes(needle)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Copies a stored record, optionally keeping only some fields
+ *
+ * @param {Object} record - Stored record
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fields] - Fields to keep (_id is always kept)
+ * @param {boolean} [options.withPassword] - Keep the password hash
+ * @returns {Object}
+ */
+const copy = (record, { fields, withPassword = false } = {}) => {
+  const result = structuredClone(record);
+  if (fields) {
+    for (const key of Object.keys(result)) {
+      if (key !== '_id' && !fields.includes(key)) delete result[key];
+    }
+  }
+  if (!withPassword) delete result.passwordHash;
+  return result;
+};
+
+/**
+ * In-memory implementation of the storage adapter interface
+ */
+class MemoryStorage {
+
+  constructor() {
+    this.driver = 'memory';
+    // _id -> link
+    this.links = new Map();
+    // "domain/shortCode" -> _id, enforcing per-domain uniqueness
+    this.codes = new Map();
+    this.revisions = [];
+    // Sequence name -> last value handed out
+    this.counters = {};
+  }
+
+  /**
+   * Called after every write; subclasses persist the data here
+   *
+   * @returns {void}
+   */
+  changed() {}
+
+  /**
+   * Finds the stored (uncopied) link for a code within a domain
+   *
+   * @param {Object} query - { domain, shortCode, owner, trashed }
+   * @returns {Object|undefined}
+   */
+  lookup({ domain, shortCode, owner, trashed }) {
+    const link = this.links.get(this.codes.get(`${domain ?? ''}/${shortCode}`));
+    if (!link || (owner !== undefined && link.owner !== owner) || !matchesTrashed(link, trashed)) return undefined;
+    return link;
+  }
+
+  /**
+   * Removes a stored link and frees its code
+   *
+   * @param {Object} link - Stored link
+   * @returns {void}
+   */
+  remove(link) {
+    this.links.delete(link._id);
+    this.codes.delete(`${link.domain ?? ''}/${link.shortCode}`);
+  }
+
+  async findLink(query, options = {}) {
+    const link = this.lookup(query);
+    return link ? copy(link, options) : null;
+  }
+
+  async findLinkById(id, options = {}) {
+    const link = this.links.get(String(id));
+    return link ? copy(link, options) : null;
+  }
+
+  async createLink(data) {
+    const link = { ...structuredClone(LINK_DEFAULTS), createdAt: new Date(), ...structuredClone(data), _id: generateId() };
+    const key = `${link.domain ?? ''}/${link.shortCode}`;
+    if (this.codes.has(key)) {
+      throw new ConflictError(MESSAGES.CODE_EXISTS);
+    }
+
+    this.links.set(link._id, link);
+    this.codes.set(key, link._id);
+    this.changed();
+    return copy(link);
+  }
+
+  async listLinks({ owner, filter = {}, sort, order, cursor, limit, fields }) {
+    const direction = order === 'desc' ? -1 : 1;
+    const compare = (a, b) => direction * (compareValues(a[sort], b[sort]) || compareValues(a._id, b._id));
+
+    const matching = [...this.links.values()].filter((link) => (
+      (owner === undefined || link.owner === owner) && matchesFilter(link, filter)
+    ));
+    const after = cursor ? { [sort]: cursor.value, _id: cursor.id } : null;
+
+    const links = matching
+      .filter((link) => !after || compare(link, after) > 0)
+      .sort(compare)
+      .slice(0, limit)
+      .map((link) => copy(link, { fields }));
+    return { links, total: matching.length };
+  }
+
+  exportLinks(owner, fields) {
+    const links = [...this.links.values()]
+      .filter((link) => (owner === undefined || link.owner === owner) && matchesTrashed(link, false))
+      .sort((a, b) => compareValues(a.createdAt, b.createdAt));
+
+    // Same shape as a MongoDB cursor: async iterable with close()
+    return {
+      async *[Symbol.asyncIterator]() {
+        for (const link of links) yield copy(link, { fields });
+      },
+      async close() {},
+    };
+  }
+
+  async hasLinksOnDomain(domain) {
+    return [...this.links.values()].some((link) => link.domain === domain);
+  }
+
+  async collectionStats(collectionIds) {
+    const stats = new Map(collectionIds.map((id) => [id, { collectionId: id, links: 0, clicks: 0, topLink: null }]));
+    for (const link of this.links.values()) {
+      const entry = stats.get(link.collectionId);
+      if (!entry || !matchesTrashed(link, false)) continue;
+
+      entry.links += 1;
+      entry.clicks += link.clicks;
+      if (!entry.topLink || compareValues(link.clicks, entry.topLink.clicks) > 0) {
+        entry.topLink = copy(link, { fields: TOP_LINK_FIELDS });
+      }
+    }
+    return [...stats.values()];
+  }
+
+  async findTakenCodes(domain, codes) {
+    return codes.filter((shortCode) => this.codes.has(`${domain ?? ''}/${shortCode}`));
+  }
+
+  async nextSequence(name) {
+    this.counters[name] = (this.counters[name] ?? 0) + 1;
+    this.changed();
+    return this.counters[name];
+  }
+
+  async incrementClicks(id, now = new Date(), variant = null) {
+    const link = this.links.get(String(id));
+    if (!link || link.expired || isDue(link, now) || !matchesTrashed(link, false)) return null;
+
+    link.clicks += 1;
+    link.lastClicked = now;
+    if (variant) addVariantClicks(link, { [variant]: 1 });
+    this.changed();
+    return copy(link);
+  }
+
+  async addClicks(batch) {
+    const updated = [];
+    for (const { id, count, lastClicked, variants = {} } of batch) {
+      const link = this.links.get(String(id));
+      if (!link) continue;
+      link.clicks += count;
+      addVariantClicks(link, variants);
+      if (!link.lastClicked || lastClicked > link.lastClicked) link.lastClicked = lastClicked;
+      updated.push({ _id: link._id, clicks: link.clicks, shortCode: link.shortCode, domain: link.domain, owner: link.owner });
+    }
+    if (batch.length > 0) this.changed();
+    return updated;
+  }
+
+  async updateLink(id, revision, values) {
+    const link = this.links.get(String(id));
+    if (!link || link.revision !== revision) return null;
+
+    Object.assign(link, structuredClone(values));
+    link.revision += 1;
+    this.changed();
+    return copy(link);
+  }
+
+  async disableLink(id, reason, at = new Date()) {
+    const link = this.links.get(String(id));
+    if (!link) return null;
+
+    Object.assign(link, { disabled: true, disabledReason: reason, disabledAt: at });
+    this.changed();
+    return copy(link);
+  }
+
+  async trashLink(query, deletedAt = new Date(), deletedBy = null) {
+    const link = this.lookup({ ...query, trashed: false });
+    if (!link) return null;
+
+    Object.assign(link, { deletedAt, deletedBy: structuredClone(deletedBy) });
+    this.changed();
+    return copy(link);
+  }
+
+  async restoreLink(query) {
+    const link = this.lookup({ ...query, trashed: true });
+    if (!link) return null;
+
+    Object.assign(link, { deletedAt: null, deletedBy: null });
+    this.changed();
+    return copy(link);
+  }
+
+  async purgeTrashedLinks(before) {
+    const trashed = [...this.links.values()].filter((link) => link.deletedAt != null && link.deletedAt <= before);
+    for (const link of trashed) this.remove(link);
+    if (trashed.length > 0) this.changed();
+    return trashed.map((link) => copy(link, { fields: PURGED_FIELDS }));
+  }
+
+  // Trashed links are left to the trash purge
+  async markExpiredLinks(now = new Date()) {
+    const expired = [];
+    for (const link of this.links.values()) {
+      if (!link.expired && isDue(link, now) && matchesTrashed(link, false)) {
+        link.expired = true;
+        expired.push(copy(link, { fields: EXPIRED_FIELDS }));
+      }
+    }
+    if (expired.length > 0) this.changed();
+    return expired;
+  }
+
+  async purgeExpiredLinks(now = new Date()) {
+    const expired = [...this.links.values()].filter((link) => isDue(link, now) && matchesTrashed(link, false));
+    for (const link of expired) this.remove(link);
+    if (expired.length > 0) this.changed();
+    return expired.map((link) => copy(link, { fields: EXPIRED_FIELDS }));
+  }
+
+  async findScheduledLinks(now = new Date()) {
+    return [...this.links.values()]
+      .filter((link) => matchesTrashed(link, false) && (link.scheduledChanges ?? []).some(({ at }) => at <= now))
+      .map((link) => copy(link));
+  }
+
+  async createRevision(data) {
+    const link = String(data.link);
+    if (this.revisions.some((revision) => revision.link === link && revision.revision === data.revision)) {
+      throw new ConflictError(MESSAGES.EDIT_CONFLICT);
+    }
+
+    const revision = { ...structuredClone(data), link, _id: generateId() };
+    this.revisions.push(revision);
+    this.changed();
+    return copy(revision);
+  }
+
+  async listRevisions(linkId, { after } = {}) {
+    const link = String(linkId);
+    return this.revisions
+      .filter((revision) => revision.link === link && (after === undefined || revision.revision > after))
+      .sort((a, b) => b.revision - a.revision)
+      .map((revision) => copy(revision));
+  }
+
+  async deleteRevisions(linkId) {
+    const link = String(linkId);
+    const before = this.revisions.length;
+    this.revisions = this.revisions.filter((revision) => revision.link !== link);
+    if (this.revisions.length !== before) this.changed();
+  }
+
+  async close() {}
+}
+
+export default MemoryStorage;
@@ -0,0 +1,399 @@
+/**
+ * MongoDB Storage Adapter
+ *
+ * Stores links and their revisions in MongoDB through the Link and Revision
+ * models. This is the default adapter and the only one suited to running
+ * several server instances against shared data.
+ *
+ * All methods return plain (lean) objects, like the other adapters.
+ */
+
+import mongoose from 'mongoose';
+import Link from '../models/LinkModel.js';
+import Revision from '../models/RevisionModel.js';
+import Counter from '../models/CounterModel.js';
+import { MESSAGES } from '../constants/messages.js';
+import { ConflictError } from '../utils/errors.js';
+
+/**
+ * Escapes a string for literal use inside a regular expression
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a projection string from a list of fields
+ *
+ * @param {Array<string>} [fields] - Fields to return; all (except secrets) if omitted
+ * @returns {string|undefined}
+ */
+const projection = (fields) => (fields ? fields.join(' ') : undefined);
+
+// Fields returned for links found by the expiry sweep
+const EXPIRED_FIELDS = 'shortCode domain owner originalUrl clicks createdAt expiresAt maxClicks';
+
+// Fields returned for trashed links removed by the retention purge
+const PURGED_FIELDS = `${EXPIRED_FIELDS} deletedAt`;
+
+/**
+ * Builds the condition selecting live links, trashed links or both
+ *
+ * @param {boolean} [trashed] - true for trashed links only, false for live links only
+ * @returns {Object} MongoDB filter fragment
+ */
+const trashFilter = (trashed) => {
+  if (trashed === undefined) return {};
+  return { deletedAt: trashed ? { $ne: null } : null };
+};
+
+/**
+ * Builds the query matching one link by code within a domain
+ *
+ * @param {Object} query
+ * @param {string|null} query.domain - Custom domain namespace
+ * @param {string} query.shortCode - Short code
+ * @param {string} [query.owner] - Only match a link belonging to this owner
+ * @param {boolean} [query.trashed] - Only match a trashed (true) or live (false) link
+ * @returns {Object} MongoDB filter
+ */
+const codeFilter = ({ domain, shortCode, owner, trashed }) => ({
+  domain: domain ?? null,
+  shortCode,
+  ...(owner === undefined ? {} : { owner }),
+  ...trashFilter(trashed),
+});
+
+/**
+ * Builds a query matching links that are expired at a given time
+ *
+ * @param {Date} now - Reference time
+ * @returns {Object} MongoDB filter
+ */
+const expiredFilter = (now) => ({
+  $or: [
+    { expiresAt: { $ne: null, $lte: now } },
+    { maxClicks: { $ne: null }, $expr: { $gte: ['$clicks', '$maxClicks'] } },
+  ],
+});
+
+/**
+ * Translates list filters (see LinkService.parseListQuery) into a MongoDB query
+ *
+ * @param {Object} filter - Normalised list filters
+ * @returns {Object} MongoDB filter
+ */
+const listFilter = ({
+  createdFrom, createdTo, clickedFrom, clickedTo, minClicks, destinationDomain, q, tags, collectionId, trashed,
+}) => {
+  const query = { ...trashFilter(trashed) };
+  const and = [];
+
+  for (const [field, from, to] of [['createdAt', createdFrom, createdTo], ['lastClicked', clickedFrom, clickedTo]]) {
+    if (from || to) {
+      query[field] = { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+    }
+  }
+
+  if (minClicks !== undefined) {
+    query.clicks = { $gte: minClicks };
+  }
+
+  if (tags) {
+    query.tags = { $all: tags };
+  }
+
+  // null selects links outside any collection
+  if (collectionId !== undefined) {
+    query.collectionId = collectionId;
+  }
+
+  // Exact host or any subdomain of it
+  if (destinationDomain) {
+    and.push({
+      $or: [
+        { destinationHost: destinationDomain },
+        { destinationHost: { $regex: `\\.${escapeRegex(destinationDomain)}$` } },
+      ],
+    });
+  }
+
+  // Case-insensitive substring search over code and destination
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    and.push({ $or: [{ shortCode: pattern }, { originalUrl: pattern }] });
+  }
+
+  if (and.length > 0) query.$and = and;
+  return query;
+};
+
+/**
+ * Builds the keyset condition selecting links after a cursor
+ *
+ * Links are ordered by (sort field, _id). MongoDB sorts nulls (never
+ * clicked links) before every date, so they come last in descending order
+ * and first in ascending order.
+ *
+ * @param {string} sort - Sort field
+ * @param {string} order - 'asc' or 'desc'
+ * @param {{ value: *, id: string }} cursor - Decoded cursor
+ * @returns {Object} MongoDB filter
+ */
+const cursorFilter = (sort, order, { value, id }) => {
+  const after = order === 'desc' ? '$lt' : '$gt';
+  const objectId = new mongoose.Types.ObjectId(id);
+
+  if (value === null) {
+    const sameValue = { [sort]: null, _id: { [after]: objectId } };
+    // Descending: only more nulls follow; ascending: every non-null follows
+    return order === 'desc' ? sameValue : { $or: [sameValue, { [sort]: { $ne: null } }] };
+  }
+
+  const conditions = [
+    { [sort]: { [after]: value } },
+    { [sort]: value, _id: { [after]: objectId } },
+  ];
+  if (order === 'desc') {
+    conditions.push({ [sort]: null });
+  }
+  return { $or: conditions };
+};
+
+/**
+ * MongoDB implementation of the storage adapter interface
+ */
+class MongoStorage {
+
+  constructor() {
+    this.driver = 'mongo';
+  }
+
+  async findLink(query, { fields, withPassword = false } = {}) {
+    const find = Link.findOne(codeFilter(query), projection(fields));
+    if (withPassword) find.select('+passwordHash');
+    return await find.lean();
+  }
+
+  async findLinkById(id, { withPassword = false } = {}) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const find = Link.findById(id);
+    if (withPassword) find.select('+passwordHash');
+    return await find.lean();
+  }
+
+  async createLink(data) {
+    try {
+      const link = await Link.create(data);
+      const { passwordHash, __v, ...stored } = link.toObject();
+      return stored;
+    } catch (error) {
+      // The (domain, shortCode) unique index rejected the insert
+      if (error.code === 11000) {
+        throw new ConflictError(MESSAGES.CODE_EXISTS);
+      }
+      throw error;
+    }
+  }
+
+  async listLinks({ owner, filter = {}, sort, order, cursor, limit, fields }) {
+    const baseFilter = { ...(owner === undefined ? {} : { owner }), ...listFilter(filter) };
+    const pageFilter = cursor
+      ? { $and: [baseFilter, cursorFilter(sort, order, cursor)] }
+      : baseFilter;
+    const direction = order === 'desc' ? -1 : 1;
+
+    const [links, total] = await Promise.all([
+      Link.find(pageFilter, projection(fields))
+        .sort({ [sort]: direction, _id: direction })
+        .limit(limit)
+        .lean(),
+      Link.countDocuments(baseFilter),
+    ]);
+    return { links, total };
+  }
+
+  exportLinks(owner, fields) {
+    return Link.find({ ...(owner === undefined ? {} : { owner }), deletedAt: null }, projection(fields))
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+  }
+
+  async hasLinksOnDomain(domain) {
+    return Boolean(await Link.exists({ domain }));
+  }
+
+  async collectionStats(collectionIds) {
+    const groups = await Link.aggregate([
+      { $match: { collectionId: { $in: collectionIds }, deletedAt: null } },
+      { $sort: { clicks: -1, _id: 1 } },
+      {
+        $group: {
+          _id: '$collectionId',
+          links: { $sum: 1 },
+          clicks: { $sum: '$clicks' },
+          topLink: {
+            $first: { _id: '$_id', shortCode: '$shortCode', domain: '$domain', originalUrl: '$originalUrl', clicks: '$clicks' },
+          },
+        },
+      },
+    ]);
+
+    const byId = new Map(groups.map(({ _id, ...stats }) => [_id, stats]));
+    return collectionIds.map((id) => ({ collectionId: id, links: 0, clicks: 0, topLink: null, ...byId.get(id) }));
+  }
+
+  async findTakenCodes(domain, codes) {
+    const links = await Link.find({ domain, shortCode: { $in: codes } }, 'shortCode').lean();
+    return links.map((link) => link.shortCode);
+  }
+
+  async nextSequence(name) {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: name },
+      { $inc: { value: 1 } },
+      { upsert: true, new: true }
+    ).lean();
+    return counter.value;
+  }
+
+  async incrementClicks(id, now = new Date(), variant = null) {
+    // Expiry date and click budget are checked in the same atomic operation
+    return await Link.findOneAndUpdate(
+      {
+        _id: id,
+        expired: { $ne: true },
+        deletedAt: null,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxClicks: null }, { $expr: { $lt: ['$clicks', '$maxClicks'] } }] },
+        ],
+      },
+      { $inc: { clicks: 1, ...(variant && { [`variantClicks.${variant}`]: 1 }) }, $set: { lastClicked: now } },
+      { new: true }
+    ).lean();
+  }
+
+  async addClicks(batch) {
+    if (batch.length === 0) return [];
+    await Link.bulkWrite(
+      batch.map(({ id, count, lastClicked, variants = {} }) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: {
+            $inc: {
+              clicks: count,
+              // Variant names are restricted to letters, digits, _ and -, so safe as paths
+              ...Object.fromEntries(Object.entries(variants).map(([name, n]) => [`variantClicks.${name}`, n])),
+            },
+            $max: { lastClicked },
+          },
+        },
+      })),
+      { ordered: false }
+    );
+    return await Link.find({ _id: { $in: batch.map(({ id }) => id) } }, 'clicks shortCode domain owner').lean();
+  }
+
+  async updateLink(id, revision, values) {
+    return await Link.findOneAndUpdate(
+      { _id: id, revision },
+      { $set: values, $inc: { revision: 1 } },
+      { new: true }
+    ).lean();
+  }
+
+  async disableLink(id, reason, at = new Date()) {
+    return await Link.findOneAndUpdate(
+      { _id: id },
+      { $set: { disabled: true, disabledReason: reason, disabledAt: at } },
+      { new: true }
+    ).lean();
+  }
+
+  async trashLink(query, deletedAt = new Date(), deletedBy = null) {
+    return await Link.findOneAndUpdate(
+      codeFilter({ ...query, trashed: false }),
+      { $set: { deletedAt, deletedBy } },
+      { new: true }
+    ).lean();
+  }
+
+  async restoreLink(query) {
+    return await Link.findOneAndUpdate(
+      codeFilter({ ...query, trashed: true }),
+      { $set: { deletedAt: null, deletedBy: null } },
+      { new: true }
+    ).lean();
+  }
+
+  async purgeTrashedLinks(before) {
+    const due = { deletedAt: { $ne: null, $lte: before } };
+    const trashed = await Link.find(due, '_id').lean();
+    const purged = [];
+    // One at a time, re-checking the condition, so a link restored meanwhile is kept and not reported
+    for (const { _id } of trashed) {
+      const link = await Link.findOneAndDelete({ _id, ...due }, { projection: PURGED_FIELDS }).lean();
+      if (link) purged.push(link);
+    }
+    return purged;
+  }
+
+  // Trashed links are left to the trash purge. Like the trash purge, links are
+  // handled one at a time with the condition re-checked, so a link whose expiry
+  // or click budget was extended meanwhile is left alone and not reported
+  async markExpiredLinks(now = new Date()) {
+    const due = { ...expiredFilter(now), expired: { $ne: true }, deletedAt: null };
+    const candidates = await Link.find(due, '_id').lean();
+    const expired = [];
+    for (const { _id } of candidates) {
+      const link = await Link.findOneAndUpdate(
+        { _id, ...due },
+        { $set: { expired: true } },
+        { projection: EXPIRED_FIELDS }
+      ).lean();
+      if (link) expired.push(link);
+    }
+    return expired;
+  }
+
+  async purgeExpiredLinks(now = new Date()) {
+    const due = { ...expiredFilter(now), deletedAt: null };
+    const candidates = await Link.find(due, '_id').lean();
+    const expired = [];
+    for (const { _id } of candidates) {
+      const link = await Link.findOneAndDelete({ _id, ...due }, { projection: EXPIRED_FIELDS }).lean();
+      if (link) expired.push(link);
+    }
+    return expired;
+  }
+
+  async findScheduledLinks(now = new Date()) {
+    return await Link.find({ 'scheduledChanges.at': { $lte: now }, deletedAt: null }).lean();
+  }
+
+  async createRevision(data) {
+    const revision = await Revision.create(data);
+    return revision.toObject();
+  }
+
+  async listRevisions(linkId, { after } = {}) {
+    return await Revision.find({
+      link: linkId,
+      ...(after === undefined ? {} : { revision: { $gt: after } }),
+    })
+      .sort({ revision: -1 })
+      .lean();
+  }
+
+  async deleteRevisions(linkId) {
+    await Revision.deleteMany({ link: linkId });
+  }
+
+  // The connection is shared with the other models and closed by the server
+  async close() {}
+}
+
+export default MongoStorage;
@@ -0,0 +1,72 @@
+/**
+ * Extracts the analytics-relevant details of an incoming request.
+ *
+ * Keeps HTTP header handling out of the service layer: controllers call this
+ * and pass the resulting plain object down. The client IP is never stored in
+ * clear text, only as a salted SHA-256 digest.
+ */
+
+import crypto from 'crypto';
+import env from '../config/env.js';
+import parseUserAgent from './parseUserAgent.js';
+
+/**
+ * Hashes an IP address with the configured salt
+ *
+ * @param {string} [ip] - Client IP address
+ * @returns {string|null} Hex digest or null when no IP is known
+ */
+export const hashIp = (ip) => {
+  if (!ip) return null;
+  return crypto.createHash('sha256').update(`${env.IP_HASH_SALT}:${ip}`).digest('hex');
+};
+
+/**
+ * Returns the host part of the Referer header, or null for direct traffic
+ *
+ * @param {string} [referrer] - Raw Referer header value
+ * @returns {string|null}
+ */
+export const getReferrerHost = (referrer) => {
+  if (!referrer) return null;
+  try {
+    return new URL(referrer).hostname.toLowerCase() || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Returns the primary language tag from Accept-Language (e.g. "en-US")
+ *
+ * @param {string} [header] - Raw Accept-Language header value
+ * @returns {string|null}
+ */
+export const getPrimaryLanguage = (header) => {
+  if (!header) return null;
+  const [first] = header.split(',');
+  const tag = first.split(';')[0].trim();
+  return tag && tag !== '*' ? tag : null;
+};
+
+/**
+ * Builds the client info object recorded for each click
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object} Referrer host, parsed user-agent, language and hashed IP
+ */
+const getClientInfo = (req) => {
+  const userAgent = req.get('user-agent') || '';
+  const { browser, os, device } = parseUserAgent(userAgent);
+
+  return {
+    referrerHost: getReferrerHost(req.get('referer')),
+    browser,
+    os,
+    device,
+    language: getPrimaryLanguage(req.get('accept-language')),
+    ipHash: hashIp(req.ip),
+  };
+};
+
+export default getClientInfo;
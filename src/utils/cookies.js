@@ -0,0 +1,67 @@
+/**
+ * Cookie helpers: header parsing and HMAC-signed values.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Parses a Cookie header into a name/value map
+ *
+ * @param {string} [header] - Raw Cookie header value
+ * @returns {Object<string, string>}
+ */
+export const parseCookies = (header) => {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    if (index < 0) continue;
+
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    if (!name || name in cookies) continue;
+
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (err) {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+};
+
+/**
+ * Appends an HMAC-SHA256 signature to a value ("value.signature")
+ *
+ * @param {string} value - Value to sign
+ * @param {string} secret - Signing secret
+ * @returns {string}
+ */
+export const sign = (value, secret) => {
+  const signature = crypto.createHmac('sha256', secret).update(value).digest('base64url');
+  return `${value}.${signature}`;
+};
+
+/**
+ * Verifies a value produced by sign and returns the original value
+ *
+ * @param {string} [signed] - Signed value
+ * @param {string} secret - Signing secret
+ * @returns {string|null} Original value, or null if the signature is invalid
+ */
+export const unsign = (signed, secret) => {
+  if (typeof signed !== 'string') return null;
+
+  const index = signed.lastIndexOf('.');
+  if (index < 0) return null;
+
+  const value = signed.slice(0, index);
+  const expected = Buffer.from(sign(value, secret));
+  const actual = Buffer.from(signed);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return value;
+};
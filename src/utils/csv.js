@@ -0,0 +1,91 @@
+/**
+ * Small RFC 4180 CSV helpers used by bulk import and export.
+ */
+
+/**
+ * Parses CSV text into rows of string cells
+ *
+ * Handles quoted cells with embedded commas, quotes ("") and newlines,
+ * CRLF or LF line endings and a leading byte order mark. Blank lines are
+ * skipped.
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Parses CSV text with a header row into objects keyed by column name
+ *
+ * @param {string} text - CSV text
+ * @returns {Object<string, string>[]}
+ */
+export const parseCsvObjects = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name) => name.trim());
+
+  return rows.map((cells) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      if (column) record[column] = cells[index] ?? '';
+    });
+    return record;
+  });
+};
+
+/**
+ * Formats one CSV line (with trailing CRLF), quoting cells where needed
+ *
+ * Null and undefined become empty cells; dates are written as ISO strings.
+ *
+ * @param {Array} values - Cell values
+ * @returns {string}
+ */
+export const toCsvRow = (values) => values
+  .map((value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  })
+  .join(',') + '\r\n';
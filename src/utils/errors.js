@@ -0,0 +1,110 @@
+/**
+ * Error Classes - Typed Errors for API Responses
+ *
+ * Services throw these instead of plain errors so the central error handler
+ * (middleware/errorHandler.js) can answer with the right status and the
+ * JSON envelope { error: { code, message, details } } without matching on
+ * message strings.
+ *
+ * `code` defaults to the MESSAGES key of the message, e.g. a NotFoundError
+ * with MESSAGES.LINK_NOT_FOUND has the code "LINK_NOT_FOUND".
+ */
+
+import { STATUS } from '../constants/apiStatus.js';
+import { MESSAGES } from '../constants/messages.js';
+
+// Message text -> MESSAGES key
+const MESSAGE_CODES = new Map(Object.entries(MESSAGES).map(([key, message]) => [message, key]));
+
+/**
+ * Base class for errors that are reported to API clients
+ */
+export class AppError extends Error {
+
+  /**
+   * @param {string} message - Client-facing message, usually a MESSAGES value
+   * @param {Object} [options]
+   * @param {number} [options.status=500] - HTTP status
+   * @param {string} [options.code] - Machine-readable code (defaults to the MESSAGES key)
+   * @param {*} [options.details] - Additional information, e.g. failed validations
+   */
+  constructor(message, { status = STATUS.INTERNAL_SERVER_ERROR, code, details = null } = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code ?? MESSAGE_CODES.get(message) ?? 'ERROR';
+    this.details = details;
+  }
+}
+
+/**
+ * Invalid input (400)
+ */
+export class ValidationError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: STATUS.BAD_REQUEST });
+  }
+}
+
+/**
+ * Missing or invalid credentials (401)
+ */
+export class UnauthorizedError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: STATUS.UNAUTHORIZED });
+  }
+}
+
+/**
+ * Valid credentials without permission (403)
+ */
+export class ForbiddenError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: STATUS.FORBIDDEN });
+  }
+}
+
+/**
+ * Unknown resource (404)
+ */
+export class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: STATUS.NOT_FOUND });
+  }
+}
+
+/**
+ * Conflict with the current state, e.g. a taken code (409)
+ */
+export class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: STATUS.CONFLICT });
+  }
+}
+
+/**
+ * Request body over the size limit (413)
+ */
+export class PayloadTooLargeError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: STATUS.PAYLOAD_TOO_LARGE });
+  }
+}
+
+/**
+ * Rate limit exceeded (429)
+ */
+export class RateLimitError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: STATUS.TOO_MANY_REQUESTS });
+  }
+}
+
+/**
+ * Temporary failure; the request can be retried (503)
+ */
+export class ServiceUnavailableError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: STATUS.SERVICE_UNAVAILABLE });
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * In-memory fixed-window counter for failed attempts.
+ *
+ * Used to slow down password guessing on protected links. Each key (e.g. a
+ * link, or a link/client pair) is blocked once it reaches `maxFailures`
+ * within `windowMs`, until that window ends.
+ */
+
+class FailureThrottle {
+
+  /**
+   * @param {Object} options
+   * @param {number} options.maxFailures - Failures allowed per window
+   * @param {number} options.windowMs - Window length in milliseconds
+   */
+  constructor({ maxFailures, windowMs }) {
+    this.maxFailures = maxFailures;
+    this.windowMs = windowMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Returns the live entry for a key, dropping it if its window has ended
+   *
+   * @param {string} key
+   * @param {number} now
+   * @returns {{ count: number, resetAt: number }|undefined}
+   */
+  getEntry(key, now) {
+    const entry = this.entries.get(key);
+    if (entry && entry.resetAt <= now) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Returns how many seconds the key is still blocked for (0 if not blocked)
+   *
+   * @param {string} key
+   * @returns {number}
+   */
+  retryAfter(key) {
+    const now = Date.now();
+    const entry = this.getEntry(key, now);
+    if (!entry || entry.count < this.maxFailures) return 0;
+    return Math.ceil((entry.resetAt - now) / 1000);
+  }
+
+  /**
+   * Records a failed attempt for a key
+   *
+   * @param {string} key
+   * @returns {void}
+   */
+  fail(key) {
+    const now = Date.now();
+    const entry = this.getEntry(key, now);
+    if (entry) {
+      entry.count += 1;
+    } else {
+      this.entries.set(key, { count: 1, resetAt: now + this.windowMs });
+    }
+    this.prune(now);
+  }
+
+  /**
+   * Takes back one attempt recorded with fail(), e.g. once it turned out to succeed
+   *
+   * Callers that count an attempt before checking it (so parallel attempts
+   * can't all slip in before the first failure is recorded) refund it here.
+   *
+   * @param {string} key
+   * @returns {void}
+   */
+  refund(key) {
+    const entry = this.getEntry(key, Date.now());
+    if (!entry) return;
+    entry.count -= 1;
+    if (entry.count <= 0) this.entries.delete(key);
+  }
+
+  /**
+   * Clears the failures recorded for a key
+   *
+   * @param {string} key
+   * @returns {void}
+   */
+  reset(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drops expired entries once the map grows, bounding memory use
+   *
+   * @param {number} now
+   * @returns {void}
+   */
+  prune(now) {
+    if (this.entries.size < 10000) return;
+    for (const [key, entry] of this.entries) {
+      if (entry.resetAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+export default FailureThrottle;
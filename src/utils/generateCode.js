@@ -1,5 +1,86 @@
-const generateCode = () => {
-  return Math.random().toString(36).substring(2, 10);
+/**
+ * Short Code Generators
+ *
+ * Every generator returns codes that satisfy CODE_REGEX (6-8 letters and
+ * digits) when given valid settings:
+ * - randomCode: cryptographically random characters from an alphabet
+ * - sequenceCode: a counter value as base62, unique per value
+ * - wordCode: two short words and two digits, avoiding look-alike characters
+ */
+
+import crypto from 'crypto';
+
+// Digits, upper and lower case letters
+export const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Sequence values below 62^6 are scrambled within the 6-character space, so
+// consecutive values give unrelated-looking codes; the multiplier is coprime
+// to 62, which makes the mapping one-to-one
+const SEQUENCE_SPACE = 62n ** 6n;
+const SEQUENCE_MULTIPLIER = 35104476157n;
+const SEQUENCE_OFFSET = 9876543210n;
+
+// Three-letter words without i, l, o (confused with 1, I, 0); checked by
+// test/generateCode.test.js
+export const WORDS = [
+  'ant', 'ape', 'arc', 'ash', 'bag', 'bat', 'bay', 'bed', 'bee', 'bug',
+  'cab', 'cap', 'car', 'cat', 'cub', 'cup', 'den', 'dew', 'emu', 'ewe',
+  'fan', 'fax', 'fen', 'fur', 'gem', 'gum', 'gym', 'ham', 'hat', 'hay',
+  'hen', 'hub', 'hug', 'hut', 'jam', 'jar', 'jet', 'jug', 'keg', 'key',
+  'map', 'mat', 'mug', 'nap', 'net', 'nut', 'pad', 'pan', 'paw', 'pea',
+  'peg', 'pen', 'pet', 'pug', 'pup', 'ram', 'ray', 'red', 'rug', 'rye',
+  'sap', 'saw', 'sea', 'sky', 'sun', 'tan', 'tap', 'tax', 'tea', 'ten',
+  'tub', 'tug', 'van', 'vat', 'wax', 'web', 'yak', 'yam', 'zap', 'zen',
+];
+
+// Digits for word codes, without 0 and 1
+const WORD_DIGITS = '23456789';
+
+/**
+ * Picks random characters from an alphabet
+ *
+ * @param {number} length - Number of characters
+ * @param {string} alphabet - Characters to choose from
+ * @returns {string}
+ */
+export const randomCode = (length, alphabet = BASE62) => {
+  let code = '';
+  for (let i = 0; i < length; i += 1) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code;
+};
+
+/**
+ * Encodes a positive counter value as a base62 code
+ *
+ * Values up to 62^6 give 6 characters, later values 7 and then 8, so no two
+ * values share a code.
+ *
+ * @param {number} value - Counter value (1 or more)
+ * @returns {string}
+ */
+export const sequenceCode = (value) => {
+  let n = BigInt(value);
+  let width = 0;
+  if (n < SEQUENCE_SPACE) {
+    n = (n * SEQUENCE_MULTIPLIER + SEQUENCE_OFFSET) % SEQUENCE_SPACE;
+    width = 6;
+  }
+
+  let code = '';
+  do {
+    code = BASE62[Number(n % 62n)] + code;
+    n /= 62n;
+  } while (n > 0n);
+  return code.padStart(width, BASE62[0]);
 };
 
-export default generateCode;
\ No newline at end of file
+/**
+ * Builds a readable code from two words and two digits, e.g. "sunkey47"
+ *
+ * @returns {string}
+ */
+export const wordCode = () => WORDS[crypto.randomInt(WORDS.length)]
+  + WORDS[crypto.randomInt(WORDS.length)]
+  + randomCode(2, WORD_DIGITS);
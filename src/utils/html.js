@@ -0,0 +1,45 @@
+/**
+ * Minimal HTML helpers for the few pages served directly by the backend.
+ */
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escapes a value for safe interpolation into HTML text or attributes
+ *
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ENTITIES[c]);
+
+/**
+ * Wraps body markup in a minimal standalone HTML document
+ *
+ * @param {string} title - Page title (escaped here)
+ * @param {string} body - Pre-escaped body markup
+ * @param {string} [head] - Pre-escaped extra head markup, such as meta tags
+ * @returns {string}
+ */
+export const renderPage = (title, body, head = '') => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+${head}<style>
+body{font-family:system-ui,sans-serif;max-width:28rem;margin:4rem auto;padding:0 1rem;color:#222}
+h1{font-size:1.4rem}
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
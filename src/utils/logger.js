@@ -0,0 +1,151 @@
+/**
+ * Structured JSON logger.
+ *
+ * Writes one JSON object per line to stdout (error and warn to stderr):
+ *
+ *   {"time":"2024-06-05T17:32:02.114Z","level":"info","msg":"Request completed","requestId":"…","status":200}
+ *
+ * Lines logged while handling a request carry its requestId automatically
+ * (see utils/requestContext.js). Errors passed as the `error` field are
+ * written with their name, message, code and stack. Lines below LOG_LEVEL
+ * (error, warn, info or debug; or silent) are dropped.
+ */
+
+import env from '../config/env.js';
+import { getRequestContext } from './requestContext.js';
+
+// Lower is more severe; a line is written when its level is at or below the threshold
+export const LOG_LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3 };
+
+/**
+ * Converts an error to plain fields, following `cause`
+ *
+ * @param {Error} error
+ * @returns {Object}
+ */
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack,
+  ...(error.cause instanceof Error && { cause: serializeError(error.cause) }),
+});
+
+/**
+ * JSON.stringify replacer for values JSON has no notation for
+ *
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+const replacer = (key, value) => {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+};
+
+class Logger {
+
+  /**
+   * @param {Object} options
+   * @param {string} options.level - Most verbose level written
+   * @param {Object} [options.bindings] - Fields added to every line
+   */
+  constructor({ level, bindings = {} }) {
+    this.level = level in LOG_LEVELS ? level : 'info';
+    this.bindings = bindings;
+  }
+
+  /**
+   * Returns a logger that adds fields to every line, e.g. { job: 'expirySweeper' }
+   *
+   * @param {Object} bindings
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({ level: this.level, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  /**
+   * Checks whether lines of a level would be written
+   *
+   * @param {string} level
+   * @returns {boolean}
+   */
+  isEnabled(level) {
+    return LOG_LEVELS[level] <= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Writes one line
+   *
+   * @param {string} level - error, warn, info or debug
+   * @param {string} msg - Human-readable message; keep variable data in fields
+   * @param {Object} [fields] - Extra fields; `error` may be an Error
+   * @returns {void}
+   */
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      requestId: getRequestContext()?.requestId,
+      ...this.bindings,
+      ...fields,
+    };
+
+    let line;
+    try {
+      line = JSON.stringify(entry, replacer);
+    } catch (error) {
+      // Circular fields; keep the message rather than lose the line
+      line = JSON.stringify({ time: entry.time, level, msg, requestId: entry.requestId, logError: error.message });
+    }
+
+    const stream = LOG_LEVELS[level] <= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Object} [fields]
+   * @returns {void}
+   */
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Object} [fields]
+   * @returns {void}
+   */
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Object} [fields]
+   * @returns {void}
+   */
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Object} [fields]
+   * @returns {void}
+   */
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+}
+
+// Application-wide logger
+const logger = new Logger({ level: env.LOG_LEVEL });
+
+export default logger;
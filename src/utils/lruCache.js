@@ -0,0 +1,98 @@
+/**
+ * Size-bounded LRU cache with per-entry TTL.
+ *
+ * Relies on Map preserving insertion order: a hit re-inserts the entry so the
+ * first key is always the least recently used one.
+ */
+
+class LruCache {
+
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Entries kept before evicting the least recently used
+   * @param {number} options.ttlMs - Time an entry stays valid after being set
+   */
+  constructor({ maxEntries, ttlMs }) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Returns a cached value, or undefined on a miss or expired entry
+   *
+   * @param {string} key
+   * @returns {*}
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses += 1;
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits += 1;
+    return entry.value;
+  }
+
+  /**
+   * Stores a value, evicting the least recently used entry when full
+   *
+   * @param {string} key
+   * @param {*} value
+   * @returns {void}
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions += 1;
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  /**
+   * Removes a single entry
+   *
+   * @param {string} key
+   * @returns {void}
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Removes every entry
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Returns hit/miss counters and current size
+   *
+   * @returns {{ size: number, maxEntries: number, hits: number, misses: number, hitRate: number, evictions: number }}
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups === 0 ? 0 : this.hits / lookups,
+      evictions: this.evictions,
+    };
+  }
+}
+
+export default LruCache;
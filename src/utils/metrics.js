@@ -0,0 +1,219 @@
+/**
+ * Minimal Prometheus metric types and text exposition format.
+ *
+ * Counters, gauges and histograms keep one series per combination of label
+ * values; a registry renders them all in the text format scraped by
+ * Prometheus (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ * Label sets should stay small and bounded - never label with user input.
+ */
+
+// Default latency buckets in seconds, as used by the official client libraries
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value for the text format
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Formats a label set as {name="value",...}, or '' when there are none
+ *
+ * @param {Array<string>} names - Label names
+ * @param {Array<*>} values - Label values, in the same order
+ * @returns {string}
+ */
+const formatLabels = (names, values) => (names.length
+  ? `{${names.map((name, index) => `${name}="${escapeLabel(values[index])}"`).join(',')}}`
+  : '');
+
+/**
+ * Formats a sample value (Prometheus spells infinities +Inf / -Inf)
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+/**
+ * Shared series bookkeeping for all metric types
+ */
+class Metric {
+
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Metric name, e.g. tinylink_redirects_total
+   * @param {string} options.help - One-line description
+   * @param {Array<string>} [options.labelNames] - Names of the labels every series carries
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // Serialized label values -> { values, ...type-specific state }
+    this.series = new Map();
+  }
+
+  /**
+   * Returns the series for a label set, creating it on first use
+   *
+   * @param {Object} labels - Label name -> value; missing labels become ''
+   * @param {Function} init - Returns the initial state of a new series
+   * @returns {Object}
+   */
+  getSeries(labels, init) {
+    const values = this.labelNames.map((name) => labels[name] ?? '');
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { values, ...init() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Renders the HELP and TYPE lines
+   *
+   * @param {string} type - counter, gauge or histogram
+   * @returns {Array<string>}
+   */
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+/**
+ * Monotonically increasing count, e.g. requests served
+ */
+export class Counter extends Metric {
+
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount=1] - Non-negative increment
+   * @returns {void}
+   */
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * @returns {Array<string>} Exposition lines
+   */
+  render() {
+    return [
+      ...this.header('counter'),
+      ...[...this.series.values()].map(({ values, value }) => `${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`),
+    ];
+  }
+}
+
+/**
+ * Value that can go up and down, e.g. open connections
+ */
+export class Gauge extends Metric {
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Current value
+   * @returns {void}
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * @returns {Array<string>} Exposition lines
+   */
+  render() {
+    return [
+      ...this.header('gauge'),
+      ...[...this.series.values()].map(({ values, value }) => `${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`),
+    ];
+  }
+}
+
+/**
+ * Distribution of observed values, e.g. request latency, in cumulative buckets
+ */
+export class Histogram extends Metric {
+
+  /**
+   * @param {Object} options - As for Metric, plus:
+   * @param {Array<number>} [options.buckets] - Ascending upper bounds; +Inf is implied
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value (seconds, for durations)
+   * @returns {void}
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * @returns {Array<string>} Exposition lines
+   */
+  render() {
+    const lines = this.header('histogram');
+    const names = [...this.labelNames, 'le'];
+    for (const { values, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(names, [...values, formatValue(bound)])} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(names, [...values, '+Inf'])} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics rendered together
+ */
+export class MetricsRegistry {
+
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * Adds a metric to the registry
+   *
+   * @param {Metric} metric
+   * @returns {Metric} The same metric, for `const x = registry.register(new Counter(...))`
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Renders every metric in the text exposition format
+   *
+   * @returns {string}
+   */
+  render() {
+    return `${this.metrics.flatMap((metric) => metric.render()).join('\n')}\n`;
+  }
+}
+
+// Content type of the text exposition format
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
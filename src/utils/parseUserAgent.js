@@ -0,0 +1,106 @@
+/**
+ * Parses a User-Agent header into coarse browser, OS and device buckets.
+ *
+ * This is intentionally a small, dependency-free matcher: analytics only needs
+ * family-level grouping, not exact versions. Order matters because many
+ * browsers include the tokens of the engines they are derived from.
+ */
+
+import env from '../config/env.js';
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ['Windows', /Windows NT/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+const BOT_REGEX = /bot|crawler|spider|crawling|preview|facebookexternalhit|slurp/i;
+const TABLET_REGEX = /iPad|Tablet|Android(?!.*Mobile)/i;
+const MOBILE_REGEX = /Mobi|iPhone|iPod|Android.*Mobile|Windows Phone/i;
+
+// Link preview fetchers of chat apps and social networks (matched case-insensitively)
+const PREVIEW_CRAWLERS = [
+  'facebookexternalhit',
+  'facebot',
+  'twitterbot',
+  'slackbot',
+  'slack-imgproxy',
+  'discordbot',
+  'telegrambot',
+  'whatsapp',
+  'linkedinbot',
+  'skypeuripreview',
+  'pinterestbot',
+  'redditbot',
+  'applebot',
+  'embedly',
+  'iframely',
+  'vkshare',
+  'mastodon',
+  'cardyb',
+  'mattermost-bot',
+  'viber',
+  'snapchat',
+  'kakaotalk-scrap',
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const PREVIEW_CRAWLER_REGEX = new RegExp(
+  [...PREVIEW_CRAWLERS, ...env.PREVIEW_CRAWLERS].map(escapeRegex).join('|'),
+  'i'
+);
+
+const matchFamily = (ua, families) => {
+  const match = families.find(([, regex]) => regex.test(ua));
+  return match ? match[0] : 'Other';
+};
+
+/**
+ * @param {string} [ua] - Raw User-Agent header value
+ * @returns {{ browser: string, os: string, device: string }}
+ */
+const parseUserAgent = (ua) => {
+  if (!ua) {
+    return { browser: 'Unknown', os: 'Unknown', device: 'unknown' };
+  }
+
+  let device = 'desktop';
+  if (BOT_REGEX.test(ua)) {
+    device = 'bot';
+  } else if (TABLET_REGEX.test(ua)) {
+    device = 'tablet';
+  } else if (MOBILE_REGEX.test(ua)) {
+    device = 'mobile';
+  }
+
+  return {
+    browser: matchFamily(ua, BROWSERS),
+    os: matchFamily(ua, OPERATING_SYSTEMS),
+    device,
+  };
+};
+
+/**
+ * Tells whether a request comes from a chat app or social network fetching a link preview
+ *
+ * Known preview fetchers are built in; PREVIEW_CRAWLERS adds more.
+ *
+ * @param {string} [ua] - Raw User-Agent header value
+ * @returns {boolean}
+ */
+export const isPreviewCrawler = (ua) => Boolean(ua) && PREVIEW_CRAWLER_REGEX.test(ua);
+
+export default parseUserAgent;
@@ -0,0 +1,46 @@
+/**
+ * Password hashing for protected links using Node's built-in scrypt KDF.
+ *
+ * Hashes are stored as "scrypt$<salt>$<key>" (base64 parts) so the format
+ * can be recognised and upgraded later if the parameters change.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Derives a storable hash from a plain-text password
+ *
+ * @async
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+};
+
+/**
+ * Checks a plain-text password against a stored hash in constant time
+ *
+ * @async
+ * @param {string} password - Plain-text password to check
+ * @param {string} stored - Encoded hash from hashPassword
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = async (password, stored) => {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  const [scheme, saltB64, keyB64] = stored.split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !keyB64) return false;
+
+  const expected = Buffer.from(keyB64, 'base64');
+  const actual = await scrypt(password, Buffer.from(saltB64, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
@@ -0,0 +1,46 @@
+/**
+ * Profanity Filter for Short Codes
+ *
+ * Rejects codes containing offensive words, also when spelled with look-alike
+ * digits (e.g. "5h1t"). Matching is by substring, so some harmless codes are
+ * rejected too; for generated codes that only means drawing another one.
+ */
+
+// Words never produced by the code generators or suggestions
+export const BLOCKED_WORDS = [
+  'anal', 'anus', 'arse', 'ass', 'bitch', 'boob', 'butt', 'cock', 'coon', 'crap',
+  'cum', 'cunt', 'damn', 'dick', 'dildo', 'dyke', 'fag', 'fuck', 'hell', 'jizz',
+  'kike', 'kkk', 'nazi', 'nigg', 'penis', 'piss', 'poop', 'porn',
+  'puss', 'rape', 'sex', 'shit', 'slut', 'spic', 'tit', 'turd', 'twat', 'vagina',
+  'wank', 'whore',
+];
+
+// Digits commonly used in place of letters
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g' };
+
+/**
+ * Lists the blocked words found in a code
+ *
+ * @param {string} code - Short code
+ * @param {Array<string>} [extraWords] - Additional lower-case words to block
+ * @returns {Array<string>}
+ */
+export const findBlockedWords = (code, extraWords = []) => {
+  const lower = code.toLowerCase();
+  const normalised = lower.replace(/[0-9]/g, (digit) => LOOKALIKES[digit] ?? digit);
+  // "1" also stands in for "l"
+  const normalisedL = normalised.replace(/i/g, (letter, index) => (lower[index] === '1' ? 'l' : letter));
+
+  return [...BLOCKED_WORDS, ...extraWords].filter((word) => (
+    lower.includes(word) || normalised.includes(word) || normalisedL.includes(word)
+  ));
+};
+
+/**
+ * Checks a code for blocked words
+ *
+ * @param {string} code - Short code
+ * @param {Array<string>} [extraWords] - Additional lower-case words to block
+ * @returns {boolean}
+ */
+export const containsProfanity = (code, extraWords = []) => findBlockedWords(code, extraWords).length > 0;
@@ -0,0 +1,167 @@
+/**
+ * In-memory store for the rate limiting middleware.
+ *
+ * Supports two algorithms, chosen per policy:
+ * - 'token-bucket': `limit` tokens, refilled evenly over `windowMs`; allows
+ *   short bursts up to the full limit
+ * - 'sliding-window': weighted count of the current and previous fixed
+ *   windows, avoiding the double burst a fixed window allows at its edges
+ *
+ * Any object with the same async `hit` and `peek` methods can replace this
+ * store (e.g. one backed by Redis, to share limits between instances).
+ * Both return { allowed, limit, remaining, resetMs, retryAfterMs }.
+ */
+
+// Entries kept before idle ones are pruned
+const PRUNE_THRESHOLD = 10000;
+
+class MemoryRateLimitStore {
+
+  constructor() {
+    // key -> token bucket { tokens, updatedAt, idleAt }
+    //     or sliding window { windowStart, count, previous, idleAt }
+    this.entries = new Map();
+  }
+
+  /**
+   * Consumes one request for a key if the policy allows it
+   *
+   * @async
+   * @param {string} key - Client key, unique per policy
+   * @param {Object} policy - { algorithm, limit, windowMs }
+   * @returns {Promise<Object>} Limit state after the request
+   */
+  async hit(key, policy) {
+    const now = Date.now();
+    const state = this.evaluate(key, policy, now, true);
+    this.prune(now);
+    return state;
+  }
+
+  /**
+   * Returns the limit state for a key without consuming anything
+   *
+   * @async
+   * @param {string} key - Client key, unique per policy
+   * @param {Object} policy - { algorithm, limit, windowMs }
+   * @returns {Promise<Object>} Current limit state
+   */
+  async peek(key, policy) {
+    return this.evaluate(key, policy, Date.now(), false);
+  }
+
+  /**
+   * Computes (and optionally consumes from) the state of a key
+   *
+   * @param {string} key
+   * @param {Object} policy
+   * @param {number} now
+   * @param {boolean} consume - Whether an allowed request is counted
+   * @returns {Object}
+   */
+  evaluate(key, policy, now, consume) {
+    return policy.algorithm === 'token-bucket'
+      ? this.tokenBucket(key, policy, now, consume)
+      : this.slidingWindow(key, policy, now, consume);
+  }
+
+  /**
+   * Token bucket: refills continuously at limit / windowMs tokens per ms
+   *
+   * @param {string} key
+   * @param {Object} policy
+   * @param {number} now
+   * @param {boolean} consume
+   * @returns {Object}
+   */
+  tokenBucket(key, { limit, windowMs }, now, consume) {
+    const rate = limit / windowMs;
+    const entry = this.entries.get(key) || { tokens: limit, updatedAt: now };
+    const tokens = Math.min(limit, entry.tokens + (now - entry.updatedAt) * rate);
+
+    const allowed = tokens >= 1;
+    const left = allowed && consume ? tokens - 1 : tokens;
+    if (consume) {
+      // Once full again the entry equals a fresh one and can be dropped
+      this.entries.set(key, { tokens: left, updatedAt: now, idleAt: now + windowMs });
+    }
+
+    return {
+      allowed,
+      limit,
+      remaining: Math.floor(left),
+      resetMs: Math.ceil((limit - left) / rate),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / rate),
+    };
+  }
+
+  /**
+   * Sliding window: previous window's count weighted by its remaining overlap
+   *
+   * @param {string} key
+   * @param {Object} policy
+   * @param {number} now
+   * @param {boolean} consume
+   * @returns {Object}
+   */
+  slidingWindow(key, { limit, windowMs }, now, consume) {
+    const windowStart = now - (now % windowMs);
+    let entry = this.entries.get(key);
+
+    // Roll the counters forward to the current window
+    if (!entry || entry.windowStart < windowStart - windowMs) {
+      entry = { windowStart, count: 0, previous: 0 };
+    } else if (entry.windowStart < windowStart) {
+      entry = { windowStart, count: 0, previous: entry.count };
+    }
+
+    const elapsed = now - windowStart;
+    const weight = 1 - elapsed / windowMs;
+    const used = entry.previous * weight + entry.count;
+
+    const allowed = used + 1 <= limit;
+    if (allowed && consume) entry.count += 1;
+    if (consume) {
+      // Two windows later neither counter has any weight left
+      entry.idleAt = windowStart + 2 * windowMs;
+      this.entries.set(key, entry);
+    }
+
+    const resetMs = windowMs - elapsed;
+    let retryAfterMs = 0;
+    if (!allowed) {
+      if (entry.count + 1 <= limit) {
+        // Wait for the previous window's share to decay enough
+        retryAfterMs = Math.ceil(windowMs * (1 - (limit - entry.count - 1) / entry.previous)) - elapsed;
+      } else {
+        // Wait for the next window, where this window's count decays
+        retryAfterMs = resetMs + Math.max(0, Math.ceil(windowMs * (1 - (limit - 1) / entry.count)));
+      }
+    }
+
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - used - (allowed && consume ? 1 : 0))),
+      resetMs,
+      retryAfterMs: Math.max(retryAfterMs, allowed ? 0 : 1),
+    };
+  }
+
+  /**
+   * Drops idle entries once the map grows, bounding memory use
+   *
+   * Idle entries are back at their initial state, so dropping them changes nothing.
+   *
+   * @param {number} now
+   * @returns {void}
+   */
+  prune(now) {
+    if (this.entries.size < PRUNE_THRESHOLD) return;
+    for (const [key, entry] of this.entries) {
+      if (entry.idleAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+export default MemoryRateLimitStore;
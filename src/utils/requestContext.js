@@ -0,0 +1,28 @@
+/**
+ * Per-request context carried across async calls.
+ *
+ * The request ID middleware runs the rest of the request inside a context
+ * holding its ID. Code called from there (controllers, services, storage)
+ * can read the ID without it being passed along, which is how the logger
+ * tags every line with the request it belongs to.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function inside a request context
+ *
+ * @param {Object} context - { requestId }
+ * @param {Function} fn - Function to run; everything it calls, sync or async, sees the context
+ * @returns {*} What fn returns
+ */
+export const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Returns the context of the current request
+ *
+ * @returns {Object|undefined} { requestId }, or undefined outside a request (jobs, startup)
+ */
+export const getRequestContext = () => storage.getStore();
@@ -0,0 +1,165 @@
+/**
+ * Schema Validator - Checks Values Against OpenAPI 3.0 Schemas
+ *
+ * Supports the subset of keywords used in docs/openapi.js: $ref (local),
+ * type, nullable, enum, pattern, minLength / maxLength, minimum / maximum,
+ * items, minItems / maxItems, properties, required, additionalProperties and
+ * oneOf. Unknown keywords are ignored.
+ *
+ * Each error carries the `x-error-code` of the nearest schema above the
+ * failing value, so callers can keep reporting the specific message a
+ * service would have used.
+ */
+
+/**
+ * Resolves a local reference like "#/components/schemas/Link"
+ *
+ * @param {Object} document - Document the reference points into
+ * @param {string} pointer - JSON pointer starting with "#/"
+ * @returns {Object}
+ * @throws {Error} If the reference does not resolve
+ */
+export const resolveRef = (document, pointer) => {
+  const target = pointer
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], document);
+  if (!target) throw new Error(`Unresolved $ref: ${pointer}`);
+  return target;
+};
+
+/**
+ * Returns the JSON type name of a value, telling integers apart from other numbers
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Converts a query or path string to the type its schema asks for
+ *
+ * Values that don't convert are returned unchanged and fail validation.
+ *
+ * @param {Object} document - Document for $ref resolution
+ * @param {Object} schema - Parameter schema
+ * @param {*} value - Raw value
+ * @returns {*}
+ */
+export const coerceParameter = (document, schema, value) => {
+  const resolved = schema.$ref ? resolveRef(document, schema.$ref) : schema;
+  if (typeof value !== 'string') return value;
+
+  if ((resolved.type === 'integer' || resolved.type === 'number') && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (resolved.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+/**
+ * Validates a value against a schema
+ *
+ * @param {Object} document - Document for $ref resolution
+ * @param {Object} schema - Schema to check against
+ * @param {*} value - Value to check
+ * @param {string} [path=''] - Location of the value, for error messages
+ * @param {string|null} [errorCode=null] - x-error-code inherited from parent schemas
+ * @returns {Array<{ path: string, message: string, errorCode: string|null }>} Empty when valid
+ */
+export const validateSchema = (document, schema, value, path = '', errorCode = null) => {
+  const resolved = schema.$ref ? resolveRef(document, schema.$ref) : schema;
+  const code = schema['x-error-code'] ?? resolved['x-error-code'] ?? errorCode;
+  const fail = (message) => [{ path, message, errorCode: code }];
+
+  if (value === null) {
+    return resolved.nullable || (!resolved.type && !resolved.oneOf) ? [] : fail('must not be null');
+  }
+
+  if (resolved.oneOf) {
+    const matches = resolved.oneOf.filter((option) => validateSchema(document, option, value, path, code).length === 0);
+    if (matches.length !== 1) return fail('must match exactly one of the allowed shapes');
+  }
+
+  if (resolved.type) {
+    const actual = typeOf(value);
+    const matchesType = resolved.type === actual || (resolved.type === 'number' && actual === 'integer');
+    if (!matchesType) return fail(`must be ${resolved.type === 'integer' ? 'an' : 'a'} ${resolved.type}`);
+  }
+
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    return fail(`must be one of ${resolved.enum.join(', ')}`);
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string') {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+      errors.push(...fail(`must be at least ${resolved.minLength} characters`));
+    }
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+      errors.push(...fail(`must be at most ${resolved.maxLength} characters`));
+    }
+    if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+      errors.push(...fail(`must match ${resolved.pattern}`));
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      errors.push(...fail(`must be at least ${resolved.minimum}`));
+    }
+    if (resolved.maximum !== undefined && value > resolved.maximum) {
+      errors.push(...fail(`must be at most ${resolved.maximum}`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+      errors.push(...fail(`must have at least ${resolved.minItems} items`));
+    }
+    if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+      errors.push(...fail(`must have at most ${resolved.maxItems} items`));
+    }
+    if (resolved.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(document, resolved.items, item, `${path}[${index}]`, code));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = resolved.properties ?? {};
+
+    for (const name of resolved.required ?? []) {
+      if (value[name] === undefined) {
+        // Report a missing property with its own error code, like an invalid value
+        const propertyCode = properties[name]?.['x-error-code'] ?? code;
+        errors.push({ path: path ? `${path}.${name}` : name, message: 'is required', errorCode: propertyCode });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      const propertyPath = path ? `${path}.${name}` : name;
+
+      if (properties[name]) {
+        errors.push(...validateSchema(document, properties[name], propertyValue, propertyPath, code));
+      } else if (resolved.additionalProperties === false) {
+        errors.push({ path: propertyPath, message: 'is not allowed', errorCode: code });
+      } else if (typeof resolved.additionalProperties === 'object') {
+        errors.push(...validateSchema(document, resolved.additionalProperties, propertyValue, propertyPath, code));
+      }
+    }
+  }
+
+  return errors;
+};
@@ -0,0 +1,44 @@
+/**
+ * Server-Sent Events helpers: response headers and wire format.
+ *
+ * See https://html.spec.whatwg.org/multipage/server-sent-events.html
+ */
+
+import { STATUS } from '../constants/apiStatus.js';
+
+// Sent as a comment line, which clients ignore; keeps proxies from closing idle streams
+export const SSE_HEARTBEAT = ': heartbeat\n\n';
+
+/**
+ * Sets the headers of an event stream response and sends them right away
+ *
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+export const startEventStream = (res) => {
+  res.status(STATUS.OK).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+};
+
+/**
+ * Formats one event for the wire
+ *
+ * @param {Object} event
+ * @param {string} [event.id] - Event id; clients send the last one back as Last-Event-ID
+ * @param {string} [event.event] - Event type (clients default to "message")
+ * @param {*} event.data - Payload, sent as JSON on a single line
+ * @returns {string}
+ */
+export const formatSseEvent = ({ id, event, data }) => [
+  ...(id ? [`id: ${id}`] : []),
+  ...(event ? [`event: ${event}`] : []),
+  `data: ${JSON.stringify(data)}`,
+  '',
+  '',
+].join('\n');
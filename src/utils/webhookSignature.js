@@ -0,0 +1,47 @@
+/**
+ * Webhook Signatures
+ *
+ * Deliveries carry X-TinyLink-Signature: t=<unix seconds>,v1=<hex digest>,
+ * where the digest is HMAC-SHA256 over "<t>.<raw body>" with the
+ * subscription's secret. Receivers recompute it and reject stale timestamps
+ * to guard against replays.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Computes the signature header value for a body
+ *
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw request body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} "t=<timestamp>,v1=<hex digest>"
+ */
+export const signPayload = (secret, body, timestamp) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Checks a signature header against a body
+ *
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw request body
+ * @param {string} [header] - X-TinyLink-Signature value
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds=300] - Largest accepted clock difference
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {boolean}
+ */
+export const verifySignature = (secret, body, header, { toleranceSeconds = 300, now = Date.now() } = {}) => {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map((part) => part.trim().split('=', 2))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1]);
+  const actual = Buffer.from(parts.v1);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
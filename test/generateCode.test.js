@@ -0,0 +1,28 @@
+/**
+ * Short Code Generator Tests
+ *
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WORDS, wordCode } from '../src/utils/generateCode.js';
+import { CODE_REGEX } from '../src/constants/regex.js';
+
+describe('wordCode', () => {
+  test('word list has no look-alike letters (i, l, o)', () => {
+    assert.deepEqual(WORDS.filter((word) => /[ilo]/.test(word)), []);
+  });
+
+  test('word list has no duplicates', () => {
+    assert.equal(new Set(WORDS).size, WORDS.length);
+  });
+
+  test('codes are two words and two digits other than 0 and 1', () => {
+    for (let i = 0; i < 100; i += 1) {
+      const code = wordCode();
+      assert.match(code, /^[a-hjkmnp-z]{6}[2-9]{2}$/);
+      assert.match(code, CODE_REGEX);
+    }
+  });
+});
@@ -0,0 +1,504 @@
+/**
+ * Storage Adapter Conformance Suite
+ *
+ * Runs the same tests against every storage adapter, so LinkService can rely
+ * on identical behaviour whichever STORAGE_DRIVER is configured (see the
+ * interface in src/storage/index.js).
+ *
+ * The memory and json adapters always run. The mongo adapter needs a
+ * disposable database: set MONGODB_TEST_URI (its links, revisions and
+ * counters collections are emptied before every test), otherwise it is
+ * skipped.
+ *
+ * Run with: npm test
+ */
+
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import MemoryStorage from '../src/storage/memory.storage.js';
+import JsonFileStorage from '../src/storage/jsonFile.storage.js';
+import MongoStorage from '../src/storage/mongo.storage.js';
+import Link from '../src/models/LinkModel.js';
+import Revision from '../src/models/RevisionModel.js';
+import Counter from '../src/models/CounterModel.js';
+import { ConflictError } from '../src/utils/errors.js';
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || '';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Builds the data of a new link, as LinkService.createLink passes it
+ *
+ * @param {Object} [overrides] - Fields to set
+ * @returns {Object}
+ */
+const linkData = (overrides = {}) => ({
+  shortCode: 'abc1234',
+  domain: null,
+  originalUrl: 'https://example.com/page',
+  destinationHost: 'example.com',
+  owner: 'alice',
+  ...overrides,
+});
+
+/**
+ * Returns the short codes of a list of links
+ *
+ * @param {Array<Object>} links
+ * @returns {Array<string>}
+ */
+const codesOf = (links) => links.map((link) => link.shortCode);
+
+/**
+ * Collects an export cursor into an array
+ *
+ * @async
+ * @param {AsyncIterable<Object>} cursor
+ * @returns {Promise<Array<Object>>}
+ */
+const collect = async (cursor) => {
+  const links = [];
+  for await (const link of cursor) links.push(link);
+  await cursor.close();
+  return links;
+};
+
+// How each adapter is set up and torn down around a test
+const ADAPTERS = [
+  {
+    name: 'memory',
+    create: async () => new MemoryStorage(),
+  },
+  {
+    name: 'json',
+    create: async () => new JsonFileStorage(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tinylink-')), 'links.json')),
+    destroy: async (storage) => {
+      await storage.close();
+      fs.rmSync(path.dirname(storage.file), { recursive: true, force: true });
+    },
+  },
+  {
+    name: 'mongo',
+    skip: !MONGODB_TEST_URI && 'MONGODB_TEST_URI is not set',
+    setup: async () => {
+      await mongoose.connect(MONGODB_TEST_URI);
+      await Promise.all([Link.init(), Revision.init()]);
+    },
+    create: async () => {
+      await Promise.all([Link.deleteMany({}), Revision.deleteMany({}), Counter.deleteMany({})]);
+      return new MongoStorage();
+    },
+    teardown: async () => {
+      await mongoose.disconnect();
+    },
+  },
+];
+
+for (const adapter of ADAPTERS) {
+  describe(`${adapter.name} storage`, { skip: adapter.skip }, () => {
+    let storage;
+
+    before(async () => {
+      await adapter.setup?.();
+    });
+
+    after(async () => {
+      await adapter.teardown?.();
+    });
+
+    beforeEach(async () => {
+      storage = await adapter.create();
+    });
+
+    afterEach(async () => {
+      await adapter.destroy?.(storage);
+    });
+
+    describe('creating and finding links', () => {
+      test('createLink stores the link with model defaults', async () => {
+        const link = await storage.createLink(linkData());
+
+        assert.ok(link._id);
+        assert.equal(link.shortCode, 'abc1234');
+        assert.equal(link.clicks, 0);
+        assert.equal(link.revision, 0);
+        assert.equal(link.expired, false);
+        assert.equal(link.activatesAt, null);
+        assert.deepEqual(link.tags, []);
+        assert.deepEqual(link.scheduledChanges, []);
+        assert.ok(link.createdAt instanceof Date);
+      });
+
+      test('findLink looks a code up within its domain', async () => {
+        await storage.createLink(linkData());
+        await storage.createLink(linkData({ domain: 'go.example.com', originalUrl: 'https://example.com/other' }));
+
+        const onDefault = await storage.findLink({ domain: null, shortCode: 'abc1234' });
+        const onCustom = await storage.findLink({ domain: 'go.example.com', shortCode: 'abc1234' });
+
+        assert.equal(onDefault.originalUrl, 'https://example.com/page');
+        assert.equal(onCustom.originalUrl, 'https://example.com/other');
+        assert.equal(await storage.findLink({ domain: null, shortCode: 'zzz9999' }), null);
+      });
+
+      test('createLink rejects a code already taken in the domain', async () => {
+        await storage.createLink(linkData());
+
+        await assert.rejects(storage.createLink(linkData()), ConflictError);
+      });
+
+      test('findLink honours owner and trashed restrictions', async () => {
+        await storage.createLink(linkData());
+
+        assert.ok(await storage.findLink({ domain: null, shortCode: 'abc1234', owner: 'alice' }));
+        assert.equal(await storage.findLink({ domain: null, shortCode: 'abc1234', owner: 'bob' }), null);
+        assert.ok(await storage.findLink({ domain: null, shortCode: 'abc1234', trashed: false }));
+        assert.equal(await storage.findLink({ domain: null, shortCode: 'abc1234', trashed: true }), null);
+      });
+
+      test('the password hash is only returned on request', async () => {
+        const link = await storage.createLink(linkData({ passwordProtected: true, passwordHash: 'hash' }));
+
+        assert.equal(link.passwordHash, undefined);
+        assert.equal((await storage.findLink({ domain: null, shortCode: 'abc1234' })).passwordHash, undefined);
+        assert.equal((await storage.findLink({ domain: null, shortCode: 'abc1234' }, { withPassword: true })).passwordHash, 'hash');
+        assert.equal((await storage.findLinkById(link._id, { withPassword: true })).passwordHash, 'hash');
+      });
+
+      test('findLinkById returns null for unknown or malformed ids', async () => {
+        assert.equal(await storage.findLinkById('0123456789abcdef01234567'), null);
+        assert.equal(await storage.findLinkById('not-an-id'), null);
+      });
+
+      test('findLink returns only the requested fields', async () => {
+        await storage.createLink(linkData());
+
+        const link = await storage.findLink({ domain: null, shortCode: 'abc1234' }, { fields: ['originalUrl'] });
+
+        assert.ok(link._id);
+        assert.equal(link.originalUrl, 'https://example.com/page');
+        assert.equal(link.shortCode, undefined);
+      });
+
+      test('returned links are copies of the stored data', async () => {
+        const link = await storage.createLink(linkData({ tags: ['a'] }));
+        link.tags.push('b');
+
+        assert.deepEqual((await storage.findLinkById(link._id)).tags, ['a']);
+      });
+    });
+
+    describe('listing and exporting', () => {
+      beforeEach(async () => {
+        const start = Date.now() - 10 * HOUR;
+        await storage.createLink(linkData({ shortCode: 'first01', createdAt: new Date(start), tags: ['spring', 'sale'] }));
+        await storage.createLink(linkData({
+          shortCode: 'second1',
+          originalUrl: 'https://shop.example.com/x',
+          destinationHost: 'shop.example.com',
+          createdAt: new Date(start + HOUR),
+          tags: ['spring'],
+          collectionId: 'c1',
+        }));
+        await storage.createLink(linkData({
+          shortCode: 'third01',
+          originalUrl: 'https://other.org/',
+          destinationHost: 'other.org',
+          createdAt: new Date(start + 2 * HOUR),
+          owner: 'bob',
+        }));
+        const clicked = await storage.findLink({ domain: null, shortCode: 'second1' });
+        await storage.addClicks([{ id: clicked._id, count: 5, lastClicked: new Date(start + 3 * HOUR) }]);
+      });
+
+      const list = (options) => storage.listLinks({ sort: 'createdAt', order: 'desc', limit: 50, ...options });
+
+      test('listLinks sorts, counts and restricts to an owner', async () => {
+        const all = await list({});
+        const alice = await list({ owner: 'alice', order: 'asc' });
+
+        assert.deepEqual(codesOf(all.links), ['third01', 'second1', 'first01']);
+        assert.equal(all.total, 3);
+        assert.deepEqual(codesOf(alice.links), ['first01', 'second1']);
+        assert.equal(alice.total, 2);
+      });
+
+      test('listLinks pages with cursors, nulls lowest', async () => {
+        const first = await list({ sort: 'lastClicked', limit: 2 });
+        const last = first.links[1];
+        const second = await list({ sort: 'lastClicked', limit: 2, cursor: { value: last.lastClicked, id: String(last._id) } });
+
+        assert.equal(first.links[0].shortCode, 'second1');
+        assert.equal(second.links.length, 1);
+        assert.equal(first.total, 3);
+        assert.ok(!codesOf(first.links).includes(second.links[0].shortCode));
+      });
+
+      test('listLinks applies filters', async () => {
+        assert.deepEqual(codesOf((await list({ filter: { tags: ['spring', 'sale'] } })).links), ['first01']);
+        assert.deepEqual(codesOf((await list({ filter: { minClicks: 1 } })).links), ['second1']);
+        assert.deepEqual(codesOf((await list({ filter: { destinationDomain: 'example.com' } })).links), ['second1', 'first01']);
+        assert.deepEqual(codesOf((await list({ filter: { q: 'OTHER' } })).links), ['third01']);
+        assert.deepEqual(codesOf((await list({ filter: { collectionId: null } })).links), ['third01', 'first01']);
+        assert.deepEqual(codesOf((await list({ filter: { collectionId: 'c1' } })).links), ['second1']);
+      });
+
+      test('listLinks separates live and trashed links', async () => {
+        await storage.trashLink({ domain: null, shortCode: 'first01' });
+
+        assert.deepEqual(codesOf((await list({ filter: { trashed: false } })).links), ['third01', 'second1']);
+        assert.deepEqual(codesOf((await list({ filter: { trashed: true } })).links), ['first01']);
+      });
+
+      test('listLinks returns only the requested fields', async () => {
+        const { links } = await list({ fields: ['shortCode', 'clicks'] });
+
+        assert.deepEqual(Object.keys(links[0]).sort(), ['_id', 'clicks', 'shortCode']);
+      });
+
+      test('exportLinks streams live links oldest first', async () => {
+        await storage.trashLink({ domain: null, shortCode: 'second1' });
+
+        assert.deepEqual(codesOf(await collect(storage.exportLinks(undefined, ['shortCode']))), ['first01', 'third01']);
+        assert.deepEqual(codesOf(await collect(storage.exportLinks('bob', ['shortCode']))), ['third01']);
+      });
+
+      test('collectionStats reports live links, clicks and the top link', async () => {
+        await storage.createLink(linkData({ shortCode: 'fourth1', collectionId: 'c1' }));
+        await storage.createLink(linkData({ shortCode: 'fifth01', collectionId: 'c1' }));
+        await storage.trashLink({ domain: null, shortCode: 'fifth01' });
+
+        const [c1, empty] = await storage.collectionStats(['c1', 'c2']);
+
+        assert.equal(c1.collectionId, 'c1');
+        assert.equal(c1.links, 2);
+        assert.equal(c1.clicks, 5);
+        assert.equal(c1.topLink.shortCode, 'second1');
+        assert.deepEqual(empty, { collectionId: 'c2', links: 0, clicks: 0, topLink: null });
+      });
+
+      test('hasLinksOnDomain and findTakenCodes look at the domain namespace', async () => {
+        await storage.createLink(linkData({ shortCode: 'custom1', domain: 'go.example.com' }));
+
+        assert.equal(await storage.hasLinksOnDomain('go.example.com'), true);
+        assert.equal(await storage.hasLinksOnDomain('other.example.com'), false);
+        assert.deepEqual(await storage.findTakenCodes(null, ['first01', 'custom1', 'free001']), ['first01']);
+      });
+    });
+
+    describe('counters and clicks', () => {
+      test('nextSequence counts up per name from 1', async () => {
+        assert.equal(await storage.nextSequence('codes'), 1);
+        assert.equal(await storage.nextSequence('codes'), 2);
+        assert.equal(await storage.nextSequence('other'), 1);
+      });
+
+      test('incrementClicks counts a click and its variant', async () => {
+        const link = await storage.createLink(linkData());
+        const now = new Date();
+
+        const updated = await storage.incrementClicks(link._id, now, 'b');
+
+        assert.equal(updated.clicks, 1);
+        assert.equal(updated.lastClicked.getTime(), now.getTime());
+        assert.equal(updated.variantClicks.b, 1);
+      });
+
+      test('incrementClicks refuses used-up, expired and trashed links', async () => {
+        const budget = await storage.createLink(linkData({ shortCode: 'budget1', maxClicks: 1 }));
+        const dated = await storage.createLink(linkData({ shortCode: 'dated01', expiresAt: new Date(Date.now() - 1000) }));
+        const trashed = await storage.createLink(linkData({ shortCode: 'trash01' }));
+        await storage.trashLink({ domain: null, shortCode: 'trash01' });
+
+        assert.ok(await storage.incrementClicks(budget._id));
+        assert.equal(await storage.incrementClicks(budget._id), null);
+        assert.equal(await storage.incrementClicks(dated._id), null);
+        assert.equal(await storage.incrementClicks(trashed._id), null);
+        assert.equal((await storage.findLinkById(budget._id)).clicks, 1);
+      });
+
+      test('addClicks adds buffered counts and keeps the latest click time', async () => {
+        const link = await storage.createLink(linkData());
+        const later = new Date();
+        const earlier = new Date(later.getTime() - HOUR);
+
+        await storage.addClicks([{ id: link._id, count: 3, lastClicked: later, variants: { a: 2, b: 1 } }]);
+        const [totals] = await storage.addClicks([{ id: link._id, count: 2, lastClicked: earlier, variants: { a: 2 } }]);
+        const stored = await storage.findLinkById(link._id);
+
+        assert.equal(String(totals._id), String(link._id));
+        assert.equal(totals.clicks, 5);
+        assert.equal(totals.shortCode, 'abc1234');
+        assert.equal(stored.lastClicked.getTime(), later.getTime());
+        assert.deepEqual({ ...stored.variantClicks }, { a: 4, b: 1 });
+      });
+    });
+
+    describe('editing', () => {
+      test('updateLink applies values only at the expected revision', async () => {
+        const link = await storage.createLink(linkData());
+
+        const updated = await storage.updateLink(link._id, 0, { originalUrl: 'https://example.com/new' });
+        const stale = await storage.updateLink(link._id, 0, { originalUrl: 'https://example.com/stale' });
+
+        assert.equal(updated.revision, 1);
+        assert.equal(updated.originalUrl, 'https://example.com/new');
+        assert.equal(stale, null);
+        assert.equal((await storage.findLinkById(link._id)).originalUrl, 'https://example.com/new');
+      });
+
+      test('disableLink records the reason', async () => {
+        const link = await storage.createLink(linkData());
+        const at = new Date();
+
+        const disabled = await storage.disableLink(link._id, 'Destination is blocked', at);
+
+        assert.equal(disabled.disabled, true);
+        assert.equal(disabled.disabledReason, 'Destination is blocked');
+        assert.equal(disabled.disabledAt.getTime(), at.getTime());
+      });
+
+      test('revisions are unique per link, listed newest first and deletable', async () => {
+        const link = await storage.createLink(linkData());
+        const revision = (number) => ({
+          link: link._id,
+          revision: number,
+          type: 'update',
+          changes: [{ field: 'originalUrl', oldValue: 'a', newValue: 'b' }],
+          createdAt: new Date(),
+        });
+
+        await storage.createRevision(revision(1));
+        await storage.createRevision(revision(2));
+        await storage.createRevision(revision(3));
+        await assert.rejects(storage.createRevision(revision(3)));
+
+        assert.deepEqual((await storage.listRevisions(link._id)).map((r) => r.revision), [3, 2, 1]);
+        assert.deepEqual((await storage.listRevisions(link._id, { after: 1 })).map((r) => r.revision), [3, 2]);
+
+        await storage.deleteRevisions(link._id);
+        assert.deepEqual(await storage.listRevisions(link._id), []);
+      });
+    });
+
+    describe('trash', () => {
+      test('trashLink and restoreLink move a link in and out of the trash', async () => {
+        await storage.createLink(linkData());
+        const by = { owner: 'alice', keyId: 'k1' };
+
+        const trashed = await storage.trashLink({ domain: null, shortCode: 'abc1234' }, new Date(), by);
+
+        assert.ok(trashed.deletedAt instanceof Date);
+        assert.deepEqual({ ...trashed.deletedBy }, by);
+        assert.equal(await storage.trashLink({ domain: null, shortCode: 'abc1234' }), null);
+
+        const restored = await storage.restoreLink({ domain: null, shortCode: 'abc1234' });
+
+        assert.equal(restored.deletedAt, null);
+        assert.equal(await storage.restoreLink({ domain: null, shortCode: 'abc1234' }), null);
+      });
+
+      test('a trashed link keeps its code', async () => {
+        await storage.createLink(linkData());
+        await storage.trashLink({ domain: null, shortCode: 'abc1234' });
+
+        await assert.rejects(storage.createLink(linkData()), ConflictError);
+      });
+
+      test('purgeTrashedLinks removes links trashed before the date and frees their codes', async () => {
+        await storage.createLink(linkData({ shortCode: 'old0001' }));
+        await storage.createLink(linkData({ shortCode: 'new0001' }));
+        await storage.trashLink({ domain: null, shortCode: 'old0001' }, new Date(Date.now() - 2 * HOUR));
+        await storage.trashLink({ domain: null, shortCode: 'new0001' }, new Date());
+
+        const purged = await storage.purgeTrashedLinks(new Date(Date.now() - HOUR));
+
+        assert.deepEqual(codesOf(purged), ['old0001']);
+        assert.ok(purged[0].deletedAt instanceof Date);
+        assert.equal(await storage.findLink({ domain: null, shortCode: 'old0001' }), null);
+        assert.ok(await storage.findLink({ domain: null, shortCode: 'new0001' }));
+        assert.ok(await storage.createLink(linkData({ shortCode: 'old0001' })));
+      });
+    });
+
+    describe('background jobs', () => {
+      beforeEach(async () => {
+        await storage.createLink(linkData({ shortCode: 'bydate1', expiresAt: new Date(Date.now() - 1000) }));
+        await storage.createLink(linkData({ shortCode: 'budget1', maxClicks: 1 }));
+        await storage.createLink(linkData({ shortCode: 'alive01', expiresAt: new Date(Date.now() + HOUR) }));
+        await storage.createLink(linkData({ shortCode: 'trash01', expiresAt: new Date(Date.now() - 1000) }));
+        await storage.trashLink({ domain: null, shortCode: 'trash01' });
+        const budget = await storage.findLink({ domain: null, shortCode: 'budget1' });
+        await storage.incrementClicks(budget._id);
+      });
+
+      test('markExpiredLinks flags live expired links once', async () => {
+        const expired = await storage.markExpiredLinks(new Date());
+
+        assert.deepEqual(codesOf(expired).sort(), ['budget1', 'bydate1']);
+        assert.deepEqual(await storage.markExpiredLinks(new Date()), []);
+        assert.equal((await storage.findLink({ domain: null, shortCode: 'bydate1' })).expired, true);
+        assert.equal((await storage.findLink({ domain: null, shortCode: 'trash01' })).expired, false);
+      });
+
+      test('purgeExpiredLinks removes live expired links', async () => {
+        const purged = await storage.purgeExpiredLinks(new Date());
+
+        assert.deepEqual(codesOf(purged).sort(), ['budget1', 'bydate1']);
+        assert.equal(await storage.findLink({ domain: null, shortCode: 'bydate1' }), null);
+        assert.ok(await storage.findLink({ domain: null, shortCode: 'alive01' }));
+        assert.ok(await storage.findLink({ domain: null, shortCode: 'trash01' }));
+      });
+
+      test('findScheduledLinks returns live links with a change due', async () => {
+        const now = new Date();
+        const due = [{ at: new Date(now.getTime() - 1000), originalUrl: 'https://example.com/due' }];
+        const future = [{ at: new Date(now.getTime() + HOUR), originalUrl: 'https://example.com/later' }];
+        await storage.createLink(linkData({ shortCode: 'sched01', scheduledChanges: [...due, ...future] }));
+        await storage.createLink(linkData({ shortCode: 'sched02', scheduledChanges: future }));
+        await storage.createLink(linkData({ shortCode: 'sched03', scheduledChanges: due }));
+        await storage.trashLink({ domain: null, shortCode: 'sched03' });
+
+        const links = await storage.findScheduledLinks(now);
+
+        assert.deepEqual(codesOf(links), ['sched01']);
+        assert.ok(links[0].scheduledChanges[0].at instanceof Date);
+      });
+    });
+  });
+}
+
+describe('json storage persistence', () => {
+  test('data survives a reload, with dates revived', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinylink-'));
+    const file = path.join(dir, 'links.json');
+    try {
+      const storage = new JsonFileStorage(file);
+      const link = await storage.createLink(linkData({
+        expiresAt: new Date(Date.now() + HOUR),
+        scheduledChanges: [{ at: new Date(Date.now() + HOUR), originalUrl: 'https://example.com/later' }],
+      }));
+      await storage.createRevision({ link: link._id, revision: 1, changes: [], createdAt: new Date() });
+      await storage.nextSequence('codes');
+      await storage.close();
+
+      const reloaded = new JsonFileStorage(file);
+      const stored = await reloaded.findLinkById(link._id);
+
+      assert.equal(stored.shortCode, 'abc1234');
+      assert.ok(stored.expiresAt instanceof Date);
+      assert.ok(stored.scheduledChanges[0].at instanceof Date);
+      assert.equal((await reloaded.listRevisions(link._id)).length, 1);
+      assert.equal(await reloaded.nextSequence('codes'), 2);
+      await assert.rejects(reloaded.createLink(linkData()), ConflictError);
+      await reloaded.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});